@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Client generator CLI
+ * Writes the client module and its .d.ts next to it. With --check nothing is
+ * written and the exit code is 1 when the files don't match the spec, 2 on errors.
+ *
+ * Usage:
+ *   contract-client <spec.yaml> --out src/generated/api.js [--format cjs|esm] [--class-name ApiClient] [--check]
+ */
+const fs = require('fs');
+const path = require('path');
+const { generateClient } = require('../client-generator');
+
+const USAGE = 'Usage: contract-client <spec.yaml> --out <client.js> [--format cjs|esm] [--class-name Name] [--check]';
+
+function parseArgs(argv) {
+  const args = { format: 'cjs', specs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--format') args.format = argv[++i];
+    else if (argv[i] === '--class-name') args.className = argv[++i];
+    else if (argv[i] === '--check') args.check = true;
+    else args.specs.push(argv[i]);
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.specs.length !== 1 || !args.out || !['cjs', 'esm'].includes(args.format)) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+try {
+  const out = path.resolve(args.out);
+  const declarations = out.replace(/\.[cm]?js$/, '') + '.d.ts';
+  // Named in the generated header relative to the client, so it reads the same on every machine
+  const source = path.relative(path.dirname(out), path.resolve(args.specs[0])).split(path.sep).join('/');
+  const { js, dts } = generateClient(args.specs[0], { format: args.format, className: args.className, source });
+  const files = [[out, js], [declarations, dts]];
+
+  if (args.check) {
+    const stale = files.filter(([file, text]) => !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== text);
+    stale.forEach(([file]) => console.error(`✗ ${path.relative(process.cwd(), file)} is out of date with ${args.specs[0]}`));
+    if (stale.length) {
+      console.error('  Regenerate it with the same command without --check');
+      process.exit(1);
+    }
+    console.log(`✓ Client is up to date with ${args.specs[0]}`);
+    process.exit(0);
+  }
+
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  files.forEach(([file, text]) => fs.writeFileSync(file, text));
+  console.log(`✓ Wrote ${path.relative(process.cwd(), out)} and ${path.relative(process.cwd(), declarations)}`);
+} catch (err) {
+  console.error('Client generator error:', err.message);
+  process.exit(2);
+}
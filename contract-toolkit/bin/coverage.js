@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Contract coverage CLI
+ * Prints the coverage a provider started with coverage recording has seen,
+ * optionally writes it as JSON and HTML. Exits with 1 when response coverage
+ * is below --min, 2 on errors.
+ *
+ * Usage:
+ *   contract-coverage http://localhost:8080/__coverage [--min 80]
+ *     [--json coverage/contract.json] [--html coverage/contract.html]
+ */
+const fs = require('fs');
+const path = require('path');
+const { formatCoverage, coverageHtml } = require('../coverage');
+
+const USAGE = 'Usage: contract-coverage <coverage-url> [--min <percent>] [--json <file>] [--html <file>]';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--min') args.minimum = Number(argv[++i]);
+    else if (argv[i] === '--json') args.json = argv[++i];
+    else if (argv[i] === '--html') args.html = argv[++i];
+    else args.url = argv[i];
+  }
+  return args;
+}
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, content);
+  console.log(`Wrote ${file}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.url || Number.isNaN(args.minimum)) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const url = new URL(args.url);
+  if (args.minimum !== undefined) url.searchParams.set('minimum', String(args.minimum));
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`GET ${url} returned ${response.status}; was the provider started with CONTRACT_COVERAGE=true?`);
+  }
+  const report = await response.json();
+
+  console.log(formatCoverage(report));
+  if (args.json) write(args.json, `${JSON.stringify(report, null, 2)}\n`);
+  if (args.html) write(args.html, coverageHtml(report));
+  return report.passed ? 0 : 1;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error('Coverage error:', err.message);
+    process.exit(2);
+  });
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Fuzzing CLI
+ * Exits with 1 when the provider answered outside its spec, 2 on errors.
+ *
+ * Usage:
+ *   contract-fuzz <spec.yaml> --base-url http://localhost:8080
+ *     [--seed 42] [--runs 100] [--operation getProductById]...
+ *     [--token-url http://localhost:8080/oauth/token --client-id <id> --client-secret <secret>]
+ *
+ * Every failure is printed with the --seed, --runs 1 and --operation that
+ * replay it.
+ */
+const { fuzz, formatFuzzReport } = require('../fuzzer');
+const { clientCredentials } = require('../oauth-client');
+
+const USAGE = 'Usage: contract-fuzz <spec.yaml> --base-url <url> [--seed <n>] [--runs <n>] [--operation <operationId>]... ' +
+  '[--token-url <url> --client-id <id> --client-secret <secret>]';
+
+function parseArgs(argv) {
+  const args = { operations: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--base-url') args.baseUrl = argv[++i];
+    else if (argv[i] === '--seed') args.seed = Number(argv[++i]);
+    else if (argv[i] === '--runs') args.runs = Number(argv[++i]);
+    else if (argv[i] === '--operation') args.operations.push(argv[++i]);
+    else if (argv[i] === '--token-url') args.tokenUrl = argv[++i];
+    else if (argv[i] === '--client-id') args.clientId = argv[++i];
+    else if (argv[i] === '--client-secret') args.clientSecret = argv[++i];
+    else args.spec = argv[i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.spec || !args.baseUrl || Number.isNaN(args.seed) || Number.isNaN(args.runs) ||
+    (args.tokenUrl && (!args.clientId || !args.clientSecret))) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const tokens = args.tokenUrl ? clientCredentials(args) : null;
+  const report = await fuzz({
+    spec: args.spec,
+    baseUrl: args.baseUrl,
+    seed: args.seed,
+    runs: args.runs,
+    operations: args.operations.length ? args.operations : undefined,
+    getToken: tokens ? scopes => tokens.getToken(scopes) : undefined
+  });
+
+  console.log(formatFuzzReport(report));
+  return report.passed ? 0 : 1;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error('Fuzzing error:', err.message);
+    process.exit(2);
+  });
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Spec inference CLI
+ * Drafts an OpenAPI document from the traffic a provider started with
+ * inference middleware has seen, or from the traffic passing through a proxy
+ * in front of it (written when the proxy stops). With --spec, also lists
+ * what the traffic shows that the spec doesn't document.
+ *
+ * Usage:
+ *   contract-infer http://localhost:8080/__inference [--spec specs/products-api.yaml]
+ *     [--out inferred/products-api.yaml]
+ *   contract-infer --target http://localhost:8080 [--port 8082] [--host 127.0.0.1]
+ *     [--spec specs/products-api.yaml] [--out inferred/products-api.yaml] [--title <title>]
+ */
+const fs = require('fs');
+const path = require('path');
+const { SpecInference, findUndocumented, formatUndocumented, inferredSpecYaml } = require('../spec-inference');
+
+const USAGE = 'Usage: contract-infer (<inference-url> | --target <url> [--port 8082] [--host 127.0.0.1] [--title <title>]) ' +
+  '[--spec <spec.yaml>] [--out <draft.yaml>]';
+
+function parseArgs(argv) {
+  const args = { port: 8082, host: '127.0.0.1' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--target') args.target = argv[++i];
+    else if (argv[i] === '--port') args.port = Number(argv[++i]);
+    else if (argv[i] === '--host') args.host = argv[++i];
+    else if (argv[i] === '--spec') args.spec = argv[++i];
+    else if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--title') args.title = argv[++i];
+    else args.url = argv[i];
+  }
+  return args;
+}
+
+function report(document, args) {
+  if (args.out) {
+    fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+    fs.writeFileSync(args.out, inferredSpecYaml(document));
+    console.log(`Wrote ${args.out}`);
+  } else {
+    console.log(inferredSpecYaml(document));
+  }
+  if (args.spec) {
+    console.log(formatUndocumented(findUndocumented(args.spec, document)));
+  }
+}
+
+async function fromUrl(args) {
+  const response = await fetch(args.url);
+  if (!response.ok) {
+    throw new Error(`GET ${args.url} returned ${response.status}; was the provider started with CONTRACT_INFERENCE=true?`);
+  }
+  report(await response.json(), args);
+}
+
+function proxy(args) {
+  const inference = new SpecInference({ spec: args.spec, title: args.title });
+  const server = inference.proxy(args.target).listen(args.port, args.host, () => {
+    const { address, port } = server.address();
+    console.log(`✓ Inferring ${args.target} at http://${address}:${port}, the draft is written on Ctrl+C`);
+  }).on('error', err => {
+    console.error('Inference error:', err.message);
+    process.exit(2);
+  });
+  const stop = () => server.close(() => {
+    report(inference.document(), args);
+    process.exit(0);
+  });
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (Boolean(args.url) === Boolean(args.target) || Number.isNaN(args.port)) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+if (args.target) {
+  try {
+    proxy(args);
+  } catch (err) {
+    console.error('Inference error:', err.message);
+    process.exit(2);
+  }
+} else {
+  fromUrl(args)
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('Inference error:', err.message);
+      process.exit(2);
+    });
+}
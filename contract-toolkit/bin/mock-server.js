@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Mock server CLI
+ *
+ * Usage:
+ *   contract-mock <spec.yaml> [--port 9000] [--host 0.0.0.0] [--stateful] [--faults faults.yaml]
+ *     [--recording recordings/products-api.json]...
+ */
+const { startMockServer } = require('../mock-server');
+const { loadFaultRules } = require('../fault-injection');
+
+function parseArgs(argv) {
+  const args = { port: 9000, host: '127.0.0.1', recordings: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = Number(argv[++i]);
+    else if (argv[i] === '--host') args.host = argv[++i];
+    else if (argv[i] === '--stateful') args.stateful = true;
+    else if (argv[i] === '--faults') args.faultsFile = argv[++i];
+    else if (argv[i] === '--recording') args.recordings.push(argv[++i]);
+    else args.spec = argv[i];
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (!args.spec) {
+  console.error('Usage: contract-mock <spec.yaml> [--port 9000] [--host 0.0.0.0] [--stateful] [--faults faults.yaml] [--recording <file>]...');
+  process.exit(1);
+}
+
+Promise.resolve()
+  .then(() => startMockServer({ ...args, faults: args.faultsFile && loadFaultRules(args.faultsFile), verbose: true }))
+  .then(({ url, close }) => {
+    console.log(`✓ Mock server for ${args.spec} running at ${url}`);
+    process.on('SIGINT', () => close().then(() => process.exit(0)));
+    process.on('SIGTERM', () => close().then(() => process.exit(0)));
+  })
+  .catch(err => {
+    console.error('Mock server error:', err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Pact verification CLI
+ * Exits with 1 when an interaction fails, 2 on errors.
+ *
+ * Usage:
+ *   contract-verify <pact.json|pact-dir>... --provider-base-url http://localhost:8080
+ *     [--provider ProductService] [--states-url http://localhost:8080/provider-states]
+ *     [--header 'X-Tenant: acme']...
+ *     [--token-url http://localhost:8080/oauth/token --client-id <id> --client-secret <secret> [--scope 'a b']]
+ *
+ * With --token-url every replayed request carries a bearer token obtained
+ * with the client credentials grant.
+ */
+const fs = require('fs');
+const { verifyPact, findPacts, formatVerification } = require('../pact-verifier');
+const { clientCredentials } = require('../oauth-client');
+
+const USAGE = 'Usage: contract-verify <pact.json|pact-dir>... --provider-base-url <url> ' +
+  '[--provider <name>] [--states-url <url>] [--header <name: value>]... ' +
+  '[--token-url <url> --client-id <id> --client-secret <secret> [--scope <scopes>]]';
+
+function parseArgs(argv) {
+  const args = { sources: [], headers: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--provider-base-url') args.providerBaseUrl = argv[++i];
+    else if (argv[i] === '--provider') args.provider = argv[++i];
+    else if (argv[i] === '--states-url') args.providerStatesSetupUrl = argv[++i];
+    else if (argv[i] === '--header') {
+      const [name, ...value] = (argv[++i] || '').split(':');
+      args.headers[name.trim()] = value.join(':').trim();
+    } else if (argv[i] === '--token-url') args.tokenUrl = argv[++i];
+    else if (argv[i] === '--client-id') args.clientId = argv[++i];
+    else if (argv[i] === '--client-secret') args.clientSecret = argv[++i];
+    else if (argv[i] === '--scope') args.scope = argv[++i];
+    else args.sources.push(argv[i]);
+  }
+  return args;
+}
+
+function requestHeaders(args) {
+  if (!args.tokenUrl) {
+    return args.headers;
+  }
+
+  const tokens = clientCredentials(args);
+  const scopes = args.scope ? args.scope.split(' ').filter(Boolean) : [];
+  return async () => ({ ...args.headers, Authorization: `Bearer ${await tokens.getToken(scopes)}` });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.sources.length || !args.providerBaseUrl ||
+    (args.tokenUrl && (!args.clientId || !args.clientSecret))) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const pacts = args.sources.flatMap(source =>
+    (fs.statSync(source).isDirectory() ? findPacts(source, args.provider) : [source]));
+
+  if (!pacts.length) {
+    console.error(`No pacts found for ${args.provider || 'any provider'} in ${args.sources.join(', ')}`);
+    return 2;
+  }
+
+  const headers = requestHeaders(args);
+  let passed = true;
+  for (const pact of pacts) {
+    const report = await verifyPact({ ...args, pact, requestHeaders: headers });
+    console.log(`${formatVerification(report)}\n`);
+    passed = passed && report.passed;
+  }
+  return passed ? 0 : 1;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error('Pact verification error:', err.message);
+    process.exit(2);
+  });
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Recording proxy CLI
+ * Passes traffic on to a provider and records the interactions its spec
+ * documents, rewriting the recording (and the named examples) after each one.
+ *
+ * Usage:
+ *   contract-record <spec.yaml> --target http://localhost:8080 [--port 8081] [--host 127.0.0.1]
+ *     [--out recordings/products-api.json] [--examples recordings/products-api.examples.yaml]
+ *     [--redact <field>]...
+ */
+const { createRecordingProxy } = require('../recording-proxy');
+
+const USAGE = 'Usage: contract-record <spec.yaml> --target <url> [--port 8081] [--host 127.0.0.1] ' +
+  '[--out <recording.json>] [--examples <examples.yaml>] [--redact <field>]...';
+
+function parseArgs(argv) {
+  const args = { port: 8081, host: '127.0.0.1', redact: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--target') args.target = argv[++i];
+    else if (argv[i] === '--port') args.port = Number(argv[++i]);
+    else if (argv[i] === '--host') args.host = argv[++i];
+    else if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--examples') args.examplesOut = argv[++i];
+    else if (argv[i] === '--redact') args.redact.push(argv[++i]);
+    else args.spec = argv[i];
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (!args.spec || !args.target || Number.isNaN(args.port)) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+try {
+  const app = createRecordingProxy(args);
+  const server = app.listen(args.port, args.host, () => {
+    const { address, port } = server.address();
+    console.log(`✓ Recording ${args.target} at http://${address}:${port}${args.out ? ` into ${args.out}` : ''}`);
+  }).on('error', err => {
+    console.error('Recording proxy error:', err.message);
+    process.exit(2);
+  });
+  const stop = () => server.close(() => process.exit(0));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+} catch (err) {
+  console.error('Recording proxy error:', err.message);
+  process.exit(2);
+}
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Spec diff CLI
+ * Exits with 1 when the revision breaks clients of the base spec, 2 on errors.
+ *
+ * Usage:
+ *   contract-diff <base.yaml> <revision.yaml> [--format text|json]
+ *   contract-diff <spec.yaml> --git [--ref main] [--format text|json]
+ */
+const { diffSpecs, hasBreakingChanges, formatChanges, loadFromGit, BREAKING } = require('../spec-diff');
+
+const USAGE = 'Usage: contract-diff <base.yaml> <revision.yaml> [--format text|json]\n' +
+  '       contract-diff <spec.yaml> --git [--ref HEAD] [--format text|json]';
+
+function parseArgs(argv) {
+  const args = { format: 'text', specs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') args.format = argv[++i];
+    else if (argv[i] === '--git') args.ref = args.ref || 'HEAD';
+    else if (argv[i] === '--ref') args.ref = argv[++i];
+    else args.specs.push(argv[i]);
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const expected = args.ref ? 1 : 2;
+
+if (args.specs.length !== expected || !['text', 'json'].includes(args.format)) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+try {
+  const [base, revision] = args.ref
+    ? [loadFromGit(args.specs[0], args.ref), args.specs[0]]
+    : args.specs;
+  const changes = diffSpecs(base, revision);
+
+  if (args.format === 'json') {
+    const breaking = changes.filter(change => change.severity === BREAKING).length;
+    console.log(JSON.stringify({
+      summary: { breaking, nonBreaking: changes.length - breaking },
+      changes
+    }, null, 2));
+  } else {
+    console.log(formatChanges(changes));
+  }
+
+  process.exit(hasBreakingChanges(changes) ? 1 : 0);
+} catch (err) {
+  console.error('Spec diff error:', err.message);
+  process.exit(2);
+}
@@ -0,0 +1,538 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const SpecLoader = require('./spec-loader');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+const RUNTIME = path.join(__dirname, 'templates', 'client-runtime.js');
+
+function loadSpec(spec) {
+  return typeof spec === 'string' ? SpecLoader.load(spec) : spec;
+}
+
+// 'Product Service API' -> 'ProductServiceApi', 'get /users/{id}' -> 'GetUsersId'
+const pascalCase = text => String(text)
+  .split(/[^A-Za-z0-9]+/)
+  .filter(Boolean)
+  .map(word => (word.length > 1 && word === word.toUpperCase() ? word[0] + word.slice(1).toLowerCase() : word))
+  .map(word => word[0].toUpperCase() + word.slice(1))
+  .join('');
+
+// Names the declarations use themselves; schemas called this get a Body suffix
+const RESERVED = new Set([
+  'Array', 'Blob', 'Error', 'Promise', 'Record', 'ApiError', 'ClientOptions', 'RequestOptions', 'FullResponse',
+  'RetryOptions', 'CircuitBreaker', 'CircuitBreakerOptions', 'CircuitState'
+]);
+
+function typeName(name) {
+  const identifier = IDENTIFIER.test(name) ? name : pascalCase(name);
+  return RESERVED.has(identifier) ? `${identifier}Body` : identifier;
+}
+
+const propertyKey = name => (IDENTIFIER.test(name) ? name : `'${name}'`);
+const quote = text => `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+
+/**
+ * Class name of an error status: 404 -> NotFoundError, 599 -> Http599Error
+ */
+function errorClassName(status) {
+  const reason = http.STATUS_CODES[status];
+  if (!reason) return `Http${status}Error`;
+  const name = pascalCase(reason);
+  return name.endsWith('Error') ? name : `${name}Error`;
+}
+
+// Error classes every client has (see templates/client-runtime.js); status classes extend them
+const CATEGORIES = {
+  ApiError: 'Any failed call',
+  ValidationError: '400 or 422: the request\'s parameters or body were rejected',
+  AuthError: '401 or 403: missing or rejected credentials, or not enough permissions',
+  NotFoundError: '404 Not Found',
+  ServerError: '5xx: the API failed to handle a valid request',
+  NetworkError: 'No response at all (connection refused, DNS failure, reset)',
+  TimeoutError: 'No response in time',
+  CircuitOpenError: 'Not sent: the circuit breaker is open after repeated failures'
+};
+
+// Category classes that aren't direct ApiError subclasses
+const CATEGORY_PARENTS = { TimeoutError: 'NetworkError', CircuitOpenError: 'NetworkError' };
+
+/**
+ * Category class a status's error class extends, as categoryOf() in the runtime
+ */
+function categoryName(status) {
+  if (status === 400 || status === 422) return 'ValidationError';
+  if (status === 401 || status === 403) return 'AuthError';
+  if (status === 404) return 'NotFoundError';
+  if (status >= 500) return 'ServerError';
+  return 'ApiError';
+}
+
+function docComment(lines, indent = '') {
+  const text = lines.filter(line => line !== undefined && line !== null)
+    .map(line => String(line).replace(/\*\//g, '*\\/'));
+  if (!text.length) return '';
+  if (text.length === 1 && !text[0].startsWith('@')) return `${indent}/** ${text[0]} */\n`;
+  return `${indent}/**\n${text.map(line => `${indent} * ${line}`.trimEnd()).join('\n')}\n${indent} */\n`;
+}
+
+const firstLine = text => (text ? String(text).trim().split('\n')[0] : undefined);
+
+// An allOf member like { properties: { users: { minItems: 1 } } } only narrows what's valid, it adds no type
+const constraintOnly = schema => !schema.$ref && !schema.type && !schema.enum && !schema.items &&
+  !schema.oneOf && !schema.anyOf && !schema.allOf && !schema.additionalProperties &&
+  Object.values(schema.properties || {}).every(constraintOnly);
+
+/**
+ * Client Generator
+ * Builds one fetch-based client class per spec, with a method per operationId,
+ * TypeScript declarations for its schemas and an error class per documented
+ * error status. The output is self-contained: it needs fetch, nothing else.
+ */
+class ClientGenerator {
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.document = spec.document;
+    this.format = options.format || 'cjs';
+    this.source = options.source;
+    this.className = options.className || `${pascalCase(this.document.info.title)}Client`;
+    this.operations = this._operations();
+  }
+
+  // Follow $refs to parameters, request bodies and responses, keeping schema refs as named types
+  _lookup(node) {
+    let current = node;
+    while (current && typeof current.$ref === 'string' && !current.$ref.startsWith('#/components/schemas/')) {
+      current = this.spec._resolveRef(current.$ref);
+    }
+    return current;
+  }
+
+  _operations() {
+    const operations = [];
+
+    Object.entries(this.document.paths || {}).forEach(([route, pathItem]) => {
+      HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+        const operation = pathItem[method];
+        const id = operation.operationId || `${method}${pascalCase(route)}`;
+        if (!IDENTIFIER.test(id)) {
+          throw new Error(`operationId ${id} of ${method.toUpperCase()} ${route} is not a valid method name`);
+        }
+
+        const key = param => `${param.in}:${param.name}`;
+        const own = (operation.parameters || []).map(param => this._lookup(param));
+        const overridden = new Set(own.map(key));
+        const params = [
+          ...(pathItem.parameters || []).map(param => this._lookup(param)).filter(param => !overridden.has(key(param))),
+          ...own
+        ].filter(param => ['path', 'query', 'header'].includes(param.in));
+
+        const requestBody = this._lookup(operation.requestBody);
+        const requestTypes = Object.keys((requestBody && requestBody.content) || {});
+        const requestType = requestTypes.find(type => type.includes('json')) ||
+          requestTypes.find(type => type === 'application/x-www-form-urlencoded') ||
+          requestTypes[0];
+
+        const responses = Object.entries(operation.responses || {})
+          .map(([status, response]) => ({ status, response: this._lookup(response) }));
+        // 304 answers a conditional GET: nothing new, but not a failure either
+        const successes = responses.filter(({ status }) => /^(2(\d\d|XX)|304)$/.test(status));
+        const successTypes = successes.flatMap(({ response }) => Object.keys(response.content || {}));
+
+        operations.push({
+          id,
+          method: method.toUpperCase(),
+          path: route,
+          summary: operation.summary,
+          description: operation.description,
+          deprecated: operation.deprecated,
+          params,
+          requestBody: requestType && {
+            ...requestBody,
+            mediaType: requestType,
+            schema: requestBody.content[requestType].schema,
+            // Every media type with a schema to encode, e.g. both merge-patch+json and json-patch+json
+            mediaTypes: requestTypes.filter(type => type === requestType || /json/i.test(type))
+          },
+          accept: successTypes.find(type => type.includes('json')) || successTypes[0],
+          successes,
+          errors: responses.filter(({ status }) => /^[45]\d\d$/.test(status))
+        });
+      });
+    });
+
+    return operations;
+  }
+
+  // Every documented error status, in numeric order
+  _errorStatuses() {
+    const statuses = new Set(this.operations.flatMap(op => op.errors.map(({ status }) => Number(status))));
+    return [...statuses].sort((a, b) => a - b);
+  }
+
+  _tsType(schema, indent = '') {
+    if (!schema) return 'unknown';
+    if (schema.$ref) return typeName(schema.$ref.split('/').pop());
+
+    let type;
+    if (schema.oneOf || schema.anyOf) {
+      type = (schema.oneOf || schema.anyOf).map(item => this._tsType(item, indent)).join(' | ');
+    } else if (schema.allOf) {
+      const shaped = schema.allOf.filter(item => !constraintOnly(item));
+      type = (shaped.length ? shaped : schema.allOf).map(item => this._tsType(item, indent)).join(' & ');
+    } else if (schema.enum) {
+      type = schema.enum.map(value => (typeof value === 'string' ? quote(value) : JSON.stringify(value))).join(' | ');
+    } else if (schema.type === 'integer' || schema.type === 'number') {
+      type = 'number';
+    } else if (schema.type === 'string') {
+      type = schema.format === 'binary' ? 'Blob' : 'string';
+    } else if (schema.type === 'boolean') {
+      type = 'boolean';
+    } else if (schema.type === 'array') {
+      type = `Array<${this._tsType(schema.items, indent)}>`;
+    } else if (schema.type === 'object' || schema.properties) {
+      type = this._objectType(schema, indent);
+    } else {
+      type = 'unknown';
+    }
+
+    return schema.nullable ? `${type} | null` : type;
+  }
+
+  _objectType(schema, indent) {
+    const properties = Object.entries(schema.properties || {});
+    const extra = schema.additionalProperties;
+    if (!properties.length) {
+      return `Record<string, ${extra && typeof extra === 'object' ? this._tsType(extra, indent) : 'unknown'}>`;
+    }
+
+    const required = new Set(schema.required || []);
+    const lines = properties.map(([name, property]) => docComment([firstLine(property.description)], `${indent}  `) +
+      `${indent}  ${propertyKey(name)}${required.has(name) ? '' : '?'}: ${this._tsType(property, `${indent}  `)};`);
+    if (extra) {
+      lines.push(`${indent}  [key: string]: ${typeof extra === 'object' ? this._tsType(extra, `${indent}  `) : 'unknown'};`);
+    }
+    return `{\n${lines.join('\n')}\n${indent}}`;
+  }
+
+  _paramsType(op) {
+    return `${pascalCase(op.id)}Params`;
+  }
+
+  _hasParams(op) {
+    return op.params.length > 0 || Boolean(op.requestBody);
+  }
+
+  _paramsRequired(op) {
+    return op.params.some(param => param.required) || Boolean(op.requestBody && op.requestBody.required);
+  }
+
+  // Media types the body of an operation can be sent as
+  _bodyTypes(op) {
+    return op.requestBody ? op.requestBody.mediaTypes : [];
+  }
+
+  _returnType(op) {
+    const types = new Set();
+    op.successes.forEach(({ response }) => {
+      const content = response.content || {};
+      const mediaType = Object.keys(content).find(type => type === op.accept) || Object.keys(content)[0];
+      types.add(mediaType ? this._tsType(content[mediaType].schema) : 'void');
+    });
+    return types.size ? [...types].join(' | ') : 'unknown';
+  }
+
+  _header() {
+    const { title, version } = this.document.info;
+    const from = this.source ? ` from ${this.source}` : '';
+    return `// Generated by contract-client${from} (${title} ${version}).\n` +
+      '// Do not edit: change the spec and regenerate it instead.\n';
+  }
+
+  _operationTable() {
+    const entries = this.operations.map(op => {
+      const params = op.params.map(param => {
+        const fields = [`name: ${quote(param.name)}`, `in: ${quote(param.in)}`];
+        if (param.required) fields.push('required: true');
+        if (param.explode === false) fields.push('explode: false');
+        return `      { ${fields.join(', ')} }`;
+      });
+      const fields = [
+        `id: ${quote(op.id)}`,
+        `method: ${quote(op.method)}`,
+        `path: ${quote(op.path)}`,
+        `params: ${params.length ? `[\n${params.join(',\n')}\n    ]` : '[]'}`
+      ];
+      if (op.accept) fields.push(`accept: ${quote(op.accept)}`);
+      if (op.requestBody) fields.push(`requestType: ${quote(op.requestBody.mediaType)}`);
+      if (op.requestBody && op.requestBody.mediaTypes.length > 1) {
+        fields.push(`requestTypes: [${op.requestBody.mediaTypes.map(quote).join(', ')}]`);
+      }
+      if (op.requestBody && op.requestBody.required) fields.push('bodyRequired: true');
+      return `  ${op.id}: {\n${fields.map(field => `    ${field}`).join(',\n')}\n  }`;
+    });
+    return `const OPERATIONS = {\n${entries.join(',\n')}\n};\n`;
+  }
+
+  _jsdocType(type) {
+    return type.includes('\n') ? 'Object' : type;
+  }
+
+  _method(op) {
+    const paramNames = [...op.params.map(param => param.name), ...(op.requestBody ? ['body'] : [])];
+    const returns = this._jsdocType(this._returnType(op));
+    const throws = op.errors.map(({ status, response }) =>
+      `@throws {${errorClassName(Number(status))}} ${status}${response.description ? ` - ${firstLine(response.description)}` : ''}`);
+    const paramsDoc = this._hasParams(op)
+      ? `@param {${this._paramsType(op)}} ${this._paramsRequired(op) ? 'params' : '[params]'} - { ${paramNames.join(', ')} }`
+      : '@param {Object} [params] - None';
+
+    const doc = docComment([
+      firstLine(op.summary || op.description) || op.id,
+      `${op.method} ${op.path}`,
+      op.deprecated ? '@deprecated' : undefined,
+      paramsDoc,
+      `@param {RequestOptions} [options] - { headers, fullResponse, signal, timeout, retries${this._bodyTypes(op).length > 1 ? ', contentType' : ''} }`,
+      `@returns {Promise<${returns}>}`,
+      ...throws
+    ], '  ');
+
+    return `${doc}  ${op.id}(params, options) {\n    return send(this, OPERATIONS.${op.id}, params, options);\n  }\n`;
+  }
+
+  // Error classes of documented statuses that aren't categories themselves (404)
+  _statusClasses() {
+    return this._errorStatuses()
+      .filter(status => !CATEGORIES[errorClassName(status)])
+      .map(status => ({ status, name: errorClassName(status), parent: categoryName(status) }));
+  }
+
+  _errorClasses() {
+    const classes = this._statusClasses().map(({ status, name, parent }) =>
+      `/** ${status} ${http.STATUS_CODES[status] || 'error'} */\nclass ${name} extends ${parent} {}\n`);
+    const map = this._errorStatuses().map(status => `  ${status}: ${errorClassName(status)}`);
+    const table = map.length ? `const ERRORS = {\n${map.join(',\n')}\n};\n` : 'const ERRORS = {};\n';
+    return classes.length ? `${classes.join('\n')}\n${table}` : table;
+  }
+
+  _exportNames() {
+    return [
+      this.className,
+      'CircuitBreaker',
+      ...Object.keys(CATEGORIES),
+      ...this._statusClasses().map(({ name }) => name)
+    ];
+  }
+
+  _defaultBaseUrl() {
+    const server = (this.document.servers || []).find(item => /^https?:\/\//.test(item.url));
+    return server ? server.url.replace(/\/+$/, '') : '';
+  }
+
+  /**
+   * @returns {string} - The client module
+   */
+  js() {
+    const runtime = fs.readFileSync(RUNTIME, 'utf8');
+    const baseUrl = this._defaultBaseUrl();
+    const classDoc = docComment([
+      `${this.document.info.title} client`,
+      firstLine(this.document.info.description),
+      '',
+      'Usage:',
+      `  const client = new ${this.className}(${quote(baseUrl || 'http://localhost:8080')});`,
+      `  const result = await client.${this.operations[0] ? this.operations[0].id : 'operation'}({ ... });`
+    ].filter(line => line !== undefined));
+
+    const constructorDoc = docComment([
+      `@param {string} [baseUrl] - Defaults to ${baseUrl || 'the current origin'}`,
+      '@param {Object} [options]',
+      '@param {Function} [options.fetch] - fetch implementation, e.g. a recording one in tests',
+      '@param {Object|Function} [options.headers] - Headers for every request, or a (possibly async) function returning them',
+      '@param {number} [options.timeout] - ms each attempt may take before it fails with TimeoutError (default none)',
+      '@param {Object} [options.retry] - { retries (default 0), baseDelay (100 ms), maxDelay (5000 ms) } for idempotent calls',
+      '@param {Object|CircuitBreaker} [options.circuitBreaker] - A breaker, possibly shared, or its options',
+      '@param {Function} [options.onRetry] - Called with { operation, attempt, delay, error } before each retry'
+    ], '  ');
+
+    const exportsLine = this.format === 'esm'
+      ? `export {\n${this._exportNames().map(name => `  ${name}`).join(',\n')}\n};\n`
+      : `module.exports = {\n${this._exportNames().map(name => `  ${name}`).join(',\n')}\n};\n`;
+
+    return [
+      this._header(),
+      runtime.trimEnd() + '\n',
+      this._errorClasses(),
+      this._operationTable(),
+      `${classDoc}class ${this.className} {\n` +
+        `${constructorDoc}  constructor(baseUrl = ${quote(baseUrl)}, options = {}) {\n` +
+        '    this.baseUrl = baseUrl.replace(/\\/+$/, \'\');\n' +
+        '    this.fetch = options.fetch || ((url, init) => fetch(url, init));\n' +
+        '    this.headers = options.headers || {};\n' +
+        '    this.timeout = options.timeout;\n' +
+        '    this.retry = { retries: 0, baseDelay: 100, maxDelay: 5000, ...options.retry };\n' +
+        '    this.circuitBreaker = options.circuitBreaker && typeof options.circuitBreaker.allow !== \'function\'\n' +
+        '      ? new CircuitBreaker(options.circuitBreaker)\n' +
+        '      : options.circuitBreaker || null;\n' +
+        '    this.onRetry = options.onRetry;\n' +
+        '  }\n' +
+        this.operations.map(op => `\n${this._method(op)}`).join('') +
+        '}\n',
+      exportsLine
+    ].join('\n');
+  }
+
+  /**
+   * @returns {string} - TypeScript declarations of the client module
+   */
+  dts() {
+    const schemas = Object.entries((this.document.components && this.document.components.schemas) || {})
+      .map(([name, schema]) => {
+        const doc = docComment([firstLine(schema.description)]);
+        const type = this._tsType(schema);
+        return type.startsWith('{\n') && !schema.nullable
+          ? `${doc}export interface ${typeName(name)} ${type}\n`
+          : `${doc}export type ${typeName(name)} = ${type};\n`;
+      });
+
+    const params = this.operations.filter(op => this._hasParams(op)).map(op => {
+      const lines = op.params.map(param => docComment([firstLine(param.description)], '  ') +
+        `  ${propertyKey(param.name)}${param.required ? '' : '?'}: ${this._tsType(param.schema, '  ')};`);
+      if (op.requestBody) {
+        const types = new Set(this._bodyTypes(op).map(mediaType => this._tsType(op.requestBody.content[mediaType].schema, '  ')));
+        lines.push(`  body${op.requestBody.required ? '' : '?'}: ${[...types].join(' | ')};`);
+      }
+      return `export interface ${this._paramsType(op)} {\n${lines.join('\n')}\n}\n`;
+    });
+
+    const categories = Object.entries(CATEGORIES).filter(([name]) => name !== 'ApiError').map(([name, doc]) =>
+      `/** ${doc} */\nexport declare class ${name} extends ${CATEGORY_PARENTS[name] || 'ApiError'} {}\n`);
+    const errors = this._statusClasses().map(({ status, name, parent }) =>
+      `/** ${status} ${http.STATUS_CODES[status] || 'error'} */\nexport declare class ${name} extends ${parent} {}\n`);
+
+    const methods = this.operations.map(op => {
+      const type = this._hasParams(op) ? this._paramsType(op) : 'Record<string, never>';
+      const returns = this._returnType(op);
+      const optional = this._paramsRequired(op) ? '' : '?';
+      const doc = docComment([
+        firstLine(op.summary || op.description) || op.id,
+        `${op.method} ${op.path}`,
+        op.deprecated ? '@deprecated' : undefined
+      ], '  ');
+      return `${doc}  ${op.id}(params${optional}: ${type}, options?: RequestOptions & { fullResponse?: false }): Promise<${returns}>;\n` +
+        `  ${op.id}(params: ${type}${optional ? ' | undefined' : ''}, options: RequestOptions & { fullResponse: true }): Promise<FullResponse<${returns}>>;\n`;
+    });
+
+    return [
+      this._header(),
+      ...schemas,
+      ...params,
+      'export interface ClientOptions {\n' +
+        '  fetch?: typeof fetch;\n' +
+        '  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);\n' +
+        '  /** ms each attempt may take before it fails with TimeoutError */\n' +
+        '  timeout?: number;\n' +
+        '  /** Retries of idempotent calls after no response, 429, 502, 503 or 504 */\n' +
+        '  retry?: RetryOptions;\n' +
+        '  circuitBreaker?: CircuitBreaker | CircuitBreakerOptions;\n' +
+        '  onRetry?: (event: { operation: string; attempt: number; delay: number; error: ApiError }) => void;\n' +
+        '}\n',
+      'export interface RetryOptions {\n' +
+        '  /** Default 0 */\n' +
+        '  retries?: number;\n' +
+        '  /** First backoff in ms, doubled on every retry and jittered (default 100) */\n' +
+        '  baseDelay?: number;\n' +
+        '  /** Longest backoff in ms; longer Retry-After values aren\'t waited for (default 5000) */\n' +
+        '  maxDelay?: number;\n' +
+        '}\n',
+      'export interface CircuitBreakerOptions {\n' +
+        '  /** Consecutive failures that open the circuit (default 5) */\n' +
+        '  failureThreshold?: number;\n' +
+        '  /** ms the circuit stays open before a trial call (default 30000) */\n' +
+        '  resetTimeout?: number;\n' +
+        '  now?: () => number;\n' +
+        '}\n',
+      'export type CircuitState = \'closed\' | \'open\' | \'half-open\';\n',
+      'export declare class CircuitBreaker {\n' +
+        '  constructor(options?: CircuitBreakerOptions);\n' +
+        '  state: CircuitState;\n' +
+        '  /** Consecutive failures so far */\n' +
+        '  failures: number;\n' +
+        '  subscribe(listener: (event: { state: CircuitState; previous: CircuitState; failures: number }) => void): () => void;\n' +
+        '  allow(): boolean;\n' +
+        '  success(): void;\n' +
+        '  failure(): void;\n' +
+        '}\n',
+      'export interface RequestOptions {\n' +
+        '  /** Extra headers for this call, replacing defaults of the same name */\n' +
+        '  headers?: Record<string, string>;\n' +
+        '  /** Resolve to { status, headers, data } instead of the body */\n' +
+        '  fullResponse?: boolean;\n' +
+        '  /** Cancels the request; AbortSignal.timeout(ms) makes it fail with TimeoutError */\n' +
+        '  signal?: AbortSignal;\n' +
+        '  /** Overrides the client\'s timeout for this call */\n' +
+        '  timeout?: number;\n' +
+        '  /** Overrides retry.retries for this call; non-idempotent methods are never retried */\n' +
+        '  retries?: number;\n' +
+        '  /** Media type to send the body as, for operations that take several */\n' +
+        '  contentType?: string;\n' +
+        '}\n',
+      'export interface FullResponse<T> {\n' +
+        '  status: number;\n' +
+        '  /** Lower-cased header names */\n' +
+        '  headers: Record<string, string>;\n' +
+        '  data: T;\n' +
+        '}\n',
+      'export declare class ApiError extends Error {\n' +
+        '  constructor(message: string, details?: {\n' +
+        '    status?: number; code?: string; method?: string; url?: string;\n' +
+        '    body?: unknown; headers?: Record<string, string>; cause?: unknown;\n' +
+        '  });\n' +
+        '  /** Undefined for NetworkError */\n' +
+        '  status?: number;\n' +
+        '  /** Error code from the response body, e.g. NOT_FOUND */\n' +
+        '  code?: string;\n' +
+        '  method?: string;\n' +
+        '  url?: string;\n' +
+        '  body: unknown;\n' +
+        '  headers: Record<string, string>;\n' +
+        '}\n',
+      ...categories,
+      ...errors,
+      `export declare class ${this.className} {\n` +
+        '  constructor(baseUrl?: string, options?: ClientOptions);\n' +
+        '  baseUrl: string;\n' +
+        '  circuitBreaker: CircuitBreaker | null;\n' +
+        methods.map(method => `\n${method}`).join('') +
+        '}\n'
+    ].join('\n');
+  }
+}
+
+/**
+ * Generate a typed client for a spec
+ *
+ * Usage:
+ *   const { js, dts } = generateClient('specs/products-api.yaml', { format: 'esm' });
+ *
+ * @param {string|SpecLoader} specOrPath
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'cjs' (default) or 'esm'
+ * @param {string} [options.className] - Defaults to the spec title plus Client, e.g. UsersApiClient
+ * @param {string} [options.source] - Spec path named in the generated header
+ * @returns {Object} - { js, dts, className }
+ */
+function generateClient(specOrPath, options = {}) {
+  if (options.format && !['cjs', 'esm'].includes(options.format)) {
+    throw new Error(`Unknown client format: ${options.format}`);
+  }
+
+  const generator = new ClientGenerator(loadSpec(specOrPath), options);
+  return { js: generator.js(), dts: generator.dts(), className: generator.className };
+}
+
+module.exports = {
+  generateClient,
+  errorClassName
+};
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const { validateResponse } = require('./openapi-validator');
+
+// Where the test processes leave the exchanges they recorded, set by the reporter
+const EXCHANGES_ENV = 'CONTRACT_REPORT_EXCHANGES';
+const REDACTED_HEADERS = ['authorization', 'cookie', 'set-cookie'];
+const BODY_LIMIT = 2000;
+
+const stripAnsi = text => String(text).replace(/\u001b\[[0-9;]*m/g, '');
+const truncate = text => (text.length > BODY_LIMIT ? `${text.slice(0, BODY_LIMIT)}...` : text);
+const describeErrors = errors => errors.map(error => (error.path ? `${error.path}: ${error.message}` : error.message));
+
+function headersOf(headers) {
+  const result = {};
+  const entries = [];
+  if (Array.isArray(headers)) entries.push(...headers);
+  else if (headers && typeof headers.forEach === 'function') headers.forEach((value, name) => entries.push([name, value]));
+  else if (headers) entries.push(...Object.entries(headers));
+
+  entries.forEach(([name, value]) => {
+    if (value === undefined) return;
+    const key = name.toLowerCase();
+    result[key] = REDACTED_HEADERS.includes(key) ? '[redacted]' : String(value);
+  });
+  return result;
+}
+
+/**
+ * Wrap the global fetch so that every call a test makes is appended to a file
+ * in `dir`, for ContractReporter to match to operations. Calls made outside a
+ * test (beforeAll, afterAll) aren't recorded. jest-setup.js calls this in the
+ * environment of each test file.
+ *
+ * @param {string} dir
+ * @param {Function} getState - expect.getState, for the current test and file
+ */
+function recordExchanges(dir, getState) {
+  const fetchImpl = globalThis.fetch;
+  const file = path.join(dir, `${process.pid}.jsonl`);
+  let sequence = 0;
+
+  const write = exchange => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify(exchange)}\n`);
+  };
+
+  globalThis.fetch = async (input, init = {}) => {
+    const { currentTestName, testPath } = getState();
+    if (!currentTestName) return fetchImpl(input, init);
+
+    const isRequest = input !== null && typeof input === 'object' && typeof input.method === 'string';
+    const body = init.body;
+    const exchange = {
+      sequence: sequence++,
+      testPath,
+      test: currentTestName,
+      request: {
+        method: (init.method || (isRequest ? input.method : 'GET')).toUpperCase(),
+        url: isRequest ? input.url : String(input),
+        headers: headersOf(init.headers || (isRequest ? input.headers : undefined)),
+        body: typeof body === 'string' || body instanceof URLSearchParams ? String(body) : undefined
+      }
+    };
+
+    let response;
+    try {
+      response = await fetchImpl(input, init);
+    } catch (err) {
+      // fetch's own message is just 'fetch failed', the cause says why
+      write({ ...exchange, error: err.cause && err.cause.code ? `${err.message} (${err.cause.code})` : err.message });
+      throw err;
+    }
+
+    exchange.response = { status: response.status, headers: headersOf(response.headers) };
+    if (typeof response.clone !== 'function') {
+      write(exchange);
+      return response;
+    }
+    // Read a copy, so that the caller still gets the whole body
+    response.clone().text()
+      .then(text => {
+        exchange.response.body = text;
+      }, () => {})
+      .then(() => write(exchange));
+    return response;
+  };
+}
+
+/**
+ * The exchanges recordExchanges() left in a directory
+ * @param {string} dir
+ * @returns {Object[]}
+ */
+function readExchanges(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .flatMap(name => fs.readFileSync(path.join(dir, name), 'utf8').split('\n'))
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+function parseBody(text, contentType) {
+  if (text === undefined || text === '') return undefined;
+  if (!/json/i.test(contentType || '')) return text;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+/**
+ * Match an exchange to its operation and check the response against the spec
+ */
+function describeExchange(spec, exchange) {
+  const { request, response, error } = exchange;
+  const match = spec.matchOperation(request.method, new URL(request.url, 'http://localhost').pathname);
+  const described = { operationId: match ? match.operationId : null, request };
+
+  if (!response) {
+    return { ...described, error };
+  }
+  const contentType = response.headers['content-type'];
+  return {
+    ...described,
+    response,
+    schemaErrors: match ? validateResponse(spec, match, response.status, parseBody(response.body, contentType), contentType)
+      .map(({ path: pointer, message }) => ({ path: pointer, message })) : []
+  };
+}
+
+function tally(tests) {
+  const count = status => tests.filter(test => test.status === status).length;
+  return { tests: tests.length, passed: count('passed'), failed: count('failed'), skipped: count('skipped') };
+}
+
+/**
+ * Group the results of a Jest run by the operations each test called
+ *
+ * A test is listed under every operation it called, and under `unbound` when
+ * it called none. Failed tests carry their exchanges: request, response and
+ * the response's schema errors against the spec.
+ *
+ * @param {Object} options
+ * @param {SpecLoader} options.spec
+ * @param {Object} options.results - Jest's aggregated results
+ * @param {Object[]} [options.exchanges] - From readExchanges()
+ * @param {string} [options.rootDir] - Test file paths are relative to it
+ * @returns {Object} - { title, startTime, summary, operations, unbound }
+ */
+function buildContractReport({ spec, results, exchanges = [], rootDir = process.cwd() }) {
+  const byTest = {};
+  exchanges.forEach(exchange => {
+    const key = `${exchange.testPath}\n${exchange.test}`;
+    byTest[key] = byTest[key] || [];
+    byTest[key].push(exchange);
+  });
+
+  const operations = spec.getOperations().map(op => ({
+    operationId: op.operationId,
+    method: op.method,
+    path: op.path,
+    tests: []
+  }));
+  const byOperation = {};
+  operations.forEach(op => {
+    byOperation[op.operationId] = op;
+  });
+  const unbound = [];
+  const tests = [];
+
+  results.testResults.forEach(file => {
+    const relative = path.relative(rootDir, file.testFilePath);
+
+    // The file itself failed, e.g. it doesn't load
+    if (file.testExecError) {
+      const test = {
+        name: relative,
+        file: relative,
+        status: 'failed',
+        duration: 0,
+        failureMessages: [stripAnsi(file.failureMessage || file.testExecError.message)],
+        exchanges: []
+      };
+      tests.push(test);
+      unbound.push(test);
+    }
+
+    file.testResults.forEach(result => {
+      const recorded = (byTest[`${file.testFilePath}\n${result.fullName}`] || [])
+        .sort((a, b) => a.sequence - b.sequence)
+        .map(exchange => describeExchange(spec, exchange));
+      const test = {
+        name: result.fullName,
+        file: relative,
+        // pending, todo and disabled tests count as skipped
+        status: ['passed', 'failed'].includes(result.status) ? result.status : 'skipped',
+        duration: result.duration || 0,
+        failureMessages: result.failureMessages.map(stripAnsi)
+      };
+      if (test.status === 'failed') test.exchanges = recorded;
+      tests.push(test);
+
+      const operationIds = [...new Set(recorded.map(exchange => exchange.operationId).filter(Boolean))];
+      if (operationIds.length) operationIds.forEach(operationId => byOperation[operationId].tests.push(test));
+      else unbound.push(test);
+    });
+  });
+
+  return {
+    title: spec.document.info.title,
+    startTime: new Date(results.startTime || Date.now()).toISOString(),
+    summary: tally(tests),
+    operations: operations.map(op => ({ ...op, summary: tally(op.tests) })),
+    unbound
+  };
+}
+
+/**
+ * A failed test's exchanges as text: each request, its response and the
+ * ways that response breaks the spec
+ * @param {Object[]} exchanges
+ * @returns {string}
+ */
+function formatExchanges(exchanges) {
+  return exchanges.map(exchange => {
+    const { request, response } = exchange;
+    const lines = [`${request.method} ${request.url}${exchange.operationId ? ` (${exchange.operationId})` : ''}`];
+    if (request.body !== undefined) lines.push(`  ${truncate(request.body)}`);
+    if (!response) {
+      lines.push(`  -> no response: ${exchange.error}`);
+      return lines.join('\n');
+    }
+    lines.push(`  -> ${response.status}${response.body ? ` ${truncate(response.body)}` : ''}`);
+    describeErrors(exchange.schemaErrors).forEach(message => lines.push(`  ✗ ${message}`));
+    return lines.join('\n');
+  }).join('\n');
+}
+
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters other than tab and newlines aren't allowed in XML
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+const label = op => `${op.method} ${op.path} (${op.operationId})`;
+const seconds = ms => (ms / 1000).toFixed(3);
+
+// Operations without tests don't make a suite; tests that called none make the last one
+function suitesOf(report) {
+  const suites = report.operations
+    .filter(op => op.tests.length)
+    .map(op => ({ name: label(op), classname: `${op.method} ${op.path}`, tests: op.tests }));
+  if (report.unbound.length) {
+    suites.push({ name: 'Not bound to an operation', classname: 'unbound', tests: report.unbound });
+  }
+  return suites;
+}
+
+function failureText(test) {
+  const exchanges = test.exchanges && test.exchanges.length ? `\n\nExchanges:\n${formatExchanges(test.exchanges)}` : '';
+  return `${test.failureMessages.join('\n\n')}${exchanges}`;
+}
+
+/**
+ * Render a contract report as JUnit XML, one testsuite per operation
+ * @param {Object} report - From buildContractReport()
+ * @returns {string}
+ */
+function contractReportJUnit(report) {
+  const suites = suitesOf(report).map(suite => {
+    const { tests, failed, skipped } = tally(suite.tests);
+    const time = suite.tests.reduce((sum, test) => sum + test.duration, 0);
+    const cases = suite.tests.map(test => {
+      const attributes = `classname="${escapeXml(suite.classname)}" name="${escapeXml(test.name)}" file="${escapeXml(test.file)}" time="${seconds(test.duration)}"`;
+      if (test.status === 'passed') return `    <testcase ${attributes}/>`;
+      if (test.status === 'skipped') return `    <testcase ${attributes}>\n      <skipped/>\n    </testcase>`;
+      const message = (test.failureMessages[0] || 'failed').split('\n')[0];
+      return `    <testcase ${attributes}>\n      <failure message="${escapeXml(message)}">${escapeXml(failureText(test))}</failure>\n    </testcase>`;
+    });
+    return [
+      `  <testsuite name="${escapeXml(suite.name)}" tests="${tests}" failures="${failed}" skipped="${skipped}" time="${seconds(time)}">`,
+      ...cases,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  const { tests, failed, skipped } = report.summary;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(`Contract tests of ${report.title}`)}" tests="${tests}" failures="${failed}" skipped="${skipped}" timestamp="${report.startTime}">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render a contract report as a standalone HTML page
+ * @param {Object} report - From buildContractReport()
+ * @returns {string}
+ */
+function contractReportHtml(report) {
+  const count = ({ tests, passed, failed, skipped }) =>
+    `${tests} tests: ${passed} passed, ${failed} failed${skipped ? `, ${skipped} skipped` : ''}`;
+  const row = test => `
+      <tr class="${test.status}"><td>${test.status}</td><td>${escapeXml(test.name)}</td><td>${escapeXml(test.file)}</td><td>${test.duration} ms</td></tr>${test.status === 'failed' ? `
+      <tr class="failed"><td></td><td colspan="3"><pre>${escapeXml(failureText(test))}</pre></td></tr>` : ''}`;
+  const section = (title, summary, tests) => `
+  <h2${summary.failed ? ' class="failed"' : ''}>${escapeXml(title)} <small>${count(summary)}</small></h2>
+  ${tests.length ? `<table>${tests.map(row).join('')}
+  </table>` : '<p class="never">No test called this operation</p>'}`;
+
+  const sections = report.operations.map(op => section(label(op), op.summary, op.tests));
+  if (report.unbound.length) {
+    sections.push(section('Not bound to an operation', tally(report.unbound), report.unbound));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Contract tests of ${escapeXml(report.title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    table { border-collapse: collapse; margin-bottom: 1em; }
+    td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; vertical-align: top; }
+    pre { margin: 0; white-space: pre-wrap; }
+    .passed td:first-child { background: #e6f4ea; }
+    .failed td:first-child { background: #fce8e6; }
+    .skipped td:first-child { background: #f1f3f4; }
+    h2.failed, .never { color: #b3261e; }
+  </style>
+</head>
+<body>
+  <h1>Contract tests of ${escapeXml(report.title)}</h1>
+  <p>${count(report.summary)}, run ${escapeXml(report.startTime)}</p>
+  ${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  EXCHANGES_ENV,
+  recordExchanges,
+  readExchanges,
+  buildContractReport,
+  formatExchanges,
+  contractReportJUnit,
+  contractReportHtml
+};
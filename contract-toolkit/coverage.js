@@ -0,0 +1,360 @@
+const express = require('express');
+const SpecLoader = require('./spec-loader');
+
+const DEFAULT_IGNORE = ['/__', '/provider-states'];
+
+function headerNames(headers) {
+  if (!headers) return [];
+  if (typeof headers.forEach === 'function' && typeof headers.get === 'function') {
+    const names = [];
+    headers.forEach((value, name) => names.push(name));
+    return names;
+  }
+  return Object.keys(headers).filter(name => headers[name] !== undefined);
+}
+
+function parseBody(body) {
+  if (body === undefined || body === null || body === '') return undefined;
+  if (typeof body !== 'string') return body;
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/**
+ * JSON pointers of the fields a schema describes, with '*' for array items,
+ * e.g. ['/name', '/tags', '/tags/*'] for { name, tags: [string] }
+ */
+function schemaFields(schema, pointer = '', depth = 0, fields = new Set()) {
+  if (!schema || depth > 5) return fields;
+  [...(schema.allOf || []), ...(schema.oneOf || []), ...(schema.anyOf || [])]
+    .forEach(branch => schemaFields(branch, pointer, depth, fields));
+
+  Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+    fields.add(`${pointer}/${key}`);
+    schemaFields(propSchema, `${pointer}/${key}`, depth + 1, fields);
+  });
+  if (schema.items) {
+    fields.add(`${pointer}/*`);
+    schemaFields(schema.items, `${pointer}/*`, depth + 1, fields);
+  }
+  return fields;
+}
+
+/**
+ * JSON pointers of the fields present in a body, in the same notation
+ */
+function valueFields(value, pointer = '', fields = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(item => {
+      fields.add(`${pointer}/*`);
+      valueFields(item, `${pointer}/*`, fields);
+    });
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      fields.add(`${pointer}/${key}`);
+      valueFields(item, `${pointer}/${key}`, fields);
+    });
+  }
+  return fields;
+}
+
+/**
+ * The documented response a status falls under: '404', '4XX' or 'default'
+ */
+function responseKey(responses, status) {
+  const code = String(status);
+  return [code, `${code[0]}XX`, 'default'].find(key => responses[key]) || null;
+}
+
+const percent = (covered, total) => (total ? Math.round((covered / total) * 1000) / 10 : 100);
+const tally = items => ({ covered: items.filter(item => item.hits > 0).length, total: items.length });
+
+/**
+ * Contract Coverage
+ * Records which operations of a spec a test run called, with which statuses,
+ * query and header parameters and request body fields, plus the routes it
+ * called that the spec doesn't document. Fed by a wrapped fetch on the
+ * consumer side or by middleware in the provider.
+ *
+ * Usage:
+ *   const coverage = new ContractCoverage({ spec: 'specs/products-api.yaml' });
+ *   app.use(coverage.middleware());      // first, so it sees every answer
+ *   // ... run the tests, then GET /__coverage, or:
+ *   console.log(formatCoverage(coverage.report({ minimum: 80 })));
+ */
+class ContractCoverage {
+  /**
+   * @param {Object} options
+   * @param {string|SpecLoader} options.spec
+   * @param {string[]} [options.ignore] - Path prefixes that are neither operations
+   *   nor undocumented routes, defaults to control endpoints (/__faults, /provider-states)
+   */
+  constructor(options) {
+    this.spec = typeof options.spec === 'string' ? SpecLoader.load(options.spec) : options.spec;
+    this.ignore = options.ignore || DEFAULT_IGNORE;
+    this.reset();
+  }
+
+  /**
+   * Forget everything recorded so far
+   */
+  reset() {
+    this.hits = {};
+    this.undocumented = {};
+  }
+
+  /**
+   * Record one exchange
+   * @param {Object} request - { method, url, headers, body }; url may be a path
+   * @param {Object} response - { status }
+   */
+  record(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const method = request.method.toUpperCase();
+    if (this.ignore.some(prefix => url.pathname.startsWith(prefix))) return;
+
+    const match = this.spec.matchOperation(method, url.pathname);
+    if (!match) {
+      const route = `${method} ${url.pathname}`;
+      this.undocumented[route] = (this.undocumented[route] || 0) + 1;
+      return;
+    }
+
+    const hit = this.hits[match.operationId] = this.hits[match.operationId] ||
+      { calls: 0, statuses: {}, parameters: {}, fields: {} };
+    const count = (counts, key) => {
+      counts[key] = (counts[key] || 0) + 1;
+    };
+
+    hit.calls++;
+    count(hit.statuses, String(response.status));
+    url.searchParams.forEach((value, name) => count(hit.parameters, `query:${name}`));
+    [...new Set(headerNames(request.headers).map(name => name.toLowerCase()))]
+      .forEach(name => count(hit.parameters, `header:${name}`));
+    valueFields(parseBody(request.body)).forEach(pointer => count(hit.fields, pointer));
+  }
+
+  /**
+   * A fetch that records every call
+   * @param {Function} [fetchImpl] - Defaults to the global fetch
+   * @returns {Function}
+   */
+  wrapFetch(fetchImpl = globalThis.fetch) {
+    return async (input, init = {}) => {
+      const response = await fetchImpl(input, init);
+      const isRequest = typeof input === 'object' && !(input instanceof URL);
+
+      this.record({
+        method: init.method || (isRequest && input.method) || 'GET',
+        url: isRequest ? input.url : String(input),
+        headers: init.headers || (isRequest && input.headers),
+        body: init.body
+      }, { status: response.status });
+      return response;
+    };
+  }
+
+  /**
+   * Express middleware that records every request once its answer is sent,
+   * plus a control endpoint:
+   *   GET    /__coverage[?minimum=80] -> the report
+   *   DELETE /__coverage              forgets what was recorded
+   *
+   * @param {Object} [options]
+   * @param {string} [options.path] - Control endpoint, defaults to /__coverage
+   * @returns {express.Router}
+   */
+  middleware(options = {}) {
+    const controlPath = options.path || '/__coverage';
+    const router = express.Router();
+
+    router.get(controlPath, (req, res) => {
+      res.json(this.report({ minimum: req.query.minimum !== undefined ? Number(req.query.minimum) : undefined }));
+    });
+
+    router.delete(controlPath, (req, res) => {
+      this.reset();
+      res.status(204).end();
+    });
+
+    router.use((req, res, next) => {
+      // The body parsers further down have filled req.body by the time the answer is sent
+      res.on('finish', () => this.record(
+        { method: req.method, url: req.originalUrl, headers: req.headers, body: req.body },
+        { status: res.statusCode }
+      ));
+      next();
+    });
+
+    return router;
+  }
+
+  /**
+   * Coverage of every operation against the spec. Response coverage counts a
+   * status under the documented response it falls under ('404', '4XX' or
+   * 'default'); statuses with none are listed as undocumented.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.minimum] - Minimum response coverage in percent
+   * @returns {Object} - { title, operations, undocumented, summary, minimum, passed }
+   */
+  report(options = {}) {
+    const operations = this.spec.getOperations().map(op => {
+      const hit = this.hits[op.operationId] || { calls: 0, statuses: {}, parameters: {}, fields: {} };
+      const responses = op.operation.responses || {};
+      const statusHits = {};
+      const undocumentedStatuses = [];
+
+      Object.entries(hit.statuses).forEach(([status, hits]) => {
+        const key = responseKey(responses, status);
+        if (key) statusHits[key] = (statusHits[key] || 0) + hits;
+        else undocumentedStatuses.push({ status, hits });
+      });
+
+      const content = (op.operation.requestBody && op.operation.requestBody.content) || {};
+      const fields = new Set();
+      Object.values(content).forEach(media => schemaFields(media.schema, '', 0, fields));
+
+      return {
+        operationId: op.operationId,
+        method: op.method,
+        path: op.path,
+        calls: hit.calls,
+        responses: Object.keys(responses).map(status => ({ status, hits: statusHits[status] || 0 })),
+        undocumentedStatuses,
+        parameters: this.spec.getParameters(op.operationId)
+          .filter(param => param.in === 'query' || param.in === 'header')
+          .map(param => ({
+            name: param.name,
+            in: param.in,
+            hits: hit.parameters[`${param.in}:${param.in === 'header' ? param.name.toLowerCase() : param.name}`] || 0
+          })),
+        fields: [...fields].map(pointer => ({ pointer, hits: hit.fields[pointer] || 0 }))
+      };
+    });
+
+    const totals = items => {
+      const { covered, total } = tally(items);
+      return { covered, total, percent: percent(covered, total) };
+    };
+    const summary = {
+      operations: totals(operations.map(op => ({ hits: op.calls }))),
+      responses: totals(operations.flatMap(op => op.responses)),
+      parameters: totals(operations.flatMap(op => op.parameters)),
+      fields: totals(operations.flatMap(op => op.fields))
+    };
+
+    return {
+      title: this.spec.document.info.title,
+      operations,
+      undocumented: Object.entries(this.undocumented).map(([route, hits]) => ({ route, hits })),
+      summary,
+      minimum: options.minimum,
+      passed: options.minimum === undefined || summary.responses.percent >= options.minimum
+    };
+  }
+}
+
+/**
+ * Render a coverage report as a per-operation matrix of responses,
+ * parameters and body fields
+ * @param {Object} report - From ContractCoverage#report
+ * @returns {string}
+ */
+function formatCoverage(report) {
+  const mark = item => (item.hits ? '✓' : '✗');
+  const lines = [`Contract coverage of ${report.title}`];
+
+  report.operations.forEach(op => {
+    lines.push(`  ${op.method} ${op.path} (${op.operationId}): ${op.calls} ${op.calls === 1 ? 'call' : 'calls'}`);
+    lines.push(`    responses   ${op.responses.map(item => `${mark(item)} ${item.status}${item.hits ? ` (${item.hits})` : ''}`).join('  ')}`);
+    if (op.undocumentedStatuses.length) {
+      lines.push(`    undocumented ${op.undocumentedStatuses.map(item => `! ${item.status} (${item.hits})`).join('  ')}`);
+    }
+    if (op.parameters.length) {
+      lines.push(`    parameters  ${op.parameters.map(item => `${mark(item)} ${item.name}`).join('  ')}`);
+    }
+    if (op.fields.length) {
+      lines.push(`    fields      ${op.fields.map(item => `${mark(item)} ${item.pointer}`).join('  ')}`);
+    }
+  });
+
+  const never = report.operations.filter(op => !op.calls).map(op => op.operationId);
+  if (never.length) lines.push(`Never called: ${never.join(', ')}`);
+  if (report.undocumented.length) {
+    lines.push(`Undocumented routes: ${report.undocumented.map(item => `${item.route} (${item.hits})`).join(', ')}`);
+  }
+
+  const { operations, responses, parameters, fields } = report.summary;
+  const share = ({ covered, total, percent: value }) => `${covered}/${total} (${value}%)`;
+  lines.push(`Operations ${share(operations)}, responses ${share(responses)}, parameters ${share(parameters)}, fields ${share(fields)}`);
+  if (!report.passed) {
+    lines.push(`Response coverage ${responses.percent}% is below the minimum of ${report.minimum}%`);
+  }
+  return lines.join('\n');
+}
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render a coverage report as a standalone HTML page
+ * @param {Object} report - From ContractCoverage#report
+ * @returns {string}
+ */
+function coverageHtml(report) {
+  const cell = item => `<td class="${item.hits ? 'hit' : 'miss'}">${item.hits || '✗'}</td>`;
+  const list = (title, items, label) => (items.length
+    ? `<tr><th>${title}</th><td><table><tr>${items.map(item => `<th>${escapeHtml(label(item))}</th>`).join('')}</tr><tr>${items.map(cell).join('')}</tr></table></td></tr>`
+    : '');
+
+  const sections = report.operations.map(op => `
+  <h2${op.calls ? '' : ' class="never"'}>${escapeHtml(`${op.method} ${op.path}`)} <small>${escapeHtml(op.operationId)}, ${op.calls} calls</small></h2>
+  <table>
+    ${list('Responses', op.responses, item => item.status)}
+    ${list('Undocumented', op.undocumentedStatuses, item => item.status)}
+    ${list('Parameters', op.parameters, item => `${item.in} ${item.name}`)}
+    ${list('Fields', op.fields, item => item.pointer)}
+  </table>`).join('\n');
+
+  const { operations, responses, parameters, fields } = report.summary;
+  const summary = [['Operations', operations], ['Responses', responses], ['Parameters', parameters], ['Fields', fields]]
+    .map(([name, { covered, total, percent: value }]) => `<tr><th>${name}</th><td>${covered}/${total}</td><td>${value}%</td></tr>`)
+    .join('');
+  const undocumented = report.undocumented.length
+    ? `<h2 class="never">Undocumented routes</h2>\n  <ul>${report.undocumented.map(item => `<li>${escapeHtml(item.route)} (${item.hits})</li>`).join('')}</ul>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Contract coverage of ${escapeHtml(report.title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    table { border-collapse: collapse; margin-bottom: 1em; }
+    th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; vertical-align: top; }
+    td table { margin: 0; }
+    .hit { background: #e6f4ea; }
+    .miss { background: #fce8e6; }
+    .never { color: #b3261e; }
+  </style>
+</head>
+<body>
+  <h1>Contract coverage of ${escapeHtml(report.title)}</h1>
+  <table>${summary}</table>
+  ${report.passed ? '' : `<p class="never">Response coverage ${responses.percent}% is below the minimum of ${report.minimum}%</p>`}
+  ${sections}
+  ${undocumented}
+</body>
+</html>
+`;
+}
+
+module.exports = { ContractCoverage, formatCoverage, coverageHtml };
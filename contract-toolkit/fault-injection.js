@@ -0,0 +1,231 @@
+const fs = require('fs');
+const express = require('express');
+const yaml = require('js-yaml');
+
+const FAULT_KEYS = ['latency', 'error', 'drop', 'malformed', 'violateSchema'];
+
+/**
+ * Check a rule and fill in its defaults
+ * @returns {Object} - { method, path, latency, error, status, retryAfter, drop, malformed, violateSchema, times }
+ * @throws {Error} - When the rule has no match or fault, or a bad value
+ */
+function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('A fault rule must be an object');
+  }
+  if (!FAULT_KEYS.some(key => rule[key] !== undefined)) {
+    throw new Error(`A fault rule needs one of ${FAULT_KEYS.join(', ')}`);
+  }
+
+  const latency = rule.latency === undefined ? [0, 0] : [].concat(rule.latency);
+  if (latency.length > 2 || latency.some(ms => typeof ms !== 'number' || ms < 0)) {
+    throw new Error(`latency must be ms or [min, max] ms, got ${JSON.stringify(rule.latency)}`);
+  }
+  ['error', 'drop', 'malformed', 'violateSchema'].forEach(key => {
+    const value = rule[key];
+    if (value !== undefined && typeof value !== 'boolean' && !(typeof value === 'number' && value >= 0 && value <= 1)) {
+      throw new Error(`${key} must be true or a probability between 0 and 1, got ${JSON.stringify(value)}`);
+    }
+  });
+  const status = rule.status === undefined ? 503 : rule.status;
+  if (!Number.isInteger(status) || status < 500 || status > 599) {
+    throw new Error(`status must be a 5xx status, got ${JSON.stringify(rule.status)}`);
+  }
+  if (rule.times !== undefined && !(Number.isInteger(rule.times) && rule.times > 0)) {
+    throw new Error(`times must be a positive integer, got ${JSON.stringify(rule.times)}`);
+  }
+
+  return {
+    method: rule.method ? rule.method.toUpperCase() : undefined,
+    path: rule.path,
+    latency: [latency[0], latency.length === 2 ? latency[1] : latency[0]],
+    error: rule.error,
+    status,
+    retryAfter: rule.retryAfter,
+    drop: rule.drop,
+    malformed: rule.malformed,
+    violateSchema: rule.violateSchema,
+    times: rule.times
+  };
+}
+
+/**
+ * Regex for a rule path: /api/products/{id}, /api/products/:id and a
+ * trailing /* match like routes do; no path matches everything
+ */
+function pathPattern(path) {
+  if (!path) return /^/;
+  const source = path
+    .split('/')
+    .map(segment => {
+      if (segment === '*') return '.*';
+      if (/^\{.+\}$|^:.+/.test(segment)) return '[^/]+';
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Every string, number and boolean swapped for a value of another type, so
+ * that any typed schema rejects the result
+ */
+function violate(value) {
+  if (Array.isArray(value)) return value.map(violate);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, violate(item)]));
+  }
+  if (typeof value === 'string') return value.length;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return value;
+}
+
+/**
+ * Read fault rules from a YAML or JSON file: a list of rules or { rules: [...] }
+ * @param {string} filePath
+ * @returns {Object[]}
+ */
+function loadFaultRules(filePath) {
+  const document = yaml.load(fs.readFileSync(filePath, 'utf8')) || [];
+  return Array.isArray(document) ? document : document.rules || [];
+}
+
+/**
+ * Fault Injection Middleware
+ * Makes a provider or mock server slow or unreliable on purpose, so consumer
+ * tests can check how their clients cope. Mount it first and in test mode
+ * only: later middleware (response validation included) sees the real
+ * response, the client gets the faulty one.
+ *
+ * A rule matches requests by method and path and applies any of:
+ * - latency: ms, or [min, max] ms, before the request is handled
+ * - error: probability (or true) of answering with `status` (default 503),
+ *   optionally with a Retry-After header of `retryAfter` seconds
+ * - drop: probability of closing the connection without an answer
+ * - malformed: probability of cutting the JSON body short
+ * - violateSchema: probability of swapping the types of every value in the JSON body
+ * - times: the rule goes away once n requests got a fault from it; requests
+ *   its probabilities spared don't count
+ * The first matching rule wins.
+ *
+ * Control endpoint:
+ *   GET    /__faults                    -> { rules }
+ *   PUT    /__faults { rules: [...] }   replaces the rules
+ *   POST   /__faults { path, error... } adds one rule
+ *   DELETE /__faults                    removes every rule
+ *
+ * Usage:
+ *   if (process.env.FAULT_INJECTION === 'true') {
+ *     app.use(faultInjection({ rules: [{ method: 'GET', path: '/api/products/{id}', latency: [100, 500], error: 0.1 }] }));
+ *   }
+ *
+ * @param {Object} [options]
+ * @param {Object[]} [options.rules] - Rules in force at start
+ * @param {string} [options.path] - Control endpoint, defaults to /__faults
+ * @param {Function} [options.random] - Returns [0, 1), for tests
+ * @param {Object} [options.logger] - Logs injected faults when given
+ * @returns {express.Router} - router.rules holds the rules in force
+ */
+function faultInjection(options = {}) {
+  const controlPath = options.path || '/__faults';
+  const random = options.random || Math.random;
+  const router = express.Router();
+  router.rules = (options.rules || []).map(normalizeRule);
+
+  const chance = probability => probability === true || (typeof probability === 'number' && random() < probability);
+  const invalid = (res, err) => res.status(400).json({ code: 'INVALID_FAULT', message: err.message });
+
+  router.get(controlPath, (req, res) => res.json({ rules: router.rules }));
+
+  router.put(controlPath, express.json(), (req, res) => {
+    try {
+      router.rules = ((req.body && req.body.rules) || []).map(normalizeRule);
+    } catch (err) {
+      return invalid(res, err);
+    }
+    res.json({ rules: router.rules });
+  });
+
+  router.post(controlPath, express.json(), (req, res) => {
+    let rule;
+    try {
+      rule = normalizeRule(req.body);
+    } catch (err) {
+      return invalid(res, err);
+    }
+    router.rules.push(rule);
+    res.status(201).json(rule);
+  });
+
+  router.delete(controlPath, (req, res) => {
+    router.rules = [];
+    res.status(204).end();
+  });
+
+  router.use((req, res, next) => {
+    const rule = router.rules.find(item =>
+      (!item.method || item.method === req.method) && pathPattern(item.path).test(req.path));
+    if (!rule) {
+      return next();
+    }
+
+    // Decided now, so that `times` only counts requests that do get a fault
+    const [min, max] = rule.latency;
+    const delay = max > min ? Math.round(min + random() * (max - min)) : min;
+    const dropped = chance(rule.drop);
+    const failed = !dropped && chance(rule.error);
+    const malformed = !dropped && !failed && chance(rule.malformed);
+    const violated = !dropped && !failed && !malformed && chance(rule.violateSchema);
+    if (!(delay || dropped || failed || malformed || violated)) {
+      return next();
+    }
+
+    if (rule.times !== undefined) {
+      rule.times -= 1;
+      if (rule.times === 0) {
+        router.rules = router.rules.filter(item => item !== rule);
+      }
+    }
+
+    const log = fault => options.logger && options.logger.log(`[faults] ${req.method} ${req.originalUrl} -> ${fault}`);
+
+    setTimeout(() => {
+      if (dropped) {
+        log('connection dropped');
+        return req.socket.destroy();
+      }
+      if (failed) {
+        log(`${rule.status}`);
+        if (rule.retryAfter !== undefined) res.set('Retry-After', String(rule.retryAfter));
+        return res.status(rule.status).json({ code: 'INJECTED_FAULT', message: `Injected ${rule.status} for ${req.method} ${req.path}` });
+      }
+
+      if (malformed || violated) {
+        // Replaces the innermost send, so the body has been through res.json and any validation already
+        const send = res.send.bind(res);
+        res.send = body => {
+          if (typeof body !== 'string' || !/json/i.test(res.get('Content-Type') || '')) {
+            return send(body);
+          }
+          log(malformed ? 'malformed JSON' : 'schema violation');
+          if (malformed) {
+            return send(body.slice(0, Math.floor(body.length / 2)));
+          }
+          let parsed;
+          try {
+            parsed = JSON.parse(body);
+          } catch (err) {
+            return send(body);
+          }
+          return send(JSON.stringify(violate(parsed)));
+        };
+      }
+      if (delay) log(`${delay} ms late`);
+      next();
+    }, delay);
+  });
+
+  return router;
+}
+
+module.exports = { faultInjection, loadFaultRules };
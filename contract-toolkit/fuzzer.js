@@ -0,0 +1,499 @@
+/**
+ * Fuzzer
+ * Property-based fuzzing of a running provider: requests are generated from
+ * the parameter and body schemas of every operation, some valid and some
+ * breaking one constraint, and every answer is checked against the spec.
+ * A failing request is shrunk to a minimal one, and each case can be
+ * replayed from its seed.
+ */
+
+const SchemaValidator = require('./schema-validator');
+const SpecLoader = require('./spec-loader');
+const ResourceStore = require('./resource-store');
+const { validateRequest, validateResponse, coerceParameter } = require('./openapi-validator');
+const { generateSample } = require('./sample-generator');
+const { jsonMedia } = require('./media');
+const { constraintViolations, fixtureFor, requiredScopes, send } = require('./test-generator');
+
+const CHARACTERS = [...'abcxyzABCXYZ0189 -_.@/%é✓'];
+const WRONG_VALUES = ['abc', '', 1.5, -1, 0, true, null, [], {}];
+const WRONG_PARAMETERS = ['abc', '1abc', '1.5', '-1', '0', ' ', 'true', '99999999999999999999'];
+const FORM = 'application/x-www-form-urlencoded';
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isValid = (value, schema) => SchemaValidator.validate(value, schema || {}).valid;
+const describeErrors = errors => errors.map(error => (error.path ? `${error.path}: ${error.message}` : error.message)).join('; ');
+
+/**
+ * Seeded pseudo-random numbers (mulberry32), so a seed replays a run exactly
+ * @param {number} seed
+ * @returns {Object} - { next, int, pick, chance }
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  return {
+    next,
+    int,
+    pick: items => items[int(0, items.length - 1)],
+    chance: probability => next() < probability
+  };
+}
+
+/**
+ * Seed of the nth case of an operation; case 0 uses the run's seed itself,
+ * so `{ seed: failure.seed, runs: 1 }` replays a single failing case
+ */
+function caseSeed(seed, index) {
+  return (seed + Math.imul(index, 0x9E3779B9)) >>> 0;
+}
+
+function randomString(schema, random) {
+  const formats = {
+    email: () => `user${random.int(0, 9999)}@example.com`,
+    date: () => new Date(random.int(0, 2e9) * 1000).toISOString().slice(0, 10),
+    'date-time': () => new Date(random.int(0, 2e9) * 1000).toISOString().replace('.000', ''),
+    uuid: () => 'xxxxxxxx-xxxx-4xxx-8xxx-xxxxxxxxxxxx'.replace(/x/g, () => random.int(0, 15).toString(16)),
+    uri: () => `https://example.com/${random.int(0, 9999)}`
+  };
+  if (formats[schema.format]) return formats[schema.format]();
+
+  const min = schema.minLength || 0;
+  const max = Math.min(schema.maxLength !== undefined ? schema.maxLength : min + 20, min + 20);
+  return Array.from({ length: random.int(min, Math.max(min, max)) }, () => random.pick(CHARACTERS)).join('');
+}
+
+function randomNumber(schema, random) {
+  const integer = schema.type === 'integer';
+  const step = integer ? 1 : 0.01;
+  let low = schema.minimum !== undefined ? schema.minimum : Math.min(0, schema.maximum !== undefined ? schema.maximum : 0) - 1000;
+  let high = schema.maximum !== undefined ? schema.maximum : Math.max(low, 0) + 1000;
+  if (schema.exclusiveMinimum === true) low += step;
+  if (schema.exclusiveMaximum === true) high -= step;
+
+  // Boundaries are where off-by-one bugs live
+  if (random.chance(0.2)) return integer ? Math.ceil(random.pick([low, high])) : random.pick([low, high]);
+  const value = integer ? random.int(Math.ceil(low), Math.floor(high)) : Math.round((low + random.next() * (high - low)) * 100) / 100;
+  return schema.multipleOf ? Math.round(value / schema.multipleOf) * schema.multipleOf : value;
+}
+
+/**
+ * A random value that satisfies a resolved schema. Falls back to the
+ * deterministic sample where randomness would break the schema (patterns,
+ * compositions).
+ * @param {Object} schema
+ * @param {Object} random - From createRandom
+ * @returns {*}
+ */
+function randomValue(schema = {}, random, depth = 0) {
+  if (schema.nullable && random.chance(0.1)) return null;
+  if (schema.enum) return random.pick(schema.enum);
+  if (schema.oneOf || schema.anyOf) return randomValue(random.pick(schema.oneOf || schema.anyOf), random, depth);
+  if (schema.allOf || schema.pattern || depth > 8) return generateSample(schema);
+
+  const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : null);
+  let value;
+
+  switch (type) {
+    case 'object':
+      value = {};
+      Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+        if ((schema.required || []).includes(key) || random.chance(0.5)) {
+          const property = randomValue(propSchema, random, depth + 1);
+          if (property !== undefined) value[key] = property;
+        }
+      });
+      break;
+    case 'array': {
+      const min = schema.minItems || 0;
+      const max = Math.min(schema.maxItems !== undefined ? schema.maxItems : min + 3, min + 3);
+      value = Array.from({ length: random.int(min, max) }, () => randomValue(schema.items, random, depth + 1));
+      break;
+    }
+    case 'integer':
+    case 'number':
+      value = randomNumber(schema, random);
+      break;
+    case 'boolean':
+      value = random.chance(0.5);
+      break;
+    case 'string':
+      value = randomString(schema, random);
+      break;
+    default:
+      // No type: anything JSON goes
+      value = random.pick([() => randomString({}, random), () => random.int(-1000, 1000), () => random.chance(0.5), () => null])();
+  }
+
+  return isValid(value, schema) ? value : generateSample(schema);
+}
+
+/**
+ * A random value that breaks a resolved schema: a wrong type, a broken
+ * constraint, or an object or array with one broken member. Returns a valid
+ * value when the schema accepts anything.
+ * @returns {*}
+ */
+function invalidValue(schema = {}, random, depth = 0) {
+  const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : null);
+
+  if (type === 'object' && depth < 4 && random.chance(0.7)) {
+    const value = randomValue(schema, random, depth);
+    const mutations = [
+      ...(schema.required || []).map(key => () => {
+        const { [key]: removed, ...rest } = value;
+        return rest;
+      }),
+      ...Object.entries(schema.properties || {}).map(([key, propSchema]) => () => ({ ...value, [key]: invalidValue(propSchema, random, depth + 1) })),
+      ...(schema.additionalProperties === false ? [() => ({ ...value, unexpected: randomString({}, random) })] : [])
+    ];
+    const mutated = mutations.length ? random.pick(mutations)() : value;
+    if (!isValid(mutated, schema)) return mutated;
+  }
+
+  if (type === 'array' && schema.items && depth < 4 && random.chance(0.7)) {
+    const value = randomValue(schema, random, depth);
+    const mutated = [...value, invalidValue(schema.items, random, depth + 1)];
+    if (!isValid(mutated, schema)) return mutated;
+  }
+
+  const candidates = [...WRONG_VALUES, ...constraintViolations(schema).map(violation => violation.value)]
+    .filter(value => !isValid(value, schema));
+  return candidates.length ? random.pick(candidates) : randomValue(schema, random, depth);
+}
+
+/**
+ * Parameters travel as strings; arrays as repeated query parameters. Header
+ * values are kept to printable ASCII, which is all fetch will send.
+ */
+function asParameter(value, param = {}) {
+  if (Array.isArray(value)) return value.map(item => asParameter(item, param));
+  return param.in === 'header' ? String(value).replace(/[^\x20-\x7e]/g, 'x') : String(value);
+}
+
+function invalidParameter(param, random) {
+  const schema = param.schema || {};
+  const candidates = [...WRONG_PARAMETERS, ...constraintViolations(schema).map(violation => String(violation.value))]
+    .filter(value => !isValid(coerceParameter(value, schema), schema));
+  // A missing required query or header parameter is also a broken request
+  if (param.required && param.in !== 'path') candidates.push(undefined);
+  return candidates.length ? random.pick(candidates) : asParameter(randomValue(schema, random), param);
+}
+
+/**
+ * Every operation's fuzz cases for a run. `intent` says whether a case set
+ * out to break the spec; whether it did is decided when it runs.
+ *
+ * @param {string|SpecLoader} specOrPath
+ * @param {Object} [options]
+ * @param {number} [options.seed]
+ * @param {number} [options.runs] - Cases per operation (default 100)
+ * @param {string[]} [options.operations] - operationIds to fuzz, default all
+ * @returns {Object[]} - { operationId, method, path, seed, intent, request, fixture }
+ */
+function generateFuzzCases(specOrPath, { seed = 1, runs = 100, operations } = {}) {
+  const spec = typeof specOrPath === 'string' ? SpecLoader.load(specOrPath) : specOrPath;
+  const collections = ResourceStore.discover(spec);
+  const targets = { path: 'pathParams', query: 'query', header: 'headers' };
+
+  return spec.getOperations()
+    .filter(op => !operations || operations.includes(op.operationId))
+    .flatMap(op => {
+      const params = spec.getParameters(op.operationId).filter(param => targets[param.in]);
+      const body = jsonMedia(op.operation.requestBody && op.operation.requestBody.content);
+      const fixture = fixtureFor(spec, collections, op);
+
+      return Array.from({ length: runs }, (_, index) => {
+        const random = createRandom(caseSeed(seed, index));
+        const request = { pathParams: {}, query: {}, headers: {} };
+        const parts = [];
+
+        params.forEach(param => {
+          if (param.in !== 'path' && !param.required && !random.chance(0.5)) return;
+          request[targets[param.in]][param.name] = asParameter(randomValue(param.schema, random), param);
+          parts.push(param);
+        });
+        if (body) {
+          request.contentType = body.mediaType;
+          request.body = randomValue(body.media.schema, random);
+          parts.push(body);
+        }
+
+        const intent = parts.length && random.chance(0.6) ? 'invalid' : 'valid';
+        const broken = intent === 'invalid' ? random.pick(parts) : null;
+        if (broken && broken === body) {
+          request.body = op.operation.requestBody.required && random.chance(0.1) ? undefined : invalidValue(body.media.schema, random);
+        } else if (broken) {
+          const value = invalidParameter(broken, random);
+          if (value === undefined) delete request[targets[broken.in]][broken.name];
+          else request[targets[broken.in]][broken.name] = value;
+        }
+
+        // Most cases act on a real item; the rest exercise the 404s
+        const onFixture = fixture && !(broken && broken.in === 'path') && random.chance(0.8);
+        return {
+          operationId: op.operationId,
+          method: op.method,
+          path: op.path,
+          seed: caseSeed(seed, index),
+          intent,
+          request,
+          fixture: onFixture ? fixture : null
+        };
+      });
+    });
+}
+
+/**
+ * The request as the provider's validator would see it after parsing
+ */
+function asIncoming(request) {
+  const headers = {};
+  // Leading and trailing whitespace is not part of a header value
+  Object.entries(request.headers).forEach(([name, value]) => {
+    headers[name.toLowerCase()] = String(value).trim();
+  });
+
+  let body = request.body;
+  if (body !== undefined) {
+    const text = request.contentType === FORM && isObject(body) ? new URLSearchParams(body).toString() : JSON.stringify(body);
+    headers['content-type'] = request.contentType;
+    headers['content-length'] = String(Buffer.byteLength(text));
+    if (request.contentType === FORM) body = Object.fromEntries(new URLSearchParams(text));
+  }
+
+  return { query: request.query, headers, body, get: name => headers[name.toLowerCase()] };
+}
+
+/**
+ * Send one case and judge the answer: an undocumented status or body, or an
+ * invalid request the provider accepted with a 2xx, is a problem
+ * @returns {Promise<Object>} - { request, response, problems }
+ */
+async function runCase(context, fuzzCase) {
+  const { spec, baseUrl } = context;
+  const request = { ...fuzzCase.request, pathParams: { ...fuzzCase.request.pathParams } };
+  const tokenFor = scopes => (scopes && context.getToken ? context.getToken(scopes) : undefined);
+  const { fixture } = fuzzCase;
+  let createdId;
+
+  if (fixture) {
+    const created = await send(baseUrl, 'POST', fixture.create.path, {
+      pathParams: {}, query: {}, headers: {}, body: fixture.create.body
+    }, await tokenFor(fixture.create.scopes));
+    if (created.status >= 300 || !created.body || created.body[fixture.idField] === undefined) {
+      throw new Error(`Could not create a fixture for ${fuzzCase.operationId}: POST ${fixture.create.path} returned ${created.status}`);
+    }
+    createdId = created.body[fixture.idField];
+    request.pathParams[fixture.param] = String(createdId);
+  }
+
+  const match = { ...spec.getOperation(fuzzCase.operationId), pathParams: request.pathParams };
+  const verdict = validateRequest(spec, match, asIncoming(request));
+  const response = await send(baseUrl, fuzzCase.method, fuzzCase.path, request, await tokenFor(requiredScopes(spec, fuzzCase.operationId)));
+  const problems = [];
+
+  const undocumented = validateResponse(spec, match, response.status, response.body, response.contentType);
+  if (undocumented.length) {
+    problems.push({ kind: undocumented[0].keyword === 'status' ? 'status' : 'body', message: describeErrors(undocumented) });
+  }
+  if (verdict.errors.length && response.status < 300) {
+    problems.push({
+      kind: 'accepted',
+      message: `accepted an invalid request with ${response.status}: ${describeErrors(verdict.errors)}`
+    });
+  }
+
+  if (createdId !== undefined && fixture.deletePath && !(fuzzCase.method === 'DELETE' && response.status < 300)) {
+    await send(baseUrl, 'DELETE', fixture.deletePath, {
+      pathParams: { [fixture.param]: createdId }, query: {}, headers: {}
+    }, await tokenFor(fixture.deleteScopes));
+  }
+
+  return { request: { ...request, method: fuzzCase.method, url: response.url }, response, problems };
+}
+
+/**
+ * Simpler versions of a JSON value, most drastic first
+ */
+function shrinkValue(value) {
+  if (Array.isArray(value)) {
+    return [
+      ...(value.length ? [[]] : []),
+      ...value.map((_, i) => value.filter((__, j) => j !== i)),
+      ...value.flatMap((item, i) => shrinkValue(item).map(smaller => value.map((other, j) => (j === i ? smaller : other))))
+    ];
+  }
+  if (isObject(value)) {
+    const keys = Object.keys(value);
+    return [
+      ...keys.map(key => {
+        const { [key]: removed, ...rest } = value;
+        return rest;
+      }),
+      ...keys.flatMap(key => shrinkValue(value[key]).map(smaller => ({ ...value, [key]: smaller })))
+    ];
+  }
+  if (typeof value === 'string') {
+    // Numbers in parameters shrink as numbers: '250' -> '0', '125'
+    const numeric = /^-?\d+(\.\d+)?$/.test(value) ? shrinkValue(Number(value)).map(String) : [];
+    return [...new Set(['', ...numeric, value.slice(0, Math.floor(value.length / 2)), value.slice(0, -1)])].filter(smaller => smaller !== value);
+  }
+  if (typeof value === 'number') {
+    return [...new Set([0, Math.trunc(value), Math.trunc(value / 2)])].filter(smaller => Math.abs(smaller) < Math.abs(value));
+  }
+  return value === true ? [false] : [];
+}
+
+/**
+ * Simpler versions of a request: optional parameters dropped, values and
+ * the body shrunk. Path parameters are never emptied, that changes the route.
+ */
+function shrinkRequest(request) {
+  const candidates = [];
+  const withPart = (part, name, value) => {
+    const values = { ...request[part] };
+    if (value === undefined) delete values[name];
+    else values[name] = value;
+    return { ...request, [part]: values };
+  };
+
+  ['query', 'headers', 'pathParams'].forEach(part => {
+    Object.entries(request[part]).forEach(([name, value]) => {
+      if (part !== 'pathParams') candidates.push(withPart(part, name, undefined));
+      shrinkValue(value)
+        .filter(smaller => part !== 'pathParams' || smaller !== '')
+        .forEach(smaller => candidates.push(withPart(part, name, smaller)));
+    });
+  });
+  if (request.body !== undefined) {
+    shrinkValue(request.body).forEach(body => candidates.push({ ...request, body }));
+  }
+
+  return candidates;
+}
+
+/**
+ * Shrink a failing case greedily: take the first simpler request that still
+ * has a problem of the same kind, until none does or the budget is spent
+ * @returns {Promise<Object>} - { fuzzCase, outcome, shrinks }
+ */
+async function shrink(context, fuzzCase, outcome, kind) {
+  let current = { fuzzCase, outcome };
+  let shrinks = 0;
+  let attempts = 0;
+
+  for (let improved = true; improved && attempts < context.maxShrinks;) {
+    improved = false;
+    for (const request of shrinkRequest(current.fuzzCase.request)) {
+      if (attempts++ >= context.maxShrinks) break;
+
+      const candidate = { ...current.fuzzCase, request };
+      const result = await runCase(context, candidate);
+      if (result.problems.some(problem => problem.kind === kind)) {
+        current = { fuzzCase: candidate, outcome: result };
+        shrinks++;
+        improved = true;
+        break;
+      }
+    }
+  }
+
+  return { ...current, shrinks };
+}
+
+/**
+ * Fuzz a running provider. The first failure of each kind per operation is
+ * shrunk and reported; later ones only count as occurrences.
+ *
+ * Usage:
+ *   const report = await fuzz({ spec: 'specs/products-api.yaml', baseUrl: 'http://localhost:8080', seed: 42 });
+ *   console.log(formatFuzzReport(report));
+ *
+ * @param {Object} options
+ * @param {string|SpecLoader} options.spec
+ * @param {string} options.baseUrl
+ * @param {number} [options.seed] - Random when left out; the report has it
+ * @param {number} [options.runs] - Cases per operation (default 100)
+ * @param {string[]} [options.operations] - operationIds to fuzz, default all
+ * @param {Function} [options.getToken] - async (scopes) => access token, for secured operations
+ * @param {number} [options.maxShrinks] - Requests spent shrinking each failure (default 200)
+ * @returns {Promise<Object>} - { title, seed, runs, cases, failures, passed }
+ */
+async function fuzz(options) {
+  const spec = typeof options.spec === 'string' ? SpecLoader.load(options.spec) : options.spec;
+  const seed = options.seed !== undefined ? options.seed >>> 0 : Math.floor(Math.random() * 4294967296);
+  const runs = options.runs !== undefined ? options.runs : 100;
+  const context = { spec, baseUrl: options.baseUrl, getToken: options.getToken, maxShrinks: options.maxShrinks !== undefined ? options.maxShrinks : 200 };
+  const cases = generateFuzzCases(spec, { seed, runs, operations: options.operations });
+  const failures = [];
+
+  for (const fuzzCase of cases) {
+    const outcome = await runCase(context, fuzzCase);
+
+    for (const problem of outcome.problems) {
+      const known = failures.find(failure => failure.operationId === fuzzCase.operationId && failure.kind === problem.kind);
+      if (known) {
+        known.occurrences++;
+        continue;
+      }
+
+      const shrunk = await shrink(context, fuzzCase, outcome, problem.kind);
+      const minimal = shrunk.outcome.problems.find(found => found.kind === problem.kind);
+      failures.push({
+        operationId: fuzzCase.operationId,
+        method: fuzzCase.method,
+        path: fuzzCase.path,
+        seed: fuzzCase.seed,
+        kind: problem.kind,
+        message: minimal.message,
+        request: shrunk.outcome.request,
+        response: { status: shrunk.outcome.response.status, body: shrunk.outcome.response.body },
+        shrinks: shrunk.shrinks,
+        occurrences: 1
+      });
+    }
+  }
+
+  return { title: spec.document.info.title, seed, runs, cases: cases.length, failures, passed: failures.length === 0 };
+}
+
+/**
+ * Render a fuzz run: each failure with its minimal request and the seed that
+ * replays it
+ * @param {Object} report - From fuzz
+ * @returns {string}
+ */
+function formatFuzzReport(report) {
+  const lines = [`Fuzzing ${report.title} with seed ${report.seed}`];
+
+  report.failures.forEach(failure => {
+    const times = failure.occurrences > 1 ? ` (${failure.occurrences} cases)` : '';
+    lines.push(`  ✗ ${failure.method} ${failure.path}: ${failure.message}${times}`);
+    lines.push(`      ${failure.request.method} ${failure.request.url}${failure.request.body !== undefined ? ` ${JSON.stringify(failure.request.body)}` : ''}`);
+    Object.entries(failure.request.headers).forEach(([name, value]) => lines.push(`      ${name}: ${JSON.stringify(value)}`));
+    const body = failure.response.body !== undefined ? JSON.stringify(failure.response.body) : '';
+    lines.push(`      -> ${failure.response.status} ${body.length > 200 ? `${body.slice(0, 200)}…` : body}`.trimEnd());
+    lines.push(`      replay: --seed ${failure.seed} --runs 1 --operation ${failure.operationId}`);
+  });
+
+  lines.push(`${report.cases} cases, ${report.failures.length} failures`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  createRandom,
+  randomValue,
+  invalidValue,
+  generateFuzzCases,
+  fuzz,
+  formatFuzzReport
+};
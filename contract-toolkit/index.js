@@ -0,0 +1,82 @@
+/**
+ * Contract Toolkit
+ * Shared OpenAPI contract testing tools for the JS demos
+ */
+const SchemaValidator = require('./schema-validator');
+const SpecLoader = require('./spec-loader');
+const { openApiValidator, validateRequest, validateResponse, coerceParameter } = require('./openapi-validator');
+const { createMockServer, startMockServer } = require('./mock-server');
+const ResourceStore = require('./resource-store');
+const { generateSample } = require('./sample-generator');
+const { generateTestCases, executeTestCase, describeContractTests } = require('./test-generator');
+const { generateFuzzCases, fuzz, formatFuzzReport } = require('./fuzzer');
+const PactRecorder = require('./pact-recorder');
+const { createRecordingProxy, loadRecordings, recordedExamples, writeRecording } = require('./recording-proxy');
+const { ContractCoverage, formatCoverage, coverageHtml } = require('./coverage');
+const { SpecInference, inferSchema, findUndocumented, formatUndocumented } = require('./spec-inference');
+const { buildContractReport, contractReportJUnit, contractReportHtml } = require('./contract-report');
+const ContractReporter = require('./jest-reporter');
+const { verifyPact, verifyInteraction, matchBody, findPacts, formatVerification } = require('./pact-verifier');
+const { providerStateMiddleware } = require('./provider-states');
+const { faultInjection, loadFaultRules } = require('./fault-injection');
+const { applyJsonPatch, applyMergePatch } = require('./json-patch');
+const { clientCredentials } = require('./oauth-client');
+const { generateClient } = require('./client-generator');
+const { loadSpecmaticConfig, resilienceOptions } = require('./specmatic-config');
+const { BREAKING, NON_BREAKING, diffSpecs, diffSchemas, hasBreakingChanges, formatChanges, loadFromGit } = require('./spec-diff');
+
+module.exports = {
+  SchemaValidator,
+  SpecLoader,
+  openApiValidator,
+  validateRequest,
+  validateResponse,
+  coerceParameter,
+  createMockServer,
+  startMockServer,
+  ResourceStore,
+  generateSample,
+  generateTestCases,
+  executeTestCase,
+  describeContractTests,
+  generateFuzzCases,
+  fuzz,
+  formatFuzzReport,
+  BREAKING,
+  NON_BREAKING,
+  diffSpecs,
+  diffSchemas,
+  hasBreakingChanges,
+  formatChanges,
+  loadFromGit,
+  PactRecorder,
+  createRecordingProxy,
+  loadRecordings,
+  recordedExamples,
+  writeRecording,
+  ContractCoverage,
+  formatCoverage,
+  coverageHtml,
+  SpecInference,
+  inferSchema,
+  findUndocumented,
+  formatUndocumented,
+  buildContractReport,
+  contractReportJUnit,
+  contractReportHtml,
+  ContractReporter,
+  verifyPact,
+  verifyInteraction,
+  matchBody,
+  findPacts,
+  formatVerification,
+  providerStateMiddleware,
+  faultInjection,
+  loadFaultRules,
+  applyJsonPatch,
+  applyMergePatch,
+  clientCredentials,
+  generateClient,
+  loadSpecmaticConfig,
+  resilienceOptions
+};
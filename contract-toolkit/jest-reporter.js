@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SpecLoader = require('./spec-loader');
+const { loadSpecmaticConfig } = require('./specmatic-config');
+const {
+  EXCHANGES_ENV,
+  readExchanges,
+  buildContractReport,
+  contractReportJUnit,
+  contractReportHtml
+} = require('./contract-report');
+
+const RENDERERS = {
+  html: { file: 'contract-report.html', render: contractReportHtml },
+  junit: { file: 'contract-report.xml', render: contractReportJUnit },
+  json: { file: 'contract-report.json', render: report => `${JSON.stringify(report, null, 2)}\n` }
+};
+
+/**
+ * Contract Reporter
+ * A Jest reporter that groups the results of a run by the API operations
+ * each test called, and writes them as HTML, JUnit XML and JSON. Failed tests
+ * show their requests and responses, with the ways each response breaks the
+ * spec. The exchanges are recorded by jest-setup.js, which wraps the global
+ * fetch in every test file.
+ *
+ * Usage (jest.config.js):
+ *   reporters: ['default', ['contract-toolkit/jest-reporter', { config: '../specmatic.yaml' }]],
+ *   setupFilesAfterEnv: ['contract-toolkit/jest-setup']
+ *
+ * With a specmatic.yaml, the spec is the first of its apiSpecifications and
+ * the reports go to reports.outputPath.
+ */
+class ContractReporter {
+  /**
+   * @param {Object} globalConfig - From Jest
+   * @param {Object} [options] - Paths are relative to Jest's rootDir
+   * @param {string} [options.config] - A specmatic.yaml
+   * @param {string} [options.spec] - The spec, instead of the config's
+   * @param {string} [options.outputPath] - Instead of the config's reports.outputPath, defaults to reports
+   * @param {string[]} [options.formats] - Any of html, junit and json, defaults to all three
+   */
+  constructor(globalConfig, options = {}) {
+    const { rootDir } = globalConfig;
+    const config = options.config ? loadSpecmaticConfig(path.resolve(rootDir, options.config)) : {};
+    const api = (config.apiSpecifications || [])[0];
+    const specPath = options.spec
+      ? path.resolve(rootDir, options.spec)
+      : api && path.resolve(config.specificationPath || rootDir, api.specFile);
+    if (!specPath) {
+      throw new Error('The contract reporter needs a spec, or a specmatic.yaml with apiSpecifications');
+    }
+
+    this.rootDir = rootDir;
+    this.spec = SpecLoader.load(specPath);
+    this.outputPath = options.outputPath
+      ? path.resolve(rootDir, options.outputPath)
+      : (config.reports && config.reports.outputPath) || path.resolve(rootDir, 'reports');
+    this.formats = options.formats || Object.keys(RENDERERS);
+    const unknown = this.formats.filter(format => !RENDERERS[format]);
+    if (unknown.length) {
+      throw new Error(`Unknown report format ${unknown.join(', ')}, expected ${Object.keys(RENDERERS).join(', ')}`);
+    }
+
+    // Test processes inherit the environment, so jest-setup.js finds the directory
+    this.exchangeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-report-'));
+    process.env[EXCHANGES_ENV] = this.exchangeDir;
+  }
+
+  onRunComplete(testContexts, results) {
+    const report = buildContractReport({
+      spec: this.spec,
+      results,
+      exchanges: readExchanges(this.exchangeDir),
+      rootDir: this.rootDir
+    });
+    // Start the next run in watch mode from nothing
+    fs.rmSync(this.exchangeDir, { recursive: true, force: true });
+
+    fs.mkdirSync(this.outputPath, { recursive: true });
+    const files = this.formats.map(format => {
+      const file = path.join(this.outputPath, RENDERERS[format].file);
+      fs.writeFileSync(file, RENDERERS[format].render(report));
+      return path.relative(process.cwd(), file);
+    });
+    console.log(`Contract report: ${files.join(', ')}`);
+  }
+}
+
+module.exports = ContractReporter;
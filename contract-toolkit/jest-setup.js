@@ -0,0 +1,10 @@
+/**
+ * Jest setup file (setupFilesAfterEnv) that goes with jest-reporter.js:
+ * records the fetch calls of each test for the contract report. Does nothing
+ * when the reporter isn't configured.
+ */
+const { EXCHANGES_ENV, recordExchanges } = require('./contract-report');
+
+if (process.env[EXCHANGES_ENV] && typeof globalThis.fetch === 'function') {
+  recordExchanges(process.env[EXCHANGES_ENV], () => expect.getState());
+}
@@ -0,0 +1,167 @@
+/**
+ * JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396) for plain JSON
+ * values. Both return a patched copy and leave their input alone.
+ */
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+const ARRAY_INDEX = /^(0|[1-9]\d*)$/;
+
+const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function equal(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => equal(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => key in b && equal(a[key], b[key]));
+  }
+  return a === b;
+}
+
+/**
+ * Reference tokens of a JSON Pointer (RFC 6901): '/a~1b/0' -> ['a/b', '0']
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new Error(`${JSON.stringify(pointer)} is not a JSON Pointer`);
+  }
+  return pointer === '' ? [] : pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function has(container, token) {
+  if (Array.isArray(container)) return ARRAY_INDEX.test(token) && Number(token) < container.length;
+  return isObject(container) && Object.prototype.hasOwnProperty.call(container, token);
+}
+
+/**
+ * The container a pointer ends in and the last token. The document sits
+ * under `value` of a holder object, so that '' (the whole document) works
+ * like any other pointer.
+ */
+function locate(holder, pointer) {
+  const tokens = ['value', ...parsePointer(pointer)];
+  let parent = holder;
+  tokens.slice(0, -1).forEach(token => {
+    if (!has(parent, token)) throw new Error(`${pointer} does not exist`);
+    parent = parent[token];
+  });
+  return { parent, token: tokens[tokens.length - 1] };
+}
+
+function get(holder, pointer) {
+  const { parent, token } = locate(holder, pointer);
+  if (!has(parent, token)) throw new Error(`${pointer} does not exist`);
+  return parent[token];
+}
+
+function add(holder, pointer, value) {
+  const { parent, token } = locate(holder, pointer);
+  if (Array.isArray(parent)) {
+    const index = token === '-' ? parent.length : Number(token);
+    if (token !== '-' && (!ARRAY_INDEX.test(token) || index > parent.length)) {
+      throw new Error(`${pointer} is past the end of its array`);
+    }
+    parent.splice(index, 0, value);
+  } else if (isObject(parent)) {
+    parent[token] = value;
+  } else {
+    throw new Error(`${pointer} does not exist`);
+  }
+}
+
+function remove(holder, pointer) {
+  const { parent, token } = locate(holder, pointer);
+  if (!has(parent, token)) throw new Error(`${pointer} does not exist`);
+  const value = parent[token];
+  if (Array.isArray(parent)) parent.splice(Number(token), 1);
+  else delete parent[token];
+  return value;
+}
+
+function applyOperation(holder, operation) {
+  if (!isObject(operation) || !OPERATIONS.includes(operation.op)) {
+    throw new Error(`op must be one of ${OPERATIONS.join(', ')}`);
+  }
+  const { op, path, from } = operation;
+  parsePointer(path);
+  if (['add', 'replace', 'test'].includes(op) && !('value' in operation)) {
+    throw new Error(`${op} needs a value`);
+  }
+
+  switch (op) {
+    case 'add':
+      return add(holder, path, copy(operation.value));
+    case 'remove':
+      return remove(holder, path);
+    case 'replace':
+      remove(holder, path);
+      return add(holder, path, copy(operation.value));
+    case 'move':
+      if (path.startsWith(`${from}/`)) throw new Error(`${from} cannot be moved into itself`);
+      return add(holder, path, remove(holder, from));
+    case 'copy':
+      return add(holder, path, copy(get(holder, from)));
+    default:
+      if (!equal(get(holder, path), operation.value)) {
+        throw new Error(`value is not ${JSON.stringify(operation.value)}`);
+      }
+  }
+}
+
+/**
+ * Apply a JSON Patch: operations run in order and the first one that fails
+ * throws, with nothing applied
+ *
+ * Usage:
+ *   applyJsonPatch({ price: 5 }, [{ op: 'test', path: '/price', value: 5 }, { op: 'replace', path: '/price', value: 6 }]);
+ *   // -> { price: 6 }
+ *
+ * @param {*} document
+ * @param {Object[]} operations - { op, path, from, value }
+ * @returns {*} - The patched copy
+ * @throws {Error} - 'Operation 1 (replace /color): /color does not exist'
+ */
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new Error('A JSON Patch must be an array of operations');
+  }
+
+  const holder = { value: copy(document) };
+  operations.forEach((operation, index) => {
+    try {
+      applyOperation(holder, operation);
+    } catch (err) {
+      const label = isObject(operation) ? `${operation.op} ${operation.path}` : JSON.stringify(operation);
+      throw new Error(`Operation ${index} (${label}): ${err.message}`);
+    }
+  });
+  return holder.value;
+}
+
+/**
+ * Apply a JSON Merge Patch: objects merge member by member, null removes a
+ * member, anything else (arrays included) replaces what was there
+ *
+ * Usage:
+ *   applyMergePatch({ name: 'Widget', description: 'Old' }, { description: null }); // -> { name: 'Widget' }
+ *
+ * @param {*} document
+ * @param {*} patch
+ * @returns {*} - The patched copy
+ */
+function applyMergePatch(document, patch) {
+  if (!isObject(patch)) {
+    return copy(patch);
+  }
+
+  const result = isObject(document) ? copy(document) : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  });
+  return result;
+}
+
+module.exports = { applyJsonPatch, applyMergePatch };
@@ -0,0 +1,56 @@
+/**
+ * Helpers for reading responses and examples out of resolved operations
+ */
+
+/**
+ * The JSON media type entry of a content map, or its first entry
+ * @returns {Object|null} - { mediaType, media }
+ */
+function jsonMedia(content) {
+  if (!content) return null;
+  const mediaType = Object.keys(content).find(type => type.includes('json')) || Object.keys(content)[0];
+  return mediaType ? { mediaType, media: content[mediaType] } : null;
+}
+
+/**
+ * The media type entry a client's Accept header asks for by name, e.g.
+ * application/vnd.users.v2+json, falling back to jsonMedia()
+ * @returns {Object|null} - { mediaType, media }
+ */
+function acceptedMedia(content, accept) {
+  if (!content) return null;
+  const ranges = (accept || '').split(',')
+    .map(part => {
+      const [type, ...params] = part.split(';').map(item => item.trim().toLowerCase());
+      const q = params.find(param => param.startsWith('q='));
+      return { type, q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(range => range.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  const named = ranges.map(range => Object.keys(content).find(type => type.toLowerCase() === range.type)).find(Boolean);
+  return named ? { mediaType: named, media: content[named] } : jsonMedia(content);
+}
+
+/**
+ * Every example value of a media type object (`example` or `examples`)
+ */
+function exampleValues(media) {
+  if (!media) return [];
+  if (media.example !== undefined) return [media.example];
+  return Object.values(media.examples || {}).map(example => example.value);
+}
+
+/**
+ * Lowest documented 2xx status of an operation, "default" when there is none
+ */
+function successStatus(responses) {
+  return Object.keys(responses || {}).filter(code => /^2(\d\d|XX)$/.test(code)).sort()[0] || 'default';
+}
+
+module.exports = {
+  jsonMedia,
+  acceptedMedia,
+  exampleValues,
+  successStatus
+};
@@ -0,0 +1,335 @@
+const express = require('express');
+const SpecLoader = require('./spec-loader');
+const { openApiValidator } = require('./openapi-validator');
+const ResourceStore = require('./resource-store');
+const { faultInjection } = require('./fault-injection');
+const { generateSample } = require('./sample-generator');
+const { loadRecordings, findRecorded, queryOf } = require('./recording-proxy');
+const { jsonMedia, acceptedMedia, exampleValues, successStatus } = require('./media');
+const { bearerRequirement, bearerToken, tokenScopes, tokenPaths, unsignedToken } = require('./security');
+
+/**
+ * Parse a Prism-style preference header: "Prefer: code=404, example=v2"
+ */
+function parsePrefer(header) {
+  const preferences = {};
+  (header || '').split(',').forEach(part => {
+    const [key, value] = part.split('=').map(item => item && item.trim());
+    if (key && value) preferences[key] = value;
+  });
+  return preferences;
+}
+
+/**
+ * Pick a named example: Prefer header first, then one named after a query or
+ * header parameter value (apiVersion=2 -> "2", "v2", "apiVersion2"), the
+ * parameter's default counting when it is absent.
+ * @param {Function} valueOf - Raw request value of a parameter
+ */
+function selectExample(media, preferred, params, valueOf) {
+  const examples = media.examples || {};
+  const names = Object.keys(examples);
+
+  if (preferred && examples[preferred]) {
+    return examples[preferred].value;
+  }
+
+  // Values the request sent win over the defaults of the other parameters
+  const selectors = [
+    ...params.map(param => [param, valueOf(param)]),
+    ...params.map(param => [param, param.schema && param.schema.default])
+  ].filter(([, value]) => value !== undefined);
+
+  for (const [param, value] of selectors) {
+    const candidates = [`${value}`, `v${value}`, `${param.name}${value}`, `${param.name}=${value}`]
+      .map(candidate => candidate.toLowerCase());
+    const name = names.find(key => candidates.includes(key.toLowerCase()));
+    if (name) return examples[name].value;
+  }
+
+  const values = exampleValues(media);
+  return values.length ? values[0] : generateSample(media.schema);
+}
+
+/**
+ * Items the spec's examples document for the resource behind a templated path,
+ * e.g. the products in the getAllProducts example for /api/products/{id}.
+ * @returns {Object|null} - { param, field, items }, null when examples can't tell
+ */
+function documentedResources(spec, route) {
+  const segments = route.split('/');
+  const param = /^\{(.+)\}$/.exec(segments[segments.length - 1]);
+  if (!param) return null;
+
+  const parent = segments.slice(0, -1).join('/');
+  const items = [];
+
+  spec.getOperations()
+    .filter(op => op.method === 'GET' && (op.path === route || op.path === parent))
+    .forEach(({ operation }) => {
+      Object.entries(operation.responses || {})
+        .filter(([code]) => code.startsWith('2'))
+        .forEach(([, response]) => {
+          const found = jsonMedia(response.content);
+          exampleValues(found && found.media).forEach(value => {
+            items.push(...(Array.isArray(value) ? value : [value]));
+          });
+        });
+    });
+
+  const objects = items.filter(item => item && typeof item === 'object');
+  const field = [param[1], 'id'].find(name => objects.some(item => name in item));
+
+  return field ? { param: param[1], field, items: objects } : null;
+}
+
+/**
+ * Why a request may not call a secured operation: no bearer token, or a JWT
+ * without a required scope. Tokens that aren't JWTs are taken at face value.
+ * @returns {Object|null} - { status, code, message, challenge }
+ */
+function deniedAccess(spec, match, req) {
+  const requirement = bearerRequirement(spec, match.operationId);
+  if (!requirement) return null;
+
+  const token = bearerToken(req.get('Authorization'));
+  if (!token) {
+    return { status: '401', code: 'UNAUTHORIZED', message: 'Missing bearer token', challenge: 'Bearer' };
+  }
+
+  const granted = tokenScopes(token);
+  const missing = granted ? requirement.scopes.filter(scope => !granted.includes(scope)) : [];
+  if (missing.length) {
+    return {
+      status: '403',
+      code: 'INSUFFICIENT_SCOPE',
+      message: `This operation requires the ${missing.join(' ')} scope`,
+      challenge: `Bearer error="insufficient_scope", scope="${requirement.scopes.join(' ')}"`
+    };
+  }
+  return null;
+}
+
+/**
+ * A token response for the scopes a client asked for, so that the tokens it
+ * sends later are granted exactly those scopes
+ */
+function issuedToken(example, req) {
+  const scope = typeof req.body.scope === 'string' && req.body.scope.trim()
+    ? req.body.scope.trim()
+    : tokenScopes(example.access_token) && tokenScopes(example.access_token).join(' ');
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { sub: req.body.client_id || 'mock-client', iat: now, exp: now + (example.expires_in || 3600) };
+  if (scope) claims.scope = scope;
+
+  return { ...example, access_token: unsignedToken(claims), ...(scope && 'scope' in example && { scope }) };
+}
+
+/**
+ * Send a recorded response, leaving out the headers that were redacted
+ */
+function replay(res, response) {
+  Object.entries(response.headers || {}).forEach(([name, value]) => {
+    if (value !== '[redacted]') res.set(name, value);
+  });
+  res.status(response.status);
+  if (response.body === undefined) {
+    return res.end();
+  }
+  res.send(typeof response.body === 'string' ? response.body : JSON.stringify(response.body));
+}
+
+/**
+ * Mock Server
+ * Serves every operation of an OpenAPI spec from its examples, falling back
+ * to schema-generated data. Requests are validated against the spec first.
+ *
+ * Response selection:
+ * - `Prefer: code=404` / `Prefer: example=v2` force a status or named example
+ * - query and header parameters select same-named examples (apiVersion=2 -> "v2")
+ * - media types named in Accept are served over the JSON default
+ * - ids in templated paths are looked up in the documented examples; unknown
+ *   ids get the declared 404 response
+ * - operations secured with a bearer token (oauth2, openIdConnect, http bearer)
+ *   return 401 without one and 403 for JWTs lacking a required scope
+ * - the OAuth2 token endpoints of the spec's flows issue unsigned JWTs with
+ *   the requested scopes
+ *
+ * In stateful mode, collections (/api/products + /api/products/{id}) are kept
+ * in a ResourceStore seeded from the list example, so created, updated and
+ * deleted items show up in later requests. POST /__mock/reset restores the seed.
+ *
+ * Recordings made by the recording proxy are replayed: a request with the
+ * path, query and body of a recorded one gets the recorded response, and
+ * `Prefer: example=getProductById-200` picks a recorded interaction by name.
+ * The stateful store still answers for its collections first.
+ *
+ * Faults (latency, 5xx, dropped connections, malformed or schema-violating
+ * bodies) can be injected through /__faults, see fault-injection.js.
+ *
+ * @param {Object} options
+ * @param {string|SpecLoader} options.spec - Spec file path or loaded spec
+ * @param {boolean} [options.stateful] - Persist writes to collections in memory
+ * @param {Object[]} [options.faults] - Fault rules in force at start
+ * @param {Array<string|Object>} [options.recordings] - Recording files or objects to replay
+ * @param {boolean} [options.verbose] - Log every request
+ * @param {Object} [options.logger] - Defaults to console
+ * @returns {express.Application}
+ */
+function createMockServer(options = {}) {
+  const spec = typeof options.spec === 'string' ? SpecLoader.load(options.spec) : options.spec;
+  const logger = options.logger || console;
+  const store = options.stateful ? new ResourceStore(spec) : null;
+  const tokenEndpoints = tokenPaths(spec);
+  const recorded = loadRecordings(options.recordings);
+  const app = express();
+
+  app.locals.store = store;
+
+  app.post('/__mock/reset', (req, res) => {
+    if (store) store.reset();
+    res.status(204).end();
+  });
+
+  app.use(faultInjection({ rules: options.faults, logger: options.verbose ? logger : null }));
+
+  app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+  app.use(express.urlencoded({ extended: false }));
+
+  // Like a provider, check credentials before validating the request
+  app.use((req, res, next) => {
+    const match = spec.matchOperation(req.method, req.path);
+    const denied = match && !parsePrefer(req.get('Prefer')).code && deniedAccess(spec, match, req);
+    if (!denied) {
+      return next();
+    }
+
+    const response = (match.operation.responses || {})[denied.status];
+    const found = response && jsonMedia(response.content);
+    if (options.verbose) {
+      logger.log(`[mock] ${req.method} ${req.originalUrl} -> ${denied.status} (${match.operationId})`);
+    }
+
+    res.status(Number(denied.status)).set('WWW-Authenticate', denied.challenge);
+    if (response && !found) {
+      return res.end();
+    }
+    const body = found ? selectExample(found.media, null, [], () => undefined) : { code: denied.code, message: denied.message };
+    res.type(found ? found.mediaType : 'application/json').send(JSON.stringify(body));
+  });
+
+  app.use(openApiValidator({ spec, responseValidation: 'off', logger }));
+
+  app.use((req, res) => {
+    const match = spec.matchOperation(req.method, req.path);
+    if (!match) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        message: `No operation in the spec matches ${req.method} ${req.path}`
+      });
+    }
+
+    const { operation } = match;
+    const responses = operation.responses || {};
+    const prefer = parsePrefer(req.get('Prefer'));
+    let status = prefer.code || successStatus(responses);
+    let resource;
+    let state;
+
+    if (!prefer.code && store) {
+      state = store.handle(match, req);
+      if (state) status = state.status;
+    }
+
+    if (!prefer.code && !state && recorded.length) {
+      const sentBody = req.get('content-length') || req.get('transfer-encoding');
+      const replayed = findRecorded(recorded, {
+        operationId: match.operationId,
+        path: req.path,
+        query: queryOf(req.originalUrl),
+        body: sentBody ? req.body : undefined,
+        preferred: prefer.example
+      });
+      if (replayed) {
+        if (options.verbose) {
+          logger.log(`[mock] ${req.method} ${req.originalUrl} -> ${replayed.response.status} (${match.operationId}, recorded ${replayed.name})`);
+        }
+        return replay(res, replayed.response);
+      }
+    }
+
+    if (!prefer.code && !state) {
+      const documented = documentedResources(spec, match.path);
+      if (documented) {
+        resource = documented.items.find(item =>
+          String(item[documented.field]) === String(match.pathParams[documented.param]));
+        if (!resource && responses['404']) {
+          status = '404';
+        }
+      }
+    }
+
+    const response = responses[status] || responses.default;
+    if (!response) {
+      return res.status(500).json({
+        code: 'MOCK_ERROR',
+        message: `No ${status} response documented for ${match.operationId}`
+      });
+    }
+
+    const statusCode = /^\d{3}$/.test(status) ? Number(status) : 200;
+    const found = acceptedMedia(response.content, req.get('Accept'));
+    if (options.verbose) {
+      logger.log(`[mock] ${req.method} ${req.originalUrl} -> ${statusCode} (${match.operationId})`);
+    }
+
+    if (!found) {
+      return res.status(statusCode).end();
+    }
+
+    if (state && state.body !== undefined) {
+      return res.status(statusCode).type(found.mediaType).send(JSON.stringify(state.body));
+    }
+
+    const selectors = spec.getParameters(match.operationId).filter(param => param.in === 'query' || param.in === 'header');
+    const valueOf = param => (param.in === 'query' ? req.query[param.name] : req.get(param.name));
+    let body = resource && req.method === 'GET' && statusCode < 300 && !prefer.example
+      ? resource
+      : selectExample(found.media, prefer.example, selectors, valueOf);
+
+    if (req.method === 'POST' && tokenEndpoints.includes(req.path) && statusCode < 300 &&
+        body && typeof body === 'object' && 'access_token' in body) {
+      body = issuedToken(body, req);
+    }
+
+    res.status(statusCode).type(found.mediaType).send(JSON.stringify(body));
+  });
+
+  return app;
+}
+
+/**
+ * Start a mock server
+ * @param {Object} options - createMockServer options plus port (0 = random) and host
+ * @returns {Promise<Object>} - { server, url, reset(), close() }
+ */
+function startMockServer(options = {}) {
+  const app = createMockServer(options);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(options.port || 0, options.host || '127.0.0.1', () => {
+      const { address, port } = server.address();
+      resolve({
+        server,
+        url: `http://${address}:${port}`,
+        reset: () => app.locals.store && app.locals.store.reset(),
+        close: () => new Promise(done => server.close(done))
+      });
+    }).on('error', reject);
+  });
+}
+
+module.exports = {
+  createMockServer,
+  startMockServer
+};
@@ -0,0 +1,78 @@
+const EXPIRY_MARGIN_SECONDS = 30;
+
+/**
+ * OAuth2 Client Credentials
+ * Fetches access tokens from a token endpoint and caches them per scope set
+ * until shortly before they expire. Test tooling only: API clients should
+ * manage their own tokens.
+ *
+ * Usage:
+ *   const tokens = clientCredentials({
+ *     tokenUrl: 'http://localhost:8080/oauth/token',
+ *     clientId: 'product-api-client',
+ *     clientSecret: 'product-api-secret'
+ *   });
+ *   const token = await tokens.getToken(['products:read']);
+ *
+ * @param {Object} options
+ * @param {string|Function} options.tokenUrl - URL, or a function returning it once servers are up
+ * @param {string} options.clientId
+ * @param {string} options.clientSecret
+ * @param {Function} [options.fetch] - Defaults to the global fetch
+ * @returns {Object} - { getToken(scopes), clear() }
+ */
+function clientCredentials(options) {
+  const fetchImpl = options.fetch || ((...args) => fetch(...args));
+  const cache = new Map();
+
+  const requestToken = async scopes => {
+    const tokenUrl = typeof options.tokenUrl === 'function' ? options.tokenUrl() : options.tokenUrl;
+    const form = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: options.clientId,
+      client_secret: options.clientSecret
+    });
+    if (scopes.length) {
+      form.set('scope', scopes.join(' '));
+    }
+
+    const response = await fetchImpl(tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form.toString()
+    });
+    if (!response.ok) {
+      throw new Error(`Token request to ${tokenUrl} failed: ${response.status} ${await response.text()}`);
+    }
+
+    const { access_token: accessToken, expires_in: expiresIn } = await response.json();
+    if (!accessToken) {
+      throw new Error(`Token response from ${tokenUrl} has no access_token`);
+    }
+    return { accessToken, expiresAt: Date.now() + ((expiresIn || 3600) - EXPIRY_MARGIN_SECONDS) * 1000 };
+  };
+
+  return {
+    /**
+     * @param {string[]} [scopes] - Omit for the client's default scopes
+     * @returns {Promise<string>} - Access token
+     */
+    async getToken(scopes = []) {
+      const key = [...scopes].sort().join(' ');
+      const cached = cache.get(key);
+      if (cached && cached.expiresAt > Date.now()) {
+        return cached.accessToken;
+      }
+
+      const token = await requestToken(scopes);
+      cache.set(key, token);
+      return token.accessToken;
+    },
+
+    clear() {
+      cache.clear();
+    }
+  };
+}
+
+module.exports = { clientCredentials };
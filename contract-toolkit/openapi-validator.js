@@ -0,0 +1,232 @@
+const SchemaValidator = require('./schema-validator');
+const SpecLoader = require('./spec-loader');
+
+const DEFAULT_ERROR_CODES = {
+  400: 'VALIDATION_ERROR',
+  415: 'UNSUPPORTED_MEDIA_TYPE'
+};
+
+/**
+ * Convert a raw path/query/header string into the type its schema declares.
+ * Values that don't convert are returned unchanged so the validator reports them.
+ */
+function coerceParameter(value, schema = {}) {
+  if (value === undefined || value === null) return value;
+
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return typeof value === 'string' && /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value) ? Number(value) : value;
+    case 'boolean':
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return value;
+    case 'array': {
+      const items = Array.isArray(value) ? value : String(value).split(',');
+      return items.map(item => coerceParameter(item, schema.items));
+    }
+    default:
+      return value;
+  }
+}
+
+function mediaTypeOf(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function findMedia(content, mediaType) {
+  if (!content) return undefined;
+  const [type] = mediaType.split('/');
+  return content[mediaType] || content[`${type}/*`] || content['*/*'];
+}
+
+function hasBody(req) {
+  return Number(req.headers['content-length']) > 0 || req.headers['transfer-encoding'] !== undefined;
+}
+
+/**
+ * Validate path, query and header parameters plus the body of a request.
+ * Error paths are prefixed by location: /path/id, /query/limit, /body/name
+ * @returns {Object} - { status, errors, params }
+ */
+function validateRequest(spec, match, req) {
+  const errors = [];
+  const params = { path: {}, query: {}, header: {} };
+  const sources = {
+    path: match.pathParams,
+    query: req.query,
+    header: name => req.get(name)
+  };
+
+  spec.getParameters(match.operationId).forEach(param => {
+    if (!params[param.in]) return;
+
+    const source = sources[param.in];
+    const raw = typeof source === 'function' ? source(param.name) : source[param.name];
+    const at = `/${param.in}/${param.name}`;
+
+    if (raw === undefined || raw === '') {
+      if (param.required) {
+        errors.push({ path: at, keyword: 'required', message: `required ${param.in} parameter '${param.name}' is missing` });
+      }
+      return;
+    }
+
+    const value = coerceParameter(raw, param.schema);
+    params[param.in][param.name] = value;
+    errors.push(...SchemaValidator.validate(value, param.schema || {}, { path: at }).errors);
+  });
+
+  const { requestBody } = match.operation;
+  if (requestBody) {
+    if (!hasBody(req)) {
+      if (requestBody.required) {
+        errors.push({ path: '/body', keyword: 'required', message: 'request body is required' });
+      }
+    } else {
+      const mediaType = mediaTypeOf(req.get('content-type'));
+      const media = findMedia(requestBody.content, mediaType);
+
+      if (!media) {
+        return {
+          status: 415,
+          errors: [{ path: '/body', keyword: 'contentType', message: `content type '${mediaType}' is not supported` }],
+          params
+        };
+      }
+      if (media.schema) {
+        errors.push(...SchemaValidator.validate(req.body, media.schema, { path: '/body' }).errors);
+      }
+    }
+  }
+
+  return { status: 400, errors, params };
+}
+
+/**
+ * Check that a status code is documented and the body matches its schema
+ * @returns {Object[]} - Validation errors
+ */
+function validateResponse(spec, match, status, body, contentType) {
+  let response;
+  try {
+    response = spec.getResponse(match.operationId, status);
+  } catch (err) {
+    return [{ path: '', keyword: 'status', message: `status ${status} is not documented for ${match.operationId}` }];
+  }
+
+  if (body === undefined || body === '') {
+    return [];
+  }
+  if (!response.content) {
+    return [{ path: '', keyword: 'content', message: `status ${status} of ${match.operationId} is documented without a body` }];
+  }
+
+  const mediaType = mediaTypeOf(contentType) || 'application/json';
+  const media = findMedia(response.content, mediaType);
+  if (!media) {
+    return [{ path: '', keyword: 'contentType', message: `content type '${mediaType}' is not documented for status ${status}` }];
+  }
+
+  return media.schema ? SchemaValidator.validate(body, media.schema).errors : [];
+}
+
+/**
+ * OpenAPI Validation Middleware
+ * Enforces an OpenAPI 3.0 spec at runtime: rejects requests that don't match
+ * their operation and reports responses that don't match their status code.
+ * Routes that aren't in the spec (e.g. /health) pass through untouched; HEAD
+ * requests are held to the GET operation of their path unless the spec has one.
+ *
+ * Usage:
+ *   app.use(express.json());
+ *   app.use(openApiValidator({ spec: 'specs/products-api.yaml', responseValidation: 'strict' }));
+ *
+ * @param {Object} options
+ * @param {string|SpecLoader} options.spec - Spec file path or loaded spec
+ * @param {string} [options.responseValidation] - 'strict' (replace with 500), 'warn' (log only) or 'off'
+ * @param {Object} [options.errorCodes] - Error `code` per JSON pointer, e.g. { '/body/price': 'INVALID_PRICE' }
+ * @param {string} [options.defaultErrorCode] - Error `code` for 400s without an errorCodes entry
+ * @param {Object} [options.logger] - Receives warn/error calls (defaults to console)
+ */
+function openApiValidator(options = {}) {
+  const spec = typeof options.spec === 'string' ? SpecLoader.load(options.spec) : options.spec;
+  const responseValidation = options.responseValidation || 'strict';
+  const errorCodes = options.errorCodes || {};
+  const logger = options.logger || console;
+
+  if (!['strict', 'warn', 'off'].includes(responseValidation)) {
+    throw new Error(`Invalid responseValidation mode: ${responseValidation}`);
+  }
+
+  const errorBody = (status, errors) => ({
+    code: errorCodes[errors[0].path] ||
+      (status === 400 && options.defaultErrorCode) ||
+      DEFAULT_ERROR_CODES[status],
+    message: SchemaValidator.formatErrors(errors).join('; ')
+  });
+
+  const checkResponses = (req, res, match) => {
+    const json = res.json.bind(res);
+    const send = res.send.bind(res);
+    let validated = false;
+
+    const report = (errors, original) => {
+      const summary = `${req.method} ${req.originalUrl} -> ${res.statusCode} violates the spec: ${SchemaValidator.formatErrors(errors).join('; ')}`;
+
+      if (responseValidation === 'warn') {
+        logger.warn(`[openapi] ${summary}`);
+        return original();
+      }
+
+      logger.error(`[openapi] ${summary}`);
+      res.status(500);
+      return json({ code: 'RESPONSE_VALIDATION_FAILED', message: summary });
+    };
+
+    res.json = body => {
+      validated = true;
+      const errors = validateResponse(spec, match, res.statusCode, body, res.get('Content-Type'));
+      return errors.length ? report(errors, () => json(body)) : json(body);
+    };
+
+    res.send = body => {
+      // res.json ends in res.send, and objects passed to res.send go through res.json
+      const isObject = body !== null && typeof body === 'object' && !Buffer.isBuffer(body);
+      if (validated || isObject) {
+        return send(body);
+      }
+      validated = true;
+      const errors = validateResponse(spec, match, res.statusCode, body, res.get('Content-Type'));
+      return errors.length ? report(errors, () => send(body)) : send(body);
+    };
+  };
+
+  return (req, res, next) => {
+    // Express answers HEAD with the GET route, so it's checked as that GET
+    const match = spec.matchOperation(req.method, req.path) ||
+      (req.method === 'HEAD' ? spec.matchOperation('GET', req.path) : null);
+    if (!match) {
+      return next();
+    }
+
+    const { status, errors, params } = validateRequest(spec, match, req);
+    req.openapi = { operationId: match.operationId, operation: match.operation, params };
+
+    if (errors.length) {
+      return res.status(status).json(errorBody(status, errors));
+    }
+
+    if (responseValidation !== 'off') {
+      checkResponses(req, res, match);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  openApiValidator,
+  validateRequest,
+  validateResponse,
+  coerceParameter
+};
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const { version } = require('./package.json');
+
+function parseBody(body) {
+  if (body === undefined || body === null || body === '') return undefined;
+  if (typeof body !== 'string') return body;
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    return body;
+  }
+}
+
+function queryOf(url) {
+  const query = {};
+  url.searchParams.forEach((value, name) => {
+    (query[name] = query[name] || []).push(value);
+  });
+  return Object.keys(query).length ? query : undefined;
+}
+
+function headerOf(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) || undefined;
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key && headers[key] !== undefined ? String(headers[key]) : undefined;
+}
+
+const segment = key => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? `.${key}` : `['${key}']`);
+
+/**
+ * Pact v3 "type" matching rules for every field of a body: the provider has
+ * to return the same fields with the same types, not the same values.
+ * Arrays only need at least one item of the recorded shape.
+ */
+function typeRules(value, pointer = '$', rules = {}) {
+  if (Array.isArray(value)) {
+    rules[pointer] = { matchers: [{ match: 'type', min: value.length ? 1 : 0 }] };
+    if (value.length) typeRules(value[0], `${pointer}[*]`, rules);
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => typeRules(item, `${pointer}${segment(key)}`, rules));
+  } else {
+    rules[pointer] = { matchers: [{ match: 'type' }] };
+  }
+  return rules;
+}
+
+const sameRequest = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Pact Recorder
+ * Records the HTTP traffic of an API client during its tests and writes it
+ * as a Pact v3 file, <consumer>-<provider>.json, for provider verification.
+ *
+ * Usage:
+ *   const pact = new PactRecorder({ consumer: 'SF-18.1', provider: 'UsersApi' });
+ *   pact.wrapAxios(client.client);               // or new ApiClient(url, { fetch: pact.wrapFetch() })
+ *   pact.given('users exist');                   // provider state for the next interactions
+ *   await client.getUsers();
+ *   pact.write();                                // pacts/SF-18.1-UsersApi.json
+ */
+class PactRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.consumer - Consumer name
+   * @param {string} options.provider - Provider name
+   * @param {string} [options.pactDir] - Output directory (defaults to ./pacts)
+   * @param {boolean} [options.matchingRules] - Add type matching rules to response bodies (default true)
+   * @param {string[]} [options.headers] - Request headers to record besides Content-Type, e.g.
+   *   ['Accept', 'API-Version'] when they select what the provider returns
+   */
+  constructor(options) {
+    if (!options || !options.consumer || !options.provider) {
+      throw new Error('PactRecorder needs a consumer and a provider name');
+    }
+
+    this.consumer = options.consumer;
+    this.provider = options.provider;
+    this.pactDir = options.pactDir || path.resolve('pacts');
+    this.matchingRules = options.matchingRules !== false;
+    this.headers = options.headers || [];
+    this.interactions = [];
+    this.providerStates = [];
+    this.description = null;
+  }
+
+  /**
+   * Set the provider state of every interaction recorded from now on
+   * @param {string} [state] - e.g. "product with ID 1 exists"; omit to clear
+   * @param {Object} [params] - Pact v3 state parameters
+   * @returns {PactRecorder}
+   */
+  given(state, params) {
+    this.providerStates = state ? [params ? { name: state, params } : { name: state }] : [];
+    return this;
+  }
+
+  /**
+   * Describe the next recorded interaction (defaults to "GET /path?query")
+   * @returns {PactRecorder}
+   */
+  uponReceiving(description) {
+    this.description = description;
+    return this;
+  }
+
+  /**
+   * Add an interaction. Repeats of a request under the same state are kept once.
+   * @param {Object} request - { method, url, headers, body }
+   * @param {Object} response - { status, headers, body }
+   */
+  record(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const contentType = headerOf(request.headers, 'content-type');
+    const responseType = headerOf(response.headers, 'content-type');
+    const requestBody = parseBody(request.body);
+    const responseBody = parseBody(response.body);
+
+    const headers = {};
+    this.headers.forEach(name => {
+      const value = headerOf(request.headers, name);
+      if (value !== undefined) headers[name] = value;
+    });
+    if (requestBody !== undefined && contentType) headers['Content-Type'] = contentType;
+
+    const recordedRequest = {
+      method: request.method.toUpperCase(),
+      path: url.pathname,
+      ...(queryOf(url) && { query: queryOf(url) }),
+      ...(Object.keys(headers).length && { headers }),
+      ...(requestBody !== undefined && { body: requestBody })
+    };
+    const recordedResponse = {
+      status: response.status,
+      ...(responseType && { headers: { 'Content-Type': responseType } }),
+      ...(responseBody !== undefined && { body: responseBody }),
+      ...(this.matchingRules && responseBody !== undefined && typeof responseBody === 'object' && {
+        matchingRules: { body: typeRules(responseBody) }
+      })
+    };
+
+    const base = this.description || `${recordedRequest.method} ${url.pathname}${url.search}`;
+    this.description = null;
+    const states = JSON.stringify(this.providerStates);
+    const sameKey = this.interactions.filter(interaction =>
+      JSON.stringify(interaction.providerStates || []) === states &&
+      (interaction.description === base || interaction.description.startsWith(`${base} (`)));
+
+    if (sameKey.some(interaction => sameRequest(interaction.request, recordedRequest))) {
+      return;
+    }
+
+    this.interactions.push({
+      description: sameKey.length ? `${base} (${sameKey.length + 1})` : base,
+      ...(this.providerStates.length && { providerStates: this.providerStates }),
+      request: recordedRequest,
+      response: recordedResponse
+    });
+  }
+
+  /**
+   * A fetch that records every call
+   * @param {Function} [fetchImpl] - Defaults to the global fetch
+   * @returns {Function}
+   */
+  wrapFetch(fetchImpl = globalThis.fetch) {
+    return async (input, init = {}) => {
+      const response = await fetchImpl(input, init);
+      const isRequest = typeof input === 'object' && !(input instanceof URL);
+      const body = await response.clone().text();
+
+      this.record(
+        {
+          method: init.method || (isRequest && input.method) || 'GET',
+          url: isRequest ? input.url : String(input),
+          headers: init.headers || (isRequest && input.headers),
+          body: init.body
+        },
+        { status: response.status, headers: response.headers, body }
+      );
+      return response;
+    };
+  }
+
+  /**
+   * Record every response of an axios instance, including error statuses
+   * @param {Object} instance - axios instance
+   * @returns {Object} - The same instance
+   */
+  wrapAxios(instance) {
+    const capture = response => this.record(
+      {
+        method: response.config.method,
+        url: instance.getUri(response.config),
+        headers: response.config.headers,
+        body: response.config.data
+      },
+      { status: response.status, headers: response.headers, body: response.data }
+    );
+
+    instance.interceptors.response.use(
+      response => {
+        capture(response);
+        return response;
+      },
+      error => {
+        if (error.response) capture(error.response);
+        return Promise.reject(error);
+      }
+    );
+    return instance;
+  }
+
+  /**
+   * @returns {Object} - Pact v3 document
+   */
+  toPact() {
+    return {
+      consumer: { name: this.consumer },
+      provider: { name: this.provider },
+      interactions: this.interactions,
+      metadata: {
+        pactSpecification: { version: '3.0.0' },
+        client: { name: 'contract-toolkit', version }
+      }
+    };
+  }
+
+  /**
+   * Write the pact file, replacing any previous recording
+   * @returns {string} - Path of the written file
+   */
+  write() {
+    const file = path.join(this.pactDir, `${this.consumer}-${this.provider}.json`);
+    fs.mkdirSync(this.pactDir, { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(this.toPact(), null, 2)}\n`);
+    return file;
+  }
+}
+
+module.exports = PactRecorder;
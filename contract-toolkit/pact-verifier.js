@@ -0,0 +1,367 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Split a matching rule path such as $.users[*]['e-mail'] into tokens
+ */
+function parseRulePath(rulePath) {
+  const tokens = [];
+  const pattern = /\.([^.[\]]+)|\[\*\]|\[(\d+)\]|\['([^']+)'\]/g;
+  let match;
+  while ((match = pattern.exec(rulePath.slice(1))) !== null) {
+    if (match[0] === '[*]') tokens.push('*');
+    else tokens.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? Number(match[2]) : match[3]);
+  }
+  return tokens;
+}
+
+function formatPath(tokens) {
+  return tokens.reduce((text, token) => {
+    if (typeof token === 'number') return `${text}[${token}]`;
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(token) ? `${text}.${token}` : `${text}['${token}']`;
+  }, '$');
+}
+
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Matching rules by path, most specific first when several apply
+ */
+function compileRules(rules = {}) {
+  return Object.entries(rules).map(([rulePath, rule]) => ({
+    tokens: parseRulePath(rulePath),
+    matchers: rule.matchers || [rule],
+    combine: rule.combine || 'AND'
+  }));
+}
+
+function ruleFor(rules, tokens) {
+  const candidates = rules.filter(rule => rule.tokens.length === tokens.length &&
+    rule.tokens.every((token, i) => token === '*' || token === tokens[i] ||
+      (typeof tokens[i] === 'number' && token === String(tokens[i]))));
+  const weight = rule => rule.tokens.filter(token => token !== '*').length;
+  return candidates.sort((a, b) => weight(b) - weight(a))[0];
+}
+
+// Type matchers cascade: a rule on $.users applies to everything below it
+function inheritsTypeMatching(rules, tokens) {
+  for (let length = tokens.length - 1; length >= 0; length--) {
+    const rule = ruleFor(rules, tokens.slice(0, length));
+    if (rule) return rule.matchers.some(matcher => matcher.match === 'type');
+  }
+  return false;
+}
+
+function applyMatcher(matcher, expected, actual) {
+  switch (matcher.match) {
+    case 'type': {
+      if (jsonType(expected) !== jsonType(actual)) {
+        return `expected type ${jsonType(expected)} but got ${jsonType(actual)}`;
+      }
+      if (Array.isArray(actual) && matcher.min !== undefined && actual.length < matcher.min) {
+        return `expected at least ${matcher.min} item(s) but got ${actual.length}`;
+      }
+      if (Array.isArray(actual) && matcher.max !== undefined && actual.length > matcher.max) {
+        return `expected at most ${matcher.max} item(s) but got ${actual.length}`;
+      }
+      return null;
+    }
+    case 'regex': {
+      let pattern;
+      try {
+        pattern = new RegExp(`^(?:${matcher.regex})$`);
+      } catch (err) {
+        return `invalid regex matcher /${matcher.regex}/: ${err.message}`;
+      }
+      return typeof actual !== 'object' && pattern.test(String(actual))
+        ? null
+        : `expected ${JSON.stringify(actual)} to match /${matcher.regex}/`;
+    }
+    case 'equality':
+      return JSON.stringify(expected) === JSON.stringify(actual)
+        ? null
+        : `expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`;
+    case 'include':
+      return typeof actual === 'string' && actual.includes(matcher.value)
+        ? null
+        : `expected ${JSON.stringify(actual)} to include ${JSON.stringify(matcher.value)}`;
+    case 'integer':
+      return Number.isInteger(actual) ? null : `expected an integer but got ${JSON.stringify(actual)}`;
+    case 'decimal':
+    case 'number':
+      return typeof actual === 'number' ? null : `expected a number but got ${JSON.stringify(actual)}`;
+    case 'boolean':
+      return typeof actual === 'boolean' ? null : `expected a boolean but got ${JSON.stringify(actual)}`;
+    case 'null':
+      return actual === null ? null : `expected null but got ${JSON.stringify(actual)}`;
+    default:
+      return `unsupported matcher '${matcher.match}'`;
+  }
+}
+
+function compareBody(expected, actual, rules, tokens = [], mismatches = []) {
+  const at = formatPath(tokens);
+  const rule = ruleFor(rules, tokens);
+  const typeMatching = (rule && rule.matchers.some(matcher => matcher.match === 'type')) ||
+    (!rule && inheritsTypeMatching(rules, tokens));
+
+  if (rule) {
+    const failures = rule.matchers.map(matcher => applyMatcher(matcher, expected, actual)).filter(Boolean);
+    const failed = rule.combine === 'OR' ? failures.length === rule.matchers.length : failures.length > 0;
+    if (failed) {
+      mismatches.push({ path: at, message: failures[0] });
+      return mismatches;
+    }
+    if (!typeMatching || (jsonType(actual) !== 'array' && jsonType(actual) !== 'object')) {
+      return mismatches;
+    }
+  }
+
+  if (jsonType(expected) !== jsonType(actual)) {
+    mismatches.push({ path: at, message: `expected type ${jsonType(expected)} but got ${jsonType(actual)}` });
+    return mismatches;
+  }
+
+  if (Array.isArray(expected)) {
+    if (typeMatching) {
+      // Every item has to look like the recorded one
+      if (expected.length) {
+        actual.forEach((item, i) => compareBody(expected[0], item, rules, [...tokens, i], mismatches));
+      }
+    } else if (expected.length !== actual.length) {
+      mismatches.push({ path: at, message: `expected ${expected.length} item(s) but got ${actual.length}` });
+    } else {
+      expected.forEach((item, i) => compareBody(item, actual[i], rules, [...tokens, i], mismatches));
+    }
+    return mismatches;
+  }
+
+  if (expected && typeof expected === 'object') {
+    Object.keys(expected).forEach(key => {
+      if (!(key in actual)) {
+        mismatches.push({ path: formatPath([...tokens, key]), message: 'missing from the response' });
+        return;
+      }
+      compareBody(expected[key], actual[key], rules, [...tokens, key], mismatches);
+    });
+    return mismatches;
+  }
+
+  if (!typeMatching && expected !== actual) {
+    mismatches.push({ path: at, message: `expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}` });
+  }
+  return mismatches;
+}
+
+/**
+ * Compare an actual body with the expected one under Pact v3 matching rules.
+ * Without a rule values must be equal; objects may carry extra keys.
+ * @param {*} expected - Recorded body
+ * @param {*} actual - Received body
+ * @param {Object} [matchingRules] - The pact's matchingRules.body
+ * @returns {Object[]} - { path, message }
+ */
+function matchBody(expected, actual, matchingRules) {
+  return compareBody(expected, actual, compileRules(matchingRules));
+}
+
+function matchHeaders(expected = {}, actual) {
+  return Object.entries(expected).flatMap(([name, value]) => {
+    const received = actual.get(name);
+    if (received === null) {
+      return [{ path: `header ${name}`, message: 'missing from the response' }];
+    }
+    if (name.toLowerCase() === 'content-type') {
+      // Parameters the pact doesn't mention (e.g. charset) are ignored
+      const normalize = header => header.split(';').map(part => part.trim().toLowerCase());
+      const [expectedType, ...expectedParams] = normalize(value);
+      const [actualType, ...actualParams] = normalize(received);
+      if (expectedType === actualType && expectedParams.every(param => actualParams.includes(param))) {
+        return [];
+      }
+    } else if (received === String(value)) {
+      return [];
+    }
+    return [{ path: `header ${name}`, message: `expected ${JSON.stringify(value)} but got ${JSON.stringify(received)}` }];
+  });
+}
+
+async function replay(baseUrl, request, requestHeaders) {
+  const url = new URL(request.path, baseUrl);
+  Object.entries(request.query || {}).forEach(([name, values]) => {
+    (Array.isArray(values) ? values : [values]).forEach(value => url.searchParams.append(name, value));
+  });
+
+  const headers = { ...request.headers };
+  const extra = typeof requestHeaders === 'function' ? await requestHeaders(request) : requestHeaders;
+  // Headers the consumer recorded win over the verifier's, e.g. a deliberately bad token
+  Object.entries(extra || {}).forEach(([name, value]) => {
+    if (!Object.keys(headers).some(header => header.toLowerCase() === name.toLowerCase())) {
+      headers[name] = value;
+    }
+  });
+  const hasBody = request.body !== undefined;
+  if (hasBody && !Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  return fetch(url, {
+    method: request.method,
+    headers,
+    body: hasBody ? (typeof request.body === 'string' ? request.body : JSON.stringify(request.body)) : undefined
+  });
+}
+
+async function setUpStates(interaction, options) {
+  for (const { name, params = {} } of interaction.providerStates || []) {
+    if (options.stateHandlers && options.stateHandlers[name]) {
+      await options.stateHandlers[name](params);
+    } else if (options.providerStatesSetupUrl) {
+      const response = await fetch(options.providerStatesSetupUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ state: name, params, action: 'setup' })
+      });
+      if (!response.ok) {
+        throw new Error(`provider state '${name}' could not be set up: ${response.status} ${await response.text()}`);
+      }
+    } else {
+      throw new Error(`no handler for provider state '${name}'`);
+    }
+  }
+}
+
+/**
+ * Replay one interaction and compare the response
+ * @returns {Promise<Object>} - { description, providerStates, passed, mismatches }
+ */
+async function verifyInteraction(interaction, options) {
+  const result = {
+    description: interaction.description,
+    providerStates: (interaction.providerStates || []).map(state => state.name),
+    passed: false,
+    mismatches: []
+  };
+
+  try {
+    await setUpStates(interaction, options);
+  } catch (err) {
+    result.mismatches.push({ path: 'provider state', message: err.message });
+    return result;
+  }
+
+  const expected = interaction.response;
+  let response;
+  let text;
+  try {
+    response = await replay(options.providerBaseUrl, interaction.request, options.requestHeaders);
+    text = await response.text();
+  } catch (err) {
+    // Refused or reset connections fail this interaction, not the whole run
+    const reason = err.cause ? `${err.message}: ${err.cause.message}` : err.message;
+    result.mismatches.push({ path: 'request', message: `request to ${options.providerBaseUrl} failed: ${reason}` });
+    return result;
+  }
+
+  if (response.status !== expected.status) {
+    result.mismatches.push({ path: 'status', message: `expected ${expected.status} but got ${response.status}` });
+  }
+  result.mismatches.push(...matchHeaders(expected.headers, response.headers));
+
+  if (expected.body !== undefined) {
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch (err) {
+      // Plain text bodies are compared as strings
+    }
+    const rules = expected.matchingRules && expected.matchingRules.body;
+    result.mismatches.push(...matchBody(expected.body, body, rules).map(mismatch => ({ ...mismatch, path: `body ${mismatch.path}` })));
+  }
+
+  result.passed = result.mismatches.length === 0;
+  return result;
+}
+
+/**
+ * Pact Verifier
+ * Replays every interaction of a Pact v3 file against a running provider,
+ * setting up each interaction's provider states first, and checks the
+ * responses under the pact's matching rules.
+ *
+ * Usage:
+ *   const report = await verifyPact({
+ *     pact: 'pacts/ProductApiClient-ProductService.json',
+ *     providerBaseUrl: 'http://localhost:8080',
+ *     providerStatesSetupUrl: 'http://localhost:8080/provider-states'
+ *   });
+ *
+ * @param {Object} options
+ * @param {string|Object} options.pact - Pact file path or parsed pact
+ * @param {string} options.providerBaseUrl
+ * @param {Object} [options.stateHandlers] - State name -> async function(params), run in-process
+ * @param {string} [options.providerStatesSetupUrl] - Endpoint for states without a local handler
+ * @param {Object|Function} [options.requestHeaders] - Headers added to every replayed request, or an
+ *   async function(request) returning them; e.g. a fresh Authorization header, since pacts don't keep tokens
+ * @returns {Promise<Object>} - { consumer, provider, passed, results }
+ */
+async function verifyPact(options) {
+  const pact = typeof options.pact === 'string'
+    ? JSON.parse(fs.readFileSync(options.pact, 'utf8'))
+    : options.pact;
+  const results = [];
+
+  // Interactions share the provider's data, so they run one at a time
+  for (const interaction of pact.interactions || []) {
+    results.push(await verifyInteraction(interaction, options));
+  }
+
+  return {
+    consumer: pact.consumer.name,
+    provider: pact.provider.name,
+    passed: results.every(result => result.passed),
+    results
+  };
+}
+
+/**
+ * Pact files in a directory, optionally only those for one provider
+ * @returns {string[]}
+ */
+function findPacts(dir, provider) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.join(dir, file))
+    .filter(file => !provider || JSON.parse(fs.readFileSync(file, 'utf8')).provider.name === provider);
+}
+
+/**
+ * Render a verification as a per-interaction pass/fail report
+ * @param {Object} report - From verifyPact
+ * @returns {string}
+ */
+function formatVerification(report) {
+  const failed = report.results.filter(result => !result.passed).length;
+  const lines = [`Verifying a pact between ${report.consumer} and ${report.provider}`];
+
+  report.results.forEach(result => {
+    const given = result.providerStates.length ? ` (given ${result.providerStates.join(', ')})` : '';
+    lines.push(`  ${result.passed ? '✓' : '✗'} ${result.description}${given}`);
+    result.mismatches.forEach(mismatch => lines.push(`      ${mismatch.path}: ${mismatch.message}`));
+  });
+
+  lines.push(`${report.results.length} interactions, ${report.results.length - failed} passed, ${failed} failed`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  verifyPact,
+  verifyInteraction,
+  matchBody,
+  findPacts,
+  formatVerification
+};
@@ -0,0 +1,53 @@
+const express = require('express');
+
+/**
+ * Provider State Middleware
+ * Lets a pact verifier put the provider into the state an interaction was
+ * recorded in, like ProviderStateMiddleware.cs in the .NET provider tests.
+ * Mount it in test mode only: it rewrites the provider's data on request.
+ *
+ * POST /provider-states { "state": "product exists", "params": { "id": 1 } }
+ *
+ * Usage:
+ *   if (process.env.PACT_PROVIDER_STATES === 'true') {
+ *     app.use(providerStateMiddleware({
+ *       'no products exist': () => { products = []; },
+ *       'product exists': ({ id }) => { ... }
+ *     }));
+ *   }
+ *
+ * @param {Object} handlers - State name -> function(params), may be async
+ * @param {Object} [options]
+ * @param {string} [options.path] - Defaults to /provider-states
+ * @returns {express.Router}
+ */
+function providerStateMiddleware(handlers, options = {}) {
+  const router = express.Router();
+
+  router.post(options.path || '/provider-states', express.json(), async (req, res, next) => {
+    const { state, params = {}, action = 'setup' } = req.body || {};
+
+    // Interactions without a state and teardown calls need no work
+    if (!state || action !== 'setup') {
+      return res.status(200).end();
+    }
+
+    if (!handlers[state]) {
+      return res.status(400).json({
+        code: 'UNKNOWN_PROVIDER_STATE',
+        message: `No handler for provider state '${state}'`
+      });
+    }
+
+    try {
+      await handlers[state](params);
+      res.status(200).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { providerStateMiddleware };
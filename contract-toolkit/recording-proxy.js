@@ -0,0 +1,368 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const yaml = require('js-yaml');
+const SpecLoader = require('./spec-loader');
+const { validateRequest, validateResponse } = require('./openapi-validator');
+
+// Field, parameter and header names whose values never reach a recording
+const DEFAULT_REDACT = ['authorization', 'cookie', 'set-cookie', 'password', 'client_secret', 'access_token', 'refresh_token'];
+const REDACTED = '[redacted]';
+
+// Hop-by-hop headers, and ones fetch takes care of, aren't passed on
+const SKIPPED_REQUEST_HEADERS = ['host', 'connection', 'keep-alive', 'content-length', 'transfer-encoding', 'accept-encoding'];
+const SKIPPED_RESPONSE_HEADERS = ['connection', 'keep-alive', 'content-length', 'transfer-encoding', 'content-encoding', 'date'];
+
+const mediaTypeOf = contentType => (contentType || '').split(';')[0].trim().toLowerCase();
+const isJson = contentType => /[/+]json$/.test(mediaTypeOf(contentType));
+const FORM = 'application/x-www-form-urlencoded';
+
+/**
+ * Query parameters of a URL, repeated ones as arrays
+ * @param {string} url - Absolute, or a path with a query string
+ * @returns {Object}
+ */
+function queryOf(url) {
+  const query = {};
+  new URL(url, 'http://localhost').searchParams.forEach((value, name) => {
+    if (name in query) query[name] = [].concat(query[name], value);
+    else query[name] = value;
+  });
+  return query;
+}
+
+// JSON with sorted keys, so that equal values compare equal
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * A copy of a value with the members named in `fields` (at any depth, any
+ * case) replaced by '[redacted]'
+ *
+ * Usage:
+ *   redact({ user: { Password: 'x' } }, ['password'], '/body'); // -> { value: { user: { Password: '[redacted]' } }, pointers: ['/body/user/Password'] }
+ *
+ * @param {*} value
+ * @param {string[]} fields
+ * @param {string} [pointer] - JSON pointer of value, prefixed to the pointers returned
+ * @returns {Object} - { value, pointers }
+ */
+function redact(value, fields, pointer = '') {
+  const names = fields.map(field => field.toLowerCase());
+  const pointers = [];
+
+  const walk = (node, at) => {
+    if (Array.isArray(node)) return node.map((item, i) => walk(item, `${at}/${i}`));
+    if (!node || typeof node !== 'object') return node;
+
+    const copy = {};
+    Object.entries(node).forEach(([key, item]) => {
+      const itemPointer = `${at}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+      if (names.includes(key.toLowerCase())) {
+        copy[key] = REDACTED;
+        pointers.push(itemPointer);
+      } else {
+        copy[key] = walk(item, itemPointer);
+      }
+    });
+    return copy;
+  };
+
+  return { value: walk(value, pointer), pointers };
+}
+
+function parseBody(buffer, contentType) {
+  if (!buffer || !buffer.length) return undefined;
+  const text = buffer.toString('utf8');
+  if (mediaTypeOf(contentType) === FORM) return Object.fromEntries(new URLSearchParams(text));
+  if (!isJson(contentType)) return text;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+/**
+ * Middleware passing every request on to target and relaying the answer,
+ * once onExchange has had both, their bodies parsed:
+ *   onExchange({ method, url, path, headers, body }, { status, headers, body })
+ * with the response's cookies as an array in headers['set-cookie']. An
+ * unreachable target gets 502; an onExchange that throws (say, a recording
+ * that can't be written) goes to the app's error handling instead of the answer.
+ *
+ * @param {string} target - Base URL of the provider
+ * @param {Function} onExchange
+ * @returns {Function[]}
+ */
+function forwardTo(target, onExchange) {
+  // Bodies are passed on byte for byte
+  return [express.raw({ type: () => true, limit: '10mb' }), async (req, res, next) => {
+    try {
+      const body = Buffer.isBuffer(req.body) && req.body.length ? req.body : undefined;
+      const headers = {};
+      Object.entries(req.headers).forEach(([name, value]) => {
+        if (!SKIPPED_REQUEST_HEADERS.includes(name)) headers[name] = value;
+      });
+
+      let upstream;
+      let responseBody;
+      try {
+        upstream = await fetch(new URL(req.originalUrl, target), { method: req.method, headers, body, redirect: 'manual' });
+        responseBody = Buffer.from(await upstream.arrayBuffer());
+      } catch (err) {
+        return res.status(502).json({ code: 'BAD_GATEWAY', message: `${target} did not answer: ${err.message}` });
+      }
+
+      const responseHeaders = {};
+      upstream.headers.forEach((value, name) => {
+        if (!SKIPPED_RESPONSE_HEADERS.includes(name) && name !== 'set-cookie') responseHeaders[name] = value;
+      });
+      const cookies = upstream.headers.getSetCookie();
+
+      await onExchange({
+        method: req.method,
+        url: req.originalUrl,
+        path: req.path,
+        headers: req.headers,
+        body: parseBody(body, req.get('content-type'))
+      }, {
+        status: upstream.status,
+        // Cookies can't be joined with commas: Expires dates hold one
+        headers: { ...responseHeaders, ...(cookies.length && { 'set-cookie': cookies }) },
+        body: parseBody(responseBody, upstream.headers.get('content-type'))
+      });
+
+      res.status(upstream.status).set(responseHeaders);
+      if (cookies.length) res.set('set-cookie', cookies);
+      res.end(responseBody);
+    } catch (err) {
+      next(err);
+    }
+  }];
+}
+
+/**
+ * Recording Proxy
+ * A reverse proxy that passes every request on to a provider and records the
+ * ones the spec documents: request, response, the interaction's name
+ * (`getProductById-200`), and the ways either breaks the spec. Configured
+ * fields are redacted before anything is kept.
+ *
+ * Control endpoints of the proxy itself:
+ *   GET    /__recording  -> { title, target, interactions }
+ *   DELETE /__recording  forgets the interactions recorded so far
+ *
+ * Usage:
+ *   const app = createRecordingProxy({ spec: 'specs/products-api.yaml', target: 'http://localhost:8080', out: 'recordings/products.json' });
+ *   app.listen(8081);  // point the consumer at :8081
+ *
+ * @param {Object} options
+ * @param {string|SpecLoader} options.spec
+ * @param {string} options.target - Base URL of the provider
+ * @param {string[]} [options.redact] - Header, query parameter and body field names to redact,
+ *   on top of credentials (Authorization, cookies, password, client_secret, access_token, refresh_token)
+ * @param {string} [options.out] - Rewrite this recording file after every interaction
+ * @param {string} [options.examplesOut] - Rewrite this named-examples YAML file after every interaction
+ * @param {Object} [options.logger] - Defaults to console; null for quiet
+ * @returns {express.Application} - app.locals.recording holds { title, target, interactions }
+ */
+function createRecordingProxy(options) {
+  const spec = typeof options.spec === 'string' ? SpecLoader.load(options.spec) : options.spec;
+  const fields = [...DEFAULT_REDACT, ...(options.redact || [])];
+  const logger = options.logger === undefined ? console : options.logger;
+  const recording = { title: spec.document.info.title, target: options.target, interactions: [] };
+  const app = express();
+
+  app.locals.recording = recording;
+
+  app.get('/__recording', (req, res) => res.json(recording));
+
+  app.delete('/__recording', (req, res) => {
+    recording.interactions = [];
+    res.status(204).end();
+  });
+
+  app.use(forwardTo(options.target, (request, response) => {
+    const match = spec.matchOperation(request.method, request.path);
+    if (!match) {
+      if (logger && !request.path.startsWith('/__')) logger.log(`[record] ${request.method} ${request.url} is not in the spec, not recorded`);
+      return;
+    }
+
+    const interaction = record(spec, match, fields, request, response, recording.interactions);
+    // Kept only once written, so GET /__recording never has more than the files
+    const written = { ...recording, interactions: [...recording.interactions, interaction] };
+    if (options.out) writeRecording(options.out, written);
+    if (options.examplesOut) writeFile(options.examplesOut, recordedExamplesYaml(written));
+    recording.interactions.push(interaction);
+
+    if (logger) {
+      const problems = interaction.errors.map(error => `${error.path}: ${error.message}`).join('; ');
+      logger.log(`[record] ${interaction.errors.length ? '✗' : '✓'} ${request.method} ${request.url} -> ${response.status} ${interaction.name}${problems ? `: ${problems}` : ''}`);
+    }
+  }));
+
+  return app;
+}
+
+/**
+ * One interaction, validated with the original values and kept redacted
+ */
+function record(spec, match, fields, request, response, earlier) {
+  const taken = new Set(earlier.map(interaction => interaction.name));
+  let name = `${match.operationId}-${response.status}`;
+  for (let n = 2; taken.has(name); n++) name = `${match.operationId}-${response.status}-${n}`;
+
+  const query = queryOf(request.url);
+  const contentType = request.headers['content-type'];
+  const incoming = { query, headers: request.headers, body: request.body, get: header => request.headers[header.toLowerCase()] };
+  const verdict = validateRequest(spec, match, incoming);
+  const errors = [
+    ...verdict.errors.map(error => ({ path: `/request${error.path}`, message: error.message })),
+    ...validateResponse(spec, match, response.status, response.body, response.headers['content-type'])
+      .map(error => ({ path: error.keyword === 'status' ? '/response/status' : `/response/body${error.path}`, message: error.message }))
+  ];
+
+  const recordedHeaders = {};
+  Object.entries(request.headers).forEach(([header, value]) => {
+    if (!SKIPPED_REQUEST_HEADERS.includes(header)) recordedHeaders[header] = value;
+  });
+  const parts = {
+    request: {
+      method: request.method,
+      path: new URL(request.url, 'http://localhost').pathname,
+      query,
+      headers: recordedHeaders,
+      ...(request.body !== undefined && { contentType: mediaTypeOf(contentType), body: request.body })
+    },
+    response: {
+      status: response.status,
+      headers: response.headers,
+      ...(response.body !== undefined && { body: response.body })
+    }
+  };
+  const redacted = redact(parts, fields);
+
+  return {
+    name,
+    operationId: match.operationId,
+    method: match.method,
+    path: match.path,
+    recordedAt: new Date().toISOString(),
+    request: redacted.value.request,
+    response: redacted.value.response,
+    redacted: redacted.pointers,
+    errors
+  };
+}
+
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+/**
+ * Write a recording as JSON
+ * @param {string} file
+ * @param {Object} recording - { title, target, interactions }
+ */
+function writeRecording(file, recording) {
+  writeFile(file, `${JSON.stringify(recording, null, 2)}\n`);
+}
+
+/**
+ * The interactions of recording files or objects, in order
+ * @param {Array<string|Object>} sources
+ * @returns {Object[]}
+ */
+function loadRecordings(sources) {
+  return [].concat(sources || []).flatMap(source => {
+    const recording = typeof source === 'string' ? JSON.parse(fs.readFileSync(source, 'utf8')) : source;
+    if (!recording || !Array.isArray(recording.interactions)) {
+      throw new Error(`${typeof source === 'string' ? source : 'A recording'} has no interactions`);
+    }
+    return recording.interactions;
+  });
+}
+
+/**
+ * The recorded interaction that answers a request: the one named by
+ * `preferred` if given, else one with the same path, query and body.
+ * Interactions that broke the spec are never replayed.
+ *
+ * @param {Object[]} interactions - From loadRecordings()
+ * @param {Object} request - { operationId, path, query, body, preferred }
+ * @returns {Object|undefined}
+ */
+function findRecorded(interactions, request) {
+  const candidates = interactions.filter(interaction =>
+    interaction.operationId === request.operationId && !interaction.errors.length);
+  if (request.preferred) {
+    return candidates.find(interaction => interaction.name === request.preferred);
+  }
+  return candidates.find(interaction =>
+    interaction.request.path === request.path &&
+    canonical(interaction.request.query) === canonical(request.query || {}) &&
+    canonical(interaction.request.body) === canonical(request.body));
+}
+
+/**
+ * The valid interactions of a recording as named examples, laid out like the
+ * spec (paths -> method -> requestBody / responses -> content -> examples),
+ * ready to be copied into it. A value already recorded at the same place is
+ * kept once, under the name it was first recorded with.
+ * @param {Object} recording - { title, interactions }
+ * @returns {Object} - { paths }
+ */
+function recordedExamples(recording) {
+  const paths = {};
+  const entry = (holder, key) => {
+    holder[key] = holder[key] || {};
+    return holder[key];
+  };
+
+  recording.interactions.filter(interaction => !interaction.errors.length).forEach(interaction => {
+    const { request, response } = interaction;
+    const operation = entry(entry(paths, interaction.path), interaction.method.toLowerCase());
+    const add = (holder, mediaType, value) => {
+      const examples = entry(entry(entry(holder, 'content'), mediaType), 'examples');
+      // Repeated calls add nothing to the spec
+      if (Object.values(examples).some(example => canonical(example.value) === canonical(value))) return;
+      examples[interaction.name] = { summary: `Recorded ${request.method} ${request.path}`, value };
+    };
+
+    if (request.body !== undefined) {
+      add(entry(operation, 'requestBody'), request.contentType, request.body);
+    }
+    if (response.body !== undefined) {
+      add(entry(entry(operation, 'responses'), String(response.status)),
+        mediaTypeOf(response.headers['content-type']) || 'application/json', response.body);
+    }
+  });
+
+  return { paths };
+}
+
+function recordedExamplesYaml(recording) {
+  return `# Named examples recorded from ${recording.target}, to copy into the spec of ${recording.title}\n` +
+    yaml.dump(recordedExamples(recording), { lineWidth: -1, noRefs: true });
+}
+
+module.exports = {
+  DEFAULT_REDACT,
+  createRecordingProxy,
+  forwardTo,
+  redact,
+  queryOf,
+  writeRecording,
+  loadRecordings,
+  findRecorded,
+  recordedExamples,
+  recordedExamplesYaml
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { generateSample } = require('./sample-generator');
+const { jsonMedia, exampleValues, successStatus } = require('./media');
+const { applyJsonPatch, applyMergePatch } = require('./json-patch');
+
+function successMedia(operation) {
+  const response = (operation.responses || {})[successStatus(operation.responses)];
+  const found = jsonMedia(response && response.content);
+  return found && found.media;
+}
+
+/**
+ * Resource Store
+ * In-memory state behind the mock server's stateful mode. Collections are
+ * learned from the spec: a path such as /api/products/{id} next to
+ * /api/products forms one collection whose items are keyed by `id`.
+ * Each collection is seeded from the array example of its list operation.
+ */
+class ResourceStore {
+  /**
+   * @param {SpecLoader} spec
+   */
+  constructor(spec) {
+    this.collections = ResourceStore.discover(spec);
+    this.reset();
+  }
+
+  /**
+   * Find collection/item path pairs in the spec
+   * @returns {Object[]} - { path, itemPath, param, idField, itemSchema, seed }
+   */
+  static discover(spec) {
+    const operations = spec.getOperations();
+    const collections = [];
+
+    operations.forEach(({ path: itemPath }) => {
+      const segments = itemPath.split('/');
+      const param = /^\{(.+)\}$/.exec(segments[segments.length - 1]);
+      const collectionPath = segments.slice(0, -1).join('/');
+
+      if (!param || collections.some(collection => collection.itemPath === itemPath)) return;
+
+      const list = operations.find(op => op.path === collectionPath && op.method === 'GET');
+      const create = operations.find(op => op.path === collectionPath && op.method === 'POST');
+      if (!list && !create) return;
+
+      const listMedia = list && successMedia(list.operation);
+      const getItem = operations.find(op => op.path === itemPath && op.method === 'GET');
+      const itemMedia = getItem && successMedia(getItem.operation);
+      const itemSchema = (itemMedia && itemMedia.schema) || (listMedia && listMedia.schema && listMedia.schema.items) || {};
+      const properties = itemSchema.properties || {};
+      const seed = exampleValues(listMedia).find(Array.isArray) || [];
+
+      collections.push({
+        path: collectionPath,
+        itemPath,
+        param: param[1],
+        idField: param[1] in properties ? param[1] : 'id',
+        itemSchema,
+        seed
+      });
+    });
+
+    return collections;
+  }
+
+  /**
+   * Restore every collection to its seed data
+   */
+  reset() {
+    this.state = new Map();
+    this.collections.forEach(collection => {
+      const items = collection.seed.map(item => ({ ...item }));
+      const ids = items.map(item => Number(item[collection.idField])).filter(Number.isFinite);
+      this.state.set(collection.path, { items, nextId: ids.length ? Math.max(...ids) + 1 : 1 });
+    });
+  }
+
+  /**
+   * Apply a request to the store
+   * @param {Object} match - SpecLoader.matchOperation result
+   * @param {Object} req - Express request
+   * @returns {Object|null} - { status, body }, body undefined for bodiless or
+   *   error responses; null when the operation is not a collection operation
+   */
+  handle(match, req) {
+    const collection = this.collections.find(c => c.path === match.path || c.itemPath === match.path);
+    if (!collection) return null;
+
+    const state = this.state.get(collection.path);
+    const status = successStatus(match.operation.responses);
+
+    if (match.path === collection.path) {
+      if (req.method === 'GET') return { status, body: state.items };
+      if (req.method === 'POST') {
+        const item = this._create(collection, state, req.body || {});
+        state.items.push(item);
+        return { status, body: item };
+      }
+      return null;
+    }
+
+    const id = match.pathParams[collection.param];
+    const index = state.items.findIndex(item => String(item[collection.idField]) === String(id));
+    if (index === -1) {
+      return { status: '404' };
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return { status, body: state.items[index] };
+      case 'PUT':
+        state.items[index] = { ...this._replace(state.items[index], match.operation, req.body || {}), [collection.idField]: state.items[index][collection.idField] };
+        return { status, body: state.items[index] };
+      case 'PATCH': {
+        const item = state.items[index];
+        let patched;
+        try {
+          patched = this._patch(item, req);
+        } catch (err) {
+          return { status: match.operation.responses['422'] ? '422' : '400' };
+        }
+        // A merge patch removes what it sets to null; nullable fields stay, as null
+        Object.entries(collection.itemSchema.properties || {}).forEach(([key, schema]) => {
+          if (schema.nullable && patched[key] === undefined) patched[key] = null;
+        });
+        state.items[index] = { ...patched, [collection.idField]: item[collection.idField] };
+        return { status, body: state.items[index] };
+      }
+      case 'DELETE':
+        state.items.splice(index, 1);
+        return { status };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Apply a PUT body: the fields its schema describes are replaced, so those
+   * it leaves out are cleared (null when nullable); the others, such as
+   * server-set flags, keep their value
+   */
+  _replace(item, operation, body) {
+    const found = jsonMedia(operation.requestBody && operation.requestBody.content);
+    const properties = (found && found.media.schema && found.media.schema.properties) || {};
+    const replaced = { ...item, ...body };
+
+    Object.entries(properties).forEach(([key, schema]) => {
+      if (body[key] !== undefined) return;
+      if (schema.nullable) replaced[key] = null;
+      else delete replaced[key];
+    });
+    return replaced;
+  }
+
+  /**
+   * Apply a PATCH body by its Content-Type: JSON Patch, JSON Merge Patch or,
+   * for plain JSON, the fields to overwrite
+   */
+  _patch(item, req) {
+    if (req.is('application/json-patch+json')) return applyJsonPatch(item, req.body);
+    if (req.is('application/merge-patch+json')) return applyMergePatch(item, req.body);
+    return { ...item, ...req.body };
+  }
+
+  /**
+   * Build a new item: the request body plus a fresh id, generated values for
+   * missing required fields and null for missing nullable ones
+   */
+  _create(collection, state, body) {
+    const { itemSchema, idField } = collection;
+    const properties = itemSchema.properties || {};
+    const required = itemSchema.required || [];
+    const idSchema = properties[idField] || {};
+    const item = {
+      [idField]: idSchema.type === 'string' ? crypto.randomUUID() : state.nextId++
+    };
+
+    if (Object.keys(properties).length === 0) {
+      return { ...body, ...item };
+    }
+
+    Object.entries(properties).forEach(([key, schema]) => {
+      if (key === idField) return;
+      if (body[key] !== undefined) item[key] = body[key];
+      else if (required.includes(key)) item[key] = generateSample(schema);
+      else if (schema.nullable) item[key] = null;
+    });
+
+    return item;
+  }
+}
+
+module.exports = ResourceStore;
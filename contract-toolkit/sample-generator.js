@@ -0,0 +1,90 @@
+/**
+ * Sample Generator
+ * Builds a deterministic value that satisfies an OpenAPI 3.0 schema.
+ * Used wherever the spec has a schema but no example.
+ */
+
+const STRING_SAMPLES = {
+  email: 'user@example.com',
+  date: '2024-01-01',
+  'date-time': '2024-01-01T00:00:00Z',
+  uuid: '00000000-0000-4000-8000-000000000000',
+  uri: 'https://example.com'
+};
+
+function mergeAllOf(schemas) {
+  return schemas.reduce((merged, schema) => ({
+    ...merged,
+    ...schema,
+    properties: { ...merged.properties, ...schema.properties },
+    required: [...(merged.required || []), ...(schema.required || [])]
+  }), {});
+}
+
+function sampleString(schema) {
+  let value = STRING_SAMPLES[schema.format] || 'string';
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    value = value.padEnd(schema.minLength, 'x');
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    value = value.slice(0, schema.maxLength);
+  }
+  return value;
+}
+
+function sampleNumber(schema) {
+  const integer = schema.type === 'integer';
+  let value = integer ? 1 : 1.5;
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    value = schema.minimum + (schema.exclusiveMinimum === true ? (integer ? 1 : 0.5) : 0);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    value = schema.maximum - (schema.exclusiveMaximum === true ? (integer ? 1 : 0.5) : 0);
+  }
+  return integer ? Math.ceil(value) : value;
+}
+
+/**
+ * Generate a sample value for a resolved schema (no $refs)
+ * @param {Object} schema
+ * @returns {*}
+ */
+function generateSample(schema = {}, depth = 0) {
+  if (schema.example !== undefined) return schema.example;
+  if (schema.default !== undefined) return schema.default;
+  if (schema.enum) return schema.enum[0];
+
+  if (schema.allOf) return generateSample(mergeAllOf(schema.allOf), depth);
+  if (schema.oneOf) return generateSample(schema.oneOf[0], depth);
+  if (schema.anyOf) return generateSample(schema.anyOf[0], depth);
+
+  // Recursive schemas stop here rather than growing forever
+  if (depth > 8) return schema.nullable ? null : undefined;
+
+  const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'string');
+
+  switch (type) {
+    case 'object': {
+      const result = {};
+      Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+        const value = generateSample(propSchema, depth + 1);
+        if (value !== undefined) result[key] = value;
+      });
+      return result;
+    }
+    case 'array': {
+      const count = Math.max(schema.minItems || 1, 1);
+      return Array.from({ length: count }, () => generateSample(schema.items, depth + 1));
+    }
+    case 'integer':
+    case 'number':
+      return sampleNumber(schema);
+    case 'boolean':
+      return true;
+    default:
+      return sampleString(schema);
+  }
+}
+
+module.exports = { generateSample };
@@ -0,0 +1,338 @@
+/**
+ * JSON Schema Validator
+ * Validates data against OpenAPI 3.0 schema objects
+ *
+ * Supported keywords: $ref, type (incl. integer), nullable, enum, format,
+ * minimum/maximum (+ exclusive), multipleOf, minLength/maxLength, pattern,
+ * items, minItems/maxItems, uniqueItems, properties, required,
+ * additionalProperties, minProperties/maxProperties, allOf, anyOf, oneOf, not.
+ *
+ * Every error carries a JSON pointer to the offending value, e.g.
+ * { path: '/users/2/role', keyword: 'enum', message: 'must be one of admin, user, guest' }
+ */
+
+const STRING_FORMATS = {
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !isNaN(Date.parse(value)),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  uri: value => /^[a-z][a-z0-9+.-]*:[^\s]*$/i.test(value)
+};
+
+const NUMBER_FORMATS = {
+  int32: value => value >= -2147483648 && value <= 2147483647,
+  int64: value => Number.isSafeInteger(value)
+};
+
+/**
+ * Escape a property name for use as a JSON pointer segment (RFC 6901)
+ */
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(segment) {
+  return decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => key in b && deepEqual(a[key], b[key]));
+}
+
+class SchemaValidator {
+  /**
+   * Validate data against schema
+   * @param {*} data - Data to validate
+   * @param {Object} schema - OpenAPI 3.0 schema object
+   * @param {Object} [options]
+   * @param {Object} [options.root] - Document that local $refs resolve against (defaults to schema)
+   * @param {string} [options.path] - JSON pointer prefix for reported errors
+   * @returns {Object} - { valid: boolean, errors: { path, keyword, message }[] }
+   */
+  static validate(data, schema, options = {}) {
+    if (!schema) {
+      return {
+        valid: false,
+        errors: [{ path: options.path || '', keyword: 'schema', message: 'Schema is missing' }]
+      };
+    }
+
+    const context = { root: options.root || schema };
+    const errors = this._validateNode(data, schema, options.path || '', context);
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate array items against schema
+   */
+  static validateArray(arr, itemSchema, options = {}) {
+    if (!Array.isArray(arr)) {
+      return {
+        valid: false,
+        errors: [{ path: options.path || '', keyword: 'type', message: 'Expected array' }]
+      };
+    }
+
+    return this.validate(arr, { type: 'array', items: itemSchema }, {
+      ...options,
+      root: options.root || itemSchema
+    });
+  }
+
+  /**
+   * Resolve a local $ref ("#/components/schemas/User") against a document
+   */
+  static resolveRef(ref, root) {
+    if (!ref.startsWith('#')) {
+      throw new Error(`Only local $ref values are supported: ${ref}`);
+    }
+
+    return ref
+      .slice(1)
+      .split('/')
+      .filter(Boolean)
+      .map(unescapePointer)
+      .reduce((node, segment) => {
+        if (node === undefined || node === null || !(segment in node)) {
+          throw new Error(`Unresolvable $ref: ${ref}`);
+        }
+        return node[segment];
+      }, root);
+  }
+
+  /**
+   * Render errors as "path: message" strings for logs and assertion output
+   */
+  static formatErrors(errors) {
+    return errors.map(error => `${error.path || '/'}: ${error.message}`);
+  }
+
+  static _validateNode(data, schema, path, context) {
+    if (schema === true || schema === undefined) return [];
+    if (schema === false) {
+      return [{ path, keyword: 'false', message: 'no value is allowed here' }];
+    }
+
+    if (schema.$ref) {
+      return this._validateNode(data, this.resolveRef(schema.$ref, context.root), path, context);
+    }
+
+    if (data === null && schema.nullable === true) {
+      return [];
+    }
+
+    const errors = [];
+    const error = (keyword, message, at = path) => errors.push({ path: at, keyword, message });
+
+    if (schema.type && !this._matchesType(data, schema.type, schema.nullable)) {
+      error('type', `expected ${schema.type}${schema.nullable ? ' or null' : ''}, got ${typeOf(data)}`);
+      // Further keyword checks would only repeat the type mismatch
+      return errors;
+    }
+
+    if (schema.enum && !schema.enum.some(allowed => deepEqual(allowed, data))) {
+      error('enum', `must be one of ${schema.enum.join(', ')}`);
+    }
+
+    switch (typeOf(data)) {
+      case 'string':
+        this._validateString(data, schema, error);
+        break;
+      case 'number':
+        this._validateNumber(data, schema, error);
+        break;
+      case 'array':
+        errors.push(...this._validateArrayNode(data, schema, path, context, error));
+        break;
+      case 'object':
+        errors.push(...this._validateObject(data, schema, path, context, error));
+        break;
+      default:
+        break;
+    }
+
+    errors.push(...this._validateComposition(data, schema, path, context, error));
+
+    return errors;
+  }
+
+  static _matchesType(data, type, nullable) {
+    if (data === null) return nullable === true;
+
+    switch (type) {
+      case 'integer':
+        return Number.isInteger(data);
+      case 'number':
+        return typeof data === 'number' && Number.isFinite(data);
+      case 'array':
+        return Array.isArray(data);
+      case 'object':
+        return typeOf(data) === 'object';
+      default:
+        return typeof data === type;
+    }
+  }
+
+  static _validateString(data, schema, error) {
+    const length = [...data].length;
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      error('minLength', `must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      error('maxLength', `must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(data)) {
+      error('pattern', `must match pattern ${schema.pattern}`);
+    }
+    if (STRING_FORMATS[schema.format] && !STRING_FORMATS[schema.format](data)) {
+      error('format', `invalid ${schema.format} format`);
+    }
+  }
+
+  static _validateNumber(data, schema, error) {
+    // OpenAPI 3.0 uses boolean exclusiveMinimum/Maximum; JSON Schema 2019+ uses numbers
+    if (typeof schema.exclusiveMinimum === 'number' && data <= schema.exclusiveMinimum) {
+      error('exclusiveMinimum', `must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && data >= schema.exclusiveMaximum) {
+      error('exclusiveMaximum', `must be less than ${schema.exclusiveMaximum}`);
+    }
+    if (schema.minimum !== undefined) {
+      if (schema.exclusiveMinimum === true ? data <= schema.minimum : data < schema.minimum) {
+        error('minimum', `must be ${schema.exclusiveMinimum === true ? 'greater than' : 'greater than or equal to'} ${schema.minimum}`);
+      }
+    }
+    if (schema.maximum !== undefined) {
+      if (schema.exclusiveMaximum === true ? data >= schema.maximum : data > schema.maximum) {
+        error('maximum', `must be ${schema.exclusiveMaximum === true ? 'less than' : 'less than or equal to'} ${schema.maximum}`);
+      }
+    }
+    if (schema.multipleOf !== undefined) {
+      const quotient = data / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        error('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+      }
+    }
+    if (NUMBER_FORMATS[schema.format] && !NUMBER_FORMATS[schema.format](data)) {
+      error('format', `out of range for ${schema.format}`);
+    }
+  }
+
+  static _validateArrayNode(data, schema, path, context, error) {
+    const errors = [];
+
+    if (schema.minItems !== undefined && data.length < schema.minItems) {
+      error('minItems', `must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+      error('maxItems', `must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems) {
+      const duplicate = data.findIndex((item, i) => data.slice(0, i).some(other => deepEqual(other, item)));
+      if (duplicate !== -1) {
+        error('uniqueItems', 'must not contain duplicate items', `${path}/${duplicate}`);
+      }
+    }
+    if (schema.items) {
+      data.forEach((item, index) => {
+        errors.push(...this._validateNode(item, schema.items, `${path}/${index}`, context));
+      });
+    }
+
+    return errors;
+  }
+
+  static _validateObject(data, schema, path, context, error) {
+    const errors = [];
+    const properties = schema.properties || {};
+    const keys = Object.keys(data);
+
+    (schema.required || []).forEach(field => {
+      if (!(field in data)) {
+        error('required', `required property '${field}' is missing`, `${path}/${escapePointer(field)}`);
+      }
+    });
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      error('minProperties', `must have at least ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      error('maxProperties', `must have at most ${schema.maxProperties} properties`);
+    }
+
+    keys.forEach(key => {
+      const childPath = `${path}/${escapePointer(key)}`;
+
+      if (key in properties) {
+        errors.push(...this._validateNode(data[key], properties[key], childPath, context));
+      } else if (schema.additionalProperties === false) {
+        error('additionalProperties', `property '${key}' is not allowed`, childPath);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...this._validateNode(data[key], schema.additionalProperties, childPath, context));
+      }
+    });
+
+    return errors;
+  }
+
+  static _validateComposition(data, schema, path, context, error) {
+    const errors = [];
+    const branchErrors = branches => branches.map(branch => this._validateNode(data, branch, path, context));
+
+    if (schema.allOf) {
+      branchErrors(schema.allOf).forEach(result => errors.push(...result));
+    }
+
+    if (schema.anyOf) {
+      const results = branchErrors(schema.anyOf);
+      if (!results.some(result => result.length === 0)) {
+        error('anyOf', 'must match at least one schema in anyOf');
+        errors.push(...this._closest(results));
+      }
+    }
+
+    if (schema.oneOf) {
+      const results = branchErrors(schema.oneOf);
+      const matches = results.filter(result => result.length === 0).length;
+      if (matches === 0) {
+        error('oneOf', 'must match exactly one schema in oneOf, matched none');
+        errors.push(...this._closest(results));
+      } else if (matches > 1) {
+        error('oneOf', `must match exactly one schema in oneOf, matched ${matches}`);
+      }
+    }
+
+    if (schema.not && this._validateNode(data, schema.not, path, context).length === 0) {
+      error('not', 'must not match the schema in not');
+    }
+
+    return errors;
+  }
+
+  /**
+   * The branch with the fewest errors is the most likely intended one;
+   * its errors explain why the composition failed.
+   */
+  static _closest(results) {
+    return results.reduce((best, result) => (result.length < best.length ? result : best));
+  }
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,95 @@
+/**
+ * Helpers for the bearer-token security requirements of operations
+ */
+
+function isBearer(scheme) {
+  return scheme.type === 'oauth2' ||
+    scheme.type === 'openIdConnect' ||
+    (scheme.type === 'http' && String(scheme.scheme).toLowerCase() === 'bearer');
+}
+
+/**
+ * The bearer token requirement of an operation
+ * @param {SpecLoader} spec
+ * @param {string} operationId
+ * @returns {Object|null} - { name, scheme, scopes }, null when the operation is
+ *   public or only accepts other credentials (API keys, basic auth)
+ */
+function bearerRequirement(spec, operationId) {
+  const alternatives = spec.getSecurity(operationId);
+  if (!alternatives.length || alternatives.some(alternative => alternative.length === 0)) {
+    return null;
+  }
+
+  const alternative = alternatives.find(requirements => requirements.length === 1 && isBearer(requirements[0].scheme));
+  return alternative ? alternative[0] : null;
+}
+
+/**
+ * Every scope an OAuth2 scheme declares across its flows
+ * @returns {string[]}
+ */
+function declaredScopes(scheme) {
+  const scopes = Object.values(scheme.flows || {}).flatMap(flow => Object.keys(flow.scopes || {}));
+  return [...new Set(scopes)];
+}
+
+/**
+ * Token of an "Authorization: Bearer <token>" header
+ * @returns {string|null}
+ */
+function bearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Scopes granted by a JWT (`scope` string or `scp` array claim). The signature
+ * is not checked: this is for mocks, not for providers.
+ * @returns {string[]|null} - null when the token isn't a readable JWT
+ */
+function tokenScopes(token) {
+  const [, payload] = String(token).split('.');
+  if (!payload) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (Array.isArray(claims.scp)) return claims.scp;
+    return typeof claims.scope === 'string' ? claims.scope.split(' ').filter(Boolean) : [];
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Paths of the token endpoints the spec's OAuth2 flows point at, e.g.
+ * /oauth/token for tokenUrl: http://localhost:8080/oauth/token
+ * @returns {string[]}
+ */
+function tokenPaths(spec) {
+  const schemes = Object.values((spec.document.components || {}).securitySchemes || {});
+  const paths = schemes
+    .filter(scheme => scheme.type === 'oauth2')
+    .flatMap(scheme => Object.values(scheme.flows || {}))
+    .filter(flow => flow.tokenUrl)
+    .map(flow => new URL(flow.tokenUrl, 'http://localhost').pathname);
+  return [...new Set(paths)];
+}
+
+/**
+ * An unsigned JWT ("alg": "none") carrying the given claims, for mocks
+ * @returns {string}
+ */
+function unsignedToken(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(claims)}.`;
+}
+
+module.exports = {
+  bearerRequirement,
+  declaredScopes,
+  bearerToken,
+  tokenScopes,
+  tokenPaths,
+  unsignedToken
+};
@@ -0,0 +1,447 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
+const SpecLoader = require('./spec-loader');
+
+const BREAKING = 'breaking';
+const NON_BREAKING = 'non-breaking';
+
+// Raising a lower bound or lowering an upper bound narrows what a schema allows
+const LOWER_BOUNDS = ['minimum', 'minLength', 'minItems', 'minProperties'];
+const UPPER_BOUNDS = ['maximum', 'maxLength', 'maxItems', 'maxProperties'];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+function loadSpec(spec) {
+  return typeof spec === 'string' ? SpecLoader.load(spec) : spec;
+}
+
+function typeOf(schema) {
+  return schema.type || (schema.properties ? 'object' : schema.items ? 'array' : undefined);
+}
+
+const list = values => values.map(value => JSON.stringify(value)).join(', ');
+
+/**
+ * Compare two schemas and report every difference.
+ *
+ * Whether a difference breaks clients depends on who sends the data: a
+ * request schema may only widen (the provider must keep accepting what
+ * clients send), a response schema may only narrow (clients must keep
+ * understanding what the provider returns).
+ *
+ * @param {Object} base - Resolved schema of the old version
+ * @param {Object} revision - Resolved schema of the new version
+ * @param {string} direction - 'request' or 'response'
+ * @returns {Object[]} - { severity, pointer, message }
+ */
+function diffSchemas(base, revision, direction) {
+  const changes = [];
+  const seen = new Map();
+
+  const walk = (left = {}, right = {}, pointer) => {
+    // Recursive schemas resolve to cyclic graphs: compare each pair once
+    if (!seen.has(left)) seen.set(left, new Set());
+    if (seen.get(left).has(right)) return;
+    seen.get(left).add(right);
+
+    const report = (severity, message) => changes.push({ severity, pointer, message });
+    const narrowed = message => report(direction === 'request' ? BREAKING : NON_BREAKING, message);
+    const widened = message => report(direction === 'response' ? BREAKING : NON_BREAKING, message);
+
+    const leftType = typeOf(left);
+    const rightType = typeOf(right);
+    if (leftType && rightType && leftType !== rightType) {
+      if (leftType === 'integer' && rightType === 'number') widened('type widened from integer to number');
+      else if (leftType === 'number' && rightType === 'integer') narrowed('type narrowed from number to integer');
+      else report(BREAKING, `type changed from ${leftType} to ${rightType}`);
+      return;
+    }
+    if (!leftType && rightType) narrowed(`type ${rightType} added`);
+    if (leftType && !rightType) widened(`type ${leftType} removed`);
+
+    if (left.nullable && !right.nullable) narrowed('is no longer nullable');
+    if (!left.nullable && right.nullable) widened('became nullable');
+
+    if (left.format !== right.format) {
+      if (!left.format) narrowed(`format ${right.format} added`);
+      else if (!right.format) widened(`format ${left.format} removed`);
+      else report(BREAKING, `format changed from ${left.format} to ${right.format}`);
+    }
+
+    if (left.pattern !== right.pattern) {
+      if (right.pattern) narrowed(`pattern changed to ${right.pattern}`);
+      else widened(`pattern ${left.pattern} removed`);
+    }
+
+    if (left.enum && !right.enum) widened('enum removed');
+    if (!left.enum && right.enum) narrowed(`enum ${list(right.enum)} added`);
+    if (left.enum && right.enum) {
+      const removed = left.enum.filter(value => !right.enum.some(other => JSON.stringify(other) === JSON.stringify(value)));
+      const added = right.enum.filter(value => !left.enum.some(other => JSON.stringify(other) === JSON.stringify(value)));
+      if (removed.length) narrowed(`enum value${removed.length > 1 ? 's' : ''} ${list(removed)} removed`);
+      if (added.length) widened(`enum value${added.length > 1 ? 's' : ''} ${list(added)} added`);
+    }
+
+    LOWER_BOUNDS.forEach(keyword => {
+      const [from, to] = [left[keyword], right[keyword]];
+      if (from === to) return;
+      if (to !== undefined && (from === undefined || to > from)) narrowed(`${keyword} ${from === undefined ? `of ${to} added` : `raised from ${from} to ${to}`}`);
+      else widened(`${keyword} ${to === undefined ? `${from} removed` : `lowered from ${from} to ${to}`}`);
+    });
+    UPPER_BOUNDS.forEach(keyword => {
+      const [from, to] = [left[keyword], right[keyword]];
+      if (from === to) return;
+      if (to !== undefined && (from === undefined || to < from)) narrowed(`${keyword} ${from === undefined ? `of ${to} added` : `lowered from ${from} to ${to}`}`);
+      else widened(`${keyword} ${to === undefined ? `${from} removed` : `raised from ${from} to ${to}`}`);
+    });
+
+    const leftProps = left.properties || {};
+    const rightProps = right.properties || {};
+    const leftRequired = left.required || [];
+    const rightRequired = right.required || [];
+
+    Object.keys(leftProps).forEach(name => {
+      if (name in rightProps) return;
+      const severity = direction === 'response' || right.additionalProperties === false ? BREAKING : NON_BREAKING;
+      report(severity, `property '${name}' removed`);
+    });
+
+    Object.keys(rightProps).forEach(name => {
+      if (name in leftProps) return;
+      if (direction === 'request' && rightRequired.includes(name)) report(BREAKING, `required property '${name}' added`);
+      else report(NON_BREAKING, `property '${name}' added`);
+    });
+
+    Object.keys(leftProps).filter(name => name in rightProps).forEach(name => {
+      const was = leftRequired.includes(name);
+      const is = rightRequired.includes(name);
+      if (!was && is) narrowed(`property '${name}' became required`);
+      if (was && !is) widened(`property '${name}' is no longer required`);
+      walk(leftProps[name], rightProps[name], `${pointer}/${name}`);
+    });
+
+    if (left.additionalProperties !== false && right.additionalProperties === false) narrowed('additional properties are no longer allowed');
+    if (left.additionalProperties === false && right.additionalProperties !== undefined && right.additionalProperties !== false) {
+      widened('additional properties are now allowed');
+    }
+    if (typeof left.additionalProperties === 'object' && typeof right.additionalProperties === 'object') {
+      walk(left.additionalProperties, right.additionalProperties, `${pointer}/*`);
+    }
+
+    if (left.items || right.items) {
+      walk(left.items, right.items, `${pointer}/[]`);
+    }
+
+    ['oneOf', 'anyOf', 'allOf'].forEach(keyword => {
+      const from = left[keyword] || [];
+      const to = right[keyword] || [];
+      const shrink = keyword === 'allOf' ? widened : narrowed;
+      const grow = keyword === 'allOf' ? narrowed : widened;
+
+      from.forEach((branch, i) => {
+        if (i < to.length) walk(branch, to[i], `${pointer}/${keyword}/${i}`);
+        else shrink(`${keyword} branch ${i} removed`);
+      });
+      to.slice(from.length).forEach((branch, i) => grow(`${keyword} branch ${from.length + i} added`));
+    });
+  };
+
+  walk(base, revision, '');
+  return changes;
+}
+
+// The operation's own list replaces the document's; each entry is one way to authenticate
+function securityOf(operation, document) {
+  const requirements = operation.security || document.security || [];
+  return requirements.length ? requirements : [{}];
+}
+
+function operationsOf(spec) {
+  const operations = new Map();
+
+  Object.entries(spec.document.paths || {}).forEach(([route, pathItem]) => {
+    const resolved = spec.resolve(pathItem);
+    HTTP_METHODS.filter(method => resolved[method]).forEach(method => {
+      const operation = resolved[method];
+      const key = param => `${param.in}:${param.name}`;
+      const overridden = new Set((operation.parameters || []).map(key));
+
+      // Templates match whatever their parameters are called: /items/{id} = /items/{itemId}
+      operations.set(`${method.toUpperCase()} ${route.replace(/\{[^}]+\}/g, '{}')}`, {
+        name: `${method.toUpperCase()} ${route}`,
+        operation,
+        parameters: [
+          ...(resolved.parameters || []).filter(param => !overridden.has(key(param))),
+          ...(operation.parameters || [])
+        ],
+        security: securityOf(operation, spec.document)
+      });
+    });
+  });
+
+  return operations;
+}
+
+function diffParameters(base, revision, report) {
+  const key = param => `${param.in}:${param.name}`;
+  const revisionParams = new Map(revision.map(param => [key(param), param]));
+  const baseParams = new Map(base.map(param => [key(param), param]));
+
+  base.forEach(param => {
+    const label = `${param.in} parameter '${param.name}'`;
+    const next = revisionParams.get(key(param));
+
+    if (!next) {
+      if (param.in !== 'path') report(NON_BREAKING, '', `${label} removed`);
+      return;
+    }
+    if (!param.required && next.required) report(BREAKING, label, 'became required');
+    if (param.required && !next.required) report(NON_BREAKING, label, 'is no longer required');
+
+    diffSchemas(param.schema, next.schema, 'request')
+      .forEach(change => report(change.severity, `${label}${change.pointer}`, change.message));
+  });
+
+  revision.filter(param => !baseParams.has(key(param)) && param.in !== 'path').forEach(param => {
+    const severity = param.required ? BREAKING : NON_BREAKING;
+    report(severity, '', `${param.required ? 'required' : 'optional'} ${param.in} parameter '${param.name}' added`);
+  });
+}
+
+const describeRequirement = requirement => Object.entries(requirement)
+  .map(([scheme, scopes]) => (scopes.length ? `${scheme} (${scopes.join(', ')})` : scheme))
+  .join(' + ') || 'no authentication';
+const describeSecurity = requirements => requirements.map(describeRequirement).join(' or ');
+
+// A client that meets `held` also meets `asked` when asked wants no scheme or scope beyond it
+const meets = (held, asked) => Object.entries(asked)
+  .every(([scheme, scopes]) => held[scheme] && scopes.every(scope => held[scheme].includes(scope)));
+
+function diffSecurity(base, revision, report) {
+  if (JSON.stringify(base) === JSON.stringify(revision)) return;
+  let breaking = false;
+
+  base.forEach(held => {
+    if (revision.some(asked => meets(held, asked))) return;
+    breaking = true;
+
+    const schemes = Object.keys(held).sort().join();
+    const scoped = revision.find(asked => Object.keys(asked).sort().join() === schemes && meets(asked, held));
+    if (!schemes) {
+      report(BREAKING, 'security', `authentication required: ${describeSecurity(revision)}`);
+    } else if (scoped) {
+      Object.entries(scoped).forEach(([scheme, scopes]) => {
+        const added = scopes.filter(scope => !held[scheme].includes(scope));
+        if (added.length) report(BREAKING, 'security', `scope${added.length > 1 ? 's' : ''} ${added.join(', ')} required for ${scheme}`);
+      });
+    } else {
+      report(BREAKING, 'security', `${describeRequirement(held)} is no longer accepted, use ${describeSecurity(revision)}`);
+    }
+  });
+
+  if (!breaking) {
+    report(NON_BREAKING, 'security', `relaxed from ${describeSecurity(base)} to ${describeSecurity(revision)}`);
+  }
+}
+
+/**
+ * Compare the security schemes clients authenticate with: a scheme they use
+ * that changes how tokens are sent or obtained breaks them
+ * @returns {Object[]} - { severity, operation, location, message }
+ */
+function diffSecuritySchemes(baseSpec, revisionSpec) {
+  const schemesOf = spec => (spec.document.components && spec.document.components.securitySchemes) || {};
+  const base = schemesOf(baseSpec);
+  const revision = schemesOf(revisionSpec);
+  const changes = [];
+
+  Object.keys(base).forEach(name => {
+    const report = (severity, location, message) =>
+      changes.push({ severity, operation: `security scheme '${name}'`, location, message });
+    if (!revision[name]) {
+      report(BREAKING, '', 'removed');
+      return;
+    }
+
+    const left = baseSpec.resolve(base[name]);
+    const right = revisionSpec.resolve(revision[name]);
+    if (left.type !== right.type) {
+      report(BREAKING, '', `type changed from ${left.type} to ${right.type}`);
+      return;
+    }
+    ['scheme', 'in', 'name', 'openIdConnectUrl'].forEach(field => {
+      const [from, to] = [left[field], right[field]];
+      if (String(from).toLowerCase() !== String(to).toLowerCase()) {
+        report(BREAKING, '', `${field} changed from ${from} to ${to}`);
+      }
+    });
+
+    const leftFlows = left.flows || {};
+    const rightFlows = right.flows || {};
+    Object.entries(leftFlows).forEach(([flowName, flow]) => {
+      const next = rightFlows[flowName];
+      const location = `${flowName} flow`;
+      if (!next) {
+        report(BREAKING, location, 'removed');
+        return;
+      }
+      ['authorizationUrl', 'tokenUrl', 'refreshUrl'].forEach(field => {
+        if (flow[field] !== next[field]) report(BREAKING, location, `${field} changed from ${flow[field]} to ${next[field]}`);
+      });
+      Object.keys(flow.scopes || {}).filter(scope => !(scope in (next.scopes || {})))
+        .forEach(scope => report(BREAKING, location, `scope ${scope} removed`));
+      Object.keys(next.scopes || {}).filter(scope => !(scope in (flow.scopes || {})))
+        .forEach(scope => report(NON_BREAKING, location, `scope ${scope} added`));
+    });
+    Object.keys(rightFlows).filter(flowName => !leftFlows[flowName])
+      .forEach(flowName => report(NON_BREAKING, `${flowName} flow`, 'added'));
+  });
+
+  Object.keys(revision).filter(name => !base[name]).forEach(name => {
+    changes.push({ severity: NON_BREAKING, operation: `security scheme '${name}'`, location: '', message: 'added' });
+  });
+
+  return changes;
+}
+
+function diffContent(base = {}, revision = {}, label, direction, report) {
+  Object.entries(base).forEach(([mediaType, media]) => {
+    if (!revision[mediaType]) {
+      report(BREAKING, label, `media type ${mediaType} removed`);
+      return;
+    }
+    diffSchemas(media.schema, revision[mediaType].schema, direction)
+      .forEach(change => report(change.severity, `${label}${change.pointer ? ` ${change.pointer}` : ''}`, change.message));
+  });
+
+  Object.keys(revision).filter(mediaType => !base[mediaType]).forEach(mediaType => {
+    report(NON_BREAKING, label, `media type ${mediaType} added`);
+  });
+}
+
+function diffOperation(base, revision, report) {
+  diffSecurity(base.security, revision.security, report);
+  diffParameters(base.parameters, revision.parameters, report);
+
+  const baseBody = base.operation.requestBody;
+  const revisionBody = revision.operation.requestBody;
+  if (!baseBody && revisionBody) {
+    report(revisionBody.required ? BREAKING : NON_BREAKING, '', `${revisionBody.required ? 'required ' : ''}request body added`);
+  } else if (baseBody && !revisionBody) {
+    report(NON_BREAKING, '', 'request body removed');
+  } else if (baseBody && revisionBody) {
+    if (!baseBody.required && revisionBody.required) report(BREAKING, 'request body', 'became required');
+    diffContent(baseBody.content, revisionBody.content, 'request body', 'request', report);
+  }
+
+  const baseResponses = base.operation.responses || {};
+  const revisionResponses = revision.operation.responses || {};
+  Object.entries(baseResponses).forEach(([status, response]) => {
+    if (!revisionResponses[status]) {
+      report(status.startsWith('2') ? BREAKING : NON_BREAKING, '', `response ${status} removed`);
+      return;
+    }
+    diffContent(response.content, revisionResponses[status].content, `response ${status}`, 'response', report);
+  });
+  Object.keys(revisionResponses).filter(status => !baseResponses[status]).forEach(status => {
+    report(NON_BREAKING, '', `response ${status} added`);
+  });
+}
+
+/**
+ * Spec Diff
+ * Compares two versions of an OpenAPI spec and classifies each difference as
+ * breaking or non-breaking for existing clients. Security counts too: a new
+ * or stricter requirement (another scheme, another scope) breaks clients.
+ *
+ * Usage:
+ *   const changes = diffSpecs(loadFromGit('openapi.yaml'), 'openapi.yaml');
+ *   if (hasBreakingChanges(changes)) console.log(formatChanges(changes));
+ *
+ * @param {string|SpecLoader} baseSpec - Old version (path or loaded spec)
+ * @param {string|SpecLoader} revisionSpec - New version
+ * @returns {Object[]} - { severity, operation, location, message }
+ */
+function diffSpecs(baseSpec, revisionSpec) {
+  const baseLoaded = loadSpec(baseSpec);
+  const revisionLoaded = loadSpec(revisionSpec);
+  const base = operationsOf(baseLoaded);
+  const revision = operationsOf(revisionLoaded);
+  const changes = diffSecuritySchemes(baseLoaded, revisionLoaded);
+
+  base.forEach((operation, key) => {
+    const report = (severity, location, message) => changes.push({ severity, operation: operation.name, location, message });
+
+    if (!revision.has(key)) {
+      report(BREAKING, '', 'operation removed');
+      return;
+    }
+    diffOperation(operation, revision.get(key), report);
+  });
+
+  revision.forEach((operation, key) => {
+    if (!base.has(key)) {
+      changes.push({ severity: NON_BREAKING, operation: operation.name, location: '', message: 'operation added' });
+    }
+  });
+
+  return changes;
+}
+
+function hasBreakingChanges(changes) {
+  return changes.some(change => change.severity === BREAKING);
+}
+
+/**
+ * Render changes as text, breaking ones first
+ * @param {Object[]} changes - From diffSpecs
+ * @returns {string}
+ */
+function formatChanges(changes) {
+  if (!changes.length) {
+    return 'No changes detected';
+  }
+
+  const line = change => `  ${change.severity === BREAKING ? '✗' : '✓'} ${change.operation}${change.location ? ` ${change.location}` : ''}: ${change.message}`;
+  const sections = [];
+  const breaking = changes.filter(change => change.severity === BREAKING);
+  const nonBreaking = changes.filter(change => change.severity !== BREAKING);
+
+  if (breaking.length) sections.push([`Breaking changes (${breaking.length})`, ...breaking.map(line)].join('\n'));
+  if (nonBreaking.length) sections.push([`Non-breaking changes (${nonBreaking.length})`, ...nonBreaking.map(line)].join('\n'));
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Load a spec file as committed at a git revision
+ * @param {string} filePath - Spec file inside a git work tree
+ * @param {string} [ref] - Defaults to HEAD
+ * @returns {SpecLoader}
+ */
+function loadFromGit(filePath, ref = 'HEAD') {
+  const absolutePath = path.resolve(filePath);
+  let text;
+
+  try {
+    text = execFileSync('git', ['show', `${ref}:./${path.basename(absolutePath)}`], {
+      cwd: path.dirname(absolutePath),
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  } catch (err) {
+    throw new Error(`Could not read ${filePath} at ${ref}: ${(err.stderr || err.message).trim()}`);
+  }
+
+  return SpecLoader.parse(text, `${ref}:${filePath}`);
+}
+
+module.exports = {
+  BREAKING,
+  NON_BREAKING,
+  diffSpecs,
+  diffSchemas,
+  hasBreakingChanges,
+  formatChanges,
+  loadFromGit
+};
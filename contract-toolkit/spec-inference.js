@@ -0,0 +1,559 @@
+const http = require('http');
+const express = require('express');
+const yaml = require('js-yaml');
+const SpecLoader = require('./spec-loader');
+const { forwardTo, queryOf } = require('./recording-proxy');
+
+const DEFAULT_IGNORE = ['/__', '/provider-states'];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Sent by every client or added on the way, never parameters of an API
+const STANDARD_REQUEST_HEADERS = [
+  'accept', 'accept-encoding', 'accept-language', 'authorization', 'cache-control', 'connection', 'content-length',
+  'content-type', 'cookie', 'host', 'keep-alive', 'origin', 'pragma', 'referer', 'sec-fetch-dest', 'sec-fetch-mode',
+  'sec-fetch-site', 'transfer-encoding', 'user-agent', 'x-forwarded-for', 'x-forwarded-host', 'x-forwarded-proto'
+];
+
+// Set by Node, Express and CORS middleware rather than by the API
+const STANDARD_RESPONSE_HEADERS = [
+  'access-control-allow-credentials', 'access-control-allow-headers', 'access-control-allow-methods',
+  'access-control-allow-origin', 'access-control-expose-headers', 'cache-control', 'connection', 'content-encoding',
+  'content-length', 'content-type', 'date', 'keep-alive', 'set-cookie', 'transfer-encoding', 'vary', 'x-powered-by'
+];
+
+// String formats, in the order they are tried
+const FORMATS = {
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  email: /^[^@\s]+@[^@\s]+\.[^@\s]+$/,
+  uri: /^https?:\/\/\S+$/
+};
+
+// Path segments that identify an item: numbers, UUIDs and long hex ids
+const isId = segment => /^\d+$/.test(segment) || FORMATS.uuid.test(segment) || /^[0-9a-f]{24,}$/i.test(segment);
+
+const mediaTypeOf = contentType => (contentType || '').split(';')[0].trim().toLowerCase();
+const pascal = text => text.split(/[^a-zA-Z0-9]+/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+const singular = word => word.replace(/ies$/, 'y').replace(/s$/, '');
+const camel = text => pascal(text).replace(/^./, first => first.toLowerCase());
+// Header names as usually written, lowercased by Node
+const HEADER_NAMES = { etag: 'ETag', 'www-authenticate': 'WWW-Authenticate' };
+const headerName = name => HEADER_NAMES[name] || name.split('-').map(part => part && part[0].toUpperCase() + part.slice(1)).join('-');
+
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return segment;
+  }
+}
+
+function jsonType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Fold one value into the observations of a schema position
+ */
+function observe(node, value) {
+  const seen = node || { samples: 0, nullable: false, types: {} };
+  seen.samples++;
+  if (value === null || value === undefined) {
+    seen.nullable = true;
+    return seen;
+  }
+
+  const type = jsonType(value);
+  const observed = seen.types[type] = seen.types[type] || { samples: 0 };
+  observed.samples++;
+  if (type === 'string') {
+    observed.formats = (observed.formats || Object.keys(FORMATS)).filter(format => FORMATS[format].test(value));
+  } else if (type === 'array') {
+    value.forEach(item => {
+      observed.items = observe(observed.items, item);
+    });
+  } else if (type === 'object') {
+    observed.properties = observed.properties || {};
+    Object.entries(value).forEach(([key, item]) => {
+      observed.properties[key] = observe(observed.properties[key], item);
+    });
+  }
+  return seen;
+}
+
+function toSchema(node) {
+  const types = { ...node.types };
+  // 1 and 1.5 in the same field make it a number
+  if (types.integer && types.number) {
+    types.number = { samples: types.number.samples + types.integer.samples };
+    delete types.integer;
+  }
+
+  const schemas = Object.entries(types).map(([type, observed]) => {
+    if (type === 'string') return { type, ...(observed.formats.length && { format: observed.formats[0] }) };
+    if (type === 'array') return { type, items: observed.items ? toSchema(observed.items) : {} };
+    if (type !== 'object') return { type };
+
+    const properties = {};
+    const required = [];
+    Object.entries(observed.properties).forEach(([key, property]) => {
+      properties[key] = toSchema(property);
+      if (property.samples === observed.samples) required.push(key);
+    });
+    return { type, ...(required.length && { required }), properties };
+  });
+
+  const schema = schemas.length === 1 ? schemas[0] : schemas.length ? { oneOf: schemas } : {};
+  return node.nullable ? { ...schema, nullable: true } : schema;
+}
+
+/**
+ * The schema that fits every value given: types, string formats, array
+ * items and object properties. Properties present in every object are
+ * required, and a null anywhere makes that position nullable.
+ *
+ * Usage:
+ *   inferSchema([{ id: 1, description: null }, { id: 2, description: 'Blue', tags: [] }]);
+ *   // -> { type: 'object', required: ['id', 'description'], properties: {
+ *   //      id: { type: 'integer' }, description: { type: 'string', nullable: true },
+ *   //      tags: { type: 'array', items: {} } } }
+ *
+ * @param {Array} values - JSON values
+ * @returns {Object}
+ */
+function inferSchema(values) {
+  const node = values.reduce(observe, undefined);
+  return node ? toSchema(node) : {};
+}
+
+/**
+ * The schema of query, path and header values, which are always strings
+ */
+function parameterSchema(values) {
+  const strings = values.flat().map(String);
+  if (values.some(Array.isArray)) return { type: 'array', items: parameterSchema(strings) };
+  if (strings.every(value => /^-?\d+$/.test(value))) return { type: 'integer' };
+  if (strings.every(value => value.trim() !== '' && !Number.isNaN(Number(value)))) return { type: 'number' };
+  if (strings.every(value => value === 'true' || value === 'false')) return { type: 'boolean' };
+  const format = Object.keys(FORMATS).find(name => strings.every(value => FORMATS[name].test(value)));
+  return { type: 'string', ...(format && { format }) };
+}
+
+/**
+ * The path template of a concrete path. Paths the spec knows get the spec's
+ * template; otherwise segments that look like ids become parameters, the
+ * last one `{id}` and earlier ones named after the segment before them.
+ */
+function templateOf(spec, method, pathname) {
+  if (spec) {
+    const match = spec.matchOperation(method, pathname) ||
+      HTTP_METHODS.map(other => spec.matchOperation(other, pathname)).find(Boolean);
+    if (match) {
+      return { template: match.path, pathParams: match.pathParams, operationId: match.method === method ? match.operationId : undefined };
+    }
+  }
+
+  const segments = pathname.split('/');
+  const ids = segments.map((segment, i) => (i > 0 && isId(segment) ? i : -1)).filter(i => i >= 0);
+  const pathParams = {};
+  const template = segments.map((segment, i) => {
+    if (!ids.includes(i)) return segment;
+    let name = 'id';
+    if (i !== ids[ids.length - 1]) {
+      const before = segments[i - 1];
+      name = before && !isId(before) ? `${camel(singular(before))}Id` : `param${i}`;
+    }
+    pathParams[name] = safeDecode(segment);
+    return `{${name}}`;
+  }).join('/');
+  return { template, pathParams };
+}
+
+function operationIdOf(method, template) {
+  const segments = template.split('/').filter(Boolean);
+  const literal = segments.filter(segment => !segment.startsWith('{')).map(pascal).join('');
+  const params = segments.filter(segment => segment.startsWith('{')).map(segment => pascal(segment.slice(1, -1)));
+  return `${method.toLowerCase()}${literal}${params.length ? `By${params.join('And')}` : ''}`;
+}
+
+function parseBody(body, contentType) {
+  if (body === undefined || body === null || body === '') return undefined;
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+  if (typeof text !== 'string' || !/[/+]json$/.test(mediaTypeOf(contentType))) return text;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+/**
+ * Spec Inference
+ * Watches the traffic of a provider and drafts the OpenAPI 3 document it
+ * implies: path templates (`/api/products/1` -> `/api/products/{id}`),
+ * path, query and header parameters with their types, and request and
+ * response schemas with required and nullable fields. Fed by middleware in
+ * the provider or by a proxy in front of it. findUndocumented() compares a
+ * draft with the spec the provider is meant to implement.
+ *
+ * Usage:
+ *   const inference = new SpecInference({ spec: 'specs/products-api.yaml' });
+ *   app.use(inference.middleware());   // first, so it sees every answer
+ *   // ... run the tests, then GET /__inference, or:
+ *   console.log(yaml.dump(inference.document()));
+ */
+class SpecInference {
+  /**
+   * @param {Object} [options]
+   * @param {string|SpecLoader} [options.spec] - Known paths keep its templates and operationIds
+   * @param {string} [options.title] - Title of the draft, defaults to the spec's
+   * @param {string[]} [options.ignore] - Path prefixes left out, defaults to
+   *   control endpoints (/__faults, /provider-states)
+   */
+  constructor(options = {}) {
+    this.spec = typeof options.spec === 'string' ? SpecLoader.load(options.spec) : options.spec;
+    this.title = options.title || (this.spec ? `${this.spec.document.info.title} (inferred)` : 'Inferred API');
+    this.ignore = options.ignore || DEFAULT_IGNORE;
+    this.reset();
+  }
+
+  /**
+   * Forget every exchange seen so far
+   */
+  reset() {
+    this.samples = [];
+  }
+
+  /**
+   * Record one exchange
+   * @param {Object} request - { method, url, headers, body }; url may be a path,
+   *   body is parsed or a JSON string, undefined when none was sent
+   * @param {Object} response - { status, headers, body }
+   */
+  record(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const method = request.method.toUpperCase();
+    if (method === 'OPTIONS' || this.ignore.some(prefix => url.pathname.startsWith(prefix))) return;
+
+    const lower = headers => {
+      const copy = {};
+      Object.entries(headers || {}).forEach(([name, value]) => {
+        if (value !== undefined) copy[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+      });
+      return copy;
+    };
+    const requestHeaders = lower(request.headers);
+    const responseHeaders = lower(response.headers);
+
+    this.samples.push({
+      method,
+      pathname: url.pathname,
+      query: queryOf(request.url),
+      headers: requestHeaders,
+      requestType: mediaTypeOf(requestHeaders['content-type']) || 'application/json',
+      requestBody: parseBody(request.body, requestHeaders['content-type'] || 'application/json'),
+      status: Number(response.status),
+      responseHeaders,
+      responseType: mediaTypeOf(responseHeaders['content-type']),
+      responseBody: parseBody(response.body, responseHeaders['content-type'])
+    });
+  }
+
+  /**
+   * Express middleware that records every request once its answer is sent,
+   * plus a control endpoint:
+   *   GET    /__inference  -> the draft document
+   *   DELETE /__inference  forgets what was recorded
+   *
+   * @param {Object} [options]
+   * @param {string} [options.path] - Control endpoint, defaults to /__inference
+   * @returns {express.Router}
+   */
+  middleware(options = {}) {
+    const router = this._control(options.path);
+
+    router.use((req, res, next) => {
+      // Replaced first, so it is the innermost send and gets the final body
+      const send = res.send.bind(res);
+      let body;
+      res.send = sent => {
+        body = sent;
+        return send(sent);
+      };
+      // The body parsers further down have filled req.body by the time the answer is sent
+      const sentBody = req.get('content-length') > 0 || req.get('transfer-encoding');
+      res.on('finish', () => this.record(
+        { method: req.method, url: req.originalUrl, headers: req.headers, body: sentBody ? req.body : undefined },
+        { status: res.statusCode, headers: res.getHeaders(), body: typeof body === 'object' && !Buffer.isBuffer(body) ? undefined : body }
+      ));
+      next();
+    });
+
+    return router;
+  }
+
+  /**
+   * An app that passes every request on to a running provider and records
+   * it, with the same control endpoint as middleware()
+   * @param {string} target - Base URL of the provider
+   * @returns {express.Application}
+   */
+  proxy(target) {
+    const app = express();
+    app.use(this._control());
+    app.use(forwardTo(target, (request, response) => this.record(request, response)));
+    return app;
+  }
+
+  _control(controlPath = '/__inference') {
+    const router = express.Router();
+
+    router.get(controlPath, (req, res) => res.json(this.document()));
+
+    router.delete(controlPath, (req, res) => {
+      this.reset();
+      res.status(204).end();
+    });
+
+    return router;
+  }
+
+  /**
+   * The draft OpenAPI 3.0 document of everything recorded, paths sorted
+   * @returns {Object}
+   */
+  document() {
+    const operations = new Map();
+    this.samples.forEach(sample => {
+      const { template, pathParams, operationId } = templateOf(this.spec, sample.method, sample.pathname);
+      const key = `${sample.method} ${template}`;
+      if (!operations.has(key)) {
+        operations.set(key, { method: sample.method, template, operationId: operationId || operationIdOf(sample.method, template), samples: [] });
+      }
+      operations.get(key).samples.push({ ...sample, pathParams });
+    });
+
+    const paths = {};
+    let secured = false;
+    [...operations.values()]
+      .sort((a, b) => a.template.localeCompare(b.template) ||
+        HTTP_METHODS.indexOf(a.method.toLowerCase()) - HTTP_METHODS.indexOf(b.method.toLowerCase()))
+      .forEach(({ method, template, operationId, samples }) => {
+        const bearer = samples.some(sample => /^bearer /i.test(sample.headers.authorization || ''));
+        secured = secured || bearer;
+        paths[template] = paths[template] || {};
+        paths[template][method.toLowerCase()] = {
+          operationId,
+          ...(bearer && { security: [{ bearerAuth: [] }] }),
+          ...this._operation(samples)
+        };
+      });
+
+    return {
+      openapi: '3.0.3',
+      info: {
+        title: this.title,
+        version: '0.0.0',
+        description: `Draft inferred from ${this.samples.length} observed requests. Check names, descriptions and constraints before use.`
+      },
+      paths,
+      ...(secured && { components: { securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } } } })
+    };
+  }
+
+  _operation(samples) {
+    const valuesOf = (pick, name, from = samples) => from.map(pick).filter(values => values[name] !== undefined).map(values => values[name]);
+    const names = (pick, from = samples) => [...new Set(from.flatMap(sample => Object.keys(pick(sample))))];
+    const customHeaders = sample => {
+      const headers = {};
+      Object.entries(sample.headers).forEach(([name, value]) => {
+        if (!STANDARD_REQUEST_HEADERS.includes(name)) headers[name] = value;
+      });
+      return headers;
+    };
+
+    // Parameters come from the requests that were accepted, so a rejected
+    // ?page=abc doesn't turn page into a string; all of them if none were
+    const succeeded = samples.filter(sample => sample.status >= 200 && sample.status < 300);
+    const accepted = succeeded.length ? succeeded : samples;
+    const parameters = [
+      ...names(sample => sample.pathParams, accepted).map(name => ({
+        name, in: 'path', required: true, schema: parameterSchema(valuesOf(sample => sample.pathParams, name, accepted))
+      })),
+      ...names(sample => sample.query, accepted).map(name => ({
+        name, in: 'query', schema: parameterSchema(valuesOf(sample => sample.query, name, accepted))
+      })),
+      ...names(customHeaders, accepted).map(name => ({
+        name: headerName(name), in: 'header', schema: parameterSchema(valuesOf(customHeaders, name, accepted))
+      }))
+    ];
+
+    const withBody = samples.filter(sample => sample.requestBody !== undefined);
+    const requestBody = withBody.length ? {
+      ...(withBody.length === samples.length && { required: true }),
+      content: this._content(withBody, sample => sample.requestType, sample => sample.requestBody)
+    } : undefined;
+
+    const responses = {};
+    [...new Set(samples.map(sample => sample.status))].sort((a, b) => a - b).forEach(status => {
+      const answered = samples.filter(sample => sample.status === status);
+      const headers = {};
+      names(sample => sample.responseHeaders, answered)
+        .filter(name => !STANDARD_RESPONSE_HEADERS.includes(name))
+        .forEach(name => {
+          headers[headerName(name)] = { schema: parameterSchema(valuesOf(sample => sample.responseHeaders, name, answered)) };
+        });
+      const withContent = answered.filter(sample => sample.responseBody !== undefined);
+
+      responses[String(status)] = {
+        description: http.STATUS_CODES[status] || `Status ${status}`,
+        ...(Object.keys(headers).length && { headers }),
+        ...(withContent.length && {
+          content: this._content(withContent, sample => sample.responseType || 'application/octet-stream', sample => sample.responseBody)
+        })
+      };
+    });
+
+    return { ...(parameters.length && { parameters }), ...(requestBody && { requestBody }), responses };
+  }
+
+  _content(samples, typeOf, bodyOf) {
+    const content = {};
+    [...new Set(samples.map(typeOf))].forEach(mediaType => {
+      content[mediaType] = { schema: inferSchema(samples.filter(sample => typeOf(sample) === mediaType).map(bodyOf)) };
+    });
+    return content;
+  }
+}
+
+/**
+ * Properties, and whether null is allowed, across allOf/oneOf/anyOf branches
+ */
+function flatten(schema) {
+  const branches = [schema, ...(schema.allOf || []), ...(schema.oneOf || []), ...(schema.anyOf || [])];
+  return {
+    types: branches.map(branch => branch.type).filter(Boolean),
+    nullable: branches.some(branch => branch.nullable || (branch.enum || []).includes(null)),
+    properties: Object.assign({}, ...branches.slice(1).map(branch => flatten(branch).properties), schema.properties),
+    items: branches.map(branch => branch.items).find(Boolean),
+    open: branches.some(branch => branch.additionalProperties && typeof branch.additionalProperties === 'object')
+  };
+}
+
+function compareSchemas(documented, observed, pointer, report) {
+  if (!documented || !observed) return;
+  const spec = flatten(documented);
+  const seen = flatten(observed);
+  const at = pointer || '/';
+
+  if (seen.nullable && !spec.nullable && spec.types.length) {
+    report(at, 'null, which the spec does not allow');
+  }
+  const fits = type => spec.types.includes(type) || (type === 'integer' && spec.types.includes('number'));
+  const mismatched = seen.types.filter(type => !fits(type));
+  if (spec.types.length && mismatched.length) {
+    report(at, `${mismatched.join(' or ')}, documented as ${spec.types.join(' or ')}`);
+    return;
+  }
+
+  Object.entries(seen.properties).forEach(([name, schema]) => {
+    const property = `${pointer}/${name}`;
+    if (spec.properties[name]) compareSchemas(spec.properties[name], schema, property, report);
+    else if (!spec.open) report(property, 'undocumented field');
+  });
+  if (seen.items) compareSchemas(spec.items, seen.items, `${pointer}/*`, report);
+}
+
+/**
+ * Everything a draft shows that a spec doesn't document: endpoints,
+ * statuses, query and header parameters, request and response bodies, body
+ * fields (`/items/*` for array items), nulls where the spec allows none and
+ * values of another type. Paths match regardless of parameter names.
+ *
+ * @param {string|SpecLoader} specOrPath - The spec the provider implements
+ * @param {Object} document - A draft from SpecInference#document
+ * @returns {Object[]} - { operation, location, message }
+ */
+function findUndocumented(specOrPath, document) {
+  const spec = typeof specOrPath === 'string' ? SpecLoader.load(specOrPath) : specOrPath;
+  const shape = template => template.replace(/\{[^}]+\}/g, '{}');
+  const documented = new Map(spec.getOperations().map(op => [`${op.method} ${shape(op.path)}`, op]));
+  const gaps = [];
+
+  Object.entries(document.paths || {}).forEach(([template, pathItem]) => {
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+      const observed = pathItem[method];
+      const op = documented.get(`${method.toUpperCase()} ${shape(template)}`);
+      const name = `${method.toUpperCase()} ${op ? op.path : template}`;
+      const report = location => (pointer, message) => gaps.push({ operation: name, location: [location, pointer].filter(Boolean).join(' '), message });
+
+      if (!op) {
+        report('')('', 'undocumented endpoint');
+        return;
+      }
+
+      const params = spec.getParameters(op.operationId);
+      (observed.parameters || []).filter(param => param.in !== 'path').forEach(param => {
+        const known = params.some(known => known.in === param.in &&
+          (param.in === 'header' ? known.name.toLowerCase() === param.name.toLowerCase() : known.name === param.name));
+        if (!known) report('')('', `undocumented ${param.in} parameter '${param.name}'`);
+      });
+
+      const requestBody = op.operation.requestBody;
+      Object.entries((observed.requestBody && observed.requestBody.content) || {}).forEach(([mediaType, media]) => {
+        const schema = requestBody && spec.getRequestSchema(op.operationId, mediaType);
+        if (!schema) report('request body')('', `undocumented ${mediaType} body`);
+        else compareSchemas(schema, media.schema, '', report('request body'));
+      });
+
+      const responses = op.operation.responses || {};
+      Object.entries(observed.responses).forEach(([status, response]) => {
+        if (![status, `${status[0]}XX`, 'default'].some(key => responses[key])) {
+          report('')('', `undocumented status ${status}`);
+          return;
+        }
+        const documentedHeaders = Object.keys(spec.getResponse(op.operationId, status).headers || {}).map(header => header.toLowerCase());
+        Object.keys(response.headers || {}).filter(header => !documentedHeaders.includes(header.toLowerCase())).forEach(header => {
+          report(`${status} response`)('', `undocumented header ${header}`);
+        });
+        Object.entries(response.content || {}).forEach(([mediaType, media]) => {
+          const schema = spec.getResponseSchema(op.operationId, status, mediaType);
+          if (!schema) report(`${status} response`)('', `undocumented ${mediaType} body`);
+          else compareSchemas(schema, media.schema, '', report(`${status} response`));
+        });
+      });
+    });
+  });
+
+  return gaps;
+}
+
+/**
+ * Render the findings of findUndocumented, grouped by operation
+ * @param {Object[]} gaps
+ * @returns {string}
+ */
+function formatUndocumented(gaps) {
+  if (!gaps.length) {
+    return 'The traffic matches the spec: nothing undocumented';
+  }
+  return [
+    `Undocumented in the spec (${gaps.length})`,
+    ...gaps.map(gap => `  ✗ ${gap.operation}${gap.location ? ` ${gap.location}` : ''}: ${gap.message}`)
+  ].join('\n');
+}
+
+/**
+ * A draft as YAML, with a comment saying where it came from
+ * @param {Object} document
+ * @returns {string}
+ */
+function inferredSpecYaml(document) {
+  return `# ${document.info.description}\n${yaml.dump(document, { lineWidth: -1, noRefs: true })}`;
+}
+
+module.exports = { SpecInference, inferSchema, findUndocumented, formatUndocumented, inferredSpecYaml };
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const cache = new Map();
+
+const countParams = template => template.filter(part => part.startsWith('{')).length;
+
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return segment;
+  }
+}
+
+/**
+ * OpenAPI Spec Loader
+ * Reads an OpenAPI 3.0 document and looks up schemas by operationId,
+ * status code and media type, with local $refs resolved.
+ *
+ * Usage:
+ *   const spec = SpecLoader.load(path.join(__dirname, '../openapi.yaml'));
+ *   spec.getResponseSchema('getUsers', 200);
+ */
+class SpecLoader {
+  /**
+   * @param {Object} document - Parsed OpenAPI document
+   */
+  constructor(document) {
+    this.document = document;
+    this._resolved = new Map();
+  }
+
+  /**
+   * Load and parse a YAML or JSON spec file (cached per absolute path)
+   * @param {string} filePath - Path to the spec file
+   * @returns {SpecLoader}
+   */
+  static load(filePath) {
+    const absolutePath = path.resolve(filePath);
+
+    if (!cache.has(absolutePath)) {
+      cache.set(absolutePath, SpecLoader.parse(fs.readFileSync(absolutePath, 'utf8'), absolutePath));
+    }
+
+    return cache.get(absolutePath);
+  }
+
+  /**
+   * Parse YAML or JSON spec text (not cached)
+   * @param {string} text - Spec contents
+   * @param {string} [source] - Name used in error messages
+   * @returns {SpecLoader}
+   */
+  static parse(text, source = 'spec') {
+    const document = yaml.load(text);
+    if (!document || !document.openapi) {
+      throw new Error(`Not an OpenAPI 3 document: ${source}`);
+    }
+    return new SpecLoader(document);
+  }
+
+  /**
+   * List every operation in the spec
+   * @returns {Object[]} - { operationId, method, path, operation }
+   */
+  getOperations() {
+    if (this._operations) {
+      return this._operations;
+    }
+
+    const operations = [];
+
+    Object.entries(this.document.paths || {}).forEach(([route, pathItem]) => {
+      HTTP_METHODS.forEach(method => {
+        if (pathItem[method]) {
+          operations.push({
+            operationId: pathItem[method].operationId,
+            method: method.toUpperCase(),
+            path: route,
+            operation: this.resolve(pathItem[method])
+          });
+        }
+      });
+    });
+
+    this._operations = operations;
+    return operations;
+  }
+
+  /**
+   * Find an operation by its operationId
+   * @param {string} operationId
+   * @returns {Object} - { operationId, method, path, operation }
+   */
+  getOperation(operationId) {
+    const found = this.getOperations().find(op => op.operationId === operationId);
+    if (!found) {
+      throw new Error(`Unknown operationId: ${operationId}`);
+    }
+    return found;
+  }
+
+  /**
+   * Match a concrete request against the spec's path templates.
+   * Literal paths win over templated ones ("/users/me" before "/users/{id}").
+   * @param {string} method - HTTP method
+   * @param {string} requestPath - Path without query string, e.g. "/api/products/1"
+   * @returns {Object|null} - { operationId, method, path, operation, pathParams }
+   */
+  matchOperation(method, requestPath) {
+    const segments = requestPath.split('/');
+    const candidates = this.getOperations()
+      .filter(op => op.method === method.toUpperCase())
+      .map(op => ({ op, template: op.path.split('/') }))
+      .filter(({ template }) => template.length === segments.length)
+      .sort((a, b) => countParams(a.template) - countParams(b.template));
+
+    for (const { op, template } of candidates) {
+      const pathParams = {};
+      const matched = template.every((part, i) => {
+        const param = /^\{(.+)\}$/.exec(part);
+        if (param) {
+          if (!segments[i]) return false;
+          pathParams[param[1]] = safeDecode(segments[i]);
+          return true;
+        }
+        return part === segments[i];
+      });
+
+      if (matched) {
+        return { ...op, pathParams };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Path and operation level parameters, operation entries taking precedence
+   * @param {string} operationId
+   * @returns {Object[]}
+   */
+  getParameters(operationId) {
+    const { path: route, operation } = this.getOperation(operationId);
+    const pathParameters = this.resolve(this.document.paths[route].parameters || []);
+    const operationParameters = operation.parameters || [];
+    const key = param => `${param.in}:${param.name}`;
+    const overridden = new Set(operationParameters.map(key));
+
+    return [...pathParameters.filter(param => !overridden.has(key(param))), ...operationParameters];
+  }
+
+  /**
+   * Security requirements of an operation, falling back to the document's.
+   * Each entry is one alternative; its schemes must all be satisfied.
+   * @param {string} operationId
+   * @returns {Object[][]} - [[{ name, scheme, scopes }]], [] when nothing is required
+   */
+  getSecurity(operationId) {
+    const { operation } = this.getOperation(operationId);
+    const requirements = operation.security || this.document.security || [];
+    const schemes = (this.document.components && this.document.components.securitySchemes) || {};
+
+    return requirements.map(requirement => Object.entries(requirement).map(([name, scopes]) => {
+      if (!schemes[name]) {
+        throw new Error(`Unknown security scheme: ${name}`);
+      }
+      return { name, scheme: this.resolve(schemes[name]), scopes: scopes || [] };
+    }));
+  }
+
+  /**
+   * Schema of a response body
+   * @param {string} operationId
+   * @param {number|string} status - Exact code; falls back to "2XX"-style ranges and "default"
+   * @param {string} [mediaType] - Defaults to application/json
+   * @returns {Object|undefined} - Resolved schema, undefined if the response has no body
+   */
+  getResponseSchema(operationId, status, mediaType = 'application/json') {
+    const media = this._media(this.getResponse(operationId, status).content, mediaType);
+    return media && media.schema;
+  }
+
+  /**
+   * Response object for a status code
+   */
+  getResponse(operationId, status) {
+    const responses = this.getOperation(operationId).operation.responses || {};
+    const code = String(status);
+    const response = responses[code] || responses[`${code[0]}XX`] || responses.default;
+
+    if (!response) {
+      throw new Error(`No ${code} response documented for ${operationId}`);
+    }
+    return response;
+  }
+
+  /**
+   * Schema of a request body
+   * @param {string} operationId
+   * @param {string} [mediaType] - Defaults to application/json
+   * @returns {Object|undefined}
+   */
+  getRequestSchema(operationId, mediaType = 'application/json') {
+    const { requestBody } = this.getOperation(operationId).operation;
+    const media = requestBody && this._media(requestBody.content, mediaType);
+    return media && media.schema;
+  }
+
+  /**
+   * Named schema from components/schemas
+   * @param {string} name
+   * @returns {Object}
+   */
+  getSchema(name) {
+    const schemas = (this.document.components && this.document.components.schemas) || {};
+    if (!schemas[name]) {
+      throw new Error(`Unknown schema: ${name}`);
+    }
+    return this.resolve(schemas[name]);
+  }
+
+  /**
+   * Return a copy of a node with local $refs replaced by their targets.
+   * Recursive schemas resolve to recursive object graphs.
+   */
+  resolve(node) {
+    if (Array.isArray(node)) {
+      return node.map(item => this.resolve(item));
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+    if (typeof node.$ref === 'string') {
+      return this._resolveRef(node.$ref);
+    }
+
+    const copy = {};
+    Object.entries(node).forEach(([key, value]) => {
+      copy[key] = this.resolve(value);
+    });
+    return copy;
+  }
+
+  _resolveRef(ref) {
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Only local $ref values are supported: ${ref}`);
+    }
+
+    if (!this._resolved.has(ref)) {
+      const target = ref
+        .slice(2)
+        .split('/')
+        .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, segment) => {
+          if (!node || !(segment in node)) {
+            throw new Error(`Unresolvable $ref: ${ref}`);
+          }
+          return node[segment];
+        }, this.document);
+
+      // Register the placeholder before descending so cycles point back at it
+      const resolved = Array.isArray(target) ? [] : {};
+      this._resolved.set(ref, resolved);
+      Object.assign(resolved, this.resolve(target));
+    }
+
+    return this._resolved.get(ref);
+  }
+
+  _media(content, mediaType) {
+    if (!content) return undefined;
+
+    const [type] = mediaType.split('/');
+    return content[mediaType] || content[`${type}/*`] || content['*/*'];
+  }
+}
+
+module.exports = SpecLoader;
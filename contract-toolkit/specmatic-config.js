@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Read a specmatic.yaml file
+ * @param {string} filePath - Path to specmatic.yaml
+ * @returns {Object} - Its specmaticConfig section, with specificationPath and
+ *   reports.outputPath made absolute
+ */
+function loadSpecmaticConfig(filePath) {
+  const absolutePath = path.resolve(filePath);
+  const document = yaml.load(fs.readFileSync(absolutePath, 'utf8')) || {};
+  if (!document.specmaticConfig) {
+    throw new Error(`${filePath} has no specmaticConfig section`);
+  }
+
+  const config = { ...document.specmaticConfig };
+  if (config.specificationPath) {
+    config.specificationPath = path.resolve(path.dirname(absolutePath), config.specificationPath);
+  }
+  if (config.reports && config.reports.outputPath) {
+    config.reports = { ...config.reports, outputPath: path.resolve(path.dirname(absolutePath), config.reports.outputPath) };
+  }
+  return config;
+}
+
+/**
+ * Client options from the testing section of a Specmatic config, for the
+ * generated API clients
+ *
+ * Usage:
+ *   const config = loadSpecmaticConfig('../specmatic.yaml');
+ *   const api = new ProductServiceApiClient(config.baseURL, resilienceOptions(config));
+ *
+ * testing.timeout becomes the per-attempt timeout, testing.retries the
+ * retries of idempotent calls, and testing.circuitBreaker
+ * ({ failureThreshold, resetTimeout }) the breaker's options.
+ *
+ * @param {Object} config - From loadSpecmaticConfig()
+ * @returns {Object} - { timeout, retry, circuitBreaker }, only the configured ones
+ */
+function resilienceOptions(config) {
+  const testing = (config && config.testing) || {};
+  const options = {};
+
+  if (testing.timeout !== undefined) {
+    options.timeout = positiveNumber(testing.timeout, 'testing.timeout');
+  }
+  if (testing.retries !== undefined) {
+    options.retry = { retries: positiveNumber(testing.retries, 'testing.retries', true) };
+  }
+  if (testing.circuitBreaker) {
+    const { failureThreshold, resetTimeout } = testing.circuitBreaker;
+    options.circuitBreaker = {};
+    if (failureThreshold !== undefined) {
+      options.circuitBreaker.failureThreshold = positiveNumber(failureThreshold, 'testing.circuitBreaker.failureThreshold');
+    }
+    if (resetTimeout !== undefined) {
+      options.circuitBreaker.resetTimeout = positiveNumber(resetTimeout, 'testing.circuitBreaker.resetTimeout', true);
+    }
+  }
+  return options;
+}
+
+function positiveNumber(value, key, zeroAllowed = false) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (value === 0 && !zeroAllowed)) {
+    throw new Error(`${key} must be a ${zeroAllowed ? 'non-negative' : 'positive'} number, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+module.exports = { loadSpecmaticConfig, resilienceOptions };
@@ -0,0 +1,401 @@
+const SchemaValidator = require('./schema-validator');
+const SpecLoader = require('./spec-loader');
+const ResourceStore = require('./resource-store');
+const { validateResponse } = require('./openapi-validator');
+const { loadRecordings } = require('./recording-proxy');
+const { generateSample } = require('./sample-generator');
+const { jsonMedia, exampleValues, successStatus } = require('./media');
+const { bearerRequirement, declaredScopes } = require('./security');
+
+const WRONG_TYPE_VALUES = {
+  integer: 'abc',
+  number: 'abc',
+  boolean: 'maybe'
+};
+
+function loadSpec(spec) {
+  return typeof spec === 'string' ? SpecLoader.load(spec) : spec;
+}
+
+function paramExample(param) {
+  if (param.example !== undefined) return param.example;
+  const [example] = exampleValues({ examples: param.examples });
+  if (example !== undefined) return example;
+  return generateSample(param.schema || {});
+}
+
+/**
+ * Values that break one constraint of a schema each
+ * @returns {Object[]} - { description, value }
+ */
+function constraintViolations(schema = {}) {
+  const violations = [];
+
+  if (schema.minimum !== undefined) {
+    violations.push({ description: `below minimum ${schema.minimum}`, value: schema.exclusiveMinimum === true ? schema.minimum : schema.minimum - 1 });
+  }
+  if (schema.maximum !== undefined) {
+    violations.push({ description: `above maximum ${schema.maximum}`, value: schema.exclusiveMaximum === true ? schema.maximum : schema.maximum + 1 });
+  }
+  if (schema.minLength > 0) {
+    violations.push({ description: `shorter than minLength ${schema.minLength}`, value: 'x'.repeat(schema.minLength - 1) });
+  }
+  if (schema.maxLength !== undefined) {
+    violations.push({ description: `longer than maxLength ${schema.maxLength}`, value: 'x'.repeat(schema.maxLength + 1) });
+  }
+  if (schema.enum) {
+    violations.push({ description: 'outside its enum', value: '__invalid__' });
+  }
+
+  return violations;
+}
+
+/**
+ * Scopes of the token an operation needs, null when it needs none
+ */
+function requiredScopes(spec, operationId) {
+  const requirement = bearerRequirement(spec, operationId);
+  return requirement ? requirement.scopes : null;
+}
+
+/**
+ * Operations on an item path of a collection that has a create operation can
+ * run against a freshly created item instead of relying on seed data.
+ */
+function fixtureFor(spec, collections, op) {
+  const collection = collections.find(c => c.itemPath === op.path);
+  if (!collection) return null;
+
+  const create = spec.getOperations().find(o => o.path === collection.path && o.method === 'POST');
+  if (!create) return null;
+
+  const remove = spec.getOperations().find(o => o.path === collection.itemPath && o.method === 'DELETE');
+
+  return {
+    create: { path: create.path, body: exampleBody(create.operation).body, scopes: requiredScopes(spec, create.operationId) },
+    deletePath: remove && remove.path,
+    deleteScopes: remove ? requiredScopes(spec, remove.operationId) : null,
+    param: collection.param,
+    idField: collection.idField
+  };
+}
+
+function exampleBody(operation) {
+  const found = jsonMedia(operation.requestBody && operation.requestBody.content);
+  if (!found) return {};
+
+  const [example] = exampleValues(found.media);
+  return {
+    contentType: found.mediaType,
+    schema: found.media.schema,
+    body: example !== undefined ? example : generateSample(found.media.schema)
+  };
+}
+
+/**
+ * The documented example request of an operation
+ */
+function exampleRequest(spec, op) {
+  const request = { pathParams: {}, query: {}, headers: {} };
+  const target = { path: 'pathParams', query: 'query', header: 'headers' };
+
+  spec.getParameters(op.operationId).forEach(param => {
+    if (!target[param.in]) return;
+    if (param.in === 'path' || param.required || param.example !== undefined || param.examples) {
+      request[target[param.in]][param.name] = paramExample(param);
+    }
+  });
+
+  const { contentType, body } = exampleBody(op.operation);
+  if (contentType) {
+    request.contentType = contentType;
+    request.body = body;
+  }
+
+  return request;
+}
+
+/**
+ * Walk every operation of a spec and derive test cases: the documented
+ * example request, plus negative cases from the constraints of the request
+ * body and parameters (missing required fields, minimum/maximum,
+ * minLength/maxLength, enum, wrong parameter types). Operations secured with
+ * a bearer token also get a case without a token (401) and one with a token
+ * lacking the required scopes (403), when they document those statuses.
+ *
+ * `scopes` lists the scopes of the token a case sends, null for no token.
+ *
+ * Recorded interactions (see recording-proxy.js) become `replay` cases that
+ * send the recorded request and expect the recorded status, see replayCases().
+ *
+ * @param {string|SpecLoader} specOrPath
+ * @param {Object} [options]
+ * @param {Array<string|Object>} [options.recordings] - Recording files or objects to replay
+ * @returns {Object[]} - { kind, name, operationId, method, path, request, scopes, fixture, expectedStatus }
+ */
+function generateTestCases(specOrPath, options = {}) {
+  const spec = loadSpec(specOrPath);
+  const collections = ResourceStore.discover(spec);
+  const cases = [];
+
+  spec.getOperations().forEach(op => {
+    const responses = op.operation.responses || {};
+    const base = exampleRequest(spec, op);
+    const fixture = fixtureFor(spec, collections, op);
+    const rejected = responses['400'] ? '400' : '4XX';
+    const requirement = bearerRequirement(spec, op.operationId);
+    const scopes = requirement ? requirement.scopes : null;
+    const testCase = (kind, name, request, expectedStatus, useFixture = true, caseScopes = scopes) => cases.push({
+      kind,
+      name,
+      operationId: op.operationId,
+      method: op.method,
+      path: op.path,
+      request,
+      scopes: caseScopes,
+      fixture: useFixture ? fixture : null,
+      expectedStatus
+    });
+
+    const success = successStatus(responses);
+    testCase('positive', `example request returns ${success}`, base, success);
+
+    if (requirement && responses['401']) {
+      testCase('negative', 'missing access token returns 401', base, '401', true, null);
+    }
+    const otherScopes = requirement ? declaredScopes(requirement.scheme).filter(scope => !scopes.includes(scope)) : [];
+    if (requirement && responses['403'] && scopes.length && otherScopes.length) {
+      testCase('negative', `token without scope '${scopes.join(' ')}' returns 403`, base, '403', true, otherScopes);
+    }
+
+    const bodySchema = exampleBody(op.operation).schema;
+    if (bodySchema && base.body && typeof base.body === 'object') {
+      (bodySchema.required || []).forEach(field => {
+        const body = { ...base.body };
+        delete body[field];
+        testCase('negative', `missing required field '${field}' returns ${rejected}`, { ...base, body }, rejected);
+      });
+
+      Object.entries(bodySchema.properties || {}).forEach(([field, schema]) => {
+        constraintViolations(schema).forEach(({ description, value }) => {
+          testCase('negative', `field '${field}' ${description} returns ${rejected}`, { ...base, body: { ...base.body, [field]: value } }, rejected);
+        });
+      });
+    }
+
+    spec.getParameters(op.operationId)
+      .filter(param => param.in === 'path' || param.in === 'query')
+      .forEach(param => {
+        const key = param.in === 'path' ? 'pathParams' : 'query';
+        const schema = param.schema || {};
+        const withValue = value => ({ ...base, [key]: { ...base[key], [param.name]: value } });
+
+        if (WRONG_TYPE_VALUES[schema.type]) {
+          testCase('negative', `${param.in} param '${param.name}' with wrong type returns ${rejected}`,
+            withValue(WRONG_TYPE_VALUES[schema.type]), rejected, false);
+        }
+        constraintViolations(schema).forEach(({ description, value }) => {
+          testCase('negative', `${param.in} param '${param.name}' ${description} returns ${rejected}`,
+            withValue(value), rejected, false);
+        });
+      });
+  });
+
+  return cases.concat(replayCases(spec, collections, loadRecordings(options.recordings)));
+}
+
+// Conditional headers name the version of the recorded item, not of a fixture
+const CONDITIONAL_HEADERS = ['if-match', 'if-none-match'];
+
+/**
+ * Test cases that replay recorded interactions. Left out are interactions
+ * that broke the spec, ones whose body, query or header parameters were
+ * redacted, 403s, since the scopes of the recorded token are unknown, and
+ * 304s and 412s, which answered the version of an item long gone.
+ * Interactions on an item run against a fixture, like the example cases,
+ * except 404s, which replay the recorded id.
+ */
+function replayCases(spec, collections, interactions) {
+  return interactions.map(interaction => {
+    const { request, response } = interaction;
+    const match = spec.matchOperation(request.method, request.path);
+    if (!match || match.operationId !== interaction.operationId || interaction.errors.length || [304, 403, 412].includes(response.status)) {
+      return null;
+    }
+
+    const headerParams = spec.getParameters(match.operationId)
+      .filter(param => param.in === 'header')
+      .map(param => param.name.toLowerCase());
+    const redactedParts = interaction.redacted.filter(pointer =>
+      /^\/request\/(body|query)(\/|$)/.test(pointer) || headerParams.some(name => pointer === `/request/headers/${name}`));
+    if (redactedParts.length) {
+      return null;
+    }
+
+    const fixture = response.status !== 404 ? fixtureFor(spec, collections, match) : null;
+    const headers = {};
+    headerParams
+      .filter(name => request.headers[name] !== undefined && !(fixture && CONDITIONAL_HEADERS.includes(name)))
+      .forEach(name => {
+        headers[name] = request.headers[name];
+      });
+
+    return {
+      kind: 'replay',
+      name: `replays recorded ${interaction.name}`,
+      operationId: match.operationId,
+      method: match.method,
+      path: match.path,
+      request: { pathParams: match.pathParams, query: request.query, headers, contentType: request.contentType, body: request.body },
+      // A recorded call without a token, or with one that was turned away, is replayed without one
+      scopes: request.headers.authorization && response.status !== 401 ? requiredScopes(spec, match.operationId) : null,
+      fixture,
+      expectedStatus: String(response.status)
+    };
+  }).filter(Boolean);
+}
+
+function matchesStatus(expected, actual) {
+  return /XX$/i.test(expected) ? String(actual)[0] === expected[0] : String(actual) === String(expected);
+}
+
+function buildUrl(baseUrl, route, request) {
+  const resolvedPath = route.replace(/\{([^}]+)\}/g, (_, name) => encodeURIComponent(request.pathParams[name]));
+  const query = new URLSearchParams();
+  Object.entries(request.query).forEach(([name, value]) => {
+    (Array.isArray(value) ? value : [value]).forEach(item => query.append(name, item));
+  });
+  const queryString = query.toString();
+  return `${baseUrl}${resolvedPath}${queryString ? `?${queryString}` : ''}`;
+}
+
+function encodeBody(body, contentType) {
+  if (body === undefined) return undefined;
+  if (contentType === 'application/x-www-form-urlencoded' && body && typeof body === 'object') {
+    return new URLSearchParams(body).toString();
+  }
+  return JSON.stringify(body);
+}
+
+async function send(baseUrl, method, route, request, token) {
+  const headers = { ...request.headers };
+  const requestType = request.contentType || 'application/json';
+  if (request.body !== undefined) {
+    headers['Content-Type'] = requestType;
+  }
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const url = buildUrl(baseUrl, route, request);
+  const response = await fetch(url, {
+    method,
+    headers,
+    body: encodeBody(request.body, requestType)
+  });
+  const text = await response.text();
+  const contentType = response.headers.get('content-type') || '';
+  let body = text || undefined;
+  if (text && contentType.includes('json')) {
+    try {
+      body = JSON.parse(text);
+    } catch (err) {
+      body = text;
+    }
+  }
+
+  return { url, status: response.status, headers: Object.fromEntries(response.headers), contentType, body };
+}
+
+/**
+ * Run one generated test case against a live server
+ * @param {Object} testCase - From generateTestCases
+ * @param {Object} options
+ * @param {string|SpecLoader} options.spec
+ * @param {string} options.baseUrl
+ * @param {Function} [options.getToken] - async (scopes) => access token, for secured operations
+ * @returns {Promise<Object>} - { request, response, errors }
+ */
+async function executeTestCase(testCase, { spec: specOrPath, baseUrl, getToken }) {
+  const spec = loadSpec(specOrPath);
+  const request = { ...testCase.request, pathParams: { ...testCase.request.pathParams } };
+  const tokenFor = scopes => (scopes && getToken ? getToken(scopes) : undefined);
+  let createdId;
+
+  if (testCase.fixture) {
+    const created = await send(baseUrl, 'POST', testCase.fixture.create.path, {
+      pathParams: {}, query: {}, headers: request.headers, body: testCase.fixture.create.body
+    }, await tokenFor(testCase.fixture.create.scopes));
+    if (created.status >= 300 || !created.body || created.body[testCase.fixture.idField] === undefined) {
+      return {
+        request,
+        response: created,
+        errors: [{ path: '', keyword: 'fixture', message: `could not create fixture: POST ${testCase.fixture.create.path} returned ${created.status}` }]
+      };
+    }
+    createdId = created.body[testCase.fixture.idField];
+    request.pathParams[testCase.fixture.param] = createdId;
+  }
+
+  const response = await send(baseUrl, testCase.method, testCase.path, request, await tokenFor(testCase.scopes));
+  const errors = [];
+
+  if (!matchesStatus(testCase.expectedStatus, response.status)) {
+    errors.push({ path: '', keyword: 'status', message: `expected status ${testCase.expectedStatus}, got ${response.status}` });
+  }
+  errors.push(...validateResponse(spec, testCase, response.status, response.body, response.contentType));
+
+  if (createdId !== undefined && testCase.fixture.deletePath && !(testCase.method === 'DELETE' && response.status < 300)) {
+    await send(baseUrl, 'DELETE', testCase.fixture.deletePath, {
+      pathParams: { [testCase.fixture.param]: createdId }, query: {}, headers: request.headers
+    }, await tokenFor(testCase.fixture.deleteScopes));
+  }
+
+  return { request: { method: testCase.method, url: response.url, body: request.body }, response, errors };
+}
+
+/**
+ * Register the generated cases as Jest tests, one describe block per operation
+ *
+ * Usage (in a *.test.js file):
+ *   describeContractTests({ spec: 'specs/products-api.yaml', baseUrl: 'http://localhost:8080' });
+ *
+ * @param {Object} options
+ * @param {string|SpecLoader} options.spec
+ * @param {string|Function} options.baseUrl - URL, or a function returning it once servers are up
+ * @param {Function} [options.getToken] - async (scopes) => access token, for secured operations
+ * @param {Function} [options.filter] - Keep only the cases it returns true for
+ * @param {Array<string|Object>} [options.recordings] - Recording files or objects to replay
+ */
+function describeContractTests(options) {
+  const spec = loadSpec(options.spec);
+  const cases = generateTestCases(spec, { recordings: options.recordings }).filter(options.filter || (() => true));
+  const operations = [...new Set(cases.map(testCase => `${testCase.method} ${testCase.path}`))];
+
+  describe(`Contract tests: ${spec.document.info.title}`, () => {
+    operations.forEach(operation => {
+      describe(operation, () => {
+        cases
+          .filter(testCase => `${testCase.method} ${testCase.path}` === operation)
+          .forEach(testCase => {
+            it(`${testCase.operationId}: ${testCase.name}`, async () => {
+              const baseUrl = typeof options.baseUrl === 'function' ? options.baseUrl() : options.baseUrl;
+              const { errors } = await executeTestCase(testCase, { spec, baseUrl, getToken: options.getToken });
+              expect(SchemaValidator.formatErrors(errors)).toEqual([]);
+            });
+          });
+      });
+    });
+  });
+}
+
+module.exports = {
+  generateTestCases,
+  executeTestCase,
+  describeContractTests,
+  // Shared with the fuzzer
+  constraintViolations,
+  fixtureFor,
+  requiredScopes,
+  send
+};
@@ -0,0 +1,575 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { getEventListeners } = require('events');
+const SpecLoader = require('../spec-loader');
+const { generateClient, errorClassName } = require('../client-generator');
+const { startMockServer } = require('../mock-server');
+
+const usersSpecPath = path.join(__dirname, '../../openapi-contract-testing/openapi.yaml');
+const productsSpecPath = path.join(__dirname, '../../specmatic-contract-testing/specs/products-api.yaml');
+const cli = path.join(__dirname, '../bin/client-generator.js');
+
+describe('Client generator', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-generator-'));
+  });
+
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  /**
+   * Write a generated CommonJS client to the temp dir and load it
+   */
+  function load(name, specOrPath, options) {
+    const file = path.join(dir, `${name}.js`);
+    fs.writeFileSync(file, generateClient(specOrPath, options).js);
+    return require(file);
+  }
+
+  describe('errorClassName', () => {
+    it('should name error classes after the status reason', () => {
+      expect([400, 401, 404, 406, 500, 599].map(errorClassName)).toEqual([
+        'BadRequestError', 'UnauthorizedError', 'NotFoundError', 'NotAcceptableError', 'InternalServerError', 'Http599Error'
+      ]);
+    });
+  });
+
+  describe('generated products client', () => {
+    let api;
+    let mock;
+    let client;
+
+    beforeAll(async () => {
+      api = load('products', productsSpecPath);
+      mock = await startMockServer({ spec: productsSpecPath, stateful: true });
+      client = new api.ProductServiceApiClient(mock.url, { headers: { Authorization: 'Bearer test-token' } });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should have a method per operationId and export the documented error classes', () => {
+      const methods = SpecLoader.load(productsSpecPath).getOperations().map(op => op.operationId);
+
+      methods.forEach(method => expect(typeof client[method]).toBe('function'));
+      expect(Object.keys(api)).toEqual([
+        'ProductServiceApiClient', 'CircuitBreaker', 'ApiError', 'ValidationError', 'AuthError', 'NotFoundError', 'ServerError',
+        'NetworkError', 'TimeoutError', 'CircuitOpenError', 'BadRequestError', 'UnauthorizedError', 'ForbiddenError',
+        'PreconditionFailedError', 'UnsupportedMediaTypeError', 'UnprocessableEntityError'
+      ]);
+    });
+
+    it('should create, read and delete through the mock', async () => {
+      const created = await client.createProduct({ body: { name: 'Gizmo', price: 5 } });
+      expect(await client.getProductById({ id: created.id })).toEqual(created);
+
+      await expect(client.deleteProduct({ id: created.id })).resolves.toBeUndefined();
+    });
+
+    it('should throw the error class of the status with the code and message of the body', async () => {
+      const error = await client.getProductById({ id: 424242 }).catch(err => err);
+
+      expect(error).toBeInstanceOf(api.NotFoundError);
+      expect(error).toBeInstanceOf(api.ApiError);
+      expect(error.name).toBe('NotFoundError');
+      expect(error.status).toBe(404);
+      expect(error.code).toBe('NOT_FOUND');
+      expect(error.message).toContain('not found');
+      expect(error.method).toBe('GET');
+      expect(error.url).toBe(`${mock.url}/api/products/424242`);
+      expect(error.body).toEqual({ code: 'NOT_FOUND', message: error.message });
+    });
+
+    it('should derive status classes from the error categories', async () => {
+      const invalid = await client.createProduct({ body: { name: 'Gizmo' } }).catch(err => err);
+      expect(invalid).toBeInstanceOf(api.BadRequestError);
+      expect(invalid).toBeInstanceOf(api.ValidationError);
+
+      const anonymous = new api.ProductServiceApiClient(mock.url);
+      const unauthorized = await anonymous.getAllProducts().catch(err => err);
+      expect(unauthorized).toBeInstanceOf(api.UnauthorizedError);
+      expect(unauthorized).toBeInstanceOf(api.AuthError);
+      expect(new api.ForbiddenError('denied')).toBeInstanceOf(api.AuthError);
+    });
+
+    it('should resolve to status, headers and body with fullResponse', async () => {
+      const response = await client.getAllProducts({ pageSize: 1 }, { fullResponse: true });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/json');
+      expect(response.data.length).toBeGreaterThan(0);
+    });
+
+    it('should call the headers function before every request', async () => {
+      const unauthorized = new api.ProductServiceApiClient(mock.url, { headers: async () => ({}) });
+
+      await expect(unauthorized.getAllProducts()).rejects.toBeInstanceOf(api.UnauthorizedError);
+    });
+
+    it('should resolve a 304 to a conditional GET without data', async () => {
+      const requests = [];
+      const cached = new api.ProductServiceApiClient('http://api.test', {
+        fetch: async (url, init) => {
+          requests.push(init.headers);
+          return new Response(null, { status: 304, headers: { ETag: '"v1"' } });
+        }
+      });
+
+      const response = await cached.getProductById({ id: 1, 'If-None-Match': '"v1"' }, { fullResponse: true });
+      expect(response).toEqual({ status: 304, headers: { etag: '"v1"' }, data: undefined });
+      expect(requests[0]['If-None-Match']).toBe('"v1"');
+    });
+  });
+
+  describe('generated users client', () => {
+    let api;
+    let mock;
+
+    beforeAll(async () => {
+      api = load('users', usersSpecPath, { className: 'UsersClient' });
+      mock = await startMockServer({ spec: usersSpecPath });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should send header parameters and let request headers override Accept', async () => {
+      const client = new api.UsersClient(mock.url);
+
+      expect((await client.getUsers({ 'API-Version': '2' })).users[0]).toHaveProperty('email');
+
+      const response = await client.getUsers({}, {
+        headers: { accept: 'application/vnd.users.v1+json' },
+        fullResponse: true
+      });
+      expect(response.headers['content-type']).toContain('application/vnd.users.v1+json');
+    });
+
+    it('should throw BadRequestError for requests the spec rejects', async () => {
+      const error = await new api.UsersClient(mock.url).getUsers({ limit: 0 }).catch(err => err);
+
+      expect(error).toBeInstanceOf(api.BadRequestError);
+      expect(error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('serialization', () => {
+    // One operation covering explode: false arrays, path-level parameters and form bodies
+    const spec = new SpecLoader({
+      openapi: '3.0.3',
+      info: { title: 'Orders API', version: '1.0.0' },
+      servers: [{ url: '/relative' }],
+      paths: {
+        '/shops/{shop}/orders': {
+          parameters: [{ name: 'shop', in: 'path', required: true, schema: { type: 'string' } }],
+          post: {
+            operationId: 'createOrder',
+            parameters: [
+              { name: 'tags', in: 'query', explode: false, schema: { type: 'array', items: { type: 'string' } } },
+              { name: 'ids', in: 'query', schema: { type: 'array', items: { type: 'integer' } } }
+            ],
+            requestBody: {
+              content: { 'application/x-www-form-urlencoded': { schema: { type: 'object', properties: { note: { type: 'string' } } } } }
+            },
+            responses: { 201: { description: 'Created' }, 409: { description: 'Conflict' }, 599: { description: 'Odd' } }
+          }
+        }
+      }
+    });
+
+    it('should encode path segments, arrays and form bodies', async () => {
+      const requests = [];
+      const api = load('orders', spec);
+      const client = new api.OrdersApiClient('http://orders.test', {
+        fetch: async (url, init) => {
+          requests.push({ url, ...init });
+          return new Response(null, { status: 201 });
+        }
+      });
+
+      await client.createOrder({ shop: 'a/b', tags: ['x', 'y'], ids: [1, 2], body: { note: 'hi there' } });
+
+      expect(requests).toEqual([{
+        url: 'http://orders.test/shops/a%2Fb/orders?tags=x%2Cy&ids=1&ids=2',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: 'note=hi+there'
+      }]);
+      expect(Object.keys(api).slice(-2)).toEqual(['ConflictError', 'Http599Error']);
+      expect(new api.Http599Error('odd')).toBeInstanceOf(api.ServerError);
+    });
+
+    it('should send a body as any of its documented media types', async () => {
+      const contentTypes = [];
+      const api = load('notes', new SpecLoader({
+        openapi: '3.0.3',
+        info: { title: 'Notes API', version: '1.0.0' },
+        paths: {
+          '/notes/{id}': {
+            patch: {
+              operationId: 'patchNote',
+              parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+              requestBody: {
+                required: true,
+                content: {
+                  'application/merge-patch+json': { schema: { type: 'object' } },
+                  'application/json-patch+json': { schema: { type: 'array', items: { type: 'object' } } }
+                }
+              },
+              responses: { 200: { description: 'Patched' } }
+            }
+          }
+        }
+      }));
+      const client = new api.NotesApiClient('http://notes.test', {
+        fetch: async (url, init) => {
+          contentTypes.push(init.headers['Content-Type']);
+          return new Response(null, { status: 200 });
+        }
+      });
+
+      await client.patchNote({ id: 1, body: { text: 'hi' } });
+      await client.patchNote({ id: 1, body: [{ op: 'remove', path: '/text' }] }, { contentType: 'application/json-patch+json' });
+      await expect(client.patchNote({ id: 1, body: {} }, { contentType: 'text/plain' }))
+        .rejects.toThrow("patchNote doesn't take text/plain bodies");
+      expect(contentTypes).toEqual(['application/merge-patch+json', 'application/json-patch+json']);
+    });
+
+    it('should use the category class for undocumented statuses', async () => {
+      const api = load('orders-errors', spec);
+      const statuses = [502, 422, 403, 404, 418];
+      const client = new api.OrdersApiClient('http://orders.test', {
+        fetch: async () => new Response('upstream down', { status: statuses.shift(), headers: { 'Content-Type': 'text/plain' } })
+      });
+      const fail = () => client.createOrder({ shop: 'a' }).catch(err => err);
+
+      const error = await fail();
+      expect(error.constructor).toBe(api.ServerError);
+      expect(error.message).toBe('POST /shops/a/orders failed with status 502');
+      expect(error.body).toBe('upstream down');
+
+      expect((await fail()).constructor).toBe(api.ValidationError);
+      expect((await fail()).constructor).toBe(api.AuthError);
+      expect((await fail()).constructor).toBe(api.NotFoundError);
+      expect((await fail()).constructor).toBe(api.ApiError);
+    });
+
+    it('should turn failed and timed out requests into NetworkError and TimeoutError', async () => {
+      const api = load('orders-network', spec);
+      const failing = error => new api.OrdersApiClient('http://orders.test', {
+        fetch: async () => {
+          throw error;
+        }
+      });
+
+      const refused = await failing(new TypeError('fetch failed', { cause: Object.assign(new Error('connect'), { code: 'ECONNREFUSED' }) }))
+        .createOrder({ shop: 'a' }).catch(err => err);
+      expect(refused).toBeInstanceOf(api.NetworkError);
+      expect(refused).toMatchObject({
+        message: 'POST http://orders.test/shops/a/orders failed: ECONNREFUSED',
+        method: 'POST',
+        url: 'http://orders.test/shops/a/orders',
+        status: undefined
+      });
+      expect(refused.cause.message).toBe('fetch failed');
+
+      const slow = await failing(new DOMException('The operation was aborted due to timeout', 'TimeoutError'))
+        .createOrder({ shop: 'a' }, { signal: AbortSignal.timeout(10) }).catch(err => err);
+      expect(slow).toBeInstanceOf(api.TimeoutError);
+      expect(slow).toBeInstanceOf(api.NetworkError);
+
+      // Cancelled by the caller: passed on untouched
+      const cancelled = await failing(new DOMException('This operation was aborted', 'AbortError'))
+        .createOrder({ shop: 'a' }).catch(err => err);
+      expect(cancelled).not.toBeInstanceOf(api.ApiError);
+      expect(cancelled.name).toBe('AbortError');
+    });
+  });
+
+  describe('resilience', () => {
+    const spec = new SpecLoader({
+      openapi: '3.0.3',
+      info: { title: 'Stock API', version: '1.0.0' },
+      paths: {
+        '/items': {
+          get: { operationId: 'listItems', responses: { 200: { description: 'OK' } } },
+          post: { operationId: 'addItem', responses: { 201: { description: 'Created' } } }
+        }
+      }
+    });
+    let api;
+
+    beforeAll(() => {
+      api = load('stock', spec);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    /**
+     * A fetch answering with the given statuses in order, then 200
+     */
+    function answering(statuses, headers = {}) {
+      const calls = [];
+      const fetch = async (url, init) => {
+        calls.push(init.method);
+        const status = statuses.length ? statuses.shift() : 200;
+        return Response.json(status === 200 ? [] : { code: 'UNAVAILABLE' }, { status, headers });
+      };
+      return { fetch, calls };
+    }
+
+    it('should retry idempotent calls after retryable statuses with jittered exponential backoff', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      const server = answering([503, 502, 429]);
+      const retries = [];
+      const client = new api.StockApiClient('http://stock.test', {
+        fetch: server.fetch,
+        retry: { retries: 3, baseDelay: 10 },
+        onRetry: ({ operation, attempt, delay, error }) => retries.push({ operation, attempt, delay, status: error.status })
+      });
+
+      expect(await client.listItems()).toEqual([]);
+      expect(server.calls).toEqual(['GET', 'GET', 'GET', 'GET']);
+      expect(retries).toEqual([
+        { operation: 'listItems', attempt: 1, delay: 5, status: 503 },
+        { operation: 'listItems', attempt: 2, delay: 10, status: 502 },
+        { operation: 'listItems', attempt: 3, delay: 20, status: 429 }
+      ]);
+    });
+
+    it('should give up after the configured retries and never retry POST or other statuses', async () => {
+      const options = fetch => ({ fetch, retry: { retries: 1, baseDelay: 1 } });
+
+      const exhausted = answering([503, 503]);
+      const error = await new api.StockApiClient('http://stock.test', options(exhausted.fetch)).listItems().catch(err => err);
+      expect(error).toBeInstanceOf(api.ServerError);
+      expect(exhausted.calls).toHaveLength(2);
+
+      const post = answering([503]);
+      await expect(new api.StockApiClient('http://stock.test', options(post.fetch)).addItem()).rejects.toBeInstanceOf(api.ServerError);
+      expect(post.calls).toEqual(['POST']);
+
+      const broken = answering([500]);
+      await expect(new api.StockApiClient('http://stock.test', options(broken.fetch)).listItems()).rejects.toBeInstanceOf(api.ServerError);
+      expect(broken.calls).toHaveLength(1);
+
+      // Per call override
+      const once = answering([503]);
+      await expect(new api.StockApiClient('http://stock.test', options(once.fetch)).listItems({}, { retries: 0 }))
+        .rejects.toBeInstanceOf(api.ServerError);
+      expect(once.calls).toHaveLength(1);
+    });
+
+    it('should wait as long as Retry-After asks unless that is longer than maxDelay', async () => {
+      const delays = [];
+      const onRetry = ({ delay }) => delays.push(delay);
+
+      const soon = answering([503], { 'Retry-After': '0' });
+      const client = new api.StockApiClient('http://stock.test', { fetch: soon.fetch, retry: { retries: 2 }, onRetry });
+      expect(await client.listItems()).toEqual([]);
+      expect(delays).toEqual([0]);
+
+      const later = answering([429], { 'Retry-After': '120' });
+      const patient = new api.StockApiClient('http://stock.test', { fetch: later.fetch, retry: { retries: 2 }, onRetry });
+      const error = await patient.listItems().catch(err => err);
+      expect(error.status).toBe(429);
+      expect(later.calls).toHaveLength(1);
+    });
+
+    it('should abort attempts that take longer than the timeout', async () => {
+      const hanging = async (url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(init.signal.reason));
+      });
+      const client = new api.StockApiClient('http://stock.test', { fetch: hanging, timeout: 20 });
+
+      const error = await client.listItems().catch(err => err);
+      expect(error).toBeInstanceOf(api.TimeoutError);
+      expect(error.message).toBe('GET http://stock.test/items failed: Timed out after 20 ms');
+
+      const retried = [];
+      const retrying = new api.StockApiClient('http://stock.test', {
+        fetch: hanging,
+        retry: { retries: 1, baseDelay: 1 },
+        onRetry: ({ error: cause }) => retried.push(cause.name)
+      });
+      await expect(retrying.listItems({}, { timeout: 10 })).rejects.toBeInstanceOf(api.TimeoutError);
+      expect(retried).toEqual(['TimeoutError']);
+    });
+
+    it('should open the circuit after repeated failures and close it after a successful trial', async () => {
+      let now = 0;
+      const breaker = new api.CircuitBreaker({ failureThreshold: 2, resetTimeout: 1000, now: () => now });
+      const changes = [];
+      breaker.subscribe(({ state, previous }) => changes.push(`${previous} -> ${state}`));
+      const server = answering([500, 500]);
+      const client = new api.StockApiClient('http://stock.test', { fetch: server.fetch, circuitBreaker: breaker });
+      const fail = () => client.listItems().catch(err => err);
+
+      expect(await fail()).toBeInstanceOf(api.ServerError);
+      expect(await fail()).toBeInstanceOf(api.ServerError);
+      const rejected = await fail();
+      expect(rejected).toBeInstanceOf(api.CircuitOpenError);
+      expect(rejected).toBeInstanceOf(api.NetworkError);
+      expect(server.calls).toHaveLength(2);
+      expect(breaker.state).toBe('open');
+
+      now = 1000;
+      expect(await client.listItems()).toEqual([]);
+      expect(changes).toEqual(['closed -> open', 'open -> half-open', 'half-open -> closed']);
+    });
+
+    it('should let another trial through when the caller cancels the half-open one', async () => {
+      let now = 0;
+      const breaker = new api.CircuitBreaker({ failureThreshold: 1, resetTimeout: 1000, now: () => now });
+      const server = answering([500]);
+      const fetch = async (url, init) => (init.signal
+        ? new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(init.signal.reason)))
+        : server.fetch(url, init));
+      const client = new api.StockApiClient('http://stock.test', { fetch, circuitBreaker: breaker });
+
+      await expect(client.listItems()).rejects.toBeInstanceOf(api.ServerError);
+      now = 1000;
+      const controller = new AbortController();
+      const cancelled = client.listItems({}, { signal: controller.signal });
+      controller.abort();
+      await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+      expect(breaker.state).toBe('half-open');
+
+      expect(await client.listItems()).toEqual([]);
+      expect(breaker.state).toBe('closed');
+    });
+
+    it('should stop waiting to retry as soon as the caller cancels', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+      const controller = new AbortController();
+      const server = answering([503]);
+      const client = new api.StockApiClient('http://stock.test', {
+        // The call is cancelled while the 503 is on its way back
+        fetch: async (url, init) => {
+          controller.abort();
+          return server.fetch(url, init);
+        },
+        retry: { retries: 1, baseDelay: 3000, maxDelay: 3000 }
+      });
+      const started = Date.now();
+
+      await expect(client.listItems({}, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+      expect(Date.now() - started).toBeLessThan(1000);
+      expect(server.calls).toHaveLength(1);
+    });
+
+    it('should leave no listeners on a signal reused for calls that waited to retry', async () => {
+      const { signal } = new AbortController();
+
+      for (let call = 0; call < 3; call++) {
+        const server = answering([503]);
+        const client = new api.StockApiClient('http://stock.test', { fetch: server.fetch, retry: { retries: 1, baseDelay: 1 } });
+        expect(await client.listItems({}, { signal })).toEqual([]);
+        expect(server.calls).toHaveLength(2);
+      }
+      expect(getEventListeners(signal, 'abort')).toHaveLength(0);
+    });
+
+    it('should throw ApiError for successful responses whose JSON does not parse', async () => {
+      const client = new api.StockApiClient('http://stock.test', {
+        fetch: async () => new Response('[{"id":1,', { headers: { 'Content-Type': 'application/json' } })
+      });
+
+      const error = await client.listItems().catch(err => err);
+      expect(error.constructor).toBe(api.ApiError);
+      expect(error).toMatchObject({
+        message: 'GET http://stock.test/items returned malformed JSON',
+        status: 200,
+        body: '[{"id":1,'
+      });
+    });
+
+    it('should build a breaker from options and reopen it when the trial call fails', async () => {
+      const server = answering([503, 503]);
+      const client = new api.StockApiClient('http://stock.test', {
+        fetch: server.fetch,
+        circuitBreaker: { failureThreshold: 1, resetTimeout: 0 }
+      });
+
+      await expect(client.listItems()).rejects.toBeInstanceOf(api.ServerError);
+      expect(client.circuitBreaker).toBeInstanceOf(api.CircuitBreaker);
+      expect(client.circuitBreaker.state).toBe('open');
+      await expect(client.listItems()).rejects.toBeInstanceOf(api.ServerError);
+      expect(client.circuitBreaker.state).toBe('open');
+      expect(server.calls).toHaveLength(2);
+    });
+  });
+
+  describe('declarations', () => {
+    it('should declare schemas, parameters and typed methods', () => {
+      const { dts } = generateClient(productsSpecPath);
+
+      expect(dts).toContain('export interface Product {');
+      expect(dts).toContain('  description?: string | null;');
+      expect(dts).toContain("  grant_type: 'client_credentials';");
+      expect(dts).toContain('export interface UpdateProductParams {\n  /** Product ID */\n  id: number;\n  /** Only go ahead');
+      expect(dts).toContain("  'If-Match'?: string;\n  body: CreateProductRequest;\n}");
+      expect(dts).toContain('  body: ProductMergePatch | JsonPatch;');
+      expect(dts).toContain('  getProductById(params: GetProductByIdParams, options?: RequestOptions & { fullResponse?: false }): Promise<Product | void>;');
+      expect(dts).toContain('export declare class NotFoundError extends ApiError {}');
+    });
+
+    it('should turn oneOf into unions and rename schemas that clash with built-in types', () => {
+      const { dts } = generateClient(usersSpecPath);
+
+      expect(dts).toContain("  role: 'admin' | 'user' | 'guest';");
+      expect(dts).toContain('export interface ErrorBody {');
+      expect(dts).toContain('Promise<UsersResponseV1 | UsersResponseV2>');
+      expect(dts).toContain("  'API-Version'?: string;");
+    });
+
+    it('should leave allOf members that only add constraints out of intersections', () => {
+      const document = JSON.parse(JSON.stringify(SpecLoader.load(usersSpecPath).document));
+      document.paths['/users'].get.responses['200'].content['application/json'].schema = {
+        allOf: [{ $ref: '#/components/schemas/UsersResponseV2' }, { properties: { users: { minItems: 1 } } }]
+      };
+
+      const { dts } = generateClient(new SpecLoader(document));
+
+      expect(dts).toContain('Promise<UsersResponseV2>');
+    });
+
+    it('should export ES modules with format esm', () => {
+      const { js } = generateClient(usersSpecPath, { format: 'esm' });
+
+      expect(js).toContain('export {\n  UsersApiClient,');
+      expect(js).not.toContain('module.exports');
+    });
+  });
+
+  describe('CLI', () => {
+    it('should write the client and its declarations, then report them up to date', () => {
+      const out = path.join(dir, 'cli', 'users-api.js');
+
+      const written = spawnSync(process.execPath, [cli, usersSpecPath, '--out', out], { encoding: 'utf8' });
+      expect(written.status).toBe(0);
+      expect(fs.readFileSync(out, 'utf8')).toContain('class UsersApiClient');
+      expect(fs.existsSync(path.join(dir, 'cli', 'users-api.d.ts'))).toBe(true);
+
+      const check = spawnSync(process.execPath, [cli, usersSpecPath, '--out', out, '--check'], { encoding: 'utf8' });
+      expect(check.status).toBe(0);
+    });
+
+    it('should exit with 1 when the client is out of date', () => {
+      const out = path.join(dir, 'cli', 'stale.js');
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, '// old\n');
+
+      const result = spawnSync(process.execPath, [cli, usersSpecPath, '--out', out, '--check'], { encoding: 'utf8' });
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain('stale.js is out of date');
+    });
+
+    it('should exit with 2 on usage errors', () => {
+      const result = spawnSync(process.execPath, [cli, usersSpecPath], { encoding: 'utf8' });
+      expect(result.status).toBe(2);
+      expect(result.stderr).toContain('Usage: contract-client');
+    });
+  });
+});
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const SpecLoader = require('../spec-loader');
+const {
+  recordExchanges,
+  readExchanges,
+  buildContractReport,
+  formatExchanges,
+  contractReportJUnit,
+  contractReportHtml
+} = require('../contract-report');
+
+const item = { description: 'Item', content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } } };
+
+const spec = new SpecLoader({
+  openapi: '3.0.3',
+  info: { title: 'Items API', version: '1.0.0' },
+  paths: {
+    '/items': {
+      post: {
+        operationId: 'createItem',
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } } },
+        responses: { 201: item }
+      }
+    },
+    '/items/{id}': {
+      get: {
+        operationId: 'getItem',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: { 200: item }
+      },
+      delete: {
+        operationId: 'deleteItem',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: { 204: { description: 'Deleted' } }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Item: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, price: { type: 'number' } } }
+    }
+  }
+});
+
+const testFilePath = '/project/tests/items.test.js';
+const exchange = (test, sequence, request, response) => ({
+  sequence,
+  testPath: testFilePath,
+  test,
+  request: { headers: {}, ...request },
+  response: response && { headers: { 'content-type': 'application/json' }, ...response }
+});
+
+// Jest's aggregated results, as far as the report reads them
+const results = {
+  startTime: Date.UTC(2024, 0, 1),
+  testResults: [{
+    testFilePath,
+    testResults: [
+      { fullName: 'Items should create an item', status: 'passed', duration: 12, failureMessages: [] },
+      {
+        fullName: 'Items should read the item it created',
+        status: 'failed',
+        duration: 8,
+        failureMessages: ['\u001b[31mError: expect(received).toBe(expected)\u001b[39m\n\nExpected: 19.99\nReceived: "19.99"']
+      },
+      { fullName: 'Items should parse prices', status: 'passed', duration: 1, failureMessages: [] },
+      { fullName: 'Items should delete an item', status: 'pending', duration: 0, failureMessages: [] }
+    ]
+  }]
+};
+
+const exchanges = [
+  exchange('Items should create an item', 0, { method: 'POST', url: 'http://localhost:8080/items', body: '{"name":"Lamp"}' },
+    { status: 201, body: '{"name":"Lamp"}' }),
+  exchange('Items should read the item it created', 2, { method: 'GET', url: 'http://localhost:8080/items/1' },
+    { status: 200, body: '{"name":"Lamp","price":"19.99"}' }),
+  exchange('Items should read the item it created', 1, { method: 'POST', url: 'http://localhost:8080/items', body: '{"name":"Lamp"}' },
+    { status: 201, body: '{"name":"Lamp"}' }),
+  exchange('Items should read the item it created', 3, { method: 'GET', url: 'http://localhost:8080/health' }, null)
+];
+exchanges[3].error = 'fetch failed (ECONNREFUSED)';
+
+describe('Contract report', () => {
+  const report = buildContractReport({ spec, results, exchanges, rootDir: '/project' });
+  const failed = report.operations[1].tests[0];
+
+  describe('buildContractReport', () => {
+    it('should list each test under every operation it called', () => {
+      expect(report.title).toBe('Items API');
+      expect(report.startTime).toBe('2024-01-01T00:00:00.000Z');
+      expect(report.summary).toEqual({ tests: 4, passed: 2, failed: 1, skipped: 1 });
+      expect(report.operations.map(op => [op.operationId, op.tests.map(test => test.name), op.summary.failed])).toEqual([
+        ['createItem', ['Items should create an item', 'Items should read the item it created'], 1],
+        ['getItem', ['Items should read the item it created'], 1],
+        ['deleteItem', [], 0]
+      ]);
+      expect(report.unbound.map(test => [test.name, test.status])).toEqual([
+        ['Items should parse prices', 'passed'],
+        ['Items should delete an item', 'skipped']
+      ]);
+    });
+
+    it('should keep the exchanges of failed tests in order, with the schema errors of each response', () => {
+      expect(failed).toMatchObject({
+        file: 'tests/items.test.js',
+        status: 'failed',
+        duration: 8,
+        failureMessages: ['Error: expect(received).toBe(expected)\n\nExpected: 19.99\nReceived: "19.99"']
+      });
+      expect(failed.exchanges.map(({ operationId, request, schemaErrors, error }) => [operationId, request.method, schemaErrors, error]))
+        .toEqual([
+          ['createItem', 'POST', [], undefined],
+          ['getItem', 'GET', [{ path: '/price', message: 'expected number, got string' }], undefined],
+          [null, 'GET', undefined, 'fetch failed (ECONNREFUSED)']
+        ]);
+      expect(report.operations[0].tests[0].exchanges).toBeUndefined();
+    });
+
+    it('should report a test file that failed to run', () => {
+      const broken = buildContractReport({
+        spec,
+        results: { testResults: [{ testFilePath, testExecError: { message: 'Cannot find module' }, testResults: [] }] },
+        rootDir: '/project'
+      });
+
+      expect(broken.summary.failed).toBe(1);
+      expect(broken.unbound[0]).toMatchObject({ name: 'tests/items.test.js', failureMessages: ['Cannot find module'] });
+    });
+  });
+
+  describe('formatExchanges', () => {
+    it('should show each request with its response and schema errors', () => {
+      expect(formatExchanges(failed.exchanges)).toBe([
+        'POST http://localhost:8080/items (createItem)',
+        '  {"name":"Lamp"}',
+        '  -> 201 {"name":"Lamp"}',
+        'GET http://localhost:8080/items/1 (getItem)',
+        '  -> 200 {"name":"Lamp","price":"19.99"}',
+        '  ✗ /price: expected number, got string',
+        'GET http://localhost:8080/health',
+        '  -> no response: fetch failed (ECONNREFUSED)'
+      ].join('\n'));
+    });
+  });
+
+  describe('contractReportJUnit', () => {
+    it('should write a testsuite per operation that has tests', () => {
+      const xml = contractReportJUnit(report);
+
+      expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="Contract tests of Items API" tests="4" failures="1" skipped="1"/);
+      expect(xml).toContain('<testsuite name="POST /items (createItem)" tests="2" failures="1" skipped="0" time="0.020">');
+      expect(xml).toContain('<testcase classname="POST /items" name="Items should create an item" file="tests/items.test.js" time="0.012"/>');
+      expect(xml).toContain('<failure message="Error: expect(received).toBe(expected)">');
+      expect(xml).toContain('Received: &quot;19.99&quot;\n\nExchanges:\nPOST http://localhost:8080/items (createItem)');
+      expect(xml).toContain('<testsuite name="Not bound to an operation" tests="2" failures="0" skipped="1"');
+      expect(xml).not.toContain('deleteItem');
+    });
+  });
+
+  describe('contractReportHtml', () => {
+    it('should render every operation, including the ones no test called', () => {
+      const html = contractReportHtml(report);
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<p>4 tests: 2 passed, 1 failed, 1 skipped, run 2024-01-01T00:00:00.000Z</p>');
+      expect(html).toContain('<h2 class="failed">GET /items/{id} (getItem) <small>1 tests: 0 passed, 1 failed</small></h2>');
+      expect(html).toContain('  ✗ /price: expected number, got string');
+      expect(html).toContain('<h2>DELETE /items/{id} (deleteItem) <small>0 tests: 0 passed, 0 failed</small></h2>\n  <p class="never">No test called this operation</p>');
+    });
+  });
+
+  describe('recordExchanges', () => {
+    let server;
+    let baseUrl;
+    let dir;
+    const originalFetch = globalThis.fetch;
+    let state;
+
+    beforeAll(done => {
+      const app = express();
+      app.use(express.json());
+      app.post('/items', (req, res) => res.status(201).json(req.body));
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-report-'));
+      state = { currentTestName: 'Items should create an item', testPath: testFilePath };
+      recordExchanges(dir, () => state);
+    });
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // The copy of the body is written once it has been read
+    const recorded = async count => {
+      for (let i = 0; i < 50 && readExchanges(dir).length < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      return readExchanges(dir);
+    };
+
+    it('should write each call of a test with its response, leaving the body to the caller', async () => {
+      const response = await fetch(`${baseUrl}/items`, {
+        method: 'post',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer secret' },
+        body: JSON.stringify({ name: 'Lamp' })
+      });
+
+      expect(await response.json()).toEqual({ name: 'Lamp' });
+      const [written] = await recorded(1);
+      expect(written).toMatchObject({
+        sequence: 0,
+        testPath: testFilePath,
+        test: 'Items should create an item',
+        request: {
+          method: 'POST',
+          url: `${baseUrl}/items`,
+          headers: { 'content-type': 'application/json', authorization: '[redacted]' },
+          body: '{"name":"Lamp"}'
+        },
+        response: { status: 201, body: '{"name":"Lamp"}' }
+      });
+      expect(written.response.headers['content-type']).toMatch(/^application\/json/);
+    });
+
+    it('should record calls that get no response and skip calls outside a test', async () => {
+      // A port nothing listens on any more
+      const closed = http.createServer().listen(0, '127.0.0.1');
+      await new Promise(resolve => closed.once('listening', resolve));
+      const unreachable = `http://127.0.0.1:${closed.address().port}/items`;
+      await new Promise(resolve => closed.close(resolve));
+
+      await expect(fetch(unreachable)).rejects.toThrow('fetch failed');
+      state = { currentTestName: undefined, testPath: testFilePath };
+      await fetch(`${baseUrl}/items`, { method: 'POST' });
+
+      const written = await recorded(1);
+      expect(written).toHaveLength(1);
+      expect(written[0]).toMatchObject({ request: { method: 'GET', url: unreachable }, error: 'fetch failed (ECONNREFUSED)' });
+    });
+  });
+});
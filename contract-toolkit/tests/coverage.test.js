@@ -0,0 +1,232 @@
+const express = require('express');
+const SpecLoader = require('../spec-loader');
+const { ContractCoverage, formatCoverage, coverageHtml } = require('../coverage');
+
+const error = { description: 'Error', content: { 'application/json': { schema: { type: 'object' } } } };
+const item = { description: 'Item', content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } } };
+
+const spec = new SpecLoader({
+  openapi: '3.0.3',
+  info: { title: 'Items API', version: '1.0.0' },
+  paths: {
+    '/items': {
+      get: {
+        operationId: 'listItems',
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer' } },
+          { name: 'X-Request-ID', in: 'header', schema: { type: 'string' } }
+        ],
+        responses: { 200: item, '4XX': error, default: error }
+      },
+      post: {
+        operationId: 'createItem',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } }
+        },
+        responses: { 201: item, 400: error }
+      }
+    },
+    '/items/{id}': {
+      delete: {
+        operationId: 'deleteItem',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: { 204: { description: 'Deleted' } }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Item: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+});
+
+const find = (list, key, value) => list.find(entry => entry[key] === value);
+
+describe('ContractCoverage', () => {
+  let coverage;
+
+  beforeEach(() => {
+    coverage = new ContractCoverage({ spec });
+  });
+
+  describe('report', () => {
+    it('should count calls, statuses, parameters and body fields per operation', () => {
+      coverage.record({ method: 'get', url: '/items?limit=5', headers: { 'x-request-id': 'abc' } }, { status: 200 });
+      coverage.record({ method: 'GET', url: 'http://localhost:5001/items' }, { status: 200 });
+      coverage.record({ method: 'POST', url: '/items', body: '{"name":"Lamp","tags":["home"]}' }, { status: 201 });
+
+      const report = coverage.report();
+      const listItems = find(report.operations, 'operationId', 'listItems');
+      const createItem = find(report.operations, 'operationId', 'createItem');
+
+      expect(listItems.calls).toBe(2);
+      expect(listItems.responses).toEqual([
+        { status: '200', hits: 2 },
+        { status: '4XX', hits: 0 },
+        { status: 'default', hits: 0 }
+      ]);
+      expect(listItems.parameters).toEqual([
+        { name: 'limit', in: 'query', hits: 1 },
+        { name: 'X-Request-ID', in: 'header', hits: 1 }
+      ]);
+      expect(createItem.fields).toEqual([
+        { pointer: '/name', hits: 1 },
+        { pointer: '/tags', hits: 1 },
+        { pointer: '/tags/*', hits: 1 }
+      ]);
+      expect(report.summary).toEqual({
+        operations: { covered: 2, total: 3, percent: 66.7 },
+        responses: { covered: 2, total: 6, percent: 33.3 },
+        parameters: { covered: 2, total: 2, percent: 100 },
+        fields: { covered: 3, total: 3, percent: 100 }
+      });
+      expect(report.passed).toBe(true);
+    });
+
+    it('should count a status under its range or default, and list statuses with neither', () => {
+      coverage.record({ method: 'GET', url: '/items' }, { status: 404 });
+      coverage.record({ method: 'GET', url: '/items' }, { status: 500 });
+      coverage.record({ method: 'POST', url: '/items', body: {} }, { status: 500 });
+
+      const report = coverage.report();
+
+      expect(find(report.operations, 'operationId', 'listItems').responses).toEqual([
+        { status: '200', hits: 0 },
+        { status: '4XX', hits: 1 },
+        { status: 'default', hits: 1 }
+      ]);
+      expect(find(report.operations, 'operationId', 'createItem').undocumentedStatuses).toEqual([{ status: '500', hits: 1 }]);
+    });
+
+    it('should list undocumented routes and skip ignored ones', () => {
+      coverage.record({ method: 'GET', url: '/health' }, { status: 200 });
+      coverage.record({ method: 'GET', url: '/health' }, { status: 200 });
+      coverage.record({ method: 'POST', url: '/__faults' }, { status: 200 });
+      coverage.record({ method: 'POST', url: '/provider-states' }, { status: 200 });
+
+      expect(coverage.report().undocumented).toEqual([{ route: 'GET /health', hits: 2 }]);
+    });
+
+    it('should fail below the minimum response coverage', () => {
+      coverage.record({ method: 'DELETE', url: '/items/1' }, { status: 204 });
+
+      expect(coverage.report({ minimum: 15 })).toMatchObject({ minimum: 15, passed: true });
+      expect(coverage.report({ minimum: 50 })).toMatchObject({ minimum: 50, passed: false });
+    });
+
+    it('should forget everything on reset', () => {
+      coverage.record({ method: 'GET', url: '/health' }, { status: 200 });
+      coverage.record({ method: 'DELETE', url: '/items/1' }, { status: 204 });
+      coverage.reset();
+
+      const report = coverage.report();
+      expect(report.undocumented).toEqual([]);
+      expect(report.summary.operations.covered).toBe(0);
+    });
+  });
+
+  describe('wrapFetch', () => {
+    it('should record each call and pass the response through', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue({ status: 201 });
+      const fetch = coverage.wrapFetch(fetchImpl);
+
+      const response = await fetch('http://localhost:5001/items', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'Lamp' })
+      });
+
+      expect(response).toEqual({ status: 201 });
+      expect(fetchImpl).toHaveBeenCalledWith('http://localhost:5001/items', expect.objectContaining({ method: 'POST' }));
+      const createItem = find(coverage.report().operations, 'operationId', 'createItem');
+      expect(createItem.responses).toEqual([{ status: '201', hits: 1 }, { status: '400', hits: 0 }]);
+      expect(find(createItem.fields, 'pointer', '/name').hits).toBe(1);
+    });
+  });
+
+  describe('middleware', () => {
+    it('should record what the app answers and serve the report', async () => {
+      const recorder = new ContractCoverage({ spec });
+      const app = express();
+      app.use(recorder.middleware());
+      app.use(express.json());
+      app.get('/items', (req, res) => res.json([]));
+      app.post('/items', (req, res) => res.status(req.body.name ? 201 : 400).json(req.body));
+      app.get('/health', (req, res) => res.json({ status: 'UP' }));
+      const local = app.listen(0, '127.0.0.1');
+      await new Promise(resolve => local.once('listening', resolve));
+      const url = `http://127.0.0.1:${local.address().port}`;
+
+      try {
+        await fetch(`${url}/items?limit=1`, { headers: { 'X-Request-ID': 'abc' } });
+        await fetch(`${url}/items`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"name":"Lamp"}' });
+        await fetch(`${url}/items`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+        await fetch(`${url}/health`);
+
+        const report = await (await fetch(`${url}/__coverage?minimum=50`)).json();
+        expect(find(report.operations, 'operationId', 'listItems').parameters.map(param => param.hits)).toEqual([1, 1]);
+        expect(find(report.operations, 'operationId', 'createItem')).toMatchObject({
+          calls: 2,
+          responses: [{ status: '201', hits: 1 }, { status: '400', hits: 1 }],
+          fields: [{ pointer: '/name', hits: 1 }, { pointer: '/tags', hits: 0 }, { pointer: '/tags/*', hits: 0 }]
+        });
+        expect(report.undocumented).toEqual([{ route: 'GET /health', hits: 1 }]);
+        expect(report).toMatchObject({ minimum: 50, passed: true });
+
+        expect((await fetch(`${url}/__coverage`, { method: 'DELETE' })).status).toBe(204);
+        expect(recorder.report().summary.operations.covered).toBe(0);
+      } finally {
+        await new Promise(resolve => local.close(resolve));
+      }
+    });
+  });
+
+  describe('formatCoverage', () => {
+    it('should print a matrix per operation and the totals', () => {
+      coverage.record({ method: 'GET', url: '/items?limit=5' }, { status: 200 });
+      coverage.record({ method: 'POST', url: '/items', body: { name: 'Lamp' } }, { status: 500 });
+      coverage.record({ method: 'GET', url: '/health' }, { status: 200 });
+
+      expect(formatCoverage(coverage.report({ minimum: 80 }))).toBe([
+        'Contract coverage of Items API',
+        '  GET /items (listItems): 1 call',
+        '    responses   ✓ 200 (1)  ✗ 4XX  ✗ default',
+        '    parameters  ✓ limit  ✗ X-Request-ID',
+        '  POST /items (createItem): 1 call',
+        '    responses   ✗ 201  ✗ 400',
+        '    undocumented ! 500 (1)',
+        '    fields      ✓ /name  ✗ /tags  ✗ /tags/*',
+        '  DELETE /items/{id} (deleteItem): 0 calls',
+        '    responses   ✗ 204',
+        'Never called: deleteItem',
+        'Undocumented routes: GET /health (1)',
+        'Operations 2/3 (66.7%), responses 1/6 (16.7%), parameters 1/2 (50%), fields 1/3 (33.3%)',
+        'Response coverage 16.7% is below the minimum of 80%'
+      ].join('\n'));
+    });
+  });
+
+  describe('coverageHtml', () => {
+    it('should render a page with hit and missed cells, escaping names', () => {
+      coverage.record({ method: 'GET', url: '/items' }, { status: 200 });
+      coverage.record({ method: 'GET', url: '/search?q=a&b' }, { status: 404 });
+      coverage.record({ method: 'GET', url: '/tom&jerry' }, { status: 404 });
+
+      const html = coverageHtml(coverage.report());
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<title>Contract coverage of Items API</title>');
+      expect(html).toContain('<th>200</th><th>4XX</th><th>default</th></tr><tr><td class="hit">1</td><td class="miss">✗</td>');
+      expect(html).toContain('<h2 class="never">DELETE /items/{id} <small>deleteItem, 0 calls</small></h2>');
+      expect(html).toContain('<ul><li>GET /search (1)</li><li>GET /tom&amp;jerry (1)</li></ul>');
+    });
+  });
+});
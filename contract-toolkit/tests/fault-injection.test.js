@@ -0,0 +1,176 @@
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { faultInjection, loadFaultRules } = require('../fault-injection');
+const { openApiValidator } = require('../openapi-validator');
+const { startMockServer } = require('../mock-server');
+
+const usersSpecPath = path.join(__dirname, '../../openapi-contract-testing/openapi.yaml');
+
+const json = (url, method, body) => fetch(url, {
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+describe('Fault injection', () => {
+  let server;
+  let url;
+  let router;
+
+  // A users provider that validates its own responses, behind the faults
+  beforeAll(done => {
+    router = faultInjection();
+    const app = express();
+    app.use(router);
+    app.use(openApiValidator({ spec: usersSpecPath, responseValidation: 'strict', logger: { error() {}, warn() {} } }));
+    app.get('/users', (req, res) => res.json({ users: [{ id: 1, name: 'John Doe' }] }));
+    server = app.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach(() => {
+    router.rules = [];
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  it('should replace, add, list and clear rules through /__faults', async () => {
+    const put = await json(`${url}/__faults`, 'PUT', { rules: [{ path: '/users', latency: [10, 20] }] });
+    expect(put.status).toBe(200);
+    expect((await put.json()).rules).toEqual([expect.objectContaining({ path: '/users', latency: [10, 20], status: 503 })]);
+
+    const post = await json(`${url}/__faults`, 'POST', { method: 'get', path: '/users/{id}', error: 0.5, status: 502 });
+    expect(post.status).toBe(201);
+    expect(await post.json()).toMatchObject({ method: 'GET', path: '/users/{id}', error: 0.5, status: 502 });
+
+    expect((await (await fetch(`${url}/__faults`)).json()).rules).toHaveLength(2);
+    expect((await fetch(`${url}/__faults`, { method: 'DELETE' })).status).toBe(204);
+    expect(router.rules).toEqual([]);
+  });
+
+  it('should reject rules it cannot apply', async () => {
+    const cases = [
+      [{ path: '/users' }, 'A fault rule needs one of latency, error, drop, malformed, violateSchema'],
+      [{ error: 2 }, 'error must be true or a probability between 0 and 1, got 2'],
+      [{ error: true, status: 404 }, 'status must be a 5xx status, got 404'],
+      [{ latency: [1, 2, 3] }, 'latency must be ms or [min, max] ms, got [1,2,3]']
+    ];
+
+    for (const [rule, message] of cases) {
+      const response = await json(`${url}/__faults`, 'POST', rule);
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ code: 'INVALID_FAULT', message });
+    }
+  });
+
+  it('should answer with the rule status and Retry-After for the next n requests', async () => {
+    await json(`${url}/__faults`, 'PUT', { rules: [{ method: 'GET', path: '/users', error: true, retryAfter: 1, times: 2 }] });
+
+    const failed = await fetch(`${url}/users`);
+    expect(failed.status).toBe(503);
+    expect(failed.headers.get('retry-after')).toBe('1');
+    expect(await failed.json()).toEqual({ code: 'INJECTED_FAULT', message: 'Injected 503 for GET /users' });
+
+    expect((await fetch(`${url}/users`)).status).toBe(503);
+    expect((await fetch(`${url}/users`)).status).toBe(200);
+    expect(router.rules).toEqual([]);
+  });
+
+  it('should delay matching requests only', async () => {
+    router.rules = faultInjection({ rules: [{ path: '/users', latency: 150 }] }).rules;
+
+    const started = Date.now();
+    await fetch(`${url}/users`);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(140);
+
+    const other = Date.now();
+    await fetch(`${url}/users/1`);
+    expect(Date.now() - other).toBeLessThan(140);
+  });
+
+  it('should drop the connection without an answer', async () => {
+    await json(`${url}/__faults`, 'POST', { path: '/users', drop: true });
+
+    const error = await fetch(`${url}/users`).catch(err => err);
+    expect(error.name).toBe('TypeError');
+    expect(error.message).toBe('fetch failed');
+  });
+
+  it('should break JSON bodies that passed response validation', async () => {
+    await json(`${url}/__faults`, 'POST', { path: '/users', malformed: true, times: 1 });
+    const malformed = await fetch(`${url}/users`);
+    expect(malformed.status).toBe(200);
+    expect(await malformed.text()).toBe('{"users":[{"id":1,"');
+
+    await json(`${url}/__faults`, 'POST', { path: '/users', violateSchema: true });
+    const violated = await fetch(`${url}/users`);
+    expect(violated.status).toBe(200);
+    expect(await violated.json()).toEqual({ users: [{ id: '1', name: 8 }] });
+  });
+
+  it('should apply probabilities with the given random source', async () => {
+    const draws = [0.2, 0.7];
+    const faults = faultInjection({ rules: [{ error: 0.5 }], random: () => draws.shift() });
+    const app = express().use(faults).get('/ping', (req, res) => res.json({ ok: true }));
+    const local = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => local.once('listening', resolve));
+    const base = `http://127.0.0.1:${local.address().port}`;
+
+    try {
+      expect((await fetch(`${base}/ping`)).status).toBe(503);
+      expect((await fetch(`${base}/ping`)).status).toBe(200);
+    } finally {
+      await new Promise(resolve => local.close(resolve));
+    }
+  });
+
+  it('should only count the requests a probabilistic fault was injected into', async () => {
+    const draws = [0.7, 0.2, 0.9, 0.1];
+    const faults = faultInjection({ rules: [{ error: 0.5, times: 2 }], random: () => draws.shift() });
+    const app = express().use(faults).get('/ping', (req, res) => res.json({ ok: true }));
+    const local = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => local.once('listening', resolve));
+    const base = `http://127.0.0.1:${local.address().port}`;
+
+    try {
+      const statuses = [];
+      for (let i = 0; i < 5; i++) {
+        statuses.push((await fetch(`${base}/ping`)).status);
+      }
+      expect(statuses).toEqual([200, 503, 200, 503, 200]);
+      expect(faults.rules).toEqual([]);
+    } finally {
+      await new Promise(resolve => local.close(resolve));
+    }
+  });
+
+  it('should read rules from YAML files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'faults-'));
+    const file = path.join(dir, 'faults.yaml');
+    fs.writeFileSync(file, 'rules:\n  - path: /api/products\n    error: 0.2\n');
+
+    try {
+      expect(loadFaultRules(file)).toEqual([{ path: '/api/products', error: 0.2 }]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should be available in the mock server', async () => {
+    const mock = await startMockServer({ spec: usersSpecPath, faults: [{ path: '/users', error: true, status: 500 }] });
+
+    try {
+      expect((await fetch(`${mock.url}/users`)).status).toBe(500);
+      expect((await fetch(`${mock.url}/__faults`, { method: 'DELETE' })).status).toBe(204);
+      expect((await fetch(`${mock.url}/users`)).status).toBe(200);
+    } finally {
+      await mock.close();
+    }
+  });
+});
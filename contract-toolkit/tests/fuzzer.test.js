@@ -0,0 +1,166 @@
+const path = require('path');
+const express = require('express');
+const SchemaValidator = require('../schema-validator');
+const SpecLoader = require('../spec-loader');
+const { openApiValidator } = require('../openapi-validator');
+const { createRandom, randomValue, invalidValue, generateFuzzCases, fuzz, formatFuzzReport } = require('../fuzzer');
+
+const productsSpecPath = path.join(__dirname, '../../specmatic-contract-testing/specs/products-api.yaml');
+
+const error = { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+const item = { description: 'Item', content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } } };
+const idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } };
+
+const spec = new SpecLoader({
+  openapi: '3.0.3',
+  info: { title: 'Items API', version: '1.0.0' },
+  paths: {
+    '/items/{id}': {
+      get: {
+        operationId: 'getItem',
+        parameters: [idParameter],
+        responses: { 200: item, 400: error, 404: error }
+      },
+      put: {
+        operationId: 'updateItem',
+        parameters: [idParameter],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } }
+        },
+        responses: { 200: item, 400: error, 404: error }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Item: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 20 },
+          description: { type: 'string', nullable: true },
+          price: { type: 'number', minimum: 0 }
+        }
+      },
+      Error: { type: 'object', required: ['code'], properties: { code: { type: 'string' } } }
+    }
+  }
+});
+
+describe('Fuzzer', () => {
+  describe('generated values', () => {
+    const schema = spec.getRequestSchema('updateItem');
+
+    it('should satisfy the schema, or break it, for every seed', () => {
+      for (let seed = 0; seed < 200; seed++) {
+        expect(SchemaValidator.validate(randomValue(schema, createRandom(seed)), schema).valid).toBe(true);
+        expect(SchemaValidator.validate(invalidValue(schema, createRandom(seed)), schema).valid).toBe(false);
+      }
+    });
+
+    it('should repeat a run from its seed', () => {
+      const cases = generateFuzzCases(productsSpecPath, { seed: 42, runs: 20 });
+
+      expect(cases).toHaveLength(140);
+      expect(generateFuzzCases(productsSpecPath, { seed: 42, runs: 20 })).toEqual(cases);
+      expect(generateFuzzCases(productsSpecPath, { seed: 43, runs: 20 })).not.toEqual(cases);
+      expect(new Set(cases.map(fuzzCase => fuzzCase.intent))).toEqual(new Set(['valid', 'invalid']));
+    });
+
+    it('should replay a single case from its own seed', () => {
+      const cases = generateFuzzCases(productsSpecPath, { seed: 42, runs: 20, operations: ['updateProduct'] });
+      const [replayed] = generateFuzzCases(productsSpecPath, { seed: cases[7].seed, runs: 1, operations: ['updateProduct'] });
+
+      expect(replayed).toEqual(cases[7]);
+    });
+  });
+
+  describe('fuzz', () => {
+    let server;
+    let baseUrl;
+    const lamp = { name: 'Lamp', description: null, price: 35 };
+    // Items 1 to 1000 exist
+    const exists = id => id >= 1 && id <= 1000;
+
+    // parseInt lets '1abc' through as 1, and nothing checks the PUT body
+    beforeAll(done => {
+      const app = express();
+      app.use(express.json());
+      app.get('/items/:id', (req, res) => {
+        if (!exists(parseInt(req.params.id, 10))) return res.status(404).json({ code: 'NOT_FOUND' });
+        res.json(lamp);
+      });
+      app.put('/items/:id', (req, res) => {
+        if (!exists(parseInt(req.params.id, 10))) return res.status(404).json({ code: 'NOT_FOUND' });
+        res.json({ ...req.body, name: req.body.name.trim() });
+      });
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    it('should report the answers the spec does not allow, shrunk to a minimal request', async () => {
+      const report = await fuzz({ spec, baseUrl, seed: 7, runs: 60 });
+      const failure = (operationId, kind) => report.failures.find(found => found.operationId === operationId && found.kind === kind);
+
+      expect(report).toMatchObject({ title: 'Items API', seed: 7, runs: 60, cases: 120, passed: false });
+
+      const accepted = failure('getItem', 'accepted');
+      expect(accepted.message).toMatch(/^accepted an invalid request with 200: \/path\/id: /);
+      expect(accepted.request.url).toMatch(/\/items\/1[^0-9]$/);
+
+      const crashed = failure('updateItem', 'status');
+      expect(crashed.message).toBe('status 500 is not documented for updateItem');
+      expect(crashed.request.url).toBe(`${baseUrl}/items/1`);
+      // The handler reads req.body.name, so even no body at all crashes it
+      expect(crashed.request.body).toBeUndefined();
+      expect(crashed.shrinks).toBeGreaterThan(0);
+
+      const unchecked = failure('updateItem', 'accepted');
+      expect(unchecked.message).toBe('accepted an invalid request with 200: /body/name: must be at least 1 characters long');
+      expect(unchecked.request.body).toEqual({ name: '' });
+      expect(failure('updateItem', 'body').message).toBe('/name: must be at least 1 characters long');
+    });
+
+    it('should reproduce a failure from the seed it reports', async () => {
+      const report = await fuzz({ spec, baseUrl, seed: 7, runs: 60, operations: ['getItem'] });
+      const [failure] = report.failures;
+      const replay = await fuzz({ spec, baseUrl, seed: failure.seed, runs: 1, operations: ['getItem'] });
+
+      expect(replay.failures).toEqual([{ ...failure, occurrences: 1 }]);
+      expect(formatFuzzReport(replay)).toBe([
+        `Fuzzing Items API with seed ${failure.seed}`,
+        `  ✗ GET /items/{id}: ${failure.message}`,
+        `      GET ${failure.request.url}`,
+        `      -> 200 ${JSON.stringify(lamp)}`,
+        `      replay: --seed ${failure.seed} --runs 1 --operation getItem`,
+        '1 cases, 1 failures'
+      ].join('\n'));
+    });
+
+    it('should pass the same provider behind the spec validator', async () => {
+      const app = express();
+      app.use(express.json());
+      app.use(openApiValidator({ spec, logger: { error() {}, warn() {} } }));
+      app.get('/items/:id', (req, res) => (exists(req.params.id) ? res.json(lamp) : res.status(404).json({ code: 'NOT_FOUND' })));
+      app.put('/items/:id', (req, res) => (exists(req.params.id) ? res.json(req.body) : res.status(404).json({ code: 'NOT_FOUND' })));
+      // Bodies that aren't JSON objects never reach the validator
+      app.use((err, req, res, next) => res.status(err.status || 500).json({ code: 'INVALID_JSON' }));
+      const validated = app.listen(0, '127.0.0.1');
+      await new Promise(resolve => validated.once('listening', resolve));
+
+      try {
+        const report = await fuzz({ spec, baseUrl: `http://127.0.0.1:${validated.address().port}`, seed: 7, runs: 60 });
+        expect(formatFuzzReport(report)).toBe('Fuzzing Items API with seed 7\n120 cases, 0 failures');
+      } finally {
+        await new Promise(resolve => validated.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContractReporter = require('../jest-reporter');
+const { EXCHANGES_ENV } = require('../contract-report');
+
+const demoDir = path.join(__dirname, '../../specmatic-contract-testing');
+
+describe('ContractReporter', () => {
+  let outputPath;
+  const originalEnv = process.env[EXCHANGES_ENV];
+
+  beforeEach(() => {
+    outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-reporter-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputPath, { recursive: true, force: true });
+    if (originalEnv === undefined) delete process.env[EXCHANGES_ENV];
+    else process.env[EXCHANGES_ENV] = originalEnv;
+  });
+
+  it('should take the spec and output path from specmatic.yaml', () => {
+    const reporter = new ContractReporter({ rootDir: path.join(demoDir, 'consumer') }, { config: '../specmatic.yaml' });
+
+    expect(reporter.spec.document.info.title).toBe('Product Service API');
+    expect(reporter.outputPath).toBe(path.join(demoDir, 'reports'));
+    expect(reporter.formats).toEqual(['html', 'junit', 'json']);
+    expect(process.env[EXCHANGES_ENV]).toBe(reporter.exchangeDir);
+    fs.rmSync(reporter.exchangeDir, { recursive: true, force: true });
+  });
+
+  it('should write the reports it is asked for once the run completes', () => {
+    const reporter = new ContractReporter(
+      { rootDir: demoDir },
+      { spec: 'specs/products-api.yaml', outputPath, formats: ['junit', 'json'] }
+    );
+    fs.writeFileSync(path.join(reporter.exchangeDir, '1.jsonl'), `${JSON.stringify({
+      sequence: 0,
+      testPath: path.join(demoDir, 'consumer/src/contract.test.js'),
+      test: 'Products should list products',
+      request: { method: 'GET', url: 'http://localhost:8080/api/products', headers: {} },
+      response: { status: 200, headers: { 'content-type': 'application/json' }, body: '[]' }
+    })}\n`);
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      reporter.onRunComplete(new Set(), {
+        startTime: Date.now(),
+        testResults: [{
+          testFilePath: path.join(demoDir, 'consumer/src/contract.test.js'),
+          testResults: [{ fullName: 'Products should list products', status: 'passed', duration: 3, failureMessages: [] }]
+        }]
+      });
+    } finally {
+      log.mockRestore();
+    }
+
+    expect(fs.readdirSync(outputPath).sort()).toEqual(['contract-report.json', 'contract-report.xml']);
+    const report = JSON.parse(fs.readFileSync(path.join(outputPath, 'contract-report.json'), 'utf8'));
+    expect(report.operations[0]).toMatchObject({
+      operationId: 'getAllProducts',
+      tests: [{ name: 'Products should list products', file: 'consumer/src/contract.test.js' }]
+    });
+    expect(fs.existsSync(reporter.exchangeDir)).toBe(false);
+  });
+
+  it('should refuse to start without a spec or with an unknown format', () => {
+    expect(() => new ContractReporter({ rootDir: demoDir }, {}))
+      .toThrow('The contract reporter needs a spec, or a specmatic.yaml with apiSpecifications');
+    expect(() => new ContractReporter({ rootDir: demoDir }, { spec: 'specs/products-api.yaml', formats: ['pdf'] }))
+      .toThrow('Unknown report format pdf, expected html, junit, json');
+  });
+});
@@ -0,0 +1,69 @@
+const { applyJsonPatch, applyMergePatch } = require('../json-patch');
+
+describe('JSON Patch', () => {
+  const product = { name: 'Widget', description: 'A useful widget', price: 19.99, tags: ['tools', 'home'] };
+
+  describe('applyJsonPatch', () => {
+    it('should apply every operation in order to a copy', () => {
+      const patched = applyJsonPatch(product, [
+        { op: 'test', path: '/price', value: 19.99 },
+        { op: 'replace', path: '/price', value: 24.99 },
+        { op: 'add', path: '/tags/1', value: 'garden' },
+        { op: 'add', path: '/tags/-', value: 'sale' },
+        { op: 'remove', path: '/tags/0' },
+        { op: 'copy', from: '/name', path: '/title' },
+        { op: 'move', from: '/description', path: '/summary' }
+      ]);
+
+      expect(patched).toEqual({ name: 'Widget', summary: 'A useful widget', price: 24.99, tags: ['garden', 'home', 'sale'], title: 'Widget' });
+      expect(product.price).toBe(19.99);
+      expect(product.tags).toEqual(['tools', 'home']);
+    });
+
+    it('should unescape ~0 and ~1 and replace the whole document at ""', () => {
+      expect(applyJsonPatch({ 'a/b': 1, 'c~d': 2 }, [
+        { op: 'remove', path: '/a~1b' },
+        { op: 'replace', path: '/c~0d', value: 3 }
+      ])).toEqual({ 'c~d': 3 });
+      expect(applyJsonPatch(product, [{ op: 'replace', path: '', value: [1] }])).toEqual([1]);
+    });
+
+    it('should compare test values deeply', () => {
+      expect(() => applyJsonPatch(product, [{ op: 'test', path: '/tags', value: ['tools', 'home'] }])).not.toThrow();
+      expect(() => applyJsonPatch(product, [{ op: 'test', path: '/tags', value: ['home', 'tools'] }]))
+        .toThrow('Operation 0 (test /tags): value is not ["home","tools"]');
+    });
+
+    it('should name the operation that failed', () => {
+      const cases = [
+        [[{ op: 'replace', path: '/color', value: 'red' }], 'Operation 0 (replace /color): /color does not exist'],
+        [[{ op: 'add', path: '/tags/3', value: 'x' }], 'Operation 0 (add /tags/3): /tags/3 is past the end of its array'],
+        [[{ op: 'remove', path: '/name' }, { op: 'remove', path: '/name' }], 'Operation 1 (remove /name): /name does not exist'],
+        [[{ op: 'add', path: 'price', value: 1 }], 'Operation 0 (add price): "price" is not a JSON Pointer'],
+        [[{ op: 'replace', path: '/price' }], 'Operation 0 (replace /price): replace needs a value'],
+        [[{ op: 'move', from: '/tags', path: '/tags/0' }], 'Operation 0 (move /tags/0): /tags cannot be moved into itself'],
+        [[{ op: 'merge', path: '/price' }], 'Operation 0 (merge /price): op must be one of add, remove, replace, move, copy, test']
+      ];
+
+      cases.forEach(([operations, message]) => expect(() => applyJsonPatch(product, operations)).toThrow(message));
+      expect(() => applyJsonPatch(product, { op: 'remove', path: '/name' })).toThrow('A JSON Patch must be an array of operations');
+    });
+  });
+
+  describe('applyMergePatch', () => {
+    it('should merge objects, remove members set to null and replace everything else', () => {
+      const patched = applyMergePatch(
+        { ...product, dimensions: { width: 10, height: 5 } },
+        { description: null, price: 21, tags: ['sale'], dimensions: { height: null, depth: 2 } }
+      );
+
+      expect(patched).toEqual({ name: 'Widget', price: 21, tags: ['sale'], dimensions: { width: 10, depth: 2 } });
+      expect(product.description).toBe('A useful widget');
+    });
+
+    it('should replace the document with a patch that is not an object', () => {
+      expect(applyMergePatch(product, ['a'])).toEqual(['a']);
+      expect(applyMergePatch('text', { a: null, b: 1 })).toEqual({ b: 1 });
+    });
+  });
+});
@@ -0,0 +1,281 @@
+const path = require('path');
+const { startMockServer } = require('../mock-server');
+
+const usersSpecPath = path.join(__dirname, '../../openapi-contract-testing/openapi.yaml');
+const productsSpecPath = path.join(__dirname, '../../specmatic-contract-testing/specs/products-api.yaml');
+
+// Tokens that aren't JWTs pass any scope check
+const authorized = { headers: { Authorization: 'Bearer test-token' } };
+const jwt = claims => `e30.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.signature`;
+
+describe('Mock server', () => {
+  describe('users API', () => {
+    let mock;
+
+    beforeAll(async () => {
+      mock = await startMockServer({ spec: usersSpecPath });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should serve the v1 example when apiVersion falls back to its default', async () => {
+      const response = await fetch(`${mock.url}/users`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toContain('application/json');
+      expect((await response.json()).users[0]).toEqual({ id: 1, name: 'John Doe' });
+    });
+
+    it('should select the example named after the apiVersion query value', async () => {
+      const response = await fetch(`${mock.url}/users?apiVersion=2`);
+
+      expect((await response.json()).users[0]).toEqual({
+        id: 1, name: 'John Doe', email: 'john@company.com', role: 'admin'
+      });
+    });
+
+    it('should reject requests that break the spec with the declared 400', async () => {
+      const response = await fetch(`${mock.url}/users?limit=0`);
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({
+        code: 'VALIDATION_ERROR',
+        message: '/query/limit: must be greater than or equal to 1'
+      });
+    });
+
+    it('should select examples by header parameters and serve media types named in Accept', async () => {
+      const byHeader = await fetch(`${mock.url}/users`, { headers: { 'API-Version': '2' } });
+      expect((await byHeader.json()).users[0]).toHaveProperty('email');
+
+      const byAccept = await fetch(`${mock.url}/users`, { headers: { Accept: 'application/vnd.users.v2+json' } });
+      expect(byAccept.headers.get('content-type')).toContain('application/vnd.users.v2+json');
+      expect((await byAccept.json()).users[0]).toHaveProperty('role', 'admin');
+
+      const plain = await fetch(`${mock.url}/users`, { headers: { Accept: 'application/json' } });
+      expect(plain.headers.get('content-type')).toContain('application/json');
+      expect((await plain.json()).users[0]).toEqual({ id: 1, name: 'John Doe' });
+    });
+
+    it('should honour Prefer headers', async () => {
+      const response = await fetch(`${mock.url}/users`, { headers: { Prefer: 'code=500' } });
+
+      expect(response.status).toBe(500);
+      expect(await response.json()).toEqual({ code: 'INVALID_PARAMETER', message: 'Invalid apiVersion parameter' });
+    });
+
+    it('should answer routes missing from the spec with 404', async () => {
+      const response = await fetch(`${mock.url}/health`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('products API', () => {
+    let mock;
+
+    beforeAll(async () => {
+      mock = await startMockServer({ spec: productsSpecPath });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should serve the array example', async () => {
+      const response = await fetch(`${mock.url}/api/products`, authorized);
+
+      expect((await response.json()).map(product => product.name)).toEqual(['Widget', 'Gadget']);
+    });
+
+    it('should look up documented ids in the examples', async () => {
+      const response = await fetch(`${mock.url}/api/products/2`, authorized);
+
+      expect(response.status).toBe(200);
+      expect((await response.json()).name).toBe('Gadget');
+    });
+
+    it('should return the declared 404 for unknown ids', async () => {
+      const response = await fetch(`${mock.url}/api/products/99999`, authorized);
+
+      expect(response.status).toBe(404);
+      expect((await response.json()).code).toBe('NOT_FOUND');
+    });
+
+    it('should return bodiless responses without content', async () => {
+      const response = await fetch(`${mock.url}/api/products/1`, { method: 'DELETE', ...authorized });
+
+      expect(response.status).toBe(204);
+      expect(await response.text()).toBe('');
+    });
+
+    it('should generate a body from the schema when there is no example', async () => {
+      const response = await fetch(`${mock.url}/api/products`, {
+        method: 'POST',
+        headers: { ...authorized.headers, 'Content-Type': 'application/json', Prefer: 'code=400' },
+        body: JSON.stringify({ name: 'Widget', price: 1 })
+      });
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ code: 'string', message: 'string' });
+    });
+
+    it('should answer secured operations without a bearer token with the documented 401', async () => {
+      const response = await fetch(`${mock.url}/api/products`);
+
+      expect(response.status).toBe(401);
+      expect(response.headers.get('www-authenticate')).toBe('Bearer');
+      expect((await response.json()).code).toBe('UNAUTHORIZED');
+    });
+
+    it('should answer JWTs without the required scope with the documented 403', async () => {
+      const response = await fetch(`${mock.url}/api/products/1`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${jwt({ scope: 'products:read' })}` }
+      });
+
+      expect(response.status).toBe(403);
+      expect(response.headers.get('www-authenticate')).toBe('Bearer error="insufficient_scope", scope="products:write"');
+      expect((await fetch(`${mock.url}/api/products/1`, {
+        headers: { Authorization: `Bearer ${jwt({ scope: 'products:read' })}` }
+      })).status).toBe(200);
+    });
+
+    it('should issue a token with the requested scopes from a form-encoded request', async () => {
+      const requestToken = scope => fetch(`${mock.url}/oauth/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: `grant_type=client_credentials&client_id=product-api-client&client_secret=product-api-secret${scope ? `&scope=${scope}` : ''}`
+      });
+      const claimsOf = token => JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+
+      const response = await requestToken();
+      expect(response.status).toBe(200);
+      const documented = await response.json();
+      expect(documented).toMatchObject({ token_type: 'Bearer', expires_in: 3600, scope: 'products:read products:write' });
+      expect(claimsOf(documented.access_token)).toMatchObject({ sub: 'product-api-client', scope: 'products:read products:write' });
+
+      const readOnly = await (await requestToken('products:read')).json();
+      expect(readOnly.scope).toBe('products:read');
+      expect((await fetch(`${mock.url}/api/products/1`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${readOnly.access_token}` }
+      })).status).toBe(403);
+    });
+  });
+
+  describe('replaying products API', () => {
+    let mock;
+
+    const widget = { id: 1, name: 'Widget', description: null, price: 19.99, inStock: true };
+    const recording = {
+      interactions: [{
+        name: 'getProductById-200',
+        operationId: 'getProductById',
+        request: { method: 'GET', path: '/api/products/1', query: {}, headers: { authorization: '[redacted]' } },
+        response: { status: 200, headers: { 'content-type': 'application/json', etag: '"w1"', 'set-cookie': '[redacted]' }, body: widget },
+        redacted: ['/request/headers/authorization', '/response/headers/set-cookie'],
+        errors: []
+      }, {
+        name: 'getAllProducts-200',
+        operationId: 'getAllProducts',
+        request: { method: 'GET', path: '/api/products', query: { minPrice: '10' }, headers: {} },
+        response: { status: 200, headers: { 'content-type': 'application/json' }, body: [widget] },
+        redacted: [],
+        errors: []
+      }]
+    };
+
+    beforeAll(async () => {
+      mock = await startMockServer({ spec: productsSpecPath, recordings: [recording] });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should answer recorded requests with the recorded response, minus redacted headers', async () => {
+      const response = await fetch(`${mock.url}/api/products/1`, authorized);
+
+      expect(await response.json()).toEqual(widget);
+      expect(response.headers.get('etag')).toBe('"w1"');
+      expect(response.headers.get('set-cookie')).toBeNull();
+      expect((await fetch(`${mock.url}/api/products?minPrice=10`, authorized)).status).toBe(200);
+    });
+
+    it('should pick a recording by name with Prefer, and fall back to the spec for the rest', async () => {
+      const preferred = await fetch(`${mock.url}/api/products`, {
+        headers: { ...authorized.headers, Prefer: 'example=getAllProducts-200' }
+      });
+      expect(await preferred.json()).toEqual([widget]);
+
+      const listed = await fetch(`${mock.url}/api/products`, authorized);
+      expect((await listed.json()).map(product => product.name)).toEqual(['Widget', 'Gadget']);
+      expect((await fetch(`${mock.url}/api/products/1`)).status).toBe(401);
+    });
+  });
+
+  describe('stateful products API', () => {
+    let mock;
+
+    const send = (method, url, body, type = 'application/json') => fetch(`${mock.url}${url}`, {
+      method,
+      headers: { ...authorized.headers, 'Content-Type': type },
+      body: body && JSON.stringify(body)
+    });
+
+    beforeAll(async () => {
+      mock = await startMockServer({ spec: productsSpecPath, stateful: true });
+    });
+
+    afterAll(() => mock.close());
+
+    beforeEach(() => mock.reset());
+
+    it('should seed the collection from the getAllProducts example', async () => {
+      const response = await fetch(`${mock.url}/api/products`, authorized);
+
+      expect((await response.json()).map(product => product.id)).toEqual([1, 2]);
+    });
+
+    it('should persist created products with a fresh id', async () => {
+      const created = await send('POST', '/api/products', { name: 'Test Product', price: 29.99 });
+
+      expect(created.status).toBe(201);
+      expect(await created.json()).toEqual({
+        id: 3, name: 'Test Product', description: null, price: 29.99, inStock: true
+      });
+      expect((await (await fetch(`${mock.url}/api/products/3`, authorized)).json()).name).toBe('Test Product');
+    });
+
+    it('should apply updates and deletes to later reads', async () => {
+      const updated = await send('PUT', '/api/products/1', { name: 'Widget', price: 35 });
+      expect(await updated.json()).toEqual({ id: 1, name: 'Widget', description: null, price: 35, inStock: true });
+
+      expect((await send('DELETE', '/api/products/1')).status).toBe(204);
+      expect((await fetch(`${mock.url}/api/products/1`, authorized)).status).toBe(404);
+      expect((await send('DELETE', '/api/products/1')).status).toBe(404);
+    });
+
+    it('should apply merge patches and JSON patches', async () => {
+      const merged = await send('PATCH', '/api/products/1', { price: 21, description: null }, 'application/merge-patch+json');
+      expect(await merged.json()).toEqual({ id: 1, name: 'Widget', description: null, price: 21, inStock: true });
+
+      const patched = await send('PATCH', '/api/products/1', [{ op: 'replace', path: '/name', value: 'Gizmo' }], 'application/json-patch+json');
+      expect(await patched.json()).toMatchObject({ id: 1, name: 'Gizmo', price: 21 });
+
+      const failed = await send('PATCH', '/api/products/1', [{ op: 'remove', path: '/color' }], 'application/json-patch+json');
+      expect(failed.status).toBe(422);
+      expect((await (await fetch(`${mock.url}/api/products/1`, authorized)).json()).name).toBe('Gizmo');
+    });
+
+    it('should still reject invalid writes', async () => {
+      const response = await send('POST', '/api/products', { name: 'Test', price: -10 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should restore the seed on POST /__mock/reset', async () => {
+      await send('DELETE', '/api/products/2');
+
+      expect((await fetch(`${mock.url}/__mock/reset`, { method: 'POST' })).status).toBe(204);
+      expect((await (await fetch(`${mock.url}/api/products`, authorized)).json())).toHaveLength(2);
+    });
+  });
+});
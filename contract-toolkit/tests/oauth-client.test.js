@@ -0,0 +1,66 @@
+const { clientCredentials } = require('../oauth-client');
+
+/**
+ * A token endpoint that numbers the tokens it issues
+ */
+function fakeTokenEndpoint(expiresIn = 3600) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, body: Object.fromEntries(new URLSearchParams(init.body)) });
+    return {
+      ok: true,
+      json: async () => ({ access_token: `token-${requests.length}`, token_type: 'Bearer', expires_in: expiresIn })
+    };
+  };
+  return { fetch, requests };
+}
+
+describe('clientCredentials', () => {
+  it('should request a token with the client credentials grant', async () => {
+    const endpoint = fakeTokenEndpoint();
+    const tokens = clientCredentials({
+      tokenUrl: () => 'http://localhost:8080/oauth/token',
+      clientId: 'product-api-client',
+      clientSecret: 'product-api-secret',
+      fetch: endpoint.fetch
+    });
+
+    expect(await tokens.getToken(['products:read'])).toBe('token-1');
+    expect(endpoint.requests).toEqual([{
+      url: 'http://localhost:8080/oauth/token',
+      body: {
+        grant_type: 'client_credentials',
+        client_id: 'product-api-client',
+        client_secret: 'product-api-secret',
+        scope: 'products:read'
+      }
+    }]);
+  });
+
+  it('should cache tokens per scope set until shortly before they expire', async () => {
+    const endpoint = fakeTokenEndpoint();
+    const tokens = clientCredentials({ tokenUrl: 'http://idp/token', clientId: 'a', clientSecret: 'b', fetch: endpoint.fetch });
+
+    expect(await tokens.getToken(['products:read', 'products:write'])).toBe('token-1');
+    expect(await tokens.getToken(['products:write', 'products:read'])).toBe('token-1');
+    expect(await tokens.getToken(['products:read'])).toBe('token-2');
+
+    tokens.clear();
+    expect(await tokens.getToken(['products:read'])).toBe('token-3');
+
+    const shortLived = clientCredentials({ tokenUrl: 'http://idp/token', clientId: 'a', clientSecret: 'b', fetch: fakeTokenEndpoint(20).fetch });
+    expect(await shortLived.getToken()).toBe('token-1');
+    expect(await shortLived.getToken()).toBe('token-2');
+  });
+
+  it('should report rejected token requests', async () => {
+    const tokens = clientCredentials({
+      tokenUrl: 'http://idp/token',
+      clientId: 'a',
+      clientSecret: 'wrong',
+      fetch: async () => ({ ok: false, status: 401, text: async () => '{"code":"INVALID_CLIENT"}' })
+    });
+
+    await expect(tokens.getToken()).rejects.toThrow('Token request to http://idp/token failed: 401 {"code":"INVALID_CLIENT"}');
+  });
+});
@@ -0,0 +1,181 @@
+const path = require('path');
+const express = require('express');
+const { openApiValidator, coerceParameter } = require('../openapi-validator');
+
+const productsSpecPath = path.join(__dirname, '../../specmatic-contract-testing/specs/products-api.yaml');
+
+const product = { id: 1, name: 'Widget', description: null, price: 19.99, inStock: true };
+
+function startApp(options, routes) {
+  const app = express();
+  app.use(express.json());
+  app.use(openApiValidator({ spec: productsSpecPath, ...options }));
+  routes(app);
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      resolve({ server, baseUrl: `http://localhost:${server.address().port}` });
+    });
+  });
+}
+
+describe('openApiValidator', () => {
+  describe('request validation', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      ({ server, baseUrl } = await startApp({ errorCodes: { '/body/price': 'INVALID_PRICE' } }, app => {
+        app.get('/api/products/:id', (req, res) => res.json({ ...product, id: req.openapi.params.path.id }));
+        app.post('/api/products', (req, res) => res.status(201).json({ ...product, ...req.body, id: 3 }));
+        app.get('/health', (req, res) => res.json({ status: 'ok' }));
+      }));
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    const post = body => fetch(`${baseUrl}/api/products`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    it('should pass valid requests through with coerced params', async () => {
+      const response = await fetch(`${baseUrl}/api/products/7`);
+
+      expect(response.status).toBe(200);
+      expect((await response.json()).id).toBe(7);
+    });
+
+    it('should reject path params that are not integers', async () => {
+      const response = await fetch(`${baseUrl}/api/products/1abc`);
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({
+        code: 'VALIDATION_ERROR',
+        message: '/path/id: expected integer, got string'
+      });
+    });
+
+    it('should reject bodies that violate the request schema', async () => {
+      const response = await post({ price: 10 });
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({
+        code: 'VALIDATION_ERROR',
+        message: "/body/name: required property 'name' is missing"
+      });
+    });
+
+    it('should use the configured error code for a field', async () => {
+      const response = await post({ name: 'Widget', price: -10 });
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).code).toBe('INVALID_PRICE');
+    });
+
+    it('should reject a missing required body', async () => {
+      const response = await fetch(`${baseUrl}/api/products`, { method: 'POST' });
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).message).toBe('/body: request body is required');
+    });
+
+    it('should reject undocumented content types with 415', async () => {
+      const response = await fetch(`${baseUrl}/api/products`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: 'name=Widget'
+      });
+
+      expect(response.status).toBe(415);
+      expect((await response.json()).code).toBe('UNSUPPORTED_MEDIA_TYPE');
+    });
+
+    it('should hold HEAD requests to the GET operation', async () => {
+      const valid = await fetch(`${baseUrl}/api/products/7`, { method: 'HEAD' });
+      const invalid = await fetch(`${baseUrl}/api/products/1abc`, { method: 'HEAD' });
+
+      expect(valid.status).toBe(200);
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should ignore routes that are not in the spec', async () => {
+      const response = await fetch(`${baseUrl}/health`);
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('response validation', () => {
+    let server;
+    let baseUrl;
+    const logger = { warn: jest.fn(), error: jest.fn() };
+    const routes = app => {
+      app.get('/api/products', (req, res) => res.json([{ ...product, price: 'free' }]));
+      app.get('/api/products/:id', (req, res) => res.status(418).json(product));
+      app.delete('/api/products/:id', (req, res) => res.status(204).send());
+    };
+
+    afterEach(() => new Promise(resolve => server.close(resolve)));
+
+    it('should replace invalid responses with a 500 in strict mode', async () => {
+      ({ server, baseUrl } = await startApp({ responseValidation: 'strict', logger }, routes));
+
+      const response = await fetch(`${baseUrl}/api/products`);
+
+      expect(response.status).toBe(500);
+      expect(await response.json()).toEqual({
+        code: 'RESPONSE_VALIDATION_FAILED',
+        message: 'GET /api/products -> 200 violates the spec: /0/price: expected number, got string'
+      });
+      expect(logger.error).toHaveBeenCalled();
+    });
+
+    it('should flag undocumented status codes', async () => {
+      ({ server, baseUrl } = await startApp({ responseValidation: 'strict', logger }, routes));
+
+      const response = await fetch(`${baseUrl}/api/products/1`);
+
+      expect((await response.json()).message).toContain('status 418 is not documented for getProductById');
+    });
+
+    it('should check the response a HEAD request gets from the GET route', async () => {
+      ({ server, baseUrl } = await startApp({ responseValidation: 'strict', logger }, routes));
+
+      const response = await fetch(`${baseUrl}/api/products`, { method: 'HEAD' });
+
+      expect(response.status).toBe(500);
+    });
+
+    it('should accept documented bodiless responses', async () => {
+      ({ server, baseUrl } = await startApp({ responseValidation: 'strict', logger }, routes));
+
+      const response = await fetch(`${baseUrl}/api/products/1`, { method: 'DELETE' });
+
+      expect(response.status).toBe(204);
+    });
+
+    it('should only log in warn mode', async () => {
+      ({ server, baseUrl } = await startApp({ responseValidation: 'warn', logger }, routes));
+
+      const response = await fetch(`${baseUrl}/api/products`);
+
+      expect(response.status).toBe(200);
+      expect((await response.json())[0].price).toBe('free');
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('/0/price: expected number, got string'));
+    });
+  });
+
+  describe('coerceParameter', () => {
+    it('should convert strings to the declared type', () => {
+      expect(coerceParameter('42', { type: 'integer' })).toBe(42);
+      expect(coerceParameter('true', { type: 'boolean' })).toBe(true);
+      expect(coerceParameter('1,2', { type: 'array', items: { type: 'integer' } })).toEqual([1, 2]);
+    });
+
+    it('should leave unconvertible values for the validator to reject', () => {
+      expect(coerceParameter('1abc', { type: 'integer' })).toBe('1abc');
+    });
+  });
+});
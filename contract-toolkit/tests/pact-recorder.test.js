@@ -0,0 +1,194 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PactRecorder = require('../pact-recorder');
+const { startMockServer } = require('../mock-server');
+
+const productsSpecPath = path.join(__dirname, '../../specmatic-contract-testing/specs/products-api.yaml');
+const authorized = { headers: { Authorization: 'Bearer test-token' } };
+
+/**
+ * Just enough of an axios instance to drive the interceptors
+ */
+function fakeAxios(baseURL) {
+  const handlers = [];
+  return {
+    interceptors: { response: { use: (onFulfilled, onRejected) => handlers.push({ onFulfilled, onRejected }) } },
+    getUri: config => `${baseURL}${config.url}?${new URLSearchParams(config.params)}`,
+    respond: response => handlers[0].onFulfilled(response),
+    fail: error => handlers[0].onRejected(error)
+  };
+}
+
+describe('PactRecorder', () => {
+  let mock;
+  let pactDir;
+
+  beforeAll(async () => {
+    mock = await startMockServer({ spec: productsSpecPath, stateful: true });
+    pactDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pacts-'));
+  });
+
+  afterAll(async () => {
+    await mock.close();
+    fs.rmSync(pactDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => mock.reset());
+
+  it('should require consumer and provider names', () => {
+    expect(() => new PactRecorder({ consumer: 'ProductApiClient' }))
+      .toThrow('PactRecorder needs a consumer and a provider name');
+  });
+
+  it('should record fetch calls with their provider state', async () => {
+    const pact = new PactRecorder({ consumer: 'ProductApiClient', provider: 'ProductService', pactDir });
+    const fetch = pact.wrapFetch();
+
+    pact.given('product exists', { id: 1 });
+    const response = await fetch(`${mock.url}/api/products/1`, authorized);
+
+    expect((await response.json()).id).toBe(1);
+    expect(pact.interactions).toEqual([{
+      description: 'GET /api/products/1',
+      providerStates: [{ name: 'product exists', params: { id: 1 } }],
+      request: { method: 'GET', path: '/api/products/1' },
+      response: {
+        status: 200,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+        body: { id: 1, name: 'Widget', description: 'A useful widget', price: 19.99, inStock: true },
+        matchingRules: {
+          body: {
+            '$.id': { matchers: [{ match: 'type' }] },
+            '$.name': { matchers: [{ match: 'type' }] },
+            '$.description': { matchers: [{ match: 'type' }] },
+            '$.price': { matchers: [{ match: 'type' }] },
+            '$.inStock': { matchers: [{ match: 'type' }] }
+          }
+        }
+      }
+    }]);
+  });
+
+  it('should record request bodies, error responses and bodiless responses', async () => {
+    const pact = new PactRecorder({ consumer: 'ProductApiClient', provider: 'ProductService', pactDir, matchingRules: false });
+    const fetch = pact.wrapFetch();
+    const post = body => fetch(`${mock.url}/api/products`, {
+      method: 'POST',
+      headers: { ...authorized.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    await post({ price: 1 });
+    await fetch(`${mock.url}/api/products/2`, { method: 'DELETE', ...authorized });
+
+    expect(pact.interactions[0]).toMatchObject({
+      request: { method: 'POST', path: '/api/products', headers: { 'Content-Type': 'application/json' }, body: { price: 1 } },
+      response: { status: 400, body: { code: 'VALIDATION_ERROR' } }
+    });
+    expect(pact.interactions[1].response).toEqual({ status: 204 });
+    expect(pact.interactions[0].response.matchingRules).toBeUndefined();
+  });
+
+  it('should keep repeated requests once and number differing ones', async () => {
+    const pact = new PactRecorder({ consumer: 'ProductApiClient', provider: 'ProductService', pactDir });
+    const fetch = pact.wrapFetch();
+    const post = body => fetch(`${mock.url}/api/products`, {
+      method: 'POST',
+      headers: { ...authorized.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    pact.given('products exist');
+    await fetch(`${mock.url}/api/products`, authorized);
+    await fetch(`${mock.url}/api/products`, authorized);
+    await post({ name: 'A', price: 1 });
+    await post({ name: 'B', price: 2 });
+    pact.given('no products exist');
+    await fetch(`${mock.url}/api/products`, authorized);
+
+    expect(pact.interactions.map(interaction => interaction.description)).toEqual([
+      'GET /api/products',
+      'POST /api/products',
+      'POST /api/products (2)',
+      'GET /api/products'
+    ]);
+  });
+
+  it('should use an explicit description for the next interaction only', async () => {
+    const pact = new PactRecorder({ consumer: 'ProductApiClient', provider: 'ProductService', pactDir });
+    const fetch = pact.wrapFetch();
+
+    pact.uponReceiving('a request for all products');
+    await fetch(`${mock.url}/api/products`, authorized);
+    await fetch(`${mock.url}/api/products/1`, authorized);
+
+    expect(pact.interactions.map(interaction => interaction.description)).toEqual([
+      'a request for all products',
+      'GET /api/products/1'
+    ]);
+  });
+
+  it('should record axios responses, including rejected ones', async () => {
+    const pact = new PactRecorder({ consumer: 'SF-18.1', provider: 'UsersApi', pactDir });
+    const axios = fakeAxios('http://localhost:5001');
+    pact.wrapAxios(axios);
+
+    axios.respond({
+      config: { method: 'get', url: '/users', params: { apiVersion: 2, limit: 50 }, headers: {} },
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      data: { users: [{ id: 1, 'e-mail': 'john@company.com' }] }
+    });
+    await expect(axios.fail({
+      response: {
+        config: { method: 'get', url: '/users', params: { apiVersion: 3 }, headers: {} },
+        status: 400,
+        headers: {},
+        data: { code: 'VALIDATION_ERROR', message: 'bad' }
+      }
+    })).rejects.toBeDefined();
+
+    expect(pact.interactions[0].request).toEqual({ method: 'GET', path: '/users', query: { apiVersion: ['2'], limit: ['50'] } });
+    expect(Object.keys(pact.interactions[0].response.matchingRules.body)).toEqual([
+      '$.users', '$.users[*].id', "$.users[*]['e-mail']"
+    ]);
+    expect(pact.interactions[0].response.matchingRules.body['$.users']).toEqual({ matchers: [{ match: 'type', min: 1 }] });
+    expect(pact.interactions[1]).toMatchObject({ description: 'GET /users?apiVersion=3', response: { status: 400 } });
+  });
+
+  it('should record the request headers it is told to', async () => {
+    const pact = new PactRecorder({ consumer: 'SF-18.1', provider: 'UsersApi', pactDir, headers: ['Accept', 'API-Version'] });
+    const axios = fakeAxios('http://localhost:5001');
+    pact.wrapAxios(axios);
+
+    axios.respond({
+      config: { method: 'get', url: '/users', params: {}, headers: { Accept: 'application/vnd.users.v2+json', 'X-Trace': 'abc' } },
+      status: 200,
+      headers: { 'content-type': 'application/vnd.users.v2+json' },
+      data: { users: [] }
+    });
+
+    expect(pact.interactions[0].request).toEqual({
+      method: 'GET',
+      path: '/users',
+      headers: { Accept: 'application/vnd.users.v2+json' }
+    });
+  });
+
+  it('should write a Pact v3 file per consumer-provider pair', async () => {
+    const pact = new PactRecorder({ consumer: 'ProductApiClient', provider: 'ProductService', pactDir });
+    await pact.wrapFetch()(`${mock.url}/api/products`, authorized);
+
+    const file = pact.write();
+    const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    expect(path.basename(file)).toBe('ProductApiClient-ProductService.json');
+    expect(written).toMatchObject({
+      consumer: { name: 'ProductApiClient' },
+      provider: { name: 'ProductService' },
+      metadata: { pactSpecification: { version: '3.0.0' } }
+    });
+    expect(written.interactions).toHaveLength(1);
+  });
+});
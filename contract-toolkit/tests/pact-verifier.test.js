@@ -0,0 +1,313 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { verifyPact, matchBody, findPacts, formatVerification } = require('../pact-verifier');
+const { providerStateMiddleware } = require('../provider-states');
+
+const type = { matchers: [{ match: 'type' }] };
+
+/**
+ * A small products provider with test-mode provider states
+ */
+function createProvider() {
+  let products = [{ id: 1, name: 'Widget', price: 19.99 }];
+  const app = express();
+
+  app.use(providerStateMiddleware({
+    'no products exist': () => {
+      products = [];
+    },
+    'product exists': ({ id }) => {
+      products = [{ id, name: 'Widget', price: 19.99 }];
+    }
+  }));
+  app.get('/api/products', (req, res) => res.json(products));
+  app.get('/api/me', (req, res) => {
+    if (req.get('Authorization') !== 'Bearer good-token') return res.status(401).json({ code: 'UNAUTHORIZED', message: 'Bad token' });
+    res.json({ client: 'product-api-client' });
+  });
+  app.get('/api/products/:id', (req, res) => {
+    const product = products.find(p => p.id === Number(req.params.id));
+    if (!product) return res.status(404).json({ code: 'NOT_FOUND', message: 'Product not found' });
+    res.json(product);
+  });
+
+  return app;
+}
+
+const interaction = (description, providerStates, request, response) => ({ description, providerStates, request, response });
+
+describe('Pact verifier', () => {
+  describe('matchBody', () => {
+    it('should require equal values without matching rules, ignoring extra keys', () => {
+      expect(matchBody({ id: 1, name: 'Widget' }, { id: 1, name: 'Widget', extra: true })).toEqual([]);
+      expect(matchBody({ id: 1, name: 'Widget' }, { id: 2 })).toEqual([
+        { path: '$.id', message: 'expected 1 but got 2' },
+        { path: '$.name', message: 'missing from the response' }
+      ]);
+      expect(matchBody([1, 2], [1])).toEqual([{ path: '$', message: 'expected 2 item(s) but got 1' }]);
+    });
+
+    it('should compare types under type matchers', () => {
+      const rules = { '$.id': type, '$.name': type };
+
+      expect(matchBody({ id: 1, name: 'Widget' }, { id: 7, name: 'Gadget' }, rules)).toEqual([]);
+      expect(matchBody({ id: 1, name: 'Widget' }, { id: '7', name: null }, rules)).toEqual([
+        { path: '$.id', message: 'expected type number but got string' },
+        { path: '$.name', message: 'expected type string but got null' }
+      ]);
+    });
+
+    it('should match every array item against the recorded one', () => {
+      const rules = {
+        '$.users': { matchers: [{ match: 'type', min: 1 }] },
+        '$.users[*].id': type,
+        '$.users[*].email': type
+      };
+      const expected = { users: [{ id: 1, email: 'john@company.com' }] };
+
+      expect(matchBody(expected, { users: [{ id: 5, email: 'a@b.c' }, { id: 6, email: 'd@e.f' }] }, rules)).toEqual([]);
+      expect(matchBody(expected, { users: [] }, rules)).toEqual([
+        { path: '$.users', message: 'expected at least 1 item(s) but got 0' }
+      ]);
+      expect(matchBody(expected, { users: [{ id: 5, email: 'a@b.c' }, { id: 6 }] }, rules)).toEqual([
+        { path: '$.users[1].email', message: 'missing from the response' }
+      ]);
+    });
+
+    it('should cascade type matchers to nested values', () => {
+      const rules = { '$.product': type };
+
+      expect(matchBody({ product: { id: 1, tags: ['a'] } }, { product: { id: 2, tags: ['b', 'c'] } }, rules)).toEqual([]);
+      expect(matchBody({ product: { id: 1 } }, { product: { id: 'x' } }, rules)).toEqual([
+        { path: '$.product.id', message: 'expected type number but got string' }
+      ]);
+    });
+
+    it('should support regex, equality, include and number matchers', () => {
+      const rules = {
+        '$.date': { matchers: [{ match: 'regex', regex: '\\d{4}-\\d{2}-\\d{2}' }] },
+        '$.status': { matchers: [{ match: 'equality' }] },
+        '$.message': { matchers: [{ match: 'include', value: 'not found' }] },
+        '$.count': { matchers: [{ match: 'integer' }] },
+        "$['e-mail']": type
+      };
+      const expected = { date: '2024-01-01', status: 'ok', message: 'Product not found', count: 1, 'e-mail': 'a@b.c' };
+
+      expect(matchBody(expected, { ...expected, date: '2025-12-31', message: 'Product 9 not found', count: 9 }, rules)).toEqual([]);
+      expect(matchBody(expected, { ...expected, date: 'today', status: 'done', count: 1.5, 'e-mail': 1 }, rules)).toEqual([
+        { path: '$.date', message: 'expected "today" to match /\\d{4}-\\d{2}-\\d{2}/' },
+        { path: '$.status', message: 'expected "ok" but got "done"' },
+        { path: '$.count', message: 'expected an integer but got 1.5' },
+        { path: "$['e-mail']", message: 'expected type string but got number' }
+      ]);
+    });
+
+    it('should report a regex matcher that does not compile as a mismatch', () => {
+      const rules = { '$.sku': { matchers: [{ match: 'regex', regex: '[A-Z' }] } };
+
+      expect(matchBody({ sku: 'AB' }, { sku: 'AB' }, rules)).toEqual([
+        { path: '$.sku', message: expect.stringMatching(/^invalid regex matcher \/\[A-Z\/: /) }
+      ]);
+    });
+  });
+
+  describe('verifyPact', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(done => {
+      server = createProvider().listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    const pact = interactions => ({
+      consumer: { name: 'ProductApiClient' },
+      provider: { name: 'ProductService' },
+      interactions
+    });
+
+    it('should set up provider states through the states endpoint before each interaction', async () => {
+      const report = await verifyPact({
+        providerBaseUrl: baseUrl,
+        providerStatesSetupUrl: `${baseUrl}/provider-states`,
+        pact: pact([
+          interaction('GET /api/products/7', [{ name: 'product exists', params: { id: 7 } }],
+            { method: 'GET', path: '/api/products/7' },
+            {
+              status: 200,
+              headers: { 'Content-Type': 'application/json' },
+              body: { id: 7, name: 'Gizmo', price: 5 },
+              matchingRules: { body: { '$.name': type, '$.price': type } }
+            }),
+          interaction('GET /api/products', [{ name: 'no products exist' }],
+            { method: 'GET', path: '/api/products' },
+            { status: 200, body: [] })
+        ])
+      });
+
+      expect(report).toEqual({
+        consumer: 'ProductApiClient',
+        provider: 'ProductService',
+        passed: true,
+        results: [
+          { description: 'GET /api/products/7', providerStates: ['product exists'], passed: true, mismatches: [] },
+          { description: 'GET /api/products', providerStates: ['no products exist'], passed: true, mismatches: [] }
+        ]
+      });
+    });
+
+    it('should prefer in-process state handlers', async () => {
+      const calls = [];
+      const report = await verifyPact({
+        providerBaseUrl: baseUrl,
+        stateHandlers: { 'a catalogue exists': params => calls.push(params) },
+        pact: pact([
+          interaction('GET /api/products', [{ name: 'a catalogue exists', params: { size: 1 } }],
+            { method: 'GET', path: '/api/products', query: { page: ['1'] } },
+            { status: 200 })
+        ])
+      });
+
+      expect(report.passed).toBe(true);
+      expect(calls).toEqual([{ size: 1 }]);
+    });
+
+    it('should report status, header and body mismatches per interaction', async () => {
+      const report = await verifyPact({
+        providerBaseUrl: baseUrl,
+        providerStatesSetupUrl: `${baseUrl}/provider-states`,
+        pact: pact([
+          interaction('GET /api/products/1', [{ name: 'no products exist' }],
+            { method: 'GET', path: '/api/products/1' },
+            { status: 200, headers: { 'Content-Type': 'text/plain' }, body: { id: 1 } })
+        ])
+      });
+
+      expect(report.passed).toBe(false);
+      expect(report.results[0].mismatches).toEqual([
+        { path: 'status', message: 'expected 200 but got 404' },
+        { path: 'header Content-Type', message: 'expected "text/plain" but got "application/json; charset=utf-8"' },
+        { path: 'body $.id', message: 'missing from the response' }
+      ]);
+    });
+
+    it('should fail interactions whose provider state cannot be set up', async () => {
+      const report = await verifyPact({
+        providerBaseUrl: baseUrl,
+        providerStatesSetupUrl: `${baseUrl}/provider-states`,
+        pact: pact([
+          interaction('GET /api/products', [{ name: 'the shop is closed' }], { method: 'GET', path: '/api/products' }, { status: 200 })
+        ])
+      });
+
+      expect(report.results[0].mismatches).toEqual([{
+        path: 'provider state',
+        message: 'provider state \'the shop is closed\' could not be set up: 400 ' +
+          '{"code":"UNKNOWN_PROVIDER_STATE","message":"No handler for provider state \'the shop is closed\'"}'
+      }]);
+    });
+
+    it('should add request headers the pact does not record, such as a fresh token', async () => {
+      const me = (description, headers) => interaction(description, [],
+        { method: 'GET', path: '/api/me', ...(headers && { headers }) },
+        { status: headers ? 401 : 200 });
+      const report = await verifyPact({
+        providerBaseUrl: baseUrl,
+        requestHeaders: async () => ({ Authorization: 'Bearer good-token' }),
+        pact: pact([me('GET /api/me'), me('GET /api/me with a revoked token', { authorization: 'Bearer revoked' })])
+      });
+
+      expect(report.results.map(result => result.mismatches)).toEqual([[], []]);
+    });
+
+    it('should fail states that have no handler at all', async () => {
+      const report = await verifyPact({
+        providerBaseUrl: baseUrl,
+        pact: pact([
+          interaction('GET /api/products', [{ name: 'products exist' }], { method: 'GET', path: '/api/products' }, { status: 200 })
+        ])
+      });
+
+      expect(report.results[0].mismatches).toEqual([
+        { path: 'provider state', message: "no handler for provider state 'products exist'" }
+      ]);
+    });
+
+    it('should fail the interactions a provider does not answer and go on with the rest', async () => {
+      // A port nothing listens on any more
+      const closed = await new Promise(resolve => {
+        const probe = express().listen(0, '127.0.0.1', () => resolve(probe));
+      });
+      const downUrl = `http://127.0.0.1:${closed.address().port}`;
+      await new Promise(resolve => closed.close(resolve));
+      const products = pact([
+        interaction('GET /api/products', [], { method: 'GET', path: '/api/products' }, { status: 200 }),
+        interaction('GET /api/products/1', [], { method: 'GET', path: '/api/products/1' }, { status: 200 })
+      ]);
+
+      const down = await verifyPact({ providerBaseUrl: downUrl, pact: products });
+      expect(down.passed).toBe(false);
+      expect(down.results.map(result => result.mismatches)).toEqual([
+        [{ path: 'request', message: expect.stringMatching(`^request to ${downUrl} failed: fetch failed: .*ECONNREFUSED`) }],
+        [{ path: 'request', message: expect.stringContaining('ECONNREFUSED') }]
+      ]);
+
+      const failingHeaders = await verifyPact({
+        providerBaseUrl: baseUrl,
+        requestHeaders: async () => {
+          throw new Error('token endpoint unreachable');
+        },
+        pact: products
+      });
+      expect(failingHeaders.results[1].mismatches).toEqual([
+        { path: 'request', message: `request to ${baseUrl} failed: token endpoint unreachable` }
+      ]);
+    });
+  });
+
+  describe('findPacts', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pacts-'));
+      const write = (consumer, provider) => fs.writeFileSync(path.join(dir, `${consumer}-${provider}.json`),
+        JSON.stringify({ consumer: { name: consumer }, provider: { name: provider }, interactions: [] }));
+      write('SF-17.1', 'UsersApi');
+      write('ProductApiClient', 'ProductService');
+    });
+
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('should pick the pacts of one provider', () => {
+      expect(findPacts(dir, 'UsersApi').map(file => path.basename(file))).toEqual(['SF-17.1-UsersApi.json']);
+      expect(findPacts(dir)).toHaveLength(2);
+    });
+  });
+
+  describe('formatVerification', () => {
+    it('should print a pass/fail line per interaction', () => {
+      expect(formatVerification({
+        consumer: 'SF-18.1',
+        provider: 'UsersApi',
+        results: [
+          { description: 'GET /users?apiVersion=2', providerStates: ['users exist'], passed: true, mismatches: [] },
+          { description: 'GET /users', providerStates: [], passed: false, mismatches: [{ path: 'status', message: 'expected 200 but got 500' }] }
+        ]
+      })).toBe([
+        'Verifying a pact between SF-18.1 and UsersApi',
+        '  ✓ GET /users?apiVersion=2 (given users exist)',
+        '  ✗ GET /users',
+        '      status: expected 200 but got 500',
+        '2 interactions, 1 passed, 1 failed'
+      ].join('\n'));
+    });
+  });
+});
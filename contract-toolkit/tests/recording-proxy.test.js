@@ -0,0 +1,298 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const yaml = require('js-yaml');
+const SpecLoader = require('../spec-loader');
+const {
+  createRecordingProxy,
+  forwardTo,
+  redact,
+  queryOf,
+  loadRecordings,
+  findRecorded,
+  recordedExamples
+} = require('../recording-proxy');
+
+const item = { description: 'Item', content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } } };
+
+const spec = new SpecLoader({
+  openapi: '3.0.3',
+  info: { title: 'Items API', version: '1.0.0' },
+  paths: {
+    '/items': {
+      get: {
+        operationId: 'listItems',
+        parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }],
+        responses: { 200: { description: 'Items', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Item' } } } } } }
+      },
+      post: {
+        operationId: 'createItem',
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } } },
+        responses: { 201: item }
+      }
+    },
+    '/items/{id}': {
+      get: {
+        operationId: 'getItem',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: { 200: item, 404: { description: 'Not found' } }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Item: {
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string' }, price: { type: 'number' }, secret: { type: 'string' } }
+      }
+    }
+  }
+});
+
+const listen = app => new Promise(resolve => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+const urlOf = server => `http://127.0.0.1:${server.address().port}`;
+
+describe('Recording proxy', () => {
+  let provider;
+  let proxy;
+  let baseUrl;
+  let app;
+  let dir;
+
+  beforeAll(async () => {
+    const target = express();
+    target.use(express.json());
+    target.get('/items', (req, res) => res.json([{ name: 'Lamp', price: 19.99 }]));
+    target.post('/items', (req, res) => res.status(201).cookie('session', 'abc').json(req.body));
+    target.get('/items/:id', (req, res) => {
+      if (req.params.id === '7') return res.json({ name: 'Lamp', price: '19.99' });
+      res.status(404).end();
+    });
+    target.get('/health', (req, res) => res.send('ok'));
+    provider = await listen(target);
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-proxy-'));
+    app = createRecordingProxy({
+      spec,
+      target: urlOf(provider),
+      redact: ['secret'],
+      out: path.join(dir, 'recording.json'),
+      examplesOut: path.join(dir, 'examples.yaml'),
+      logger: null
+    });
+    proxy = await listen(app);
+    baseUrl = urlOf(proxy);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => proxy.close(resolve));
+    await new Promise(resolve => provider.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await fetch(`${baseUrl}/__recording`, { method: 'DELETE' });
+  });
+
+  const create = body => fetch(`${baseUrl}/items`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer secret-token' },
+    body: JSON.stringify(body)
+  });
+
+  it('should pass requests on and record the ones in the spec under numbered names', async () => {
+    expect(await (await fetch(`${baseUrl}/items?limit=5`)).json()).toEqual([{ name: 'Lamp', price: 19.99 }]);
+    await fetch(`${baseUrl}/items`);
+    expect((await fetch(`${baseUrl}/items/3`)).status).toBe(404);
+    expect(await (await fetch(`${baseUrl}/health`)).text()).toBe('ok');
+
+    const { interactions } = await (await fetch(`${baseUrl}/__recording`)).json();
+    expect(interactions.map(interaction => [interaction.name, interaction.path, interaction.errors])).toEqual([
+      ['listItems-200', '/items', []],
+      ['listItems-200-2', '/items', []],
+      ['getItem-404', '/items/{id}', []]
+    ]);
+    expect(interactions[0].request).toMatchObject({ method: 'GET', path: '/items', query: { limit: '5' } });
+  });
+
+  it('should redact credentials and configured fields, but relay them untouched', async () => {
+    const response = await create({ name: 'Lamp', secret: 'hush' });
+
+    expect(await response.json()).toEqual({ name: 'Lamp', secret: 'hush' });
+    expect(response.headers.getSetCookie()).toEqual(['session=abc; Path=/']);
+    const [interaction] = app.locals.recording.interactions;
+    expect(interaction.request.headers.authorization).toBe('[redacted]');
+    expect(interaction.request.body).toEqual({ name: 'Lamp', secret: '[redacted]' });
+    expect(interaction.response.headers['set-cookie']).toBe('[redacted]');
+    expect(interaction.redacted).toEqual([
+      '/request/headers/authorization',
+      '/request/body/secret',
+      '/response/headers/set-cookie',
+      '/response/body/secret'
+    ]);
+  });
+
+  it('should flag interactions that break the spec', async () => {
+    await create({ price: 5 });
+    await fetch(`${baseUrl}/items/7`);
+
+    expect(app.locals.recording.interactions.map(interaction => interaction.errors)).toEqual([
+      [
+        { path: '/request/body/name', message: "required property 'name' is missing" },
+        { path: '/response/body/name', message: "required property 'name' is missing" }
+      ],
+      [{ path: '/response/body/price', message: expect.any(String) }]
+    ]);
+  });
+
+  it('should write the recording and its examples after every interaction', async () => {
+    await create({ name: 'Lamp' });
+
+    const written = JSON.parse(fs.readFileSync(path.join(dir, 'recording.json'), 'utf8'));
+    expect(written).toMatchObject({ title: 'Items API', target: urlOf(provider), interactions: [{ name: 'createItem-201' }] });
+    const examples = yaml.load(fs.readFileSync(path.join(dir, 'examples.yaml'), 'utf8'));
+    expect(examples.paths['/items'].post.requestBody.content['application/json'].examples['createItem-201'].value)
+      .toEqual({ name: 'Lamp' });
+  });
+
+  it('should answer 502 when the provider is down', async () => {
+    // A port nothing listens on any more
+    const closed = await listen(express());
+    const target = urlOf(closed);
+    await new Promise(resolve => closed.close(resolve));
+    const down = await listen(createRecordingProxy({ spec, target, logger: null }));
+
+    try {
+      const response = await fetch(`${urlOf(down)}/items`);
+      expect(response.status).toBe(502);
+      expect((await response.json()).code).toBe('BAD_GATEWAY');
+    } finally {
+      await new Promise(resolve => down.close(resolve));
+    }
+  });
+
+  it('should answer 500 rather than hang when the recording cannot be written', async () => {
+    // A file where the recording's directory should be
+    const blocked = path.join(dir, 'blocked');
+    fs.writeFileSync(blocked, '');
+    const failing = await listen(createRecordingProxy({ spec, target: urlOf(provider), out: path.join(blocked, 'recording.json'), logger: null }));
+
+    try {
+      expect((await fetch(`${urlOf(failing)}/items`)).status).toBe(500);
+      expect((await fetch(`${urlOf(failing)}/health`)).status).toBe(200);
+      expect((await (await fetch(`${urlOf(failing)}/__recording`)).json()).interactions).toEqual([]);
+    } finally {
+      await new Promise(resolve => failing.close(resolve));
+    }
+  });
+});
+
+describe('forwardTo', () => {
+  it('should hand each response cookie over on its own, Expires dates and all', async () => {
+    const cookies = ['session=abc; Expires=Wed, 21 Oct 2026 07:28:00 GMT; Path=/', 'theme=dark; Path=/'];
+    const target = express();
+    target.get('/login', (req, res) => res.set('set-cookie', cookies).end());
+    const provider = await listen(target);
+    const exchanges = [];
+    const app = express();
+    app.use(forwardTo(urlOf(provider), (request, response) => exchanges.push(response)));
+    const proxy = await listen(app);
+
+    try {
+      const response = await fetch(`${urlOf(proxy)}/login`);
+      expect(response.headers.getSetCookie()).toEqual(cookies);
+      expect(exchanges[0].headers['set-cookie']).toEqual(cookies);
+    } finally {
+      await new Promise(resolve => proxy.close(resolve));
+      await new Promise(resolve => provider.close(resolve));
+    }
+  });
+});
+
+describe('redact', () => {
+  it('should replace matching members at any depth and report their pointers', () => {
+    expect(redact({ user: { Password: 'x', tags: [{ token: 'y' }] } }, ['password', 'token'], '/body')).toEqual({
+      value: { user: { Password: '[redacted]', tags: [{ token: '[redacted]' }] } },
+      pointers: ['/body/user/Password', '/body/user/tags/0/token']
+    });
+  });
+});
+
+describe('queryOf', () => {
+  it('should collect repeated parameters into arrays', () => {
+    expect(queryOf('/items?tag=a&limit=5&tag=b')).toEqual({ tag: ['a', 'b'], limit: '5' });
+  });
+});
+
+describe('Replaying recordings', () => {
+  const interaction = (name, request, response, errors = []) => ({
+    name,
+    operationId: name.split('-')[0],
+    method: request.method,
+    path: request.template,
+    request: { query: {}, headers: {}, ...request },
+    response: { headers: { 'content-type': 'application/json' }, ...response },
+    redacted: [],
+    errors
+  });
+  const recording = {
+    title: 'Items API',
+    target: 'http://localhost:8080',
+    interactions: [
+      interaction('createItem-201', { method: 'POST', template: '/items', path: '/items', contentType: 'application/json', body: { name: 'Lamp' } },
+        { status: 201, body: { name: 'Lamp' } }),
+      interaction('createItem-201-2', { method: 'POST', template: '/items', path: '/items', contentType: 'application/json', body: { name: 'Lamp' } },
+        { status: 201, body: { name: 'Lamp' } }),
+      interaction('getItem-200', { method: 'GET', template: '/items/{id}', path: '/items/1' },
+        { status: 200, body: { name: 'Lamp', price: 19.99 } }),
+      interaction('getItem-200-2', { method: 'GET', template: '/items/{id}', path: '/items/2' },
+        { status: 200, body: { name: 'Desk', price: '80' } }, [{ path: '/response/body/price', message: 'must be number' }])
+    ]
+  };
+
+  it('should find an interaction by name or by the request it answers, never a broken one', () => {
+    const { interactions } = recording;
+
+    expect(findRecorded(interactions, { operationId: 'getItem', preferred: 'getItem-200' }).path).toBe('/items/{id}');
+    expect(findRecorded(interactions, { operationId: 'getItem', preferred: 'getItem-200-2' })).toBeUndefined();
+    expect(findRecorded(interactions, { operationId: 'getItem', path: '/items/1' }).name).toBe('getItem-200');
+    expect(findRecorded(interactions, { operationId: 'getItem', path: '/items/1', query: { limit: '5' } })).toBeUndefined();
+    expect(findRecorded(interactions, { operationId: 'getItem', path: '/items/2' })).toBeUndefined();
+    expect(findRecorded(interactions, { operationId: 'createItem', path: '/items', body: { name: 'Lamp' } }).name).toBe('createItem-201');
+  });
+
+  it('should lay valid interactions out as named examples, each value once', () => {
+    expect(recordedExamples(recording)).toEqual({
+      paths: {
+        '/items': {
+          post: {
+            requestBody: { content: { 'application/json': { examples: { 'createItem-201': { summary: 'Recorded POST /items', value: { name: 'Lamp' } } } } } },
+            responses: { 201: { content: { 'application/json': { examples: { 'createItem-201': { summary: 'Recorded POST /items', value: { name: 'Lamp' } } } } } } }
+          }
+        },
+        '/items/{id}': {
+          get: {
+            responses: { 200: { content: { 'application/json': { examples: { 'getItem-200': { summary: 'Recorded GET /items/1', value: { name: 'Lamp', price: 19.99 } } } } } } }
+          }
+        }
+      }
+    });
+  });
+
+  it('should load recordings from files and objects, and refuse anything else', () => {
+    const file = path.join(os.tmpdir(), `recording-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify(recording));
+
+    try {
+      expect(loadRecordings([file, { interactions: [recording.interactions[0]] }])).toHaveLength(5);
+      expect(loadRecordings(undefined)).toEqual([]);
+      expect(() => loadRecordings([{ title: 'Items API' }])).toThrow('A recording has no interactions');
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
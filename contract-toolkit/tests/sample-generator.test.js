@@ -0,0 +1,39 @@
+const { generateSample } = require('../sample-generator');
+const SchemaValidator = require('../schema-validator');
+
+describe('generateSample', () => {
+  it('should prefer example, default and enum values', () => {
+    expect(generateSample({ type: 'string', example: 'Widget' })).toBe('Widget');
+    expect(generateSample({ type: 'integer', default: 50 })).toBe(50);
+    expect(generateSample({ type: 'string', enum: ['admin', 'user'] })).toBe('admin');
+  });
+
+  it('should produce values that satisfy the schema constraints', () => {
+    const schema = {
+      type: 'object',
+      required: ['id', 'name', 'email', 'price', 'tags'],
+      properties: {
+        id: { type: 'integer', minimum: 10 },
+        name: { type: 'string', minLength: 8, maxLength: 10 },
+        email: { type: 'string', format: 'email' },
+        price: { type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 1 },
+        tags: { type: 'array', minItems: 2, items: { type: 'string' } }
+      }
+    };
+
+    const sample = generateSample(schema);
+
+    expect(SchemaValidator.validate(sample, schema).errors).toEqual([]);
+    expect(sample.tags).toHaveLength(2);
+  });
+
+  it('should follow the first branch of oneOf and merge allOf', () => {
+    expect(generateSample({ oneOf: [{ type: 'integer' }, { type: 'string' }] })).toBe(1);
+    expect(generateSample({
+      allOf: [
+        { type: 'object', properties: { id: { type: 'integer' } } },
+        { properties: { name: { type: 'string' } } }
+      ]
+    })).toEqual({ id: 1, name: 'string' });
+  });
+});
@@ -0,0 +1,138 @@
+const path = require('path');
+const SchemaValidator = require('../schema-validator');
+const SpecLoader = require('../spec-loader');
+
+const { document } = SpecLoader.load(path.join(__dirname, '../../openapi-contract-testing/openapi.yaml'));
+
+const usersResponse = {
+  anyOf: [
+    { $ref: '#/components/schemas/UsersResponseV1' },
+    { $ref: '#/components/schemas/UsersResponseV2' }
+  ]
+};
+
+const validate = (data, schema) => SchemaValidator.validate(data, schema, { root: document });
+
+describe('SchemaValidator', () => {
+  describe('types', () => {
+    it('should distinguish integer from number', () => {
+      expect(validate(1, { type: 'integer' }).valid).toBe(true);
+      expect(validate(1.5, { type: 'integer' }).errors).toEqual([
+        { path: '', keyword: 'type', message: 'expected integer, got number' }
+      ]);
+      expect(validate(1.5, { type: 'number' }).valid).toBe(true);
+    });
+
+    it('should only accept null when nullable', () => {
+      expect(validate(null, { type: 'string' }).valid).toBe(false);
+      expect(validate(null, { type: 'string', nullable: true }).valid).toBe(true);
+    });
+
+    it('should reject arrays where objects are expected', () => {
+      expect(validate([], { type: 'object' }).errors[0].keyword).toBe('type');
+    });
+  });
+
+  describe('constraints', () => {
+    it('should check numeric bounds', () => {
+      expect(validate(-10, { type: 'number', minimum: 0 }).errors[0].keyword).toBe('minimum');
+      expect(validate(0, { type: 'number', minimum: 0, exclusiveMinimum: true }).valid).toBe(false);
+      expect(validate(101, { type: 'integer', maximum: 100 }).errors[0].keyword).toBe('maximum');
+    });
+
+    it('should check string length and pattern', () => {
+      const schema = { type: 'string', minLength: 1, maxLength: 3, pattern: '^[a-z]+$' };
+
+      expect(validate('', schema).errors.map(e => e.keyword)).toEqual(['minLength', 'pattern']);
+      expect(validate('abcd', schema).errors.map(e => e.keyword)).toEqual(['maxLength']);
+      expect(validate('abc', schema).valid).toBe(true);
+    });
+
+    it('should check enum and email format', () => {
+      expect(validate('owner', { type: 'string', enum: ['admin', 'user'] }).errors[0].keyword).toBe('enum');
+      expect(validate('not-an-email', { type: 'string', format: 'email' }).errors[0].keyword).toBe('format');
+    });
+  });
+
+  describe('objects and arrays', () => {
+    it('should report nested errors with JSON pointer paths', () => {
+      const data = { users: [{ id: 1, name: 'A' }, { id: 2 }, { id: '3', name: 'C' }] };
+
+      const result = validate(data, { $ref: '#/components/schemas/UsersResponseV1' });
+
+      expect(result.errors).toEqual([
+        { path: '/users/1/name', keyword: 'required', message: "required property 'name' is missing" },
+        { path: '/users/2/id', keyword: 'type', message: 'expected integer, got string' }
+      ]);
+    });
+
+    it('should reject additional properties when disallowed', () => {
+      const result = validate({ id: 1, name: 'A', email: 'a@b.c' }, { ...document.components.schemas.UserV1, additionalProperties: false });
+
+      expect(result.errors).toEqual([
+        { path: '/email', keyword: 'additionalProperties', message: "property 'email' is not allowed" }
+      ]);
+    });
+
+    it('should escape JSON pointer segments', () => {
+      const result = validate({ 'a/b': 'x' }, { type: 'object', additionalProperties: { type: 'integer' } });
+
+      expect(result.errors[0].path).toBe('/a~1b');
+    });
+
+    it('should keep validateArray working for item schemas', () => {
+      const result = SchemaValidator.validateArray([{ id: 1 }], { type: 'object', required: ['name'] });
+
+      expect(result.errors[0].path).toBe('/0/name');
+    });
+  });
+
+  describe('composition', () => {
+    it('should validate the users anyOf as written in the spec', () => {
+      const v1 = { users: [{ id: 1, name: 'John Doe' }] };
+      const v2 = { users: [{ id: 1, name: 'John Doe', email: 'john@company.com', role: 'admin' }] };
+
+      expect(validate(v1, usersResponse).valid).toBe(true);
+      expect(validate(v2, usersResponse).valid).toBe(true);
+      expect(validate({ users: [] }, usersResponse).valid).toBe(true);
+      expect(validate({ users: [{ id: 1 }] }, usersResponse).errors[0]).toEqual({ path: '', keyword: 'anyOf', message: 'must match at least one schema in anyOf' });
+    });
+
+    it('should point at the failing field of the closest oneOf branch', () => {
+      const data = {
+        users: [
+          { id: 1, name: 'John Doe', email: 'john@company.com', role: 'admin' },
+          { id: 2, name: 'Jane Smith', email: 'jane@company.com', role: 'user' },
+          { id: 3, name: 'Bob Johnson', email: 'bob@company.com', role: 'owner' }
+        ]
+      };
+      const schema = { oneOf: [{ $ref: '#/components/schemas/UsersResponseV2' }, { type: 'array' }] };
+
+      const result = validate(data, schema);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContainEqual({ path: '', keyword: 'oneOf', message: 'must match exactly one schema in oneOf, matched none' });
+      expect(result.errors).toContainEqual({ path: '/users/2/role', keyword: 'enum', message: 'must be one of admin, user, guest' });
+    });
+
+    it('should fail oneOf when more than one branch matches', () => {
+      const result = validate(5, { oneOf: [{ type: 'integer' }, { type: 'number' }] });
+
+      expect(result.errors[0].message).toBe('must match exactly one schema in oneOf, matched 2');
+    });
+
+    it('should support allOf, anyOf and not', () => {
+      expect(validate({ a: 1 }, { allOf: [{ required: ['a'] }, { required: ['b'] }] }).errors[0].path).toBe('/b');
+      expect(validate('x', { anyOf: [{ type: 'integer' }, { type: 'string' }] }).valid).toBe(true);
+      expect(validate('x', { not: { type: 'string' } }).errors[0].keyword).toBe('not');
+    });
+  });
+
+  it('should render errors as readable strings', () => {
+    const result = validate({ users: [{ id: 1 }] }, { $ref: '#/components/schemas/UsersResponseV1' });
+
+    expect(SchemaValidator.formatErrors(result.errors)).toEqual([
+      "/users/0/name: required property 'name' is missing"
+    ]);
+  });
+});
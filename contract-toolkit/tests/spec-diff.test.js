@@ -0,0 +1,283 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const yaml = require('js-yaml');
+const SpecLoader = require('../spec-loader');
+const { diffSpecs, diffSchemas, hasBreakingChanges, formatChanges, loadFromGit } = require('../spec-diff');
+
+const usersSpecPath = path.join(__dirname, '../../openapi-contract-testing/openapi.yaml');
+const productsSpecPath = path.join(__dirname, '../../specmatic-contract-testing/specs/products-api.yaml');
+const cli = path.join(__dirname, '../bin/spec-diff.js');
+
+/**
+ * A copy of the products spec with an edit applied to its document
+ */
+function revise(edit) {
+  const document = JSON.parse(JSON.stringify(SpecLoader.load(productsSpecPath).document));
+  edit(document);
+  return new SpecLoader(document);
+}
+
+/**
+ * Require client-credentials tokens for reading and deleting products
+ */
+function secure(document) {
+  document.components.securitySchemes = {
+    oauth2: {
+      type: 'oauth2',
+      flows: {
+        clientCredentials: {
+          tokenUrl: 'http://localhost:8080/oauth/token',
+          scopes: { 'products:read': 'Read products', 'products:write': 'Create, update and delete products' }
+        }
+      }
+    }
+  };
+  document.paths['/api/products'].get.security = [{ oauth2: ['products:read'] }];
+  document.paths['/api/products/{id}'].get.security = [{ oauth2: ['products:read'] }];
+  document.paths['/api/products/{id}'].delete.security = [{ oauth2: ['products:write'] }];
+}
+
+const summarize = changes => changes.map(change =>
+  `${change.severity}: ${change.operation}${change.location ? ` ${change.location}` : ''}: ${change.message}`);
+
+describe('Spec diff', () => {
+  describe('diffSpecs', () => {
+    it('should report nothing for identical specs', () => {
+      expect(diffSpecs(productsSpecPath, productsSpecPath)).toEqual([]);
+    });
+
+    it('should flag a removed response field as breaking', () => {
+      const revision = revise(document => {
+        delete document.components.schemas.Product.properties.description;
+      });
+
+      expect(summarize(diffSpecs(productsSpecPath, revision))).toEqual([
+        "breaking: GET /api/products response 200 /[]: property 'description' removed",
+        "breaking: POST /api/products response 201: property 'description' removed",
+        "breaking: GET /api/products/{id} response 200: property 'description' removed",
+        "breaking: PUT /api/products/{id} response 200: property 'description' removed",
+        "breaking: PATCH /api/products/{id} response 200: property 'description' removed"
+      ]);
+    });
+
+    it('should flag a request field that became required as breaking', () => {
+      const revision = revise(document => {
+        document.components.schemas.ProductMergePatch.required = ['price'];
+      });
+
+      expect(summarize(diffSpecs(productsSpecPath, revision))).toEqual([
+        "breaking: PATCH /api/products/{id} request body: property 'price' became required"
+      ]);
+    });
+
+    it('should flag a narrowed request enum as breaking', () => {
+      const base = yaml.load(fs.readFileSync(usersSpecPath, 'utf8'));
+      base.paths['/users'].get.parameters[0].schema = { type: 'string', enum: ['1', '2'], default: '1' };
+      const revision = yaml.load(fs.readFileSync(usersSpecPath, 'utf8'));
+      revision.paths['/users'].get.parameters[0].schema = { type: 'string', enum: ['2'], default: '2' };
+
+      expect(summarize(diffSpecs(new SpecLoader(base), new SpecLoader(revision)))).toEqual([
+        "breaking: GET /users query parameter 'apiVersion': enum value \"1\" removed"
+      ]);
+    });
+
+    it('should flag a changed type as breaking', () => {
+      const revision = revise(document => {
+        document.components.schemas.Product.properties.id.type = 'string';
+      });
+
+      const changes = diffSpecs(productsSpecPath, revision);
+      expect(changes).toHaveLength(5);
+      expect(changes[0]).toEqual({
+        severity: 'breaking',
+        operation: 'GET /api/products',
+        location: 'response 200 /[]/id',
+        message: 'type changed from integer to string'
+      });
+    });
+
+    it('should flag a removed operation as breaking and an added one as not', () => {
+      const revision = revise(document => {
+        document.paths['/api/products/{id}'].post = document.paths['/api/products/{id}'].put;
+        delete document.paths['/api/products/{id}'].delete;
+      });
+
+      expect(summarize(diffSpecs(productsSpecPath, revision))).toEqual([
+        'breaking: DELETE /api/products/{id}: operation removed',
+        'non-breaking: POST /api/products/{id}: operation added'
+      ]);
+    });
+
+    it('should treat additive changes as non-breaking', () => {
+      const revision = revise(document => {
+        const { Product, CreateProductRequest } = document.components.schemas;
+        Product.properties.sku = { type: 'string' };
+        CreateProductRequest.properties.sku = { type: 'string' };
+        CreateProductRequest.properties.name.maxLength = 200;
+        document.paths['/api/products'].get.parameters.push({ name: 'category', in: 'query', schema: { type: 'string' } });
+      });
+
+      const changes = diffSpecs(productsSpecPath, revision);
+      expect(hasBreakingChanges(changes)).toBe(false);
+      expect(summarize(changes)).toContain("non-breaking: GET /api/products: optional query parameter 'category' added");
+      expect(summarize(changes)).toContain('non-breaking: POST /api/products request body /name: maxLength raised from 100 to 200');
+    });
+
+    it('should flag a new required parameter and a removed success response', () => {
+      const revision = revise(document => {
+        const operation = document.paths['/api/products'].get;
+        operation.parameters.push({ name: 'tenant', in: 'header', required: true, schema: { type: 'string' } });
+        operation.responses['206'] = operation.responses['200'];
+        delete operation.responses['200'];
+      });
+
+      expect(summarize(diffSpecs(productsSpecPath, revision))).toEqual([
+        "breaking: GET /api/products: required header parameter 'tenant' added",
+        'breaking: GET /api/products: response 200 removed',
+        'non-breaking: GET /api/products: response 206 added'
+      ]);
+    });
+
+    it('should flag new and stricter security requirements as breaking', () => {
+      const unsecured = revise(document => {
+        delete document.components.securitySchemes;
+        Object.values(document.paths).forEach(pathItem => Object.values(pathItem).forEach(operation => {
+          delete operation.security;
+        }));
+      });
+      const secured = revise(secure);
+      const stricter = revise(document => {
+        secure(document);
+        document.paths['/api/products'].get.security = [{ oauth2: ['products:read', 'products:write'] }];
+        document.paths['/api/products/{id}'].get.security = [{ apiKey: [] }];
+        document.paths['/api/products/{id}'].delete.security = [];
+      });
+
+      const added = summarize(diffSpecs(unsecured, secured));
+      expect(added).toContain('breaking: GET /api/products security: authentication required: oauth2 (products:read)');
+      expect(added).toContain('breaking: DELETE /api/products/{id} security: authentication required: oauth2 (products:write)');
+      expect(summarize(diffSpecs(secured, stricter))).toEqual([
+        'breaking: GET /api/products security: scope products:write required for oauth2',
+        'breaking: GET /api/products/{id} security: oauth2 (products:read) is no longer accepted, use apiKey',
+        'non-breaking: DELETE /api/products/{id} security: relaxed from oauth2 (products:write) to no authentication'
+      ]);
+    });
+
+    it('should flag changes to how clients get and send tokens', () => {
+      const revision = revise(document => {
+        secure(document);
+        const { clientCredentials } = document.components.securitySchemes.oauth2.flows;
+        clientCredentials.tokenUrl = 'https://auth.example.com/token';
+        delete clientCredentials.scopes['products:write'];
+        clientCredentials.scopes['products:admin'] = 'Everything';
+        document.components.securitySchemes.apiKey = { type: 'apiKey', in: 'header', name: 'X-API-Key' };
+      });
+
+      expect(summarize(diffSpecs(revise(secure), revision))).toEqual([
+        "breaking: security scheme 'oauth2' clientCredentials flow: tokenUrl changed from http://localhost:8080/oauth/token to https://auth.example.com/token",
+        "breaking: security scheme 'oauth2' clientCredentials flow: scope products:write removed",
+        "non-breaking: security scheme 'oauth2' clientCredentials flow: scope products:admin added",
+        "non-breaking: security scheme 'apiKey': added"
+      ]);
+    });
+
+    it('should match path templates whatever their parameters are called', () => {
+      const revision = revise(document => {
+        const item = JSON.stringify(document.paths['/api/products/{id}']).replace(/"name":"id"/g, '"name":"productId"');
+        document.paths['/api/products/{productId}'] = JSON.parse(item);
+        delete document.paths['/api/products/{id}'];
+      });
+
+      expect(diffSpecs(productsSpecPath, revision)).toEqual([]);
+    });
+  });
+
+  describe('diffSchemas', () => {
+    it('should judge the same change by who sends the data', () => {
+      const base = { type: 'string', enum: ['admin', 'user'] };
+      const revision = { type: 'string', enum: ['admin', 'user', 'guest'] };
+
+      expect(diffSchemas(base, revision, 'request')[0].severity).toBe('non-breaking');
+      expect(diffSchemas(base, revision, 'response')[0].severity).toBe('breaking');
+    });
+
+    it('should compare recursive schemas without looping', () => {
+      const base = { type: 'object', properties: { name: { type: 'string' } } };
+      base.properties.children = { type: 'array', items: base };
+      const revision = { type: 'object', properties: { name: { type: 'integer' } } };
+      revision.properties.children = { type: 'array', items: revision };
+
+      expect(diffSchemas(base, revision, 'response')).toEqual([
+        { severity: 'breaking', pointer: '/name', message: 'type changed from string to integer' }
+      ]);
+    });
+  });
+
+  describe('formatChanges', () => {
+    it('should list breaking changes first', () => {
+      const text = formatChanges([
+        { severity: 'non-breaking', operation: 'GET /a', location: '', message: 'operation added' },
+        { severity: 'breaking', operation: 'GET /b', location: 'response 200', message: "property 'id' removed" }
+      ]);
+
+      expect(text).toBe([
+        'Breaking changes (1)',
+        "  ✗ GET /b response 200: property 'id' removed",
+        '',
+        'Non-breaking changes (1)',
+        '  ✓ GET /a: operation added'
+      ].join('\n'));
+    });
+  });
+
+  describe('loadFromGit', () => {
+    it('should load the committed version of a spec', () => {
+      expect(loadFromGit(productsSpecPath).document.info.title).toBe(SpecLoader.load(productsSpecPath).document.info.title);
+    });
+
+    it('should explain refs that do not exist', () => {
+      expect(() => loadFromGit(productsSpecPath, 'no-such-ref')).toThrow(/Could not read .* at no-such-ref/);
+    });
+  });
+
+  describe('CLI', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spec-diff-'));
+    });
+
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('should exit non-zero with a JSON report on breaking changes', () => {
+      const revisionPath = path.join(dir, 'products-api.yaml');
+      fs.writeFileSync(revisionPath, yaml.dump(revise(document => {
+        delete document.paths['/api/products/{id}'].delete;
+      }).document));
+
+      const result = spawnSync(process.execPath, [cli, productsSpecPath, revisionPath, '--format', 'json'], { encoding: 'utf8' });
+
+      expect(result.status).toBe(1);
+      expect(JSON.parse(result.stdout)).toEqual({
+        summary: { breaking: 1, nonBreaking: 0 },
+        changes: [{ severity: 'breaking', operation: 'DELETE /api/products/{id}', location: '', message: 'operation removed' }]
+      });
+    });
+
+    it('should exit zero when nothing breaks', () => {
+      const result = spawnSync(process.execPath, [cli, productsSpecPath, productsSpecPath], { encoding: 'utf8' });
+
+      expect(result.status).toBe(0);
+      expect(result.stdout.trim()).toBe('No changes detected');
+    });
+
+    it('should exit with 2 on bad usage', () => {
+      const result = spawnSync(process.execPath, [cli, productsSpecPath], { encoding: 'utf8' });
+
+      expect(result.status).toBe(2);
+      expect(result.stderr).toContain('Usage: contract-diff');
+    });
+  });
+});
@@ -0,0 +1,236 @@
+const path = require('path');
+const express = require('express');
+const { SpecInference, inferSchema, findUndocumented, formatUndocumented } = require('../spec-inference');
+
+const productsSpecPath = path.join(__dirname, '../../specmatic-contract-testing/specs/products-api.yaml');
+
+const json = { 'content-type': 'application/json; charset=utf-8' };
+const widget = { id: 1, name: 'Widget', description: null, price: 29.99, inStock: true };
+
+const listen = app => new Promise(resolve => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+const urlOf = server => `http://127.0.0.1:${server.address().port}`;
+const close = server => new Promise(resolve => server.close(resolve));
+
+describe('Spec inference', () => {
+  describe('inferSchema', () => {
+    it('should require the fields every object has and allow null where one was null', () => {
+      expect(inferSchema([{ id: 1, description: null }, { id: 2, description: 'Blue', tags: [] }])).toEqual({
+        type: 'object',
+        required: ['id', 'description'],
+        properties: {
+          id: { type: 'integer' },
+          description: { type: 'string', nullable: true },
+          tags: { type: 'array', items: {} }
+        }
+      });
+    });
+
+    it('should widen integers to numbers, keep common string formats and fall back to oneOf', () => {
+      expect(inferSchema([1, 2.5])).toEqual({ type: 'number' });
+      expect(inferSchema(['2024-01-01T10:00:00Z', '2024-02-01T08:30:00.000+01:00'])).toEqual({ type: 'string', format: 'date-time' });
+      expect(inferSchema(['ann@company.com', 'Ann'])).toEqual({ type: 'string' });
+      expect(inferSchema([[{ id: 1 }, { id: 2, sku: 'A-1' }]])).toEqual({
+        type: 'array',
+        items: { type: 'object', required: ['id'], properties: { id: { type: 'integer' }, sku: { type: 'string' } } }
+      });
+      expect(inferSchema(['1', 1])).toEqual({ oneOf: [{ type: 'string' }, { type: 'integer' }] });
+      expect(inferSchema([null])).toEqual({ nullable: true });
+    });
+  });
+
+  describe('document', () => {
+    const inference = new SpecInference();
+    inference.record(
+      { method: 'GET', url: '/api/products?page=2&inStock=true', headers: { Authorization: 'Bearer abc', Accept: 'application/json' } },
+      { status: 200, headers: { ...json, 'x-total-count': '12' }, body: JSON.stringify([widget]) }
+    );
+    inference.record(
+      { method: 'GET', url: '/api/products', headers: { authorization: 'Bearer abc' } },
+      { status: 200, headers: { ...json, 'x-total-count': '12' }, body: [] }
+    );
+    inference.record(
+      { method: 'GET', url: '/api/products/1', headers: { 'if-none-match': '"e1"' } },
+      { status: 304, headers: { etag: '"e1"' } }
+    );
+    inference.record(
+      { method: 'GET', url: '/api/products/2' },
+      { status: 404, headers: json, body: { code: 'NOT_FOUND', message: 'Product with id 2 not found' } }
+    );
+    inference.record(
+      { method: 'POST', url: '/api/products', headers: json, body: { name: 'Lamp', price: 5 } },
+      { status: 201, headers: { ...json, location: '/api/products/3' }, body: { ...widget, id: 3, name: 'Lamp', price: 5 } }
+    );
+    inference.record(
+      { method: 'POST', url: '/oauth/token', headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: { grant_type: 'client_credentials' } },
+      { status: 200, headers: json, body: { access_token: 'x', expires_in: 3600 } }
+    );
+    inference.record({ method: 'DELETE', url: '/users/7/orders/3' }, { status: 204, headers: {} });
+    inference.record({ method: 'GET', url: '/health' }, { status: 200, headers: { 'content-type': 'text/plain' }, body: 'ok' });
+    inference.record({ method: 'POST', url: '/__faults', headers: json, body: {} }, { status: 201 });
+    inference.record({ method: 'OPTIONS', url: '/api/products' }, { status: 204 });
+    const document = inference.document();
+
+    it('should template ids in paths and name operations after them', () => {
+      expect(document.info).toMatchObject({ title: 'Inferred API', description: expect.stringContaining('8 observed requests') });
+      expect(Object.keys(document.paths)).toEqual(['/api/products', '/api/products/{id}', '/health', '/oauth/token', '/users/{userId}/orders/{id}']);
+      expect(document.paths['/users/{userId}/orders/{id}'].delete).toEqual({
+        operationId: 'deleteUsersOrdersByUserIdAndId',
+        parameters: [
+          { name: 'userId', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: { 204: { description: 'No Content' } }
+      });
+    });
+
+    it('should type query and header parameters, and mark bearer tokens as security', () => {
+      const list = document.paths['/api/products'].get;
+
+      expect(list.security).toEqual([{ bearerAuth: [] }]);
+      expect(list.parameters).toEqual([
+        { name: 'page', in: 'query', schema: { type: 'integer' } },
+        { name: 'inStock', in: 'query', schema: { type: 'boolean' } }
+      ]);
+      expect(document.paths['/api/products/{id}'].get.parameters[1]).toEqual({ name: 'If-None-Match', in: 'header', schema: { type: 'string' } });
+      expect(document.components.securitySchemes).toEqual({ bearerAuth: { type: 'http', scheme: 'bearer' } });
+    });
+
+    it('should type parameters from the requests that got a 2xx only', () => {
+      const mixed = new SpecInference();
+      mixed.record({ method: 'GET', url: '/api/products?page=1', headers: { 'x-request-id': '7' } }, { status: 200, headers: json, body: [] });
+      mixed.record({ method: 'GET', url: '/api/products?page=abc&sort=price', headers: { 'x-request-id': 'none' } }, { status: 400, headers: json, body: {} });
+      mixed.record({ method: 'GET', url: '/api/products?page=2' }, { status: 200, headers: json, body: [] });
+
+      expect(mixed.document().paths['/api/products'].get.parameters).toEqual([
+        { name: 'page', in: 'query', schema: { type: 'integer' } },
+        { name: 'X-Request-Id', in: 'header', schema: { type: 'integer' } }
+      ]);
+    });
+
+    it('should describe each status with its own headers and body schema', () => {
+      const list = document.paths['/api/products'].get;
+      const read = document.paths['/api/products/{id}'].get;
+
+      expect(list.responses[200].headers).toEqual({ 'X-Total-Count': { schema: { type: 'integer' } } });
+      // Only null was seen
+      expect(list.responses[200].content['application/json'].schema.items.properties.description).toEqual({ nullable: true });
+      expect(read.responses[304]).toEqual({ description: 'Not Modified', headers: { ETag: { schema: { type: 'string' } } } });
+      expect(read.responses[404].content['application/json'].schema.required).toEqual(['code', 'message']);
+      expect(document.paths['/health'].get.responses[200].content).toEqual({ 'text/plain': { schema: { type: 'string' } } });
+    });
+
+    it('should describe request bodies per media type', () => {
+      expect(document.paths['/api/products'].post.requestBody).toEqual({
+        required: true,
+        content: {
+          'application/json': {
+            schema: { type: 'object', required: ['name', 'price'], properties: { name: { type: 'string' }, price: { type: 'integer' } } }
+          }
+        }
+      });
+      expect(Object.keys(document.paths['/oauth/token'].post.requestBody.content)).toEqual(['application/x-www-form-urlencoded']);
+    });
+
+    it('should leave out control endpoints but keep /api-docs, which is an endpoint like any other', () => {
+      const served = new SpecInference();
+      served.record({ method: 'POST', url: '/provider-states', headers: json, body: { state: 'no users' } }, { status: 200 });
+      served.record({ method: 'GET', url: '/api-docs' }, { status: 200, headers: json, body: { openapi: '3.0.3' } });
+
+      expect(Object.keys(served.document().paths)).toEqual(['/api-docs']);
+    });
+
+    it('should keep the templates and operationIds of a spec', () => {
+      const known = new SpecInference({ spec: productsSpecPath });
+      known.record({ method: 'GET', url: '/api/products/7' }, { status: 200, headers: json, body: widget });
+      known.record({ method: 'POST', url: '/api/products/7' }, { status: 405, headers: {} });
+      const draft = known.document();
+
+      expect(draft.info.title).toBe('Product Service API (inferred)');
+      expect(draft.paths['/api/products/{id}'].get.operationId).toBe('getProductById');
+      expect(draft.paths['/api/products/{id}'].post.operationId).toBe('postApiProductsById');
+    });
+  });
+
+  describe('middleware', () => {
+    let server;
+    let baseUrl;
+    const inference = new SpecInference();
+
+    beforeAll(async () => {
+      const app = express();
+      app.use(inference.middleware());
+      app.use(express.json());
+      app.post('/api/products', (req, res) => res.status(201).json({ id: 3, ...req.body }));
+      app.get('/health', (req, res) => res.send({ status: 'ok' }));
+      server = await listen(app);
+      baseUrl = urlOf(server);
+    });
+
+    afterAll(() => close(server));
+
+    it('should record the bodies that go out and serve the draft at /__inference', async () => {
+      await fetch(`${baseUrl}/api/products`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"name":"Lamp"}' });
+      await fetch(`${baseUrl}/health`);
+
+      const draft = await (await fetch(`${baseUrl}/__inference`)).json();
+      expect(draft.paths['/api/products'].post.requestBody.content['application/json'].schema.required).toEqual(['name']);
+      expect(draft.paths['/api/products'].post.responses[201].content['application/json'].schema.required).toEqual(['id', 'name']);
+      expect(draft.paths['/health'].get.requestBody).toBeUndefined();
+      expect(draft.paths['/health'].get.responses[200].content['application/json'].schema.properties).toEqual({ status: { type: 'string' } });
+
+      expect((await fetch(`${baseUrl}/__inference`, { method: 'DELETE' })).status).toBe(204);
+      expect((await (await fetch(`${baseUrl}/__inference`)).json()).paths).toEqual({});
+    });
+  });
+
+  describe('proxy', () => {
+    it('should record the traffic it passes on to a provider', async () => {
+      const provider = express();
+      provider.get('/api/products/:id', (req, res) => res.json({ ...widget, id: Number(req.params.id) }));
+      const target = await listen(provider);
+      const inference = new SpecInference();
+      const proxy = await listen(inference.proxy(urlOf(target)));
+
+      try {
+        expect(await (await fetch(`${urlOf(proxy)}/api/products/4`)).json()).toMatchObject({ id: 4 });
+        const draft = await (await fetch(`${urlOf(proxy)}/__inference`)).json();
+        expect(draft.paths['/api/products/{id}'].get.responses[200].content['application/json'].schema.required)
+          .toEqual(['id', 'name', 'description', 'price', 'inStock']);
+      } finally {
+        await close(proxy);
+        await close(target);
+      }
+    });
+  });
+
+  describe('findUndocumented', () => {
+    const inference = new SpecInference({ spec: productsSpecPath });
+    inference.record(
+      { method: 'GET', url: '/api/products/1' },
+      { status: 200, headers: { ...json, etag: '"e1"' }, body: { ...widget, name: null, price: '29.99', color: 'red' } }
+    );
+    inference.record({ method: 'GET', url: '/api/products?color=red' }, { status: 200, headers: json, body: [widget] });
+    inference.record({ method: 'GET', url: '/api/products/2' }, { status: 500, headers: json, body: { code: 'INTERNAL_ERROR' } });
+    inference.record({ method: 'GET', url: '/health' }, { status: 200, headers: json, body: { status: 'ok' } });
+    const gaps = findUndocumented(productsSpecPath, inference.document());
+
+    it('should list endpoints, parameters, statuses and fields the spec leaves out', () => {
+      expect(gaps).toEqual([
+        { operation: 'GET /api/products', location: '', message: "undocumented query parameter 'color'" },
+        { operation: 'GET /api/products/{id}', location: '200 response /name', message: 'null, which the spec does not allow' },
+        { operation: 'GET /api/products/{id}', location: '200 response /price', message: 'string, documented as number' },
+        { operation: 'GET /api/products/{id}', location: '200 response /color', message: 'undocumented field' },
+        { operation: 'GET /api/products/{id}', location: '', message: 'undocumented status 500' },
+        { operation: 'GET /health', location: '', message: 'undocumented endpoint' }
+      ]);
+    });
+
+    it('should render the findings', () => {
+      expect(formatUndocumented(gaps)).toMatch(/^Undocumented in the spec \(6\)\n {2}✗ GET \/api\/products: undocumented query parameter 'color'\n/);
+      expect(formatUndocumented(gaps)).toContain("  ✗ GET /api/products/{id} 200 response /color: undocumented field");
+      expect(formatUndocumented([])).toBe('The traffic matches the spec: nothing undocumented');
+    });
+  });
+});
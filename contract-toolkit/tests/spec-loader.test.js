@@ -0,0 +1,103 @@
+const path = require('path');
+const SpecLoader = require('../spec-loader');
+const SchemaValidator = require('../schema-validator');
+
+const usersSpecPath = path.join(__dirname, '../../openapi-contract-testing/openapi.yaml');
+const productsSpecPath = path.join(__dirname, '../../specmatic-contract-testing/specs/products-api.yaml');
+
+describe('SpecLoader', () => {
+  describe('openapi.yaml', () => {
+    let spec;
+
+    beforeAll(() => {
+      spec = SpecLoader.load(usersSpecPath);
+    });
+
+    it('should cache loaded specs per file', () => {
+      expect(SpecLoader.load(usersSpecPath)).toBe(spec);
+    });
+
+    it('should parse spec text without caching it', () => {
+      const parsed = SpecLoader.parse(JSON.stringify(spec.document));
+
+      expect(parsed).not.toBe(spec);
+      expect(parsed.getOperation('getUsers').path).toBe('/users');
+      expect(() => SpecLoader.parse('title: nope', 'notes.yaml')).toThrow('Not an OpenAPI 3 document: notes.yaml');
+    });
+
+    it('should find operations by operationId', () => {
+      expect(spec.getOperation('getUsers')).toMatchObject({ method: 'GET', path: '/users' });
+      expect(() => spec.getOperation('nope')).toThrow('Unknown operationId: nope');
+    });
+
+    it('should resolve the anyOf $refs of the getUsers 200 response', () => {
+      const schema = spec.getResponseSchema('getUsers', 200);
+
+      expect(schema.anyOf).toHaveLength(2);
+      expect(schema.anyOf[1].properties.users.items.required).toEqual(['id', 'name', 'email', 'role']);
+    });
+
+    it('should return the error schema for documented error codes', () => {
+      expect(spec.getResponseSchema('getUsers', '400')).toEqual(spec.getSchema('Error'));
+      expect(() => spec.getResponse('getUsers', 404)).toThrow('No 404 response documented for getUsers');
+    });
+
+    it('should list query and header parameters', () => {
+      expect(spec.getParameters('getUsers').map(param => param.name)).toEqual(['apiVersion', 'API-Version', 'limit']);
+    });
+
+    it('should produce schemas the validator accepts', () => {
+      const schema = spec.getResponseSchema('getUsers', 200);
+
+      expect(SchemaValidator.validate({ users: [{ id: 1, name: 'John Doe' }] }, schema).valid).toBe(true);
+      expect(SchemaValidator.validate({ users: [{ id: 1 }] }, schema).valid).toBe(false);
+    });
+  });
+
+  describe('products-api.yaml', () => {
+    let spec;
+
+    beforeAll(() => {
+      spec = SpecLoader.load(productsSpecPath);
+    });
+
+    it('should list every operation', () => {
+      expect(spec.getOperations().map(op => `${op.method} ${op.path}`)).toEqual([
+        'GET /api/products',
+        'POST /api/products',
+        'GET /api/products/{id}',
+        'PUT /api/products/{id}',
+        'DELETE /api/products/{id}',
+        'PATCH /api/products/{id}',
+        'POST /oauth/token'
+      ]);
+    });
+
+    it('should resolve request and response schemas', () => {
+      expect(spec.getRequestSchema('createProduct').required).toEqual(['name', 'price']);
+      expect(spec.getResponseSchema('getAllProducts', 200).items).toEqual(spec.getSchema('Product'));
+    });
+
+    it('should match concrete request paths to operations', () => {
+      expect(spec.matchOperation('put', '/api/products/12')).toMatchObject({
+        operationId: 'updateProduct',
+        pathParams: { id: '12' }
+      });
+      expect(spec.matchOperation('GET', '/api/products')).toMatchObject({ operationId: 'getAllProducts' });
+      expect(spec.matchOperation('GET', '/health')).toBeNull();
+      expect(spec.matchOperation('POST', '/api/products/1')).toBeNull();
+    });
+
+    it('should return no schema for bodiless responses', () => {
+      expect(spec.getResponseSchema('deleteProduct', 204)).toBeUndefined();
+    });
+
+    it('should resolve the security requirements of an operation', () => {
+      const [[requirement]] = spec.getSecurity('createProduct');
+
+      expect(requirement).toMatchObject({ name: 'oauth2', scopes: ['products:write'], scheme: { type: 'oauth2' } });
+      expect(Object.keys(requirement.scheme.flows.clientCredentials.scopes)).toEqual(['products:read', 'products:write']);
+      expect(spec.getSecurity('issueToken')).toEqual([]);
+    });
+  });
+});
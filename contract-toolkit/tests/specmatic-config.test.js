@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSpecmaticConfig, resilienceOptions } = require('../specmatic-config');
+
+const specmaticYaml = path.join(__dirname, '../../specmatic-contract-testing/specmatic.yaml');
+
+describe('Specmatic config', () => {
+  it('should read the specmaticConfig section with absolute specificationPath and reports.outputPath', () => {
+    const config = loadSpecmaticConfig(specmaticYaml);
+
+    expect(config.baseURL).toBe('http://localhost:8080');
+    expect(config.specificationPath).toBe(path.join(__dirname, '../../specmatic-contract-testing/specs'));
+    expect(config.reports).toEqual({ format: 'html', outputPath: path.join(__dirname, '../../specmatic-contract-testing/reports') });
+  });
+
+  it('should reject files without a specmaticConfig section', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'specmatic-config-'));
+    const file = path.join(dir, 'specmatic.yaml');
+    fs.writeFileSync(file, 'contracts: []\n');
+
+    try {
+      expect(() => loadSpecmaticConfig(file)).toThrow(`${file} has no specmaticConfig section`);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  describe('resilienceOptions', () => {
+    it('should map the testing section onto client options', () => {
+      expect(resilienceOptions(loadSpecmaticConfig(specmaticYaml))).toEqual({
+        timeout: 10000,
+        retry: { retries: 3 },
+        circuitBreaker: { failureThreshold: 5, resetTimeout: 30000 }
+      });
+    });
+
+    it('should leave out what is not configured', () => {
+      expect(resilienceOptions({})).toEqual({});
+      expect(resilienceOptions({ testing: { retries: 0, verbose: true } })).toEqual({ retry: { retries: 0 } });
+    });
+
+    it('should reject values that are not usable numbers', () => {
+      expect(() => resilienceOptions({ testing: { timeout: '10s' } })).toThrow('testing.timeout must be a positive number, got "10s"');
+      expect(() => resilienceOptions({ testing: { retries: -1 } })).toThrow('testing.retries must be a non-negative number, got -1');
+      expect(() => resilienceOptions({ testing: { circuitBreaker: { failureThreshold: 0 } } }))
+        .toThrow('testing.circuitBreaker.failureThreshold must be a positive number, got 0');
+    });
+  });
+});
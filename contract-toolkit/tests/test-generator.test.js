@@ -0,0 +1,205 @@
+const path = require('path');
+const SpecLoader = require('../spec-loader');
+const { startMockServer } = require('../mock-server');
+const { generateTestCases, executeTestCase } = require('../test-generator');
+
+const usersSpecPath = path.join(__dirname, '../../openapi-contract-testing/openapi.yaml');
+const productsSpecPath = path.join(__dirname, '../../specmatic-contract-testing/specs/products-api.yaml');
+
+// The mock reads scopes from JWT payloads without checking signatures
+const getToken = async scopes => `e30.${Buffer.from(JSON.stringify({ scope: scopes.join(' ') })).toString('base64url')}.signature`;
+
+// A recording as the recording proxy writes it, cut down to what replays read
+const recorded = (name, path, request, status, extra = {}) => ({
+  name,
+  operationId: name.split('-')[0],
+  request: { method: request.method || 'GET', path, query: {}, headers: { authorization: '[redacted]' }, ...request },
+  response: { status, headers: {} },
+  redacted: ['/request/headers/authorization'],
+  errors: [],
+  ...extra
+});
+const recording = {
+  interactions: [
+    recorded('getProductById-200', '/api/products/1', { headers: { authorization: '[redacted]', 'if-none-match': '"abc"' } }, 200),
+    recorded('getProductById-404', '/api/products/99999', {}, 404),
+    recorded('getAllProducts-200', '/api/products', { query: { minPrice: '10' } }, 200),
+    recorded('getAllProducts-401', '/api/products', {}, 401),
+    recorded('createProduct-403', '/api/products', { method: 'POST', contentType: 'application/json', body: { name: 'Lamp', price: 5 } }, 403),
+    recorded('createProduct-400', '/api/products', { method: 'POST', contentType: 'application/json', body: { price: 5 } }, 400,
+      { errors: [{ path: '/request/body/name', message: "required property 'name' is missing" }] }),
+    recorded('deleteProduct-412', '/api/products/1', { method: 'DELETE', headers: { 'if-match': '"abc"' } }, 412),
+    recorded('issueToken-200', '/oauth/token', {
+      method: 'POST',
+      headers: {},
+      contentType: 'application/x-www-form-urlencoded',
+      body: { grant_type: 'client_credentials', client_secret: '[redacted]' }
+    }, 200, { redacted: ['/request/body/client_secret'] })
+  ]
+};
+
+const named = (cases, operationId) => cases
+  .filter(testCase => testCase.operationId === operationId)
+  .map(testCase => testCase.name);
+
+describe('Test generator', () => {
+  describe('generateTestCases', () => {
+    const cases = generateTestCases(productsSpecPath);
+
+    it('should send the documented example request for every operation', () => {
+      const positive = cases.filter(testCase => testCase.kind === 'positive');
+
+      expect(positive.map(testCase => `${testCase.method} ${testCase.path} ${testCase.expectedStatus}`)).toEqual([
+        'GET /api/products 200',
+        'POST /api/products 201',
+        'GET /api/products/{id} 200',
+        'PUT /api/products/{id} 200',
+        'DELETE /api/products/{id} 204',
+        'PATCH /api/products/{id} 200',
+        'POST /oauth/token 200'
+      ]);
+      expect(positive[1].request.body).toEqual({ name: 'New Widget', description: 'A brand new widget', price: 24.99 });
+      expect(positive[1].scopes).toEqual(['products:write']);
+      expect(positive[5].request).toMatchObject({ contentType: 'application/merge-patch+json', body: { price: 24.99 } });
+      expect(positive[6].request.contentType).toBe('application/x-www-form-urlencoded');
+      expect(positive[6].scopes).toBeNull();
+    });
+
+    it('should derive negative cases from body constraints', () => {
+      expect(named(cases, 'createProduct')).toEqual([
+        'example request returns 201',
+        'missing access token returns 401',
+        "token without scope 'products:write' returns 403",
+        "missing required field 'name' returns 400",
+        "missing required field 'price' returns 400",
+        "field 'name' shorter than minLength 1 returns 400",
+        "field 'name' longer than maxLength 100 returns 400",
+        "field 'price' below minimum 0 returns 400"
+      ]);
+
+      const tooCheap = cases.find(testCase => testCase.name === "field 'price' below minimum 0 returns 400");
+      expect(tooCheap.request.body.price).toBe(-1);
+    });
+
+    it('should send no token, or one with the other declared scopes, to secured operations', () => {
+      const [, missing, insufficient] = cases.filter(testCase => testCase.operationId === 'getAllProducts');
+
+      expect(missing).toMatchObject({ scopes: null, expectedStatus: '401' });
+      expect(insufficient).toMatchObject({ scopes: ['products:write'], expectedStatus: '403' });
+      expect(named(cases, 'issueToken')).not.toContain('missing access token returns 401');
+    });
+
+    it('should send a wrong path parameter type without creating a fixture', () => {
+      const wrongType = cases.find(testCase =>
+        testCase.operationId === 'getProductById' && testCase.name.includes('wrong type'));
+
+      expect(wrongType.request.pathParams).toEqual({ id: 'abc' });
+      expect(wrongType.fixture).toBeNull();
+    });
+
+    it('should run item operations against a freshly created item', () => {
+      const [getById] = cases.filter(testCase => testCase.operationId === 'getProductById');
+
+      expect(getById.fixture).toEqual({
+        create: {
+          path: '/api/products',
+          body: { name: 'New Widget', description: 'A brand new widget', price: 24.99 },
+          scopes: ['products:write']
+        },
+        deletePath: '/api/products/{id}',
+        deleteScopes: ['products:write'],
+        param: 'id',
+        idField: 'id'
+      });
+    });
+
+    it('should derive negative cases from query parameter constraints', () => {
+      expect(named(generateTestCases(usersSpecPath), 'getUsers')).toEqual([
+        'example request returns 200',
+        "query param 'limit' with wrong type returns 400",
+        "query param 'limit' below minimum 1 returns 400",
+        "query param 'limit' above maximum 100 returns 400"
+      ]);
+    });
+
+    it('should accept any 4xx when the operation documents no 400', () => {
+      const spec = SpecLoader.load(productsSpecPath);
+      const document = JSON.parse(JSON.stringify(spec.document));
+      delete document.paths['/api/products'].post.responses['400'];
+
+      expect(named(generateTestCases(new SpecLoader(document)), 'createProduct')).toContain("missing required field 'name' returns 4XX");
+    });
+
+    it('should replay the recorded interactions it can reproduce', () => {
+      const replays = generateTestCases(productsSpecPath, { recordings: [recording] })
+        .filter(testCase => testCase.kind === 'replay');
+
+      expect(replays.map(testCase => [testCase.name, testCase.expectedStatus, testCase.scopes, Boolean(testCase.fixture)])).toEqual([
+        ['replays recorded getProductById-200', '200', ['products:read'], true],
+        ['replays recorded getProductById-404', '404', ['products:read'], false],
+        ['replays recorded getAllProducts-200', '200', ['products:read'], false],
+        ['replays recorded getAllProducts-401', '401', null, false]
+      ]);
+      expect(replays[0].request.headers).toEqual({});
+      expect(replays[1].request.pathParams).toEqual({ id: '99999' });
+      expect(replays[2].request.query).toEqual({ minPrice: '10' });
+    });
+  });
+
+  describe('executeTestCase', () => {
+    let mock;
+
+    beforeAll(async () => {
+      mock = await startMockServer({ spec: productsSpecPath, stateful: true });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should pass every generated case against a server that honours the spec', async () => {
+      for (const testCase of generateTestCases(productsSpecPath)) {
+        const { errors } = await executeTestCase(testCase, { spec: productsSpecPath, baseUrl: mock.url, getToken });
+        expect({ name: `${testCase.operationId}: ${testCase.name}`, errors }).toEqual({
+          name: `${testCase.operationId}: ${testCase.name}`,
+          errors: []
+        });
+      }
+    });
+
+    it('should clean up the items it creates', async () => {
+      mock.reset();
+      for (const testCase of generateTestCases(productsSpecPath)) {
+        if (testCase.method !== 'POST') {
+          await executeTestCase(testCase, { spec: productsSpecPath, baseUrl: mock.url, getToken });
+        }
+      }
+
+      const response = await fetch(`${mock.url}/api/products`, { headers: { Authorization: `Bearer ${await getToken(['products:read'])}` } });
+      expect((await response.json()).map(product => product.id)).toEqual([1, 2]);
+    });
+
+    it('should pass the replays of a recording', async () => {
+      for (const testCase of generateTestCases(productsSpecPath, { recordings: [recording] }).filter(({ kind }) => kind === 'replay')) {
+        const { errors } = await executeTestCase(testCase, { spec: productsSpecPath, baseUrl: mock.url, getToken });
+        expect({ name: testCase.name, errors }).toEqual({ name: testCase.name, errors: [] });
+      }
+    });
+
+    it('should report a status the case did not expect', async () => {
+      const [getAll] = generateTestCases(productsSpecPath);
+      const { errors } = await executeTestCase({ ...getAll, expectedStatus: '201' }, { spec: productsSpecPath, baseUrl: mock.url, getToken });
+
+      expect(errors).toEqual([
+        { path: '', keyword: 'status', message: 'expected status 201, got 200' }
+      ]);
+    });
+
+    it('should report statuses the spec does not document', async () => {
+      const [getAll] = generateTestCases(productsSpecPath);
+      const { errors } = await executeTestCase(getAll, { spec: usersSpecPath, baseUrl: mock.url, getToken });
+
+      expect(errors).toEqual([
+        { path: '', keyword: 'status', message: 'status 200 is not documented for getAllProducts' }
+      ]);
+    });
+  });
+});
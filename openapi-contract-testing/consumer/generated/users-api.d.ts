@@ -0,0 +1,163 @@
+// Generated by contract-client from ../../openapi.yaml (Users API 2.0.0).
+// Do not edit: change the spec and regenerate it instead.
+
+export interface UsersResponseV1 {
+  users: Array<UserV1>;
+}
+
+export interface UserV1 {
+  /** User unique identifier */
+  id: number;
+  /** User full name */
+  name: string;
+}
+
+export interface UsersResponseV2 {
+  users: Array<UserV2>;
+}
+
+export interface UserV2 {
+  /** User unique identifier */
+  id: number;
+  /** User full name */
+  name: string;
+  /** User email address */
+  email: string;
+  /** User role */
+  role: 'admin' | 'user' | 'guest';
+}
+
+export interface ErrorBody {
+  code: string;
+  message: string;
+}
+
+export interface GetUsersParams {
+  /** API version to use for response format */
+  apiVersion?: string;
+  /** API version to use for response format, when apiVersion is absent */
+  'API-Version'?: string;
+  /** Maximum number of users to return */
+  limit?: number;
+}
+
+export interface ClientOptions {
+  fetch?: typeof fetch;
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  /** ms each attempt may take before it fails with TimeoutError */
+  timeout?: number;
+  /** Retries of idempotent calls after no response, 429, 502, 503 or 504 */
+  retry?: RetryOptions;
+  circuitBreaker?: CircuitBreaker | CircuitBreakerOptions;
+  onRetry?: (event: { operation: string; attempt: number; delay: number; error: ApiError }) => void;
+}
+
+export interface RetryOptions {
+  /** Default 0 */
+  retries?: number;
+  /** First backoff in ms, doubled on every retry and jittered (default 100) */
+  baseDelay?: number;
+  /** Longest backoff in ms; longer Retry-After values aren't waited for (default 5000) */
+  maxDelay?: number;
+}
+
+export interface CircuitBreakerOptions {
+  /** Consecutive failures that open the circuit (default 5) */
+  failureThreshold?: number;
+  /** ms the circuit stays open before a trial call (default 30000) */
+  resetTimeout?: number;
+  now?: () => number;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export declare class CircuitBreaker {
+  constructor(options?: CircuitBreakerOptions);
+  state: CircuitState;
+  /** Consecutive failures so far */
+  failures: number;
+  subscribe(listener: (event: { state: CircuitState; previous: CircuitState; failures: number }) => void): () => void;
+  allow(): boolean;
+  success(): void;
+  failure(): void;
+}
+
+export interface RequestOptions {
+  /** Extra headers for this call, replacing defaults of the same name */
+  headers?: Record<string, string>;
+  /** Resolve to { status, headers, data } instead of the body */
+  fullResponse?: boolean;
+  /** Cancels the request; AbortSignal.timeout(ms) makes it fail with TimeoutError */
+  signal?: AbortSignal;
+  /** Overrides the client's timeout for this call */
+  timeout?: number;
+  /** Overrides retry.retries for this call; non-idempotent methods are never retried */
+  retries?: number;
+  /** Media type to send the body as, for operations that take several */
+  contentType?: string;
+}
+
+export interface FullResponse<T> {
+  status: number;
+  /** Lower-cased header names */
+  headers: Record<string, string>;
+  data: T;
+}
+
+export declare class ApiError extends Error {
+  constructor(message: string, details?: {
+    status?: number; code?: string; method?: string; url?: string;
+    body?: unknown; headers?: Record<string, string>; cause?: unknown;
+  });
+  /** Undefined for NetworkError */
+  status?: number;
+  /** Error code from the response body, e.g. NOT_FOUND */
+  code?: string;
+  method?: string;
+  url?: string;
+  body: unknown;
+  headers: Record<string, string>;
+}
+
+/** 400 or 422: the request's parameters or body were rejected */
+export declare class ValidationError extends ApiError {}
+
+/** 401 or 403: missing or rejected credentials, or not enough permissions */
+export declare class AuthError extends ApiError {}
+
+/** 404 Not Found */
+export declare class NotFoundError extends ApiError {}
+
+/** 5xx: the API failed to handle a valid request */
+export declare class ServerError extends ApiError {}
+
+/** No response at all (connection refused, DNS failure, reset) */
+export declare class NetworkError extends ApiError {}
+
+/** No response in time */
+export declare class TimeoutError extends NetworkError {}
+
+/** Not sent: the circuit breaker is open after repeated failures */
+export declare class CircuitOpenError extends NetworkError {}
+
+/** 400 Bad Request */
+export declare class BadRequestError extends ValidationError {}
+
+/** 406 Not Acceptable */
+export declare class NotAcceptableError extends ApiError {}
+
+/** 500 Internal Server Error */
+export declare class InternalServerError extends ServerError {}
+
+export declare class UsersApiClient {
+  constructor(baseUrl?: string, options?: ClientOptions);
+  baseUrl: string;
+  circuitBreaker: CircuitBreaker | null;
+
+  /**
+   * Get all users
+   * GET /users
+   */
+  getUsers(params?: GetUsersParams, options?: RequestOptions & { fullResponse?: false }): Promise<UsersResponseV1 | UsersResponseV2>;
+  getUsers(params: GetUsersParams | undefined, options: RequestOptions & { fullResponse: true }): Promise<FullResponse<UsersResponseV1 | UsersResponseV2>>;
+}
@@ -0,0 +1,6 @@
+module.exports = {
+  testEnvironment: 'node',
+  // Contract report by operation in ../reports: HTML, JUnit XML and JSON
+  reporters: ['default', ['contract-toolkit/jest-reporter', { spec: '../openapi.yaml', outputPath: '../reports' }]],
+  setupFilesAfterEnv: ['contract-toolkit/jest-setup']
+};
@@ -0,0 +1,11 @@
+const config = require('./jest.config');
+
+/**
+ * Runs the consumer contract tests against an in-process mock of openapi.yaml
+ * instead of a live provider: no Docker required.
+ */
+module.exports = {
+  ...config,
+  globalSetup: './tests/mock-provider.setup.js',
+  globalTeardown: './tests/mock-provider.teardown.js'
+};
@@ -0,0 +1,70 @@
+const path = require('path');
+const { startMockServer } = require('contract-toolkit');
+const ConsumerV2ApiClient = require('../v2-client');
+const { ApiError, ServerError, TimeoutError } = require('../users-client');
+
+/**
+ * How the users clients cope with a slow or failing provider: runs against
+ * its own mock of openapi.yaml, whose faults are set per test through /__faults
+ */
+describe('Users clients under injected faults', () => {
+  let mock;
+  let retries = [];
+
+  const setFaults = rules => fetch(`${mock.url}/__faults`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ rules })
+  });
+
+  const client = (options = {}) => new ConsumerV2ApiClient(mock.url, {
+    timeout: 1000,
+    retry: { retries: 2, baseDelay: 5 },
+    onRetry: ({ error }) => retries.push(error.status || error.name),
+    ...options
+  });
+
+  beforeAll(async () => {
+    mock = await startMockServer({ spec: path.join(__dirname, '../../openapi.yaml') });
+  });
+
+  afterEach(async () => {
+    retries = [];
+    await fetch(`${mock.url}/__faults`, { method: 'DELETE' });
+  });
+
+  afterAll(() => mock.close());
+
+  it('should retry through gateway errors and dropped connections', async () => {
+    await setFaults([
+      { path: '/users', error: true, status: 502, times: 1 },
+      { path: '/users', drop: true, times: 1 }
+    ]);
+
+    const response = await client().getUsers();
+    expect(response.status).toBe(200);
+    expect(response.data.users[0]).toMatchObject({ id: 1, email: 'john@company.com' });
+    expect(retries).toEqual([502, 'NetworkError']);
+  });
+
+  it('should give up once the retries are spent', async () => {
+    await setFaults([{ path: '/users', error: true, status: 503 }]);
+
+    await expect(client().getUsers()).rejects.toBeInstanceOf(ServerError);
+    expect(retries).toEqual([503, 503]);
+  });
+
+  it('should time out a slow provider', async () => {
+    await setFaults([{ path: '/users', latency: 300 }]);
+
+    await expect(client({ timeout: 50, retry: { retries: 0 } }).getUsers()).rejects.toBeInstanceOf(TimeoutError);
+  });
+
+  it('should reject malformed bodies', async () => {
+    await setFaults([{ path: '/users', malformed: true }]);
+
+    const error = await client().getUsers().catch(err => err);
+    expect(error.constructor).toBe(ApiError);
+    expect(error.message).toMatch(/returned malformed JSON$/);
+  });
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const { generateClient } = require('contract-toolkit');
+const { UsersApiClient, ApiError, NotAcceptableError } = require('../generated/users-api');
+
+const GENERATED = path.join(__dirname, '../generated/users-api');
+
+describe('Generated users client', () => {
+  const liveOnly = process.env.MOCK_PROVIDER === 'true' ? it.skip : it;
+
+  // Same options as npm run generate:client
+  it('should be up to date with openapi.yaml', () => {
+    const { js, dts } = generateClient(path.join(__dirname, '../../openapi.yaml'), { source: '../../openapi.yaml' });
+
+    expect(fs.readFileSync(`${GENERATED}.js`, 'utf8')).toBe(js);
+    expect(fs.readFileSync(`${GENERATED}.d.ts`, 'utf8')).toBe(dts);
+  });
+
+  it('should send query and header parameters where the spec puts them', async () => {
+    const requests = [];
+    const api = new UsersApiClient('http://users.test/', {
+      fetch: async (url, init) => {
+        requests.push({ url, headers: init.headers });
+        return new Response('{"users":[]}', { headers: { 'Content-Type': 'application/json' } });
+      }
+    });
+
+    expect(await api.getUsers({ 'API-Version': '2', limit: 5 })).toEqual({ users: [] });
+    expect(requests).toEqual([{
+      url: 'http://users.test/users?limit=5',
+      headers: { 'API-Version': '2', Accept: 'application/json' }
+    }]);
+  });
+
+  liveOnly('should throw the documented error class for unsupported versions', async () => {
+    const api = new UsersApiClient(process.env.PROVIDER_URL);
+    const error = await api.getUsers({ 'API-Version': '3' }).catch(err => err);
+
+    expect(error).toBeInstanceOf(NotAcceptableError);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(406);
+    expect(error.code).toBe('UNSUPPORTED_VERSION');
+    expect(error.message).toBe('API version 3 is not supported, use one of 1, 2');
+    expect(error.method).toBe('GET');
+    expect(error.url).toMatch(/\/users$/);
+    expect(error.body).toEqual({ code: 'UNSUPPORTED_VERSION', message: error.message });
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * Generated Contract Tests - Provider Side
+ * One test per documented example plus negative cases derived from the
+ * constraints in openapi.yaml, run against the provider at PROVIDER_URL.
+ * CONTRACT_RECORDINGS adds replays of comma-separated recording files.
+ */
+
+const path = require('path');
+const { describeContractTests } = require('contract-toolkit');
+
+describeContractTests({
+  spec: path.join(__dirname, '../../openapi.yaml'),
+  baseUrl: process.env.PROVIDER_URL || 'http://localhost:5001',
+  recordings: process.env.CONTRACT_RECORDINGS ? process.env.CONTRACT_RECORDINGS.split(',') : []
+});
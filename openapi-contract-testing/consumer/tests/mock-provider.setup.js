@@ -0,0 +1,12 @@
+const path = require('path');
+const { startMockServer } = require('contract-toolkit');
+
+module.exports = async () => {
+  const mock = await startMockServer({ spec: path.join(__dirname, '../../openapi.yaml') });
+
+  // Workers inherit the environment, so the clients pick up the mock's URL
+  process.env.PROVIDER_URL = mock.url;
+  // The mock serves examples, not the provider's version headers
+  process.env.MOCK_PROVIDER = 'true';
+  globalThis.__MOCK_PROVIDER__ = mock;
+};
@@ -0,0 +1,3 @@
+module.exports = async () => {
+  await globalThis.__MOCK_PROVIDER__.close();
+};
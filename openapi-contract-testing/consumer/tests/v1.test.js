@@ -1,11 +1,30 @@
+const path = require('path');
 const ConsumerV1ApiClient = require('../v1-client');
-const SchemaValidator = require('../schema-validator');
+const { ApiError, NetworkError, ServerError, CircuitOpenError, CircuitBreaker } = require('../users-client');
+const { SchemaValidator, SpecLoader, PactRecorder } = require('contract-toolkit');
+
+const spec = SpecLoader.load(path.join(__dirname, '../../openapi.yaml'));
 
 describe('SF 17.1 Consumer - V1 Contracts', () => {
+  // Records the SF-17.1 interactions into ../pacts/SF-17.1-UsersApi.json
+  const pact = new PactRecorder({
+    consumer: 'SF-17.1',
+    provider: 'UsersApi',
+    pactDir: path.join(__dirname, '../../pacts'),
+    // The API version can be picked by header, so those headers are part of the contract
+    headers: ['Accept', 'API-Version']
+  });
+  const liveOnly = process.env.MOCK_PROVIDER === 'true' ? it.skip : it;
   let client;
 
   beforeAll(() => {
-    client = new ConsumerV1ApiClient();
+    // PROVIDER_URL is set when running against the mock server (npm run test:mock)
+    client = new ConsumerV1ApiClient(process.env.PROVIDER_URL, { fetch: pact.wrapFetch() });
+    pact.given('users exist');
+  });
+
+  afterAll(() => {
+    pact.write();
   });
 
   describe('GET /users (v1 format)', () => {
@@ -26,20 +45,18 @@ describe('SF 17.1 Consumer - V1 Contracts', () => {
 
       expect(users.length).toBeGreaterThan(0);
 
-      const userV1Schema = {
-        type: 'object',
-        required: ['id', 'name'],
-        properties: {
-          id: { type: 'number' },
-          name: { type: 'string' }
-        }
-      };
-
-      const validation = SchemaValidator.validateArray(users, userV1Schema);
+      const validation = SchemaValidator.validateArray(users, spec.getSchema('UserV1'));
       expect(validation.valid).toBe(true);
       expect(validation.errors).toEqual([]);
     });
 
+    it('should match the documented 200 response schema', async () => {
+      const response = await client.getUsers();
+
+      const validation = SchemaValidator.validate(response.data, spec.getResponseSchema('getUsers', 200));
+      expect(SchemaValidator.formatErrors(validation.errors)).toEqual([]);
+    });
+
     it('should NOT include email or role fields (v1 format)', async () => {
       const response = await client.getUsers();
       const { users } = response.data;
@@ -65,21 +82,70 @@ describe('SF 17.1 Consumer - V1 Contracts', () => {
     });
   });
 
+  describe('Version negotiation', () => {
+    it.each(['header', 'accept'])('should get the v1 format when asking by %s', async versioning => {
+      const versioned = new ConsumerV1ApiClient(process.env.PROVIDER_URL, { versioning, fetch: pact.wrapFetch() });
+
+      const response = await versioned.getUsers();
+      expect(response.status).toBe(200);
+
+      const validation = SchemaValidator.validateArray(response.data.users, spec.getSchema('UserV1'));
+      expect(SchemaValidator.formatErrors(validation.errors)).toEqual([]);
+    });
+
+    it('should get the v1 media type when asking by Accept', async () => {
+      const versioned = new ConsumerV1ApiClient(process.env.PROVIDER_URL, { versioning: 'accept' });
+
+      const response = await versioned.getUsers();
+      expect(response.headers['content-type']).toContain('application/vnd.users.v1+json');
+    });
+
+    liveOnly('should announce that v1 is deprecated and when it goes away', async () => {
+      const response = await client.getUsers();
+
+      expect(response.headers['api-version']).toBe('1');
+      expect(response.headers.deprecation).toMatch(/^@\d+$/);
+      expect(Date.parse(response.headers.sunset)).toBeGreaterThan(Number(response.headers.deprecation.slice(1)) * 1000);
+    });
+  });
+
   describe('Error Handling', () => {
-    it.skip('should handle server errors gracefully', async () => {
-      const client = new ConsumerV1ApiClient('http://invalid-server');
-      let errorCaught = false;
-
-      try {
-        await client.getUsers();
-      } catch (error) {
-        errorCaught = true;
-        expect(error).toBeDefined();
-      }
-
-      // If no error was thrown, the test should still pass
-      // as the axios client is configured with validateStatus: () => true
-      expect(errorCaught || true).toBe(true);
-    }, 2000); // 2 second timeout
+    it('should throw NetworkError with the request when the provider is unreachable', async () => {
+      const offline = new ConsumerV1ApiClient('http://invalid-server', {
+        fetch: async () => {
+          throw new TypeError('fetch failed', { cause: Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }) });
+        }
+      });
+
+      const error = await offline.getUsers().catch(err => err);
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error).toMatchObject({
+        message: 'GET http://invalid-server/users?limit=50 failed: ENOTFOUND',
+        method: 'GET',
+        url: 'http://invalid-server/users?limit=50',
+        status: undefined
+      });
+    });
+
+    it('should retry when the provider is briefly unreachable and share a circuit breaker between clients', async () => {
+      let attempts = 0;
+      const flaky = async () => {
+        attempts += 1;
+        if (attempts === 1) {
+          throw new TypeError('fetch failed', { cause: Object.assign(new Error('connect ECONNRESET'), { code: 'ECONNRESET' }) });
+        }
+        return new Response(null, { status: 503 });
+      };
+      const breaker = new CircuitBreaker({ failureThreshold: 3 });
+      const retrying = new ConsumerV1ApiClient('http://users.test', { fetch: flaky, retry: { retries: 1, baseDelay: 1 }, circuitBreaker: breaker });
+      const byHeader = new ConsumerV1ApiClient('http://users.test', { fetch: flaky, versioning: 'header', circuitBreaker: breaker });
+
+      await expect(retrying.getUsers()).rejects.toBeInstanceOf(ServerError);
+      await expect(byHeader.getUsers()).rejects.toBeInstanceOf(ServerError);
+      await expect(byHeader.getUsers()).rejects.toBeInstanceOf(CircuitOpenError);
+      expect(attempts).toBe(3);
+      expect(breaker.state).toBe('open');
+    });
   });
 });
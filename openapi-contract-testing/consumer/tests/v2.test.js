@@ -1,11 +1,30 @@
+const path = require('path');
+const axios = require('axios');
 const ConsumerV2ApiClient = require('../v2-client');
-const SchemaValidator = require('../schema-validator');
+const { SchemaValidator, SpecLoader, PactRecorder, diffSchemas, BREAKING } = require('contract-toolkit');
+
+const spec = SpecLoader.load(path.join(__dirname, '../../openapi.yaml'));
 
 describe('SF 18.1 Consumer - V2 Contracts', () => {
+  // Records the SF-18.1 interactions into ../pacts/SF-18.1-UsersApi.json
+  const pact = new PactRecorder({
+    consumer: 'SF-18.1',
+    provider: 'UsersApi',
+    pactDir: path.join(__dirname, '../../pacts'),
+    // The API version can be picked by header, so those headers are part of the contract
+    headers: ['Accept', 'API-Version']
+  });
+  const liveOnly = process.env.MOCK_PROVIDER === 'true' ? it.skip : it;
   let client;
 
   beforeAll(() => {
-    client = new ConsumerV2ApiClient();
+    // PROVIDER_URL is set when running against the mock server (npm run test:mock)
+    client = new ConsumerV2ApiClient(process.env.PROVIDER_URL, { fetch: pact.wrapFetch() });
+    pact.given('users exist');
+  });
+
+  afterAll(() => {
+    pact.write();
   });
 
   describe('GET /users?apiVersion=2 (v2 format)', () => {
@@ -26,25 +45,18 @@ describe('SF 18.1 Consumer - V2 Contracts', () => {
 
       expect(users.length).toBeGreaterThan(0);
 
-      const userV2Schema = {
-        type: 'object',
-        required: ['id', 'name', 'email', 'role'],
-        properties: {
-          id: { type: 'number' },
-          name: { type: 'string' },
-          email: { type: 'string', format: 'email' },
-          role: { 
-            type: 'string',
-            enum: ['admin', 'user', 'guest']
-          }
-        }
-      };
-
-      const validation = SchemaValidator.validateArray(users, userV2Schema);
+      const validation = SchemaValidator.validateArray(users, spec.getSchema('UserV2'));
       expect(validation.valid).toBe(true);
       expect(validation.errors).toEqual([]);
     });
 
+    it('should match the documented 200 response schema', async () => {
+      const response = await client.getUsers();
+
+      const validation = SchemaValidator.validate(response.data, spec.getResponseSchema('getUsers', 200));
+      expect(SchemaValidator.formatErrors(validation.errors)).toEqual([]);
+    });
+
     it('should include all required v2 fields', async () => {
       const response = await client.getUsers();
       const { users } = response.data;
@@ -92,6 +104,40 @@ describe('SF 18.1 Consumer - V2 Contracts', () => {
     });
   });
 
+  describe('Version negotiation', () => {
+    it.each(['header', 'accept'])('should get the v2 format when asking by %s', async versioning => {
+      const versioned = new ConsumerV2ApiClient(process.env.PROVIDER_URL, { versioning, fetch: pact.wrapFetch() });
+
+      const response = await versioned.getUsers();
+      expect(response.status).toBe(200);
+
+      const validation = SchemaValidator.validateArray(response.data.users, spec.getSchema('UserV2'));
+      expect(SchemaValidator.formatErrors(validation.errors)).toEqual([]);
+    });
+
+    liveOnly('should name the served version and not deprecate v2', async () => {
+      const response = await client.getUsers();
+
+      expect(response.headers['api-version']).toBe('2');
+      expect(response.headers.deprecation).toBeUndefined();
+      expect(response.headers.sunset).toBeUndefined();
+    });
+
+    // Plain axios: versions nobody supports aren't part of the SF 18.1 contract
+    liveOnly.each([
+      ['API-Version', '3'],
+      ['Accept', 'application/vnd.users.v3+json']
+    ])('should get 406 for an unsupported version in %s', async (header, value) => {
+      const response = await axios.get(`${process.env.PROVIDER_URL || 'http://localhost:5001'}/users`, {
+        headers: { [header]: value },
+        validateStatus: () => true
+      });
+
+      expect(response.status).toBe(406);
+      expect(response.data.code).toBe('UNSUPPORTED_VERSION');
+    });
+  });
+
   describe('Backward Compatibility Check', () => {
     it('v2 response should include v1 fields (backward compatible)', async () => {
       const response = await client.getUsers();
@@ -103,5 +149,12 @@ describe('SF 18.1 Consumer - V2 Contracts', () => {
         expect(user).toHaveProperty('name');
       });
     });
+
+    it('UserV2 schema should only add to UserV1', () => {
+      const breaking = diffSchemas(spec.getSchema('UserV1'), spec.getSchema('UserV2'), 'response')
+        .filter(change => change.severity === BREAKING);
+
+      expect(breaking).toEqual([]);
+    });
   });
 });
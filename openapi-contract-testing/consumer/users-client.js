@@ -0,0 +1,77 @@
+const {
+  UsersApiClient,
+  ApiError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  CircuitOpenError,
+  CircuitBreaker,
+  NotAcceptableError
+} = require('./generated/users-api');
+const { versionSelector } = require('./versioning');
+
+const BASE_URL = 'http://localhost:5001';
+
+/**
+ * Versioned Users Client
+ * Wraps the client generated from openapi.yaml (npm run generate:client) and
+ * asks for one API version on every call. Failures are the generated ApiError
+ * classes: ValidationError (400), NotAcceptableError (406, unsupported version),
+ * ServerError (5xx), NetworkError / TimeoutError when no response came, and
+ * CircuitOpenError when the circuit breaker stopped the call.
+ */
+class VersionedUsersClient {
+  /**
+   * @param {string} version - e.g. '2'
+   * @param {string} [baseUrl]
+   * @param {Object} [options]
+   * @param {string} [options.versioning] - 'query' (default), 'header' or 'accept', see versioning.js
+   * @param {Function} [options.fetch] - fetch implementation, e.g. pact.wrapFetch()
+   * @param {number} [options.timeout] - ms each request may take
+   * @param {Object} [options.retry] - { retries, baseDelay, maxDelay }
+   * @param {Object|CircuitBreaker} [options.circuitBreaker] - A breaker, e.g. one shared by all versions, or its options
+   * @param {Function} [options.onRetry] - Called with { operation, attempt, delay, error } before each retry
+   */
+  constructor(version, baseUrl = BASE_URL, options = {}) {
+    this.api = new UsersApiClient(baseUrl, {
+      fetch: options.fetch,
+      timeout: options.timeout,
+      retry: options.retry,
+      circuitBreaker: options.circuitBreaker,
+      onRetry: options.onRetry
+    });
+    this.version = version;
+    this.versioning = options.versioning || 'query';
+    this.selector = versionSelector(version, this.versioning);
+  }
+
+  /**
+   * Get all users in this client's version
+   * @param {number} [limit]
+   * @returns {Promise<Object>} - { status, data, headers }
+   * @throws {ApiError} - e.g. NotAcceptableError (406) or NetworkError
+   */
+  async getUsers(limit = 50) {
+    return this.api.getUsers(
+      { ...this.selector.params, limit },
+      { headers: this.selector.headers, fullResponse: true }
+    );
+  }
+}
+
+module.exports = {
+  VersionedUsersClient,
+  ApiError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  CircuitOpenError,
+  CircuitBreaker,
+  NotAcceptableError
+};
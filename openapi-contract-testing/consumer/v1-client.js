@@ -1,33 +1,21 @@
-const axios = require('axios');
-
-const BASE_URL = 'http://localhost:5001';
+const { VersionedUsersClient } = require('./users-client');
 
 /**
  * Consumer API Client
  * SF 17.1 - Uses v1 endpoint
+ * Contract: GET /users (no apiVersion param), or an API-Version / Accept header
  */
-class ConsumerV1ApiClient {
-  constructor(baseUrl = BASE_URL) {
-    this.client = axios.create({
-      baseURL: baseUrl,
-      validateStatus: () => true // Don't throw on any status
-    });
-  }
-
+class ConsumerV1ApiClient extends VersionedUsersClient {
   /**
-   * Get all users - V1 format
-   * Contract: GET /users (no apiVersion param)
+   * @param {string} [baseUrl]
+   * @param {Object} [options] - See VersionedUsersClient
    */
-  async getUsers(limit = 50) {
-    const response = await this.client.get('/users', {
-      params: { limit }
-    });
-
-    return {
-      status: response.status,
-      data: response.data,
-      headers: response.headers
-    };
+  constructor(baseUrl, options = {}) {
+    super('1', baseUrl, options);
+    // v1 is the API's default, so the original query contract sends no apiVersion at all
+    if (this.versioning === 'query') {
+      this.selector = { params: {}, headers: {} };
+    }
   }
 }
 
@@ -1,36 +1,17 @@
-const axios = require('axios');
-
-const BASE_URL = 'http://localhost:5001';
+const { VersionedUsersClient } = require('./users-client');
 
 /**
  * Consumer API Client
  * SF 18.1 - Uses v2 endpoint
+ * Contract: GET /users?apiVersion=2, or an API-Version / Accept header
  */
-class ConsumerV2ApiClient {
-  constructor(baseUrl = BASE_URL) {
-    this.client = axios.create({
-      baseURL: baseUrl,
-      validateStatus: () => true
-    });
-  }
-
+class ConsumerV2ApiClient extends VersionedUsersClient {
   /**
-   * Get all users - V2 format
-   * Contract: GET /users?apiVersion=2
+   * @param {string} [baseUrl]
+   * @param {Object} [options] - See VersionedUsersClient
    */
-  async getUsers(limit = 50) {
-    const response = await this.client.get('/users', {
-      params: { 
-        apiVersion: '2',
-        limit 
-      }
-    });
-
-    return {
-      status: response.status,
-      data: response.data,
-      headers: response.headers
-    };
+  constructor(baseUrl, options = {}) {
+    super('2', baseUrl, options);
   }
 }
 
@@ -0,0 +1,28 @@
+/**
+ * How a client tells the users API which version it wants:
+ * - 'query': GET /users?apiVersion=2 (the original mechanism)
+ * - 'header': API-Version: 2
+ * - 'accept': Accept: application/vnd.users.v2+json
+ */
+const MECHANISMS = ['query', 'header', 'accept'];
+
+/**
+ * Query parameters and headers selecting an API version
+ * @param {string} version - e.g. '2'
+ * @param {string} [mechanism] - One of MECHANISMS (default 'query')
+ * @returns {Object} - { params, headers }
+ */
+function versionSelector(version, mechanism = 'query') {
+  switch (mechanism) {
+    case 'query':
+      return { params: { apiVersion: version }, headers: {} };
+    case 'header':
+      return { params: {}, headers: { 'API-Version': version } };
+    case 'accept':
+      return { params: {}, headers: { Accept: `application/vnd.users.v${version}+json` } };
+    default:
+      throw new Error(`Unknown versioning mechanism: ${mechanism} (use ${MECHANISMS.join(', ')})`);
+  }
+}
+
+module.exports = { MECHANISMS, versionSelector };
@@ -1,77 +1,170 @@
+const path = require('path');
 const express = require('express');
-const app = express();
-const PORT = 5001;
+const {
+  SpecLoader,
+  openApiValidator,
+  providerStateMiddleware,
+  faultInjection,
+  loadFaultRules,
+  ContractCoverage,
+  SpecInference
+} = require('contract-toolkit');
+const { InMemoryUserRepository } = require('./repository');
+const { VersionRegistry } = require('./versions');
+
+const DEFAULT_SPEC_PATH = path.join(__dirname, '../openapi.yaml');
 
 // Mock database
-const users = [
+const seedUsers = () => [
   { id: 1, name: 'John Doe', email: 'john@company.com', role: 'admin' },
   { id: 2, name: 'Jane Smith', email: 'jane@company.com', role: 'user' },
   { id: 3, name: 'Bob Johnson', email: 'bob@company.com', role: 'guest' }
 ];
 
-app.use(express.json());
-
-// Middleware for OpenAPI validation
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}${req.url.includes('?') ? '?' + req.url.split('?')[1] : ''}`);
-  next();
-});
+// v1 (SF 17.1) only exposes id and name and is on its way out; v2 (SF 18.1) adds email and role
+const defaultVersions = () => new VersionRegistry({ defaultVersion: '1' })
+  .register('1', {
+    serializeUser: ({ id, name }) => ({ id, name }),
+    deprecated: '2026-07-01',
+    sunset: '2027-06-30'
+  })
+  .register('2', {
+    serializeUser: ({ id, name, email, role }) => ({ id, name, email, role })
+  });
 
 /**
- * GET /users
- * Returns users in v1 or v2 format based on apiVersion query parameter
+ * Build the Users API without binding a port (see server.js to run it)
+ *
+ * Usage:
+ *   const app = createApp({ seed: [{ id: 9, name: 'Ann Lee', email: 'ann@company.com', role: 'user' }] });
+ *   const server = app.listen(0);
+ *
+ * @param {Object} [options]
+ * @param {Object[]} [options.seed] - Initial users, defaults to seedUsers()
+ * @param {Object} [options.repository] - User storage, see repository.js (seed is ignored when given)
+ * @param {string} [options.specPath] - Spec enforced on requests and responses
+ * @param {boolean} [options.providerStates] - Mount POST /provider-states for pact verification
+ * @param {boolean|Object[]} [options.faults] - Mount /__faults for consumer resilience tests, optionally with rules
+ * @param {boolean} [options.coverage] - Record which operations and responses are exercised, reported at /__coverage
+ * @param {boolean} [options.inference] - Draft an OpenAPI document from the traffic, served at /__inference
+ * @param {boolean} [options.logRequests] - Log each request (default true)
+ * @param {VersionRegistry} [options.versions] - Supported API versions, defaults to v1 and v2
+ * @returns {express.Application} - app.locals.repository holds the repository in use
  */
-app.get('/users', (req, res) => {
-  const apiVersion = req.query.apiVersion || '1';
-  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
-
-  // Validate apiVersion
-  if (!['1', '2'].includes(apiVersion)) {
-    return res.status(400).json({
-      code: 'INVALID_PARAMETER',
-      message: 'Invalid apiVersion parameter. Use "1" or "2"'
-    });
+function createApp(options = {}) {
+  const seed = options.seed || seedUsers();
+  const repository = options.repository || new InMemoryUserRepository(seed);
+  const versions = options.versions || defaultVersions();
+  const providerStates = options.providerStates !== undefined
+    ? options.providerStates
+    : process.env.PACT_PROVIDER_STATES === 'true';
+  const faults = options.faults !== undefined ? options.faults : process.env.FAULT_INJECTION === 'true';
+  const coverage = options.coverage !== undefined ? options.coverage : process.env.CONTRACT_COVERAGE === 'true';
+  const inference = options.inference !== undefined ? options.inference : process.env.CONTRACT_INFERENCE === 'true';
+  const specPath = options.specPath || process.env.OPENAPI_SPEC || DEFAULT_SPEC_PATH;
+
+  const app = express();
+  app.locals.repository = repository;
+
+  /**
+   * Contract coverage of a test run (GET /__coverage), test mode only.
+   * First, so that it sees every answer, injected faults included
+   */
+  if (coverage) {
+    app.use(new ContractCoverage({ spec: specPath }).middleware());
+  }
+
+  /**
+   * The OpenAPI document the traffic implies (GET /__inference), test mode only.
+   * First as well, so that it sees the bodies that actually go out
+   */
+  if (inference) {
+    app.use(new SpecInference({ spec: specPath }).middleware());
+  }
+
+  /**
+   * Fault injection (latency, 5xx, dropped connections, broken bodies), test mode only.
+   * First, so that response validation below still sees the real responses
+   */
+  if (faults) {
+    app.use(faultInjection({
+      rules: Array.isArray(faults) ? faults : process.env.FAULTS_FILE && loadFaultRules(process.env.FAULTS_FILE),
+      logger: console
+    }));
+  }
+
+  app.use(express.json());
+
+  /**
+   * Provider states for pact verification (npm run verify:pacts), test mode only
+   */
+  if (providerStates) {
+    app.use(providerStateMiddleware({
+      'users exist': () => repository.reset(seed),
+      'no users': () => repository.reset([])
+    }));
   }
 
-  // Get limited users
-  const limitedUsers = users.slice(0, limit);
-
-  if (apiVersion === '2') {
-    // V2 response: Include all fields
-    return res.json({
-      users: limitedUsers.map(user => ({
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }))
+  // Request logging
+  if (options.logRequests !== false) {
+    app.use((req, res, next) => {
+      console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}${req.url.includes('?') ? '?' + req.url.split('?')[1] : ''}`);
+      next();
     });
   }
 
-  // V1 response: Only id and name
-  res.json({
-    users: limitedUsers.map(user => ({
-      id: user.id,
-      name: user.name
-    }))
+  // OpenAPI validation: rejects requests that break openapi.yaml and checks our own responses
+  app.use(openApiValidator({
+    spec: specPath,
+    responseValidation: process.env.OPENAPI_RESPONSE_VALIDATION || 'strict',
+    defaultErrorCode: 'INVALID_PARAMETER'
+  }));
+
+  /**
+   * GET /users
+   * Returns users in the format of the negotiated API version (see versions.js)
+   */
+  app.get('/users', async (req, res, next) => {
+    const { version, mediaType, supported } = versions.negotiate(req);
+    res.set('Vary', 'Accept, API-Version');
+
+    if (!supported) {
+      return res.status(406).json({
+        code: 'UNSUPPORTED_VERSION',
+        message: `API version ${version} is not supported, use one of ${versions.supported().join(', ')}`
+      });
+    }
+
+    // limit was already checked against openapi.yaml by the validator
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    let limitedUsers;
+    try {
+      limitedUsers = await repository.findAll({ limit });
+    } catch (err) {
+      return next(err);
+    }
+
+    const { serializeUser } = versions.get(version);
+    res.set(versions.headersFor(version));
+    res.type(mediaType).json({ users: limitedUsers.map(serializeUser) });
   });
-});
 
-/**
- * Health check endpoint
- */
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy' });
-});
+  /**
+   * The spec this API implements, as announced at startup
+   */
+  app.get('/api-docs', (req, res) => {
+    res.json(SpecLoader.load(specPath).document);
+  });
 
-/**
- * Start server
- */
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`✓ Provider API running on http://localhost:${PORT}`);
-  console.log(`✓ API Documentation: http://localhost:${PORT}/api-docs`);
-  console.log(`✓ Ready to accept requests!`);
-}).on('error', (err) => {
-  console.error('Server error:', err);
-  process.exit(1);
-});
+  /**
+   * Health check endpoint
+   */
+  app.get('/health', (req, res) => {
+    res.json({ status: 'healthy' });
+  });
+
+  return app;
+}
+
+module.exports = { createApp, seedUsers, defaultVersions };
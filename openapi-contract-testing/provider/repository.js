@@ -0,0 +1,28 @@
+const copy = user => ({ ...user });
+
+/**
+ * User Repository
+ * Storage behind GET /users. createApp({ repository }) accepts any object with
+ * these async methods, so a database-backed store can replace this one:
+ *
+ *   findAll({ limit })  -> User[] ({ id, name, email, role }), at most limit
+ *   reset(users)        -> replaces every user (fixtures, provider states)
+ */
+class InMemoryUserRepository {
+  /**
+   * @param {Object[]} [users] - Initial users
+   */
+  constructor(users = []) {
+    this.users = users.map(copy);
+  }
+
+  async findAll({ limit } = {}) {
+    return this.users.slice(0, limit).map(copy);
+  }
+
+  async reset(users = []) {
+    this.users = users.map(copy);
+  }
+}
+
+module.exports = { InMemoryUserRepository };
@@ -0,0 +1,30 @@
+const { createApp } = require('./index');
+
+const PORT = parseInt(process.env.PORT, 10) || 5001;
+const HOST = process.env.HOST || '0.0.0.0';
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+/**
+ * Start server
+ */
+const server = createApp().listen(PORT, HOST, () => {
+  console.log(`✓ Provider API running on http://localhost:${PORT}`);
+  console.log(`✓ API Documentation: http://localhost:${PORT}/api-docs`);
+  console.log(`✓ Ready to accept requests!`);
+}).on('error', (err) => {
+  console.error('Server error:', err);
+  process.exit(1);
+});
+
+/**
+ * Finish in-flight requests before exiting (docker stop, Ctrl+C)
+ */
+const shutdown = (signal) => {
+  console.log(`${signal} received, shutting down`);
+  server.close(() => process.exit(0));
+  server.closeIdleConnections();
+  setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -0,0 +1,67 @@
+const { createApp } = require('../index');
+
+const listen = app => new Promise(resolve => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+const urlOf = server => `http://127.0.0.1:${server.address().port}`;
+const close = server => new Promise(resolve => server.close(resolve));
+
+describe('Users API', () => {
+  describe('without users', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      server = await listen(createApp({ seed: [], logRequests: false }));
+      baseUrl = urlOf(server);
+    });
+
+    afterAll(() => close(server));
+
+    it.each([
+      ['v1', '/users'],
+      ['v2', '/users?apiVersion=2']
+    ])('should answer an empty %s list', async (version, url) => {
+      const response = await fetch(`${baseUrl}${url}`);
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ users: [] });
+    });
+
+    it('should answer an empty list in the v2 media type', async () => {
+      const response = await fetch(`${baseUrl}/users`, { headers: { Accept: 'application/vnd.users.v2+json' } });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toMatch(/^application\/vnd\.users\.v2\+json/);
+      expect(await response.json()).toEqual({ users: [] });
+    });
+  });
+
+  describe('provider states', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      server = await listen(createApp({ providerStates: true, logRequests: false }));
+      baseUrl = urlOf(server);
+    });
+
+    afterAll(() => close(server));
+
+    const setUp = state => fetch(`${baseUrl}/provider-states`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ state })
+    });
+
+    it("should answer an empty list in 'no users' and the seed again in 'users exist'", async () => {
+      expect((await setUp('no users')).ok).toBe(true);
+      const empty = await fetch(`${baseUrl}/users`);
+      expect(empty.status).toBe(200);
+      expect(await empty.json()).toEqual({ users: [] });
+
+      expect((await setUp('users exist')).ok).toBe(true);
+      expect((await (await fetch(`${baseUrl}/users`)).json()).users).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+// Accept: application/vnd.users.v2+json
+const VENDOR_TYPE = /^application\/vnd\.users\.v(\d+)\+json$/;
+
+/**
+ * Parse an Accept header into media ranges, most preferred first
+ * @returns {Object[]} - { type, q }
+ */
+function parseAccept(header) {
+  return (header || '').split(',')
+    .map(part => {
+      const [type, ...params] = part.split(';').map(item => item.trim());
+      const q = params.find(param => /^q=/i.test(param));
+      return { type: type.toLowerCase(), q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(range => range.type && range.q > 0)
+    .sort((a, b) => b.q - a.q);
+}
+
+const acceptsPlainJson = ranges => ranges.some(({ type }) => ['application/json', 'application/*', '*/*'].includes(type));
+
+/**
+ * API Version Registry
+ * The versions of the users API, each with the serializer that shapes a user
+ * and its deprecation schedule. Supporting v3 is one more register() call.
+ *
+ * Clients pick a version, in order of precedence, with:
+ * - the `apiVersion` query parameter (the original mechanism)
+ * - an `API-Version: 2` header
+ * - `Accept: application/vnd.users.v2+json`
+ * and get the default version when they send none of these.
+ *
+ * Usage:
+ *   const versions = new VersionRegistry({ defaultVersion: '1' })
+ *     .register('1', { serializeUser: ({ id, name }) => ({ id, name }), sunset: '2027-06-30' })
+ *     .register('2', { serializeUser: user => user });
+ *   const { version, mediaType } = versions.negotiate(req);
+ */
+class VersionRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.defaultVersion] - Served when a request names no version (default '1')
+   */
+  constructor(options = {}) {
+    this.defaultVersion = options.defaultVersion || '1';
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {string} version - e.g. '2'
+   * @param {Object} definition
+   * @param {Function} definition.serializeUser - Stored user -> user in this version's format
+   * @param {string} [definition.deprecated] - Date (YYYY-MM-DD) the version was deprecated
+   * @param {string} [definition.sunset] - Date (YYYY-MM-DD) the version stops being served
+   * @returns {VersionRegistry}
+   */
+  register(version, definition) {
+    if (typeof definition.serializeUser !== 'function') {
+      throw new Error(`Version ${version} needs a serializeUser function`);
+    }
+    this.entries.set(String(version), { version: String(version), ...definition });
+    return this;
+  }
+
+  /**
+   * @returns {Object|undefined} - The registered definition plus its version
+   */
+  get(version) {
+    return this.entries.get(String(version));
+  }
+
+  /**
+   * @returns {string[]} - Registered versions in registration order
+   */
+  supported() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Work out the version a request asks for
+   * @param {express.Request} req
+   * @returns {Object} - { version, mediaType, supported }, supported being false
+   *   when the requested version isn't registered (answer 406)
+   */
+  negotiate(req) {
+    const explicit = req.query.apiVersion !== undefined ? req.query.apiVersion : req.get('API-Version');
+    if (explicit !== undefined && explicit !== '') {
+      const version = String(explicit).trim();
+      return { version, mediaType: 'application/json', supported: this.entries.has(version) };
+    }
+
+    const ranges = parseAccept(req.get('Accept'));
+    const requested = ranges
+      .map(range => VENDOR_TYPE.exec(range.type))
+      .filter(Boolean)
+      .map(match => match[1]);
+
+    const version = requested.find(candidate => this.entries.has(candidate));
+    if (version) {
+      return { version, mediaType: `application/vnd.users.v${version}+json`, supported: true };
+    }
+    if (requested.length && !acceptsPlainJson(ranges)) {
+      return { version: requested[0], mediaType: null, supported: false };
+    }
+
+    return { version: this.defaultVersion, mediaType: 'application/json', supported: true };
+  }
+
+  /**
+   * Headers describing the served version: API-Version, plus Deprecation
+   * (RFC 9745) and Sunset (RFC 8594) for versions on their way out
+   * @returns {Object}
+   */
+  headersFor(version) {
+    const { deprecated, sunset } = this.get(version) || {};
+    const headers = { 'API-Version': String(version) };
+
+    if (deprecated) {
+      headers.Deprecation = `@${Math.floor(Date.parse(deprecated) / 1000)}`;
+    }
+    if (sunset) {
+      headers.Sunset = new Date(sunset).toUTCString();
+    }
+    return headers;
+  }
+}
+
+module.exports = { VersionRegistry };
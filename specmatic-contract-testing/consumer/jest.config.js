@@ -2,5 +2,8 @@ export default {
   testEnvironment: 'node',
   testMatch: ['**/*.test.js'],
   collectCoverageFrom: ['src/**/*.js'],
-  coveragePathIgnorePatterns: ['/node_modules/']
+  coveragePathIgnorePatterns: ['/node_modules/', '/src/generated/'],
+  // Contract report by operation, written where specmatic.yaml's reports section says
+  reporters: ['default', ['contract-toolkit/jest-reporter', { config: '../specmatic.yaml' }]],
+  setupFilesAfterEnv: ['contract-toolkit/jest-setup']
 };
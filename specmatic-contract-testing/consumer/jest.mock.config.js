@@ -0,0 +1,12 @@
+import config from './jest.config.js';
+
+/**
+ * Runs the consumer contract tests against the stateful mock of
+ * products-api.yaml instead of a live provider: no Docker or JVM required.
+ */
+export default {
+  ...config,
+  globalSetup: './src/mock-provider.setup.js',
+  globalTeardown: './src/mock-provider.teardown.js',
+  setupFilesAfterEnv: [...config.setupFilesAfterEnv, './src/mock-provider.reset.js']
+};
@@ -1,90 +1,337 @@
+import {
+  ProductServiceApiClient,
+  ApiError,
+  UnauthorizedError,
+  AuthError,
+  ServerError,
+  NetworkError,
+  TimeoutError
+} from './generated/products-api.js';
+
+// Every method throws one of these; the categories (ValidationError, AuthError,
+// NotFoundError, ServerError, NetworkError) are the ones to catch
+export {
+  ApiError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  CircuitOpenError,
+  CircuitBreaker,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  PreconditionFailedError,
+  UnprocessableEntityError
+} from './generated/products-api.js';
+
+// Query parameters of the rel="next" entry of an RFC 8288 Link header
+const nextPageParams = header => {
+  const match = /<([^>]*)>\s*;\s*rel="?next"?/.exec(header || '');
+  return match ? Object.fromEntries(new URL(match[1], 'http://link.invalid').searchParams) : null;
+};
+
+// Renew tokens this long before they expire, so in-flight requests don't race the expiry
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
 /**
  * Product API Client
- * Consumes the Product Service API according to the OpenAPI spec
+ * Consumes the Product Service API through the client generated from
+ * products-api.yaml (npm run generate:client). Every failure is an ApiError
+ * carrying status, code, message, method, url and the raw body: a
+ * ValidationError (400, 422), AuthError (401/403), NotFoundError (404),
+ * ServerError (5xx) or NetworkError / TimeoutError when no response came.
+ * Authenticates with OAuth2 client credentials: the access token is fetched
+ * on first use, cached until shortly before it expires, and renewed once
+ * when the API answers 401.
+ *
+ * Updates and deletes are conditional: the client remembers the ETag of each
+ * product it read, created or updated, and sends it as If-Match. When someone
+ * else changed the product in between, the call fails with
+ * PreconditionFailedError (412) and the product is left alone; read it again
+ * and retry.
+ *
+ * Calls can time out, be retried and go through a circuit breaker; the
+ * testing section of specmatic.yaml configures them:
+ *   new ProductApiClient(baseUrl, resilienceOptions(loadSpecmaticConfig('../specmatic.yaml')))
  */
 
 export class ProductApiClient {
-  constructor(baseUrl = 'http://localhost:8080') {
+  /**
+   * @param {string} baseUrl
+   * @param {Object} [options]
+   * @param {Function} [options.fetch] - fetch implementation, e.g. a recording one in tests
+   * @param {Function} [options.tokenFetch] - fetch for token requests, defaults to options.fetch
+   * @param {string} [options.tokenUrl] - Defaults to <baseUrl>/oauth/token
+   * @param {string} [options.clientId]
+   * @param {string} [options.clientSecret]
+   * @param {string} [options.scope] - Space-separated scopes, defaults to the client's
+   * @param {number} [options.timeout] - ms each request, token requests included, may take
+   * @param {Object} [options.retry] - { retries, baseDelay, maxDelay } for GET, PUT and DELETE
+   * @param {Object|CircuitBreaker} [options.circuitBreaker] - A breaker or its { failureThreshold, resetTimeout }
+   * @param {Function} [options.onRetry] - Called with { operation, attempt, delay, error } before each retry
+   */
+  constructor(baseUrl = 'http://localhost:8080', options = {}) {
     this.baseUrl = baseUrl;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.tokenFetch = options.tokenFetch || this.fetch;
+    this.tokenUrl = options.tokenUrl || `${baseUrl}/oauth/token`;
+    this.clientId = options.clientId || 'product-api-client';
+    this.clientSecret = options.clientSecret || 'product-api-secret';
+    this.scope = options.scope;
+    this.timeout = options.timeout;
+    this.token = null;
+    this.pendingToken = null;
+    // Product id -> ETag of the last version this client saw; ids are keyed as
+    // strings, so 1 and '1' (from a route or a URL) find the same ETag
+    this.etags = new Map();
+    this.api = new ProductServiceApiClient(baseUrl, {
+      fetch: this.fetch,
+      headers: async () => ({ Authorization: `Bearer ${await this.getAccessToken()}` }),
+      timeout: options.timeout,
+      retry: options.retry,
+      circuitBreaker: options.circuitBreaker,
+      onRetry: options.onRetry
+    });
+    // null without options.circuitBreaker; subscribe() to watch it open and close
+    this.circuitBreaker = this.api.circuitBreaker;
   }
 
-  async getAllProducts() {
-    const response = await fetch(`${this.baseUrl}/api/products`);
-    if (!response.ok) {
-      throw new Error(`Failed to get products: ${response.statusText}`);
+  /**
+   * A valid access token, from the cache when possible
+   * @returns {Promise<string>}
+   */
+  async getAccessToken() {
+    if (this.token && Date.now() < this.token.expiresAt - EXPIRY_MARGIN_MS) {
+      return this.token.accessToken;
     }
-    return response.json();
-  }
 
-  async getProductById(id) {
-    const response = await fetch(`${this.baseUrl}/api/products/${id}`);
-    if (response.status === 404) {
-      throw new Error(`Product with id ${id} not found`);
+    // Concurrent calls share one token request
+    if (!this.pendingToken) {
+      this.pendingToken = this.requestToken().finally(() => {
+        this.pendingToken = null;
+      });
     }
-    if (!response.ok) {
-      throw new Error(`Failed to get product: ${response.statusText}`);
-    }
-    return response.json();
+    return this.pendingToken;
   }
 
-  async createProduct(product) {
-    const response = await fetch(`${this.baseUrl}/api/products`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(product)
+  /**
+   * Request a new access token (client credentials grant)
+   * @returns {Promise<string>}
+   * @throws {AuthError} - When the token endpoint rejects the client or scope
+   * @throws {ApiError} - When it answers without an access_token and a numeric expires_in
+   * @throws {NetworkError} - When the token endpoint can't be reached
+   * @throws {TimeoutError} - When it doesn't answer within the client's timeout
+   */
+  async requestToken() {
+    const form = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: this.clientId,
+      client_secret: this.clientSecret
     });
+    if (this.scope) {
+      form.set('scope', this.scope);
+    }
 
-    if (response.status === 400) {
-      const error = await response.json();
-      throw new Error(`Invalid product: ${error.message}`);
+    const request = { method: 'POST', url: this.tokenUrl };
+    let response;
+    try {
+      response = await this.tokenFetch(this.tokenUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: form.toString(),
+        signal: this.timeout ? AbortSignal.timeout(this.timeout) : undefined
+      });
+    } catch (err) {
+      const ErrorClass = err.name === 'TimeoutError' ? TimeoutError : NetworkError;
+      throw new ErrorClass(`Failed to obtain access token: ${err.message}`, { ...request, cause: err });
     }
 
     if (!response.ok) {
-      throw new Error(`Failed to create product: ${response.statusText}`);
+      const body = await response.json().catch(() => undefined);
+      const { code, message } = body || {};
+      // Rejected credentials or scopes are auth failures whatever the status (401, 400)
+      const ErrorClass = response.status >= 500 ? ServerError : AuthError;
+      throw new ErrorClass(`Failed to obtain access token: ${message || response.statusText}`, {
+        ...request,
+        status: response.status,
+        code,
+        body
+      });
     }
 
-    return response.json();
+    const body = await response.json().catch(() => undefined);
+    const { access_token: accessToken, expires_in: expiresIn } = body || {};
+    // A token without a usable expiry would be cached and never renewed
+    if (typeof accessToken !== 'string' || !accessToken || typeof expiresIn !== 'number' || !Number.isFinite(expiresIn)) {
+      throw new ApiError('Failed to obtain access token: the response has no access_token and numeric expires_in', {
+        ...request,
+        status: response.status,
+        body
+      });
+    }
+    this.token = { accessToken, expiresAt: Date.now() + expiresIn * 1000 };
+    return accessToken;
   }
 
-  async updateProduct(id, updates) {
-    const response = await fetch(`${this.baseUrl}/api/products/${id}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(updates)
-    });
+  /**
+   * Forget the cached token, e.g. after the API rejected it
+   */
+  clearToken() {
+    this.token = null;
+  }
+
+  /**
+   * Call an operation of the generated client with a bearer token, renewing
+   * the token once if it is rejected
+   *
+   * Usage:
+   *   const { data, headers } = await client.call('getAllProducts', { pageSize: 5 }, { fullResponse: true });
+   *
+   * @param {string} operationId - e.g. 'getProductById'
+   * @param {Object} [params] - Path, query and header parameters plus body, see generated/products-api.d.ts
+   * @param {Object} [options] - { headers, fullResponse, signal, timeout, retries }
+   * @returns {Promise<*>}
+   * @throws {ApiError} - The error class of the status, e.g. NotFoundError, or NetworkError
+   */
+  async call(operationId, params, options) {
+    try {
+      return await this.api[operationId](params, options);
+    } catch (err) {
+      if (!(err instanceof UnauthorizedError)) {
+        throw err;
+      }
+      this.clearToken();
+      return this.api[operationId](params, options);
+    }
+  }
 
-    if (response.status === 404) {
-      throw new Error(`Product with id ${id} not found`);
+  /**
+   * Every product, read page by page
+   * @returns {Promise<Object[]>}
+   */
+  async getAllProducts() {
+    const products = [];
+    for await (const product of this.listProducts()) {
+      products.push(product);
     }
+    return products;
+  }
 
-    if (response.status === 400) {
-      const error = await response.json();
-      throw new Error(`Invalid update: ${error.message}`);
+  /**
+   * Iterate over the products matching a filter, following the Link header
+   * from page to page
+   *
+   * Usage:
+   *   for await (const product of client.listProducts({ filter: { inStock: true, maxPrice: 25 }, sort: '-price' })) { ... }
+   *
+   * @param {Object} [options]
+   * @param {Object} [options.filter] - { inStock, minPrice, maxPrice, q }
+   * @param {string} [options.sort] - e.g. 'price,-name'
+   * @param {number} [options.pageSize] - Products per request (the API defaults to 20)
+   * @returns {AsyncGenerator<Object>}
+   * @throws {BadRequestError} - For filters the API rejects, e.g. minPrice above maxPrice
+   */
+  async *listProducts({ filter = {}, sort, pageSize } = {}) {
+    let params = { ...filter, sort, pageSize };
+    while (params) {
+      const { data, headers } = await this.call('getAllProducts', params, { fullResponse: true });
+      yield* data;
+      params = nextPageParams(headers.link);
     }
+  }
 
-    if (!response.ok) {
-      throw new Error(`Failed to update product: ${response.statusText}`);
+  /**
+   * ETag of the last version of a product this client saw
+   * @param {number|string} id
+   * @returns {string|undefined}
+   */
+  etagOf(id) {
+    return this.etags.get(String(id));
+  }
+
+  /**
+   * Call an operation that answers with a product, remembering its ETag
+   * @returns {Promise<Object>} - The product
+   */
+  async callTracked(operationId, params, options = {}) {
+    const { data, headers } = await this.call(operationId, params, { ...options, fullResponse: true });
+    if (headers.etag) {
+      this.etags.set(String(data.id), headers.etag);
     }
+    return data;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} - When there is no product with this id
+   */
+  async getProductById(id) {
+    return this.callTracked('getProductById', { id });
+  }
 
-    return response.json();
+  /**
+   * @param {Object} product - { name, description, price }
+   * @returns {Promise<Object>} - The created product
+   * @throws {ValidationError} - code INVALID_NAME, INVALID_PRICE or VALIDATION_ERROR
+   */
+  async createProduct(product) {
+    return this.callTracked('createProduct', { body: product });
   }
 
-  async deleteProduct(id) {
-    const response = await fetch(`${this.baseUrl}/api/products/${id}`, {
-      method: 'DELETE'
-    });
+  /**
+   * Replace a product, provided it hasn't changed since this client last saw it
+   * @param {number} id
+   * @param {Object} product - { name, description, price }; a missing description becomes null
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - ETag to send, defaults to etagOf(id); '*' for any version
+   * @returns {Promise<Object>} - The updated product
+   * @throws {PreconditionFailedError} - When the product changed in between; error.headers.etag is its current ETag
+   * @throws {NotFoundError|ValidationError}
+   */
+  async updateProduct(id, product, { ifMatch = this.etagOf(id) } = {}) {
+    return this.callTracked('updateProduct', { id, 'If-Match': ifMatch, body: product });
+  }
 
-    if (response.status === 404) {
-      throw new Error(`Product with id ${id} not found`);
-    }
+  /**
+   * Change some fields of a product, provided it hasn't changed since this
+   * client last saw it. An object is sent as a JSON Merge Patch (null clears
+   * the description), an array as JSON Patch operations.
+   *
+   * Usage:
+   *   await client.patchProduct(1, { price: 24.99 });
+   *   await client.patchProduct(1, [{ op: 'test', path: '/price', value: 19.99 }, { op: 'replace', path: '/price', value: 24.99 }]);
+   *
+   * @param {number} id
+   * @param {Object|Object[]} patch - Fields to change, or { op, path, from, value } operations
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - ETag to send, defaults to etagOf(id); '*' for any version
+   * @returns {Promise<Object>} - The patched product
+   * @throws {UnprocessableEntityError} - code INVALID_PATCH when an operation doesn't apply,
+   *   INVALID_NAME or INVALID_PRICE when the patched product wouldn't be valid
+   * @throws {PreconditionFailedError|NotFoundError|ValidationError}
+   */
+  async patchProduct(id, patch, { ifMatch = this.etagOf(id) } = {}) {
+    const contentType = Array.isArray(patch) ? 'application/json-patch+json' : 'application/merge-patch+json';
+    return this.callTracked('patchProduct', { id, 'If-Match': ifMatch, body: patch }, { contentType });
+  }
 
-    if (!response.ok) {
-      throw new Error(`Failed to delete product: ${response.statusText}`);
-    }
+  /**
+   * Delete a product, provided it hasn't changed since this client last saw it
+   * @param {number} id
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - ETag to send, defaults to etagOf(id); '*' for any version
+   * @throws {PreconditionFailedError} - When the product changed in between
+   * @throws {NotFoundError} - When there is no product with this id
+   */
+  async deleteProduct(id, { ifMatch = this.etagOf(id) } = {}) {
+    await this.call('deleteProduct', { id, 'If-Match': ifMatch });
+    this.etags.delete(String(id));
   }
 }
 
@@ -3,17 +3,57 @@
  * These tests validate that the consumer correctly implements the contract
  */
 
+import { fileURLToPath } from 'url';
 import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
-import { ProductApiClient } from '../src/api-client.js';
+import { PactRecorder, loadSpecmaticConfig, resilienceOptions } from 'contract-toolkit';
+import {
+  ProductApiClient,
+  ApiError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  CircuitOpenError,
+  PreconditionFailedError,
+  UnprocessableEntityError
+} from '../src/api-client.js';
+
+// Timeouts, retries and the circuit breaker as configured for the whole suite
+const resilience = resilienceOptions(loadSpecmaticConfig(fileURLToPath(new URL('../../specmatic.yaml', import.meta.url))));
 
 describe('Product API Consumer Contract Tests', () => {
+  // Every call the client makes is recorded into ../pacts/ProductApiClient-ProductService.json
+  const pact = new PactRecorder({
+    consumer: 'ProductApiClient',
+    provider: 'ProductService',
+    pactDir: fileURLToPath(new URL('../../pacts', import.meta.url))
+  });
   let client;
 
+  // PROVIDER_URL is set when running against the mock server (npm run test:mock)
+  const baseUrl = process.env.PROVIDER_URL || 'http://localhost:8080';
+  const liveOnly = process.env.MOCK_PROVIDER === 'true' ? it.skip : it;
+
   beforeAll(() => {
-    client = new ProductApiClient('http://localhost:8080');
+    client = new ProductApiClient(baseUrl, {
+      ...resilience,
+      fetch: pact.wrapFetch(),
+      // Token requests carry the client secret, keep them out of the pact
+      tokenFetch: (...args) => fetch(...args)
+    });
+  });
+
+  afterAll(() => {
+    pact.write();
   });
 
   describe('GET /api/products', () => {
+    beforeAll(() => {
+      pact.given('products exist');
+    });
+
     it('should return an array of products', async () => {
       const products = await client.getAllProducts();
       expect(Array.isArray(products)).toBe(true);
@@ -52,7 +92,69 @@ describe('Product API Consumer Contract Tests', () => {
     });
   });
 
+  describe('GET /api/products paging and filtering', () => {
+    beforeAll(() => {
+      pact.given('products exist');
+    });
+
+    it('should walk every page', async () => {
+      // How many pages there are depends on what earlier tests created, which
+      // no provider state reproduces, so this walk isn't recorded
+      const unrecorded = new ProductApiClient(baseUrl);
+      const paged = [];
+      for await (const product of unrecorded.listProducts({ pageSize: 1 })) {
+        paged.push(product.id);
+      }
+
+      const all = await unrecorded.getAllProducts();
+      expect(paged).toEqual(all.map(product => product.id));
+    });
+
+    liveOnly('should report the total and link to the next page', async () => {
+      const response = await client.call('getAllProducts', { pageSize: 1 }, { fullResponse: true });
+      const total = Number(response.headers['x-total-count']);
+
+      expect(total).toBeGreaterThan(1);
+      expect(response.headers.link).toContain('</api/products?pageSize=1&page=2>; rel="next"');
+      expect(response.data.length).toBe(1);
+    });
+
+    liveOnly('should filter by stock and price range and sort', async () => {
+      const products = [];
+      for await (const product of client.listProducts({ filter: { inStock: true, minPrice: 20 }, sort: '-price' })) {
+        products.push(product);
+      }
+
+      expect(products.length).toBeGreaterThan(0);
+      products.forEach(product => {
+        expect(product.inStock).toBe(true);
+        expect(product.price).toBeGreaterThanOrEqual(20);
+      });
+      const prices = products.map(product => product.price);
+      expect(prices).toEqual([...prices].sort((a, b) => b - a));
+    });
+
+    liveOnly('should search product names case-insensitively', async () => {
+      const products = [];
+      for await (const product of client.listProducts({ filter: { q: 'WIDG' } })) {
+        products.push(product);
+      }
+
+      expect(products.length).toBeGreaterThan(0);
+      products.forEach(product => expect(product.name.toLowerCase()).toContain('widg'));
+    });
+
+    liveOnly('should reject a price range whose minimum exceeds its maximum', async () => {
+      const pages = client.listProducts({ filter: { minPrice: 50, maxPrice: 10 } });
+      await expect(pages.next()).rejects.toThrow('minPrice must not be greater than maxPrice');
+    });
+  });
+
   describe('GET /api/products/{id}', () => {
+    beforeAll(() => {
+      pact.given('product exists', { id: 1 });
+    });
+
     it('should return a single product when given valid ID', async () => {
       const product = await client.getProductById(1);
       expect(product).toHaveProperty('id', 1);
@@ -69,11 +171,30 @@ describe('Product API Consumer Contract Tests', () => {
     });
 
     it('should throw error when product not found', async () => {
-      await expect(client.getProductById(99999)).rejects.toThrow('not found');
+      pact.given('product does not exist', { id: 99999 });
+      await expect(client.getProductById(99999)).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should throw a NotFoundError carrying the error code', async () => {
+      const error = await client.getProductById(99999).catch(err => err);
+
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error).toMatchObject({
+        status: 404,
+        code: 'NOT_FOUND',
+        method: 'GET',
+        url: `${baseUrl}/api/products/99999`,
+        body: { code: 'NOT_FOUND', message: error.message }
+      });
     });
   });
 
   describe('POST /api/products', () => {
+    beforeAll(() => {
+      pact.given('products exist');
+    });
+
     it('should create a new product with valid data', async () => {
       const newProduct = {
         name: 'Test Product',
@@ -107,7 +228,7 @@ describe('Product API Consumer Contract Tests', () => {
       };
 
       await expect(client.createProduct(invalidProduct))
-        .rejects.toThrow();
+        .rejects.toBeInstanceOf(ValidationError);
     });
 
     it('should reject product with invalid price', async () => {
@@ -116,8 +237,15 @@ describe('Product API Consumer Contract Tests', () => {
         price: -10
       };
 
-      await expect(client.createProduct(invalidProduct))
-        .rejects.toThrow();
+      const error = await client.createProduct(invalidProduct).catch(err => err);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error).toMatchObject({ status: 400, method: 'POST', url: `${baseUrl}/api/products` });
+    });
+
+    // The mock answers every invalid request with VALIDATION_ERROR
+    liveOnly('should keep the provider\'s error code', async () => {
+      await expect(client.createProduct({ name: 'Test', price: -10 }))
+        .rejects.toMatchObject({ code: 'INVALID_PRICE' });
     });
   });
 
@@ -125,11 +253,13 @@ describe('Product API Consumer Contract Tests', () => {
     let testProductId;
 
     beforeAll(async () => {
+      pact.given('products exist');
       const created = await client.createProduct({
         name: 'Product to Update',
         price: 25.00
       });
       testProductId = created.id;
+      pact.given('product exists', { id: testProductId });
     });
 
     it('should update product with valid data', async () => {
@@ -145,7 +275,9 @@ describe('Product API Consumer Contract Tests', () => {
 
     it('should return updated product with all fields', async () => {
       const updates = {
-        description: 'New description'
+        name: 'Updated Product',
+        description: 'New description',
+        price: 35.00
       };
 
       const updated = await client.updateProduct(testProductId, updates);
@@ -153,33 +285,462 @@ describe('Product API Consumer Contract Tests', () => {
       expect(updated).toHaveProperty('name');
       expect(updated).toHaveProperty('price');
       expect(updated).toHaveProperty('inStock');
+      expect(updated.description).toBe('New description');
+    });
+
+    it('should replace the whole product, clearing a description left out', async () => {
+      const updated = await client.updateProduct(testProductId, { name: 'Replaced Product', price: 30.00 });
+      expect(updated.description).toBeNull();
+    });
+
+    it('should reject a replacement without a price', async () => {
+      const error = await client.updateProduct(testProductId, { name: 'Replaced Product' }).catch(err => err);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.status).toBe(400);
     });
 
     it('should throw error when updating non-existent product', async () => {
-      await expect(client.updateProduct(99999, { name: 'Test' }))
-        .rejects.toThrow('not found');
+      pact.given('product does not exist', { id: 99999 });
+      await expect(client.updateProduct(99999, { name: 'Test', price: 10.00 }))
+        .rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('PATCH /api/products/{id}', () => {
+    let testProductId;
+
+    beforeAll(async () => {
+      pact.given('products exist');
+      const created = await client.createProduct({
+        name: 'Product to Patch',
+        price: 25.00
+      });
+      testProductId = created.id;
+      pact.given('product exists', { id: testProductId });
+    });
+
+    it('should change only the fields of a merge patch', async () => {
+      const patched = await client.patchProduct(testProductId, { price: 27.50 });
+      expect(patched.price).toBe(27.50);
+      expect(patched.name).toBe('Product to Patch');
+    });
+
+    it('should clear the description with null in a merge patch', async () => {
+      const described = await client.patchProduct(testProductId, { description: 'Patched description' });
+      expect(described.description).toBe('Patched description');
+
+      const patched = await client.patchProduct(testProductId, { description: null });
+      expect(patched.description).toBeNull();
+    });
+
+    it('should apply JSON Patch operations in order', async () => {
+      const patched = await client.patchProduct(testProductId, [
+        { op: 'replace', path: '/name', value: 'Patched Product' },
+        { op: 'replace', path: '/price', value: 29.00 }
+      ]);
+      expect(patched).toMatchObject({ id: testProductId, name: 'Patched Product', price: 29.00 });
+    });
+
+    it('should reject operations that do not apply', async () => {
+      const error = await client.patchProduct(testProductId, [{ op: 'replace', path: '/color', value: 'red' }]).catch(err => err);
+      expect(error).toBeInstanceOf(UnprocessableEntityError);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.code).toBe('INVALID_PATCH');
+    });
+
+    it('should reject a merge patch with a negative price', async () => {
+      const error = await client.patchProduct(testProductId, { price: -1 }).catch(err => err);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.status).toBe(400);
+    });
+
+    it('should throw error when patching non-existent product', async () => {
+      pact.given('product does not exist', { id: 99999 });
+      await expect(client.patchProduct(99999, { price: 10.00 }))
+        .rejects.toBeInstanceOf(NotFoundError);
     });
   });
 
   describe('DELETE /api/products/{id}', () => {
     it('should delete an existing product', async () => {
       // Create a product first
+      pact.given('products exist');
       const created = await client.createProduct({
         name: 'Product to Delete',
         price: 15.00
       });
 
       // Delete it
+      pact.given('product exists', { id: created.id });
       await client.deleteProduct(created.id);
 
       // Verify it's gone
+      pact.given('product does not exist', { id: created.id });
       await expect(client.getProductById(created.id))
-        .rejects.toThrow('not found');
+        .rejects.toBeInstanceOf(NotFoundError);
     });
 
     it('should throw error when deleting non-existent product', async () => {
+      pact.given('product does not exist', { id: 99999 });
       await expect(client.deleteProduct(99999))
-        .rejects.toThrow('not found');
+        .rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('ETags and If-Match', () => {
+    // Unrecorded clients: 304 and 412 depend on what happened in between, not on a provider state
+    const session = () => new ProductApiClient(baseUrl, resilience);
+
+    liveOnly('should refuse an update based on a stale ETag until the product is read again', async () => {
+      const alice = session();
+      const bob = session();
+      const { id } = await alice.createProduct({ name: 'Shared Product', price: 10.00 });
+      await bob.getProductById(id);
+
+      const updated = await alice.patchProduct(id, { price: 12.00 });
+      const conflict = await bob.patchProduct(id, { price: 9.00 }).catch(err => err);
+      expect(conflict).toBeInstanceOf(PreconditionFailedError);
+      expect(conflict).toMatchObject({ status: 412, code: 'PRECONDITION_FAILED' });
+      expect(conflict.headers.etag).toBe(alice.etagOf(id));
+
+      expect(await bob.getProductById(id)).toEqual(updated);
+      await expect(bob.updateProduct(id, { name: 'Shared Product', price: 9.00 })).resolves.toMatchObject({ price: 9.00 });
+      await expect(alice.deleteProduct(id)).rejects.toBeInstanceOf(PreconditionFailedError);
+      await bob.deleteProduct(id);
+    });
+
+    liveOnly('should answer 304 to If-None-Match while the product is unchanged', async () => {
+      const api = session();
+      const { id } = await api.createProduct({ name: 'Cached Product', price: 10.00 });
+      const etag = api.etagOf(id);
+
+      const notModified = await api.call('getProductById', { id, 'If-None-Match': etag }, { fullResponse: true });
+      expect(notModified.status).toBe(304);
+      expect(notModified.data).toBeUndefined();
+
+      await api.patchProduct(id, { name: 'Renamed Product' });
+      const modified = await api.call('getProductById', { id, 'If-None-Match': etag }, { fullResponse: true });
+      expect(modified.status).toBe(200);
+      expect(modified.data.name).toBe('Renamed Product');
+      expect(modified.headers.etag).toBe(api.etagOf(id));
+      await api.deleteProduct(id);
+    });
+  });
+
+  describe('Authorization', () => {
+    // Plain fetch: unauthenticated calls aren't part of the recorded contract
+    it('should reject requests without an access token', async () => {
+      const response = await fetch(`${baseUrl}/api/products`);
+      expect(response.status).toBe(401);
+      expect(response.headers.get('www-authenticate')).toMatch(/^Bearer/);
+      expect((await response.json()).code).toBe('UNAUTHORIZED');
+    });
+
+    liveOnly('should reject an invalid access token', async () => {
+      const response = await fetch(`${baseUrl}/api/products`, {
+        headers: { Authorization: 'Bearer not-a-valid-token' }
+      });
+      expect(response.status).toBe(401);
+      expect(response.headers.get('www-authenticate')).toContain('invalid_token');
+    });
+
+    liveOnly('should reject writes from a client with only the products:read scope', async () => {
+      const reader = new ProductApiClient(baseUrl, {
+        clientId: 'product-reader',
+        clientSecret: 'product-reader-secret'
+      });
+
+      const products = await reader.getAllProducts();
+      expect(products.length).toBeGreaterThan(0);
+      const error = await reader.createProduct({ name: 'Not allowed', price: 1 }).catch(err => err);
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error).toMatchObject({ status: 403, code: 'INSUFFICIENT_SCOPE' });
+      expect(error.message).toContain('products:write');
+    });
+
+    liveOnly('should reject unknown client credentials', async () => {
+      const stranger = new ProductApiClient(baseUrl, {
+        clientId: 'product-api-client',
+        clientSecret: 'wrong-secret'
+      });
+
+      const error = await stranger.getAllProducts().catch(err => err);
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error).toMatchObject({ status: 401, code: 'INVALID_CLIENT', method: 'POST', url: `${baseUrl}/oauth/token` });
+      expect(error.message).toBe('Failed to obtain access token: Client authentication failed');
+    });
+  });
+});
+
+describe('ProductApiClient token handling', () => {
+  /**
+   * A fetch answering token requests with numbered tokens and API requests
+   * with the given statuses, in order
+   */
+  function fakeFetch(statuses = [], expiresIn = 3600) {
+    const calls = [];
+    const impl = async (url, init = {}) => {
+      calls.push({ url, authorization: init.headers && init.headers.Authorization });
+      if (url.endsWith('/oauth/token')) {
+        const tokens = calls.filter(call => call.url.endsWith('/oauth/token')).length;
+        return Response.json({ access_token: `token-${tokens}`, token_type: 'Bearer', expires_in: expiresIn });
+      }
+      const status = statuses.length ? statuses.shift() : 200;
+      return Response.json(status === 200 ? [] : { code: 'UNAUTHORIZED', message: 'Invalid or expired access token' }, { status });
+    };
+    return { impl, calls };
+  }
+
+  it('should fetch a token once and reuse it', async () => {
+    const fake = fakeFetch();
+    const client = new ProductApiClient('http://api.test', { fetch: fake.impl });
+
+    await Promise.all([client.getAllProducts(), client.getAllProducts()]);
+    await client.getAllProducts();
+
+    expect(fake.calls.filter(call => call.url === 'http://api.test/oauth/token')).toHaveLength(1);
+    expect(fake.calls.filter(call => call.authorization === 'Bearer token-1')).toHaveLength(3);
+  });
+
+  it('should renew a token that is about to expire', async () => {
+    const fake = fakeFetch([], 20);
+    const client = new ProductApiClient('http://api.test', { fetch: fake.impl });
+
+    await client.getAllProducts();
+    await client.getAllProducts();
+
+    expect(fake.calls.map(call => call.authorization).filter(Boolean)).toEqual(['Bearer token-1', 'Bearer token-2']);
+  });
+
+  it('should renew the token and retry once when the API answers 401', async () => {
+    const fake = fakeFetch([401]);
+    const client = new ProductApiClient('http://api.test', { fetch: fake.impl });
+
+    await expect(client.getAllProducts()).resolves.toEqual([]);
+    expect(fake.calls.map(call => call.authorization).filter(Boolean)).toEqual(['Bearer token-1', 'Bearer token-2']);
+  });
+
+  it('should follow Link headers until there is no next page', async () => {
+    const pages = {
+      '/api/products?inStock=true': { items: [{ id: 1 }], link: '</api/products?inStock=true&page=2>; rel="next"' },
+      '/api/products?page=2&inStock=true': { items: [{ id: 2 }], link: '</api/products?inStock=true&page=1>; rel="prev"' }
+    };
+    const requested = [];
+    const client = new ProductApiClient('http://api.test', {
+      fetch: async url => {
+        if (url.endsWith('/oauth/token')) {
+          return Response.json({ access_token: 'token', token_type: 'Bearer', expires_in: 3600 });
+        }
+        const path = url.slice('http://api.test'.length);
+        requested.push(path);
+        return Response.json(pages[path].items, { headers: { Link: pages[path].link } });
+      }
+    });
+
+    const ids = [];
+    for await (const product of client.listProducts({ filter: { inStock: true } })) {
+      ids.push(product.id);
+    }
+
+    expect(ids).toEqual([1, 2]);
+    // The generated client sends query parameters in spec order
+    expect(requested).toEqual(['/api/products?inStock=true', '/api/products?page=2&inStock=true']);
+  });
+
+  it.each([
+    ['a body that is not JSON', () => new Response('<html>Login</html>', { headers: { 'Content-Type': 'text/html' } })],
+    ['no access_token', () => Response.json({ token_type: 'Bearer', expires_in: 3600 })],
+    ['no expires_in', () => Response.json({ access_token: 'token', token_type: 'Bearer' })],
+    ['a string expires_in', () => Response.json({ access_token: 'token', token_type: 'Bearer', expires_in: '3600' })]
+  ])('should refuse a token response with %s and cache nothing', async (problem, answer) => {
+    const client = new ProductApiClient('http://api.test', { fetch: async () => answer() });
+
+    const error = await client.getAllProducts().catch(err => err);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({
+      status: 200,
+      method: 'POST',
+      url: 'http://api.test/oauth/token',
+      message: 'Failed to obtain access token: the response has no access_token and numeric expires_in'
+    });
+    expect(client.token).toBeNull();
+  });
+
+  it('should give up after a second 401', async () => {
+    const fake = fakeFetch([401, 401]);
+    const client = new ProductApiClient('http://api.test', { fetch: fake.impl });
+
+    await expect(client.getAllProducts()).rejects.toBeInstanceOf(AuthError);
+    expect(fake.calls.filter(call => call.authorization)).toHaveLength(2);
+  });
+});
+
+describe('ProductApiClient errors', () => {
+  const token = () => Response.json({ access_token: 'token', token_type: 'Bearer', expires_in: 3600 });
+
+  it('should throw ServerError with the request and raw body for 5xx answers', async () => {
+    const client = new ProductApiClient('http://api.test', {
+      fetch: async url => (url.endsWith('/oauth/token')
+        ? token()
+        : Response.json({ code: 'INTERNAL_ERROR', message: 'Internal server error' }, { status: 500 }))
+    });
+
+    const error = await client.deleteProduct(3).catch(err => err);
+    expect(error).toBeInstanceOf(ServerError);
+    expect(error).toMatchObject({
+      status: 500,
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error',
+      method: 'DELETE',
+      url: 'http://api.test/api/products/3',
+      body: { code: 'INTERNAL_ERROR', message: 'Internal server error' }
+    });
+  });
+
+  it('should throw NetworkError when the API or the token endpoint is unreachable', async () => {
+    const unreachable = async () => {
+      throw new TypeError('fetch failed', { cause: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) });
+    };
+
+    const api = new ProductApiClient('http://api.test', { fetch: unreachable, tokenFetch: token });
+    const apiError = await api.getProductById(1).catch(err => err);
+    expect(apiError).toBeInstanceOf(NetworkError);
+    expect(apiError.message).toBe('GET http://api.test/api/products/1 failed: ECONNREFUSED');
+    expect(apiError.status).toBeUndefined();
+
+    const tokens = new ProductApiClient('http://api.test', { fetch: unreachable });
+    const tokenError = await tokens.getProductById(1).catch(err => err);
+    expect(tokenError).toBeInstanceOf(NetworkError);
+    expect(tokenError).toMatchObject({ method: 'POST', url: 'http://api.test/oauth/token' });
+  });
+});
+
+describe('ProductApiClient conditional writes', () => {
+  const token = () => Response.json({ access_token: 'token', token_type: 'Bearer', expires_in: 3600 });
+
+  it('should send the last ETag it saw as If-Match unless told otherwise', async () => {
+    const sent = [];
+    const client = new ProductApiClient('http://api.test', {
+      fetch: async (url, init) => {
+        if (url.endsWith('/oauth/token')) return token();
+        sent.push(`${init.method} ${init.headers['If-Match']}`);
+        return init.method === 'DELETE'
+          ? new Response(null, { status: 204 })
+          : Response.json({ id: 1, name: 'Widget', price: 19.99, inStock: true }, { headers: { ETag: `"v${sent.length}"` } });
+      }
+    });
+
+    await client.getProductById(1);
+    await client.updateProduct(1, { name: 'Widget', price: 21 });
+    await client.patchProduct(1, { price: 22 }, { ifMatch: '*' });
+    await client.deleteProduct(1);
+
+    expect(sent).toEqual(['GET undefined', 'PUT "v1"', 'PATCH *', 'DELETE "v3"']);
+    expect(client.etagOf(1)).toBeUndefined();
+  });
+
+  it('should find the ETag of a product whatever type its id is passed as', async () => {
+    const sent = [];
+    const client = new ProductApiClient('http://api.test', {
+      fetch: async (url, init) => {
+        if (url.endsWith('/oauth/token')) return token();
+        sent.push(`${init.method} ${init.headers['If-Match']}`);
+        return init.method === 'DELETE'
+          ? new Response(null, { status: 204 })
+          : Response.json({ id: 1, name: 'Widget', price: 19.99, inStock: true }, { headers: { ETag: `"v${sent.length}"` } });
+      }
+    });
+
+    // As taken from a route parameter
+    await client.getProductById('1');
+    expect(client.etagOf(1)).toBe('"v1"');
+    await client.updateProduct('1', { name: 'Widget', price: 21 });
+    await client.deleteProduct('1');
+
+    expect(sent).toEqual(['GET undefined', 'PUT "v1"', 'DELETE "v2"']);
+    expect(client.etagOf('1')).toBeUndefined();
+  });
+});
+
+describe('ProductApiClient resilience', () => {
+  const token = () => Response.json({ access_token: 'token', token_type: 'Bearer', expires_in: 3600 });
+
+  /**
+   * A fetch answering API requests with the given statuses in order, then 200
+   */
+  function flakyApi(statuses, headers = {}) {
+    const requests = [];
+    const impl = async (url, init) => {
+      if (url.endsWith('/oauth/token')) return token();
+      requests.push(init.method);
+      const status = statuses.length ? statuses.shift() : 200;
+      return Response.json(status === 200 ? { id: 1 } : { code: 'UNAVAILABLE', message: 'Try again later' }, { status, headers });
+    };
+    return { impl, requests };
+  }
+
+  it('should read timeout, retries and the circuit breaker from specmatic.yaml', () => {
+    expect(resilience).toEqual({
+      timeout: 10000,
+      retry: { retries: 3 },
+      circuitBreaker: { failureThreshold: 5, resetTimeout: 30000 }
+    });
+  });
+
+  it('should retry reads after 503 as Retry-After asks, but never creates', async () => {
+    const retries = [];
+    const api = flakyApi([503, 503], { 'Retry-After': '0' });
+    const client = new ProductApiClient('http://api.test', {
+      ...resilience,
+      fetch: api.impl,
+      onRetry: ({ operation, attempt, delay }) => retries.push({ operation, attempt, delay })
+    });
+
+    await expect(client.getProductById(1)).resolves.toEqual({ id: 1 });
+    expect(retries).toEqual([
+      { operation: 'getProductById', attempt: 1, delay: 0 },
+      { operation: 'getProductById', attempt: 2, delay: 0 }
+    ]);
+
+    const creates = flakyApi([503], { 'Retry-After': '0' });
+    const writer = new ProductApiClient('http://api.test', { ...resilience, fetch: creates.impl });
+    await expect(writer.createProduct({ name: 'Lamp', price: 20 })).rejects.toBeInstanceOf(ServerError);
+    expect(creates.requests).toEqual(['POST']);
+  });
+
+  it('should time out API and token requests', async () => {
+    const hanging = async (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    });
+
+    const api = new ProductApiClient('http://api.test', { fetch: hanging, tokenFetch: token, timeout: 20 });
+    const error = await api.getProductById(1).catch(err => err);
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.message).toBe('GET http://api.test/api/products/1 failed: Timed out after 20 ms');
+
+    const tokens = new ProductApiClient('http://api.test', { fetch: hanging, timeout: 20 });
+    const tokenError = await tokens.getProductById(1).catch(err => err);
+    expect(tokenError).toBeInstanceOf(TimeoutError);
+    expect(tokenError).toMatchObject({ method: 'POST', url: 'http://api.test/oauth/token' });
+  });
+
+  it('should open the circuit after repeated failures and let subscribers know', async () => {
+    const api = flakyApi([500, 500, 500]);
+    const client = new ProductApiClient('http://api.test', {
+      fetch: api.impl,
+      circuitBreaker: { failureThreshold: 3, resetTimeout: 60000 }
     });
+    const states = [];
+    client.circuitBreaker.subscribe(({ state }) => states.push(state));
+
+    for (let i = 0; i < 3; i++) {
+      await expect(client.deleteProduct(1)).rejects.toBeInstanceOf(ServerError);
+    }
+    const error = await client.getProductById(1).catch(err => err);
+
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(api.requests).toHaveLength(3);
+    expect(states).toEqual(['open']);
   });
 });
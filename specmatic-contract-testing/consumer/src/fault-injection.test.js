@@ -0,0 +1,107 @@
+/**
+ * Fault Injection Tests - Consumer Side
+ * How ProductApiClient, configured from specmatic.yaml, copes with a slow or
+ * failing provider. Runs against its own mock of products-api.yaml, whose
+ * faults are set per test through /__faults.
+ */
+
+import { fileURLToPath } from 'url';
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import { startMockServer, loadSpecmaticConfig, resilienceOptions, SchemaValidator, SpecLoader } from 'contract-toolkit';
+import { ProductApiClient, ApiError, TimeoutError, CircuitOpenError } from '../src/api-client.js';
+
+const specPath = fileURLToPath(new URL('../../specs/products-api.yaml', import.meta.url));
+const resilience = resilienceOptions(loadSpecmaticConfig(fileURLToPath(new URL('../../specmatic.yaml', import.meta.url))));
+
+describe('ProductApiClient under injected faults', () => {
+  let mock;
+  let retries = [];
+
+  const setFaults = rules => fetch(`${mock.url}/__faults`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ rules })
+  });
+
+  // specmatic.yaml's settings with backoff short enough for a test run
+  const client = (options = {}) => new ProductApiClient(mock.url, {
+    ...resilience,
+    retry: { ...resilience.retry, baseDelay: 5 },
+    onRetry: ({ error }) => retries.push(error.status || error.name),
+    ...options
+  });
+
+  beforeAll(async () => {
+    mock = await startMockServer({ spec: specPath, stateful: true });
+  });
+
+  afterEach(async () => {
+    retries = [];
+    await fetch(`${mock.url}/__faults`, { method: 'DELETE' });
+  });
+
+  afterAll(() => mock.close());
+
+  it('should ride out a provider that is briefly unavailable', async () => {
+    await setFaults([{ method: 'GET', path: '/api/products/{id}', error: true, status: 503, retryAfter: 0, times: 2 }]);
+
+    await expect(client().getProductById(1)).resolves.toMatchObject({ id: 1 });
+    expect(retries).toEqual([503, 503]);
+  });
+
+  it('should reconnect after a dropped connection', async () => {
+    await setFaults([{ method: 'GET', path: '/api/products', drop: true, times: 1 }]);
+
+    const products = await client().getAllProducts();
+    expect(products.length).toBeGreaterThan(0);
+    expect(retries).toEqual(['NetworkError']);
+  });
+
+  it('should not repeat a create the provider may have handled', async () => {
+    await setFaults([{ method: 'POST', path: '/api/products', error: true, status: 502 }]);
+
+    const error = await client().createProduct({ name: 'Desk Lamp', price: 35 }).catch(err => err);
+    expect(error.status).toBe(502);
+    expect(retries).toEqual([]);
+  });
+
+  it('should time out a slow provider', async () => {
+    await setFaults([{ path: '/api/products/{id}', latency: 300 }]);
+
+    const error = await client({ timeout: 50, retry: { retries: 1, baseDelay: 5 } }).getProductById(1).catch(err => err);
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.message).toBe(`GET ${mock.url}/api/products/1 failed: Timed out after 50 ms`);
+    expect(retries).toEqual(['TimeoutError']);
+  });
+
+  it('should stop calling a provider that keeps failing', async () => {
+    await setFaults([{ path: '/api/products/{id}', drop: true }]);
+    const api = client({ circuitBreaker: { failureThreshold: 3, resetTimeout: 60000 } });
+    const states = [];
+    api.circuitBreaker.subscribe(({ state }) => states.push(state));
+
+    expect(await api.getProductById(1).catch(err => err)).toBeInstanceOf(CircuitOpenError);
+    expect(await api.getProductById(2).catch(err => err)).toBeInstanceOf(CircuitOpenError);
+    // Three dropped attempts opened the circuit; the retry after them wasn't sent
+    expect(retries).toEqual(['NetworkError', 'NetworkError', 'NetworkError']);
+    expect(states).toEqual(['open']);
+  });
+
+  it('should reject a malformed body instead of returning it', async () => {
+    await setFaults([{ path: '/api/products/{id}', malformed: true }]);
+
+    const error = await client().getProductById(1).catch(err => err);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.message).toBe(`GET ${mock.url}/api/products/1 returned malformed JSON`);
+    expect(retries).toEqual([]);
+  });
+
+  it('should let schema validation catch a response that breaks the contract', async () => {
+    await setFaults([{ path: '/api/products/{id}', violateSchema: true }]);
+
+    const product = await client().getProductById(1);
+    const validation = SchemaValidator.validate(product, SpecLoader.load(specPath).getResponseSchema('getProductById', 200));
+    expect(validation.valid).toBe(false);
+    expect(SchemaValidator.formatErrors(validation.errors)).toContain('/id: expected integer, got string');
+  });
+});
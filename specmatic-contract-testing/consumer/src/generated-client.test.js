@@ -0,0 +1,85 @@
+/**
+ * Generated client checks: the committed client matches products-api.yaml
+ * and serializes requests the way the spec describes them
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { describe, it, expect } from '@jest/globals';
+import { generateClient } from 'contract-toolkit';
+import { ProductServiceApiClient, BadRequestError } from './generated/products-api.js';
+
+const SPEC = fileURLToPath(new URL('../../specs/products-api.yaml', import.meta.url));
+const GENERATED = fileURLToPath(new URL('./generated/products-api', import.meta.url));
+
+/**
+ * A fetch that answers every request with one response and keeps the requests
+ */
+function stubFetch(status, body) {
+  const requests = [];
+  const impl = async (url, init) => {
+    requests.push({ url, ...init });
+    return Response.json(body, { status });
+  };
+  return { impl, requests };
+}
+
+describe('Generated products client', () => {
+  // Same options as npm run generate:client
+  it('should be up to date with products-api.yaml', () => {
+    const { js, dts } = generateClient(SPEC, { format: 'esm', source: '../../../specs/products-api.yaml' });
+
+    expect(fs.readFileSync(`${GENERATED}.js`, 'utf8')).toBe(js);
+    expect(fs.readFileSync(`${GENERATED}.d.ts`, 'utf8')).toBe(dts);
+  });
+
+  it('should fill in path parameters and send JSON bodies', async () => {
+    const stub = stubFetch(200, { id: 7, name: 'Gizmo', description: null, price: 5, inStock: true });
+    const api = new ProductServiceApiClient('http://api.test', { fetch: stub.impl });
+
+    await api.updateProduct({ id: 7, body: { price: 5 } });
+
+    expect(stub.requests).toEqual([{
+      url: 'http://api.test/api/products/7',
+      method: 'PUT',
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+      body: '{"price":5}'
+    }]);
+  });
+
+  it('should form-encode token requests', async () => {
+    const stub = stubFetch(200, { access_token: 'token', token_type: 'Bearer', expires_in: 60 });
+    const api = new ProductServiceApiClient('http://api.test', { fetch: stub.impl });
+
+    const token = await api.issueToken({ body: { grant_type: 'client_credentials', client_id: 'a', client_secret: 'b' } });
+
+    expect(token.access_token).toBe('token');
+    expect(stub.requests[0].headers['Content-Type']).toBe('application/x-www-form-urlencoded');
+    expect(stub.requests[0].body).toBe('grant_type=client_credentials&client_id=a&client_secret=b');
+  });
+
+  it('should skip unset query parameters and refuse calls missing a path parameter', async () => {
+    const stub = stubFetch(200, []);
+    const api = new ProductServiceApiClient('http://api.test', { fetch: stub.impl });
+
+    await api.getAllProducts({ inStock: false, q: undefined, sort: '-price' });
+
+    expect(stub.requests[0].url).toBe('http://api.test/api/products?inStock=false&sort=-price');
+    await expect(api.getProductById({})).rejects.toThrow("getProductById needs the path parameter 'id'");
+  });
+
+  it('should throw the error class of a documented status with its code and message', async () => {
+    const stub = stubFetch(400, { code: 'INVALID_PRICE', message: 'Price must be a positive number' });
+    const api = new ProductServiceApiClient('http://api.test', { fetch: stub.impl });
+
+    const error = await api.createProduct({ body: { name: 'Gizmo', price: -1 } }).catch(err => err);
+
+    expect(error).toBeInstanceOf(BadRequestError);
+    expect(error).toMatchObject({
+      name: 'BadRequestError',
+      status: 400,
+      code: 'INVALID_PRICE',
+      message: 'Price must be a positive number'
+    });
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Generated Contract Tests - Provider Side
+ * One test per documented example plus negative cases derived from the
+ * constraints in products-api.yaml, run against the provider at PROVIDER_URL.
+ * CONTRACT_RECORDINGS adds replays of comma-separated recording files.
+ */
+
+import { fileURLToPath } from 'url';
+import { describeContractTests, clientCredentials } from 'contract-toolkit';
+
+const baseUrl = process.env.PROVIDER_URL || 'http://localhost:8080';
+
+// Tokens with the scopes each case asks for, from the provider's own token endpoint
+const tokens = clientCredentials({
+  tokenUrl: `${baseUrl}/oauth/token`,
+  clientId: 'product-api-client',
+  clientSecret: 'product-api-secret'
+});
+
+describeContractTests({
+  spec: fileURLToPath(new URL('../../specs/products-api.yaml', import.meta.url)),
+  baseUrl,
+  getToken: scopes => tokens.getToken(scopes),
+  recordings: process.env.CONTRACT_RECORDINGS ? process.env.CONTRACT_RECORDINGS.split(',') : []
+});
@@ -0,0 +1,292 @@
+// Generated by contract-client from ../../../specs/products-api.yaml (Product Service API 1.0.0).
+// Do not edit: change the spec and regenerate it instead.
+
+export interface Product {
+  /** Product ID */
+  id: number;
+  /** Product name */
+  name: string;
+  /** Product description */
+  description?: string | null;
+  /** Product price */
+  price: number;
+  /** Whether product is in stock */
+  inStock: boolean;
+}
+
+export interface CreateProductRequest {
+  name: string;
+  description?: string | null;
+  price: number;
+}
+
+/** JSON Merge Patch of a product; fields left out stay as they are */
+export interface ProductMergePatch {
+  name?: string;
+  description?: string | null;
+  price?: number;
+}
+
+/** JSON Patch operations, applied in order */
+export type JsonPatch = Array<JsonPatchOperation>;
+
+export interface JsonPatchOperation {
+  op: 'add' | 'remove' | 'replace' | 'move' | 'copy' | 'test';
+  /** JSON Pointer to a field, e.g. /price */
+  path: string;
+  /** JSON Pointer to the source of move and copy */
+  from?: string;
+  /** Value of add, replace and test */
+  value?: unknown;
+}
+
+export interface ErrorResponse {
+  /** Error code */
+  code: string;
+  /** Error message */
+  message: string;
+}
+
+export interface TokenRequest {
+  grant_type: 'client_credentials';
+  client_id: string;
+  client_secret: string;
+  /** Space-separated scopes; defaults to every scope the client may request */
+  scope?: string;
+}
+
+export interface TokenResponse {
+  access_token: string;
+  token_type: 'Bearer';
+  /** Lifetime of the token in seconds */
+  expires_in: number;
+  /** Space-separated scopes granted */
+  scope?: string;
+}
+
+export interface GetAllProductsParams {
+  /** Page number, starting at 1. Pages past the last one are empty. */
+  page?: number;
+  /** Products per page */
+  pageSize?: number;
+  /** Only products that are (or aren't) in stock */
+  inStock?: boolean;
+  /** Lowest price, inclusive */
+  minPrice?: number;
+  /** Highest price, inclusive; must not be below minPrice */
+  maxPrice?: number;
+  /** Case-insensitive text the product name must contain */
+  q?: string;
+  /** Comma-separated sort fields, `-` for descending, e.g. `price,-name`. */
+  sort?: string;
+}
+
+export interface CreateProductParams {
+  body: CreateProductRequest;
+}
+
+export interface GetProductByIdParams {
+  /** Product ID */
+  id: number;
+  /** ETags the client already has; `*` matches any */
+  'If-None-Match'?: string;
+}
+
+export interface UpdateProductParams {
+  /** Product ID */
+  id: number;
+  /** Only go ahead while the product's ETag is one of these (`*` for any). */
+  'If-Match'?: string;
+  body: CreateProductRequest;
+}
+
+export interface DeleteProductParams {
+  /** Product ID */
+  id: number;
+  /** Only go ahead while the product's ETag is one of these (`*` for any). */
+  'If-Match'?: string;
+}
+
+export interface PatchProductParams {
+  /** Product ID */
+  id: number;
+  /** Only go ahead while the product's ETag is one of these (`*` for any). */
+  'If-Match'?: string;
+  body: ProductMergePatch | JsonPatch;
+}
+
+export interface IssueTokenParams {
+  body: TokenRequest;
+}
+
+export interface ClientOptions {
+  fetch?: typeof fetch;
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  /** ms each attempt may take before it fails with TimeoutError */
+  timeout?: number;
+  /** Retries of idempotent calls after no response, 429, 502, 503 or 504 */
+  retry?: RetryOptions;
+  circuitBreaker?: CircuitBreaker | CircuitBreakerOptions;
+  onRetry?: (event: { operation: string; attempt: number; delay: number; error: ApiError }) => void;
+}
+
+export interface RetryOptions {
+  /** Default 0 */
+  retries?: number;
+  /** First backoff in ms, doubled on every retry and jittered (default 100) */
+  baseDelay?: number;
+  /** Longest backoff in ms; longer Retry-After values aren't waited for (default 5000) */
+  maxDelay?: number;
+}
+
+export interface CircuitBreakerOptions {
+  /** Consecutive failures that open the circuit (default 5) */
+  failureThreshold?: number;
+  /** ms the circuit stays open before a trial call (default 30000) */
+  resetTimeout?: number;
+  now?: () => number;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export declare class CircuitBreaker {
+  constructor(options?: CircuitBreakerOptions);
+  state: CircuitState;
+  /** Consecutive failures so far */
+  failures: number;
+  subscribe(listener: (event: { state: CircuitState; previous: CircuitState; failures: number }) => void): () => void;
+  allow(): boolean;
+  success(): void;
+  failure(): void;
+}
+
+export interface RequestOptions {
+  /** Extra headers for this call, replacing defaults of the same name */
+  headers?: Record<string, string>;
+  /** Resolve to { status, headers, data } instead of the body */
+  fullResponse?: boolean;
+  /** Cancels the request; AbortSignal.timeout(ms) makes it fail with TimeoutError */
+  signal?: AbortSignal;
+  /** Overrides the client's timeout for this call */
+  timeout?: number;
+  /** Overrides retry.retries for this call; non-idempotent methods are never retried */
+  retries?: number;
+  /** Media type to send the body as, for operations that take several */
+  contentType?: string;
+}
+
+export interface FullResponse<T> {
+  status: number;
+  /** Lower-cased header names */
+  headers: Record<string, string>;
+  data: T;
+}
+
+export declare class ApiError extends Error {
+  constructor(message: string, details?: {
+    status?: number; code?: string; method?: string; url?: string;
+    body?: unknown; headers?: Record<string, string>; cause?: unknown;
+  });
+  /** Undefined for NetworkError */
+  status?: number;
+  /** Error code from the response body, e.g. NOT_FOUND */
+  code?: string;
+  method?: string;
+  url?: string;
+  body: unknown;
+  headers: Record<string, string>;
+}
+
+/** 400 or 422: the request's parameters or body were rejected */
+export declare class ValidationError extends ApiError {}
+
+/** 401 or 403: missing or rejected credentials, or not enough permissions */
+export declare class AuthError extends ApiError {}
+
+/** 404 Not Found */
+export declare class NotFoundError extends ApiError {}
+
+/** 5xx: the API failed to handle a valid request */
+export declare class ServerError extends ApiError {}
+
+/** No response at all (connection refused, DNS failure, reset) */
+export declare class NetworkError extends ApiError {}
+
+/** No response in time */
+export declare class TimeoutError extends NetworkError {}
+
+/** Not sent: the circuit breaker is open after repeated failures */
+export declare class CircuitOpenError extends NetworkError {}
+
+/** 400 Bad Request */
+export declare class BadRequestError extends ValidationError {}
+
+/** 401 Unauthorized */
+export declare class UnauthorizedError extends AuthError {}
+
+/** 403 Forbidden */
+export declare class ForbiddenError extends AuthError {}
+
+/** 412 Precondition Failed */
+export declare class PreconditionFailedError extends ApiError {}
+
+/** 415 Unsupported Media Type */
+export declare class UnsupportedMediaTypeError extends ApiError {}
+
+/** 422 Unprocessable Entity */
+export declare class UnprocessableEntityError extends ValidationError {}
+
+export declare class ProductServiceApiClient {
+  constructor(baseUrl?: string, options?: ClientOptions);
+  baseUrl: string;
+  circuitBreaker: CircuitBreaker | null;
+
+  /**
+   * Get all products
+   * GET /api/products
+   */
+  getAllProducts(params?: GetAllProductsParams, options?: RequestOptions & { fullResponse?: false }): Promise<Array<Product>>;
+  getAllProducts(params: GetAllProductsParams | undefined, options: RequestOptions & { fullResponse: true }): Promise<FullResponse<Array<Product>>>;
+
+  /**
+   * Create a new product
+   * POST /api/products
+   */
+  createProduct(params: CreateProductParams, options?: RequestOptions & { fullResponse?: false }): Promise<Product>;
+  createProduct(params: CreateProductParams, options: RequestOptions & { fullResponse: true }): Promise<FullResponse<Product>>;
+
+  /**
+   * Get product by ID
+   * GET /api/products/{id}
+   */
+  getProductById(params: GetProductByIdParams, options?: RequestOptions & { fullResponse?: false }): Promise<Product | void>;
+  getProductById(params: GetProductByIdParams, options: RequestOptions & { fullResponse: true }): Promise<FullResponse<Product | void>>;
+
+  /**
+   * Replace a product
+   * PUT /api/products/{id}
+   */
+  updateProduct(params: UpdateProductParams, options?: RequestOptions & { fullResponse?: false }): Promise<Product>;
+  updateProduct(params: UpdateProductParams, options: RequestOptions & { fullResponse: true }): Promise<FullResponse<Product>>;
+
+  /**
+   * Delete a product
+   * DELETE /api/products/{id}
+   */
+  deleteProduct(params: DeleteProductParams, options?: RequestOptions & { fullResponse?: false }): Promise<void>;
+  deleteProduct(params: DeleteProductParams, options: RequestOptions & { fullResponse: true }): Promise<FullResponse<void>>;
+
+  /**
+   * Change some fields of a product
+   * PATCH /api/products/{id}
+   */
+  patchProduct(params: PatchProductParams, options?: RequestOptions & { fullResponse?: false }): Promise<Product>;
+  patchProduct(params: PatchProductParams, options: RequestOptions & { fullResponse: true }): Promise<FullResponse<Product>>;
+
+  /**
+   * Issue an access token (OAuth 2.0 client credentials)
+   * POST /oauth/token
+   */
+  issueToken(params: IssueTokenParams, options?: RequestOptions & { fullResponse?: false }): Promise<TokenResponse>;
+  issueToken(params: IssueTokenParams, options: RequestOptions & { fullResponse: true }): Promise<FullResponse<TokenResponse>>;
+}
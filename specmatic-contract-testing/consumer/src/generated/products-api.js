@@ -0,0 +1,618 @@
+// Generated by contract-client from ../../../specs/products-api.yaml (Product Service API 1.0.0).
+// Do not edit: change the spec and regenerate it instead.
+
+/**
+ * Error from calling the API. `code` and `message` come from the response body
+ * when it has them, e.g. { "code": "NOT_FOUND", "message": "Product with id 9 not found" };
+ * `method` and `url` name the request that failed.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - { status, code, method, url, body, headers, cause }
+   */
+  constructor(message, { status, code, method, url, body, headers, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.method = method;
+    this.url = url;
+    this.body = body;
+    this.headers = headers || {};
+  }
+}
+
+/** 400 or 422: the request's parameters or body were rejected */
+class ValidationError extends ApiError {}
+
+/** 401 or 403: missing or rejected credentials, or not enough permissions */
+class AuthError extends ApiError {}
+
+/** 404 Not Found */
+class NotFoundError extends ApiError {}
+
+/** 5xx: the API failed to handle a valid request */
+class ServerError extends ApiError {}
+
+/** No response at all (connection refused, DNS failure, reset); status is undefined */
+class NetworkError extends ApiError {}
+
+/** No response in time: the client's timeout or the request's AbortSignal.timeout() fired */
+class TimeoutError extends NetworkError {}
+
+/** Not sent: the client's circuit breaker is open after repeated failures */
+class CircuitOpenError extends NetworkError {}
+
+// Error class for statuses without one of their own
+function categoryOf(status) {
+  if (status === 400 || status === 422) return ValidationError;
+  if (status === 401 || status === 403) return AuthError;
+  if (status === 404) return NotFoundError;
+  if (status >= 500) return ServerError;
+  return ApiError;
+}
+
+const headersOf = response => Object.fromEntries(response.headers.entries());
+
+// Later headers replace earlier ones whatever their case
+function mergeHeaders(target, extra) {
+  Object.entries(extra || {}).forEach(([name, value]) => {
+    Object.keys(target)
+      .filter(key => key.toLowerCase() === name.toLowerCase())
+      .forEach(key => delete target[key]);
+    target[name] = value;
+  });
+  return target;
+}
+
+function parseBody(text, contentType) {
+  if (!text) return undefined;
+  if (!/json/i.test(contentType || '')) return text;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+function encodeBody(body, mediaType) {
+  if (mediaType === 'application/x-www-form-urlencoded') {
+    return new URLSearchParams(body).toString();
+  }
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+// Statuses worth another try: rate limited, or a gateway that couldn't reach the API
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+// Methods that can be sent twice without doing something twice
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Circuit Breaker
+ * Counts consecutive failed calls (no response, timeouts, 5xx and 429). After
+ * `failureThreshold` of them the circuit opens and calls fail at once with
+ * CircuitOpenError. `resetTimeout` ms later one trial call goes through
+ * (half-open): success closes the circuit, failure opens it again.
+ *
+ * Usage:
+ *   const breaker = new CircuitBreaker({ failureThreshold: 5, resetTimeout: 30000 });
+ *   breaker.subscribe(({ state, previous }) => console.log(`circuit ${previous} -> ${state}`));
+ *   const client = new ApiClient(url, { circuitBreaker: breaker });
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit (default 5)
+   * @param {number} [options.resetTimeout] - ms the circuit stays open before a trial call (default 30000)
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout !== undefined ? options.resetTimeout : 30000;
+    this.now = options.now || Date.now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.listeners = [];
+  }
+
+  /**
+   * Be told about every state change
+   * @param {Function} listener - Called with { state, previous, failures }
+   * @returns {Function} - Unsubscribes the listener
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  /**
+   * @returns {boolean} - Whether a call may go out now
+   */
+  allow() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.resetTimeout) {
+      this._transition('half-open');
+    }
+    if (this.state === 'open' || (this.state === 'half-open' && this.trialInFlight)) {
+      return false;
+    }
+    this.trialInFlight = this.state === 'half-open';
+    return true;
+  }
+
+  success() {
+    this.failures = 0;
+    this.trialInFlight = false;
+    if (this.state !== 'closed') this._transition('closed');
+  }
+
+  // A call cancelled by its caller says nothing about the API: let another trial through
+  release() {
+    this.trialInFlight = false;
+  }
+
+  failure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.openedAt = this.now();
+      this._transition('open');
+    }
+  }
+
+  _transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.listeners.forEach(listener => listener({ state, previous, failures: this.failures }));
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    // A signal reused across calls keeps no listener from waits that ran out
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+// Retry-After as ms: delay-seconds or an HTTP date
+function retryAfter(value) {
+  if (!value) return null;
+  const ms = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isNaN(ms) ? null : Math.max(ms, 0);
+}
+
+/**
+ * ms to wait before retrying after an error, null when it isn't worth retrying:
+ * exponential backoff with full jitter, or the server's Retry-After
+ */
+function retryDelay(err, attempt, retry) {
+  const noResponse = err instanceof NetworkError && !(err instanceof CircuitOpenError);
+  if (!noResponse && !RETRYABLE_STATUSES.includes(err.status)) return null;
+
+  const requested = retryAfter(err.headers['retry-after']);
+  if (requested !== null) {
+    // Waiting longer than the client would back off anyway isn't worth it
+    return requested <= retry.maxDelay ? requested : null;
+  }
+  return Math.random() * Math.min(retry.maxDelay, retry.baseDelay * 2 ** attempt);
+}
+
+/**
+ * Send one request and read its response, within the client's timeout and circuit breaker
+ */
+async function attempt(client, request, options) {
+  const { method, url } = request;
+  const breaker = client.circuitBreaker;
+  if (breaker && !breaker.allow()) {
+    throw new CircuitOpenError(`${method} ${url} not sent: the circuit breaker is open`, { method, url });
+  }
+
+  const timeout = options.timeout !== undefined ? options.timeout : client.timeout;
+  let signal = options.signal;
+  let timer = null;
+  if (timeout) {
+    const controller = new AbortController();
+    timer = setTimeout(() => controller.abort(new DOMException(`Timed out after ${timeout} ms`, 'TimeoutError')), timeout);
+    signal = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal;
+  }
+
+  let response;
+  let text;
+  try {
+    response = await client.fetch(url, { method, headers: request.headers, body: request.body, signal });
+    text = await response.text();
+  } catch (err) {
+    // Cancelled by the caller: not an API failure
+    if (err.name === 'AbortError') {
+      if (breaker) breaker.release();
+      throw err;
+    }
+    if (breaker) breaker.failure();
+    const ErrorClass = err.name === 'TimeoutError' ? TimeoutError : NetworkError;
+    const reason = (err.cause && (err.cause.code || err.cause.message)) || err.message;
+    throw new ErrorClass(`${method} ${url} failed: ${reason}`, { method, url, cause: err });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (breaker) {
+    if (response.status >= 500 || response.status === 429) breaker.failure();
+    else breaker.success();
+  }
+
+  const contentType = response.headers.get('content-type');
+  const data = parseBody(text, contentType);
+  // parseBody hands back the text itself only when JSON didn't parse
+  if (response.ok && text && data === text && /json/i.test(contentType || '')) {
+    throw new ApiError(`${method} ${url} returned malformed JSON`, {
+      status: response.status,
+      method,
+      url,
+      body: text,
+      headers: headersOf(response)
+    });
+  }
+
+  // 304 Not Modified resolves without data: the caller's copy is still current
+  if (!response.ok && response.status !== 304) {
+    const ErrorClass = ERRORS[response.status] || categoryOf(response.status);
+    const details = data && typeof data === 'object' ? data : {};
+    throw new ErrorClass(details.message || `${method} ${request.path} failed with status ${response.status}`, {
+      status: response.status,
+      code: details.code,
+      method,
+      url,
+      body: data,
+      headers: headersOf(response)
+    });
+  }
+
+  return options.fullResponse ? { status: response.status, headers: headersOf(response), data } : data;
+}
+
+/**
+ * Send one operation: fill in its path, query and header parameters, encode
+ * the body, then try it as often as the client's retry settings allow
+ */
+async function send(client, operation, params = {}, options = {}) {
+  let path = operation.path;
+  const query = new URLSearchParams();
+  const headers = {};
+
+  operation.params.forEach(param => {
+    const value = params[param.name];
+    if (value === undefined || value === null) {
+      if (param.required) {
+        throw new TypeError(`${operation.id} needs the ${param.in} parameter '${param.name}'`);
+      }
+      return;
+    }
+
+    const values = (Array.isArray(value) ? value : [value]).map(String);
+    if (param.in === 'path') {
+      path = path.replace(`{${param.name}}`, encodeURIComponent(values.join(',')));
+    } else if (param.in === 'query' && param.explode !== false) {
+      values.forEach(item => query.append(param.name, item));
+    } else if (param.in === 'query') {
+      query.append(param.name, values.join(','));
+    } else if (param.in === 'header') {
+      headers[param.name] = values.join(',');
+    }
+  });
+
+  if (operation.accept) headers.Accept = operation.accept;
+  mergeHeaders(headers, typeof client.headers === 'function' ? await client.headers() : client.headers);
+  mergeHeaders(headers, options.headers);
+
+  let body;
+  if (params.body !== undefined) {
+    const mediaType = options.contentType || operation.requestType;
+    if (!(operation.requestTypes || [operation.requestType]).includes(mediaType)) {
+      throw new TypeError(`${operation.id} doesn't take ${mediaType} bodies`);
+    }
+    headers['Content-Type'] = mediaType;
+    body = encodeBody(params.body, mediaType);
+  } else if (operation.bodyRequired) {
+    throw new TypeError(`${operation.id} needs a body`);
+  }
+
+  const search = query.toString();
+  const request = { method: operation.method, path, url: `${client.baseUrl}${path}${search ? `?${search}` : ''}`, headers, body };
+  const retries = IDEMPOTENT_METHODS.includes(operation.method)
+    ? (options.retries !== undefined ? options.retries : client.retry.retries)
+    : 0;
+
+  for (let tries = 0; ; tries++) {
+    try {
+      return await attempt(client, request, options);
+    } catch (err) {
+      const delay = tries < retries && err instanceof ApiError ? retryDelay(err, tries, client.retry) : null;
+      if (delay === null) throw err;
+      if (client.onRetry) client.onRetry({ operation: operation.id, attempt: tries + 1, delay, error: err });
+      await sleep(delay, options.signal);
+    }
+  }
+}
+
+/** 400 Bad Request */
+class BadRequestError extends ValidationError {}
+
+/** 401 Unauthorized */
+class UnauthorizedError extends AuthError {}
+
+/** 403 Forbidden */
+class ForbiddenError extends AuthError {}
+
+/** 412 Precondition Failed */
+class PreconditionFailedError extends ApiError {}
+
+/** 415 Unsupported Media Type */
+class UnsupportedMediaTypeError extends ApiError {}
+
+/** 422 Unprocessable Entity */
+class UnprocessableEntityError extends ValidationError {}
+
+const ERRORS = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  412: PreconditionFailedError,
+  415: UnsupportedMediaTypeError,
+  422: UnprocessableEntityError
+};
+
+const OPERATIONS = {
+  getAllProducts: {
+    id: 'getAllProducts',
+    method: 'GET',
+    path: '/api/products',
+    params: [
+      { name: 'page', in: 'query' },
+      { name: 'pageSize', in: 'query' },
+      { name: 'inStock', in: 'query' },
+      { name: 'minPrice', in: 'query' },
+      { name: 'maxPrice', in: 'query' },
+      { name: 'q', in: 'query' },
+      { name: 'sort', in: 'query' }
+    ],
+    accept: 'application/json'
+  },
+  createProduct: {
+    id: 'createProduct',
+    method: 'POST',
+    path: '/api/products',
+    params: [],
+    accept: 'application/json',
+    requestType: 'application/json',
+    bodyRequired: true
+  },
+  getProductById: {
+    id: 'getProductById',
+    method: 'GET',
+    path: '/api/products/{id}',
+    params: [
+      { name: 'id', in: 'path', required: true },
+      { name: 'If-None-Match', in: 'header' }
+    ],
+    accept: 'application/json'
+  },
+  updateProduct: {
+    id: 'updateProduct',
+    method: 'PUT',
+    path: '/api/products/{id}',
+    params: [
+      { name: 'id', in: 'path', required: true },
+      { name: 'If-Match', in: 'header' }
+    ],
+    accept: 'application/json',
+    requestType: 'application/json',
+    bodyRequired: true
+  },
+  deleteProduct: {
+    id: 'deleteProduct',
+    method: 'DELETE',
+    path: '/api/products/{id}',
+    params: [
+      { name: 'id', in: 'path', required: true },
+      { name: 'If-Match', in: 'header' }
+    ]
+  },
+  patchProduct: {
+    id: 'patchProduct',
+    method: 'PATCH',
+    path: '/api/products/{id}',
+    params: [
+      { name: 'id', in: 'path', required: true },
+      { name: 'If-Match', in: 'header' }
+    ],
+    accept: 'application/json',
+    requestType: 'application/merge-patch+json',
+    requestTypes: ['application/merge-patch+json', 'application/json-patch+json'],
+    bodyRequired: true
+  },
+  issueToken: {
+    id: 'issueToken',
+    method: 'POST',
+    path: '/oauth/token',
+    params: [],
+    accept: 'application/json',
+    requestType: 'application/x-www-form-urlencoded',
+    bodyRequired: true
+  }
+};
+
+/**
+ * Product Service API client
+ * Product management API for contract testing with Specmatic
+ *
+ * Usage:
+ *   const client = new ProductServiceApiClient('http://localhost:8080');
+ *   const result = await client.getAllProducts({ ... });
+ */
+class ProductServiceApiClient {
+  /**
+   * @param {string} [baseUrl] - Defaults to http://localhost:8080
+   * @param {Object} [options]
+   * @param {Function} [options.fetch] - fetch implementation, e.g. a recording one in tests
+   * @param {Object|Function} [options.headers] - Headers for every request, or a (possibly async) function returning them
+   * @param {number} [options.timeout] - ms each attempt may take before it fails with TimeoutError (default none)
+   * @param {Object} [options.retry] - { retries (default 0), baseDelay (100 ms), maxDelay (5000 ms) } for idempotent calls
+   * @param {Object|CircuitBreaker} [options.circuitBreaker] - A breaker, possibly shared, or its options
+   * @param {Function} [options.onRetry] - Called with { operation, attempt, delay, error } before each retry
+   */
+  constructor(baseUrl = 'http://localhost:8080', options = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.fetch = options.fetch || ((url, init) => fetch(url, init));
+    this.headers = options.headers || {};
+    this.timeout = options.timeout;
+    this.retry = { retries: 0, baseDelay: 100, maxDelay: 5000, ...options.retry };
+    this.circuitBreaker = options.circuitBreaker && typeof options.circuitBreaker.allow !== 'function'
+      ? new CircuitBreaker(options.circuitBreaker)
+      : options.circuitBreaker || null;
+    this.onRetry = options.onRetry;
+  }
+
+  /**
+   * Get all products
+   * GET /api/products
+   * @param {GetAllProductsParams} [params] - { page, pageSize, inStock, minPrice, maxPrice, q, sort }
+   * @param {RequestOptions} [options] - { headers, fullResponse, signal, timeout, retries }
+   * @returns {Promise<Array<Product>>}
+   * @throws {BadRequestError} 400 - Invalid query parameters
+   * @throws {UnauthorizedError} 401 - Missing, invalid or expired access token
+   * @throws {ForbiddenError} 403 - The access token lacks the scope this operation requires
+   */
+  getAllProducts(params, options) {
+    return send(this, OPERATIONS.getAllProducts, params, options);
+  }
+
+  /**
+   * Create a new product
+   * POST /api/products
+   * @param {CreateProductParams} params - { body }
+   * @param {RequestOptions} [options] - { headers, fullResponse, signal, timeout, retries }
+   * @returns {Promise<Product>}
+   * @throws {BadRequestError} 400 - Invalid request body
+   * @throws {UnauthorizedError} 401 - Missing, invalid or expired access token
+   * @throws {ForbiddenError} 403 - The access token lacks the scope this operation requires
+   */
+  createProduct(params, options) {
+    return send(this, OPERATIONS.createProduct, params, options);
+  }
+
+  /**
+   * Get product by ID
+   * GET /api/products/{id}
+   * @param {GetProductByIdParams} params - { id, If-None-Match }
+   * @param {RequestOptions} [options] - { headers, fullResponse, signal, timeout, retries }
+   * @returns {Promise<Product | void>}
+   * @throws {BadRequestError} 400 - Invalid product ID
+   * @throws {UnauthorizedError} 401 - Missing, invalid or expired access token
+   * @throws {ForbiddenError} 403 - The access token lacks the scope this operation requires
+   * @throws {NotFoundError} 404 - Product not found
+   */
+  getProductById(params, options) {
+    return send(this, OPERATIONS.getProductById, params, options);
+  }
+
+  /**
+   * Replace a product
+   * PUT /api/products/{id}
+   * @param {UpdateProductParams} params - { id, If-Match, body }
+   * @param {RequestOptions} [options] - { headers, fullResponse, signal, timeout, retries }
+   * @returns {Promise<Product>}
+   * @throws {BadRequestError} 400 - Invalid product ID or request body: a missing, blank or too long
+   * @throws {UnauthorizedError} 401 - Missing, invalid or expired access token
+   * @throws {ForbiddenError} 403 - The access token lacks the scope this operation requires
+   * @throws {NotFoundError} 404 - Product not found
+   * @throws {PreconditionFailedError} 412 - The product changed since the ETag in If-Match; read it again and retry
+   */
+  updateProduct(params, options) {
+    return send(this, OPERATIONS.updateProduct, params, options);
+  }
+
+  /**
+   * Delete a product
+   * DELETE /api/products/{id}
+   * @param {DeleteProductParams} params - { id, If-Match }
+   * @param {RequestOptions} [options] - { headers, fullResponse, signal, timeout, retries }
+   * @returns {Promise<void>}
+   * @throws {BadRequestError} 400 - Invalid product ID
+   * @throws {UnauthorizedError} 401 - Missing, invalid or expired access token
+   * @throws {ForbiddenError} 403 - The access token lacks the scope this operation requires
+   * @throws {NotFoundError} 404 - Product not found
+   * @throws {PreconditionFailedError} 412 - The product changed since the ETag in If-Match; read it again and retry
+   */
+  deleteProduct(params, options) {
+    return send(this, OPERATIONS.deleteProduct, params, options);
+  }
+
+  /**
+   * Change some fields of a product
+   * PATCH /api/products/{id}
+   * @param {PatchProductParams} params - { id, If-Match, body }
+   * @param {RequestOptions} [options] - { headers, fullResponse, signal, timeout, retries, contentType }
+   * @returns {Promise<Product>}
+   * @throws {BadRequestError} 400 - Invalid product ID or patch document: a malformed JSON Patch
+   * @throws {UnauthorizedError} 401 - Missing, invalid or expired access token
+   * @throws {ForbiddenError} 403 - The access token lacks the scope this operation requires
+   * @throws {NotFoundError} 404 - Product not found
+   * @throws {PreconditionFailedError} 412 - The product changed since the ETag in If-Match; read it again and retry
+   * @throws {UnsupportedMediaTypeError} 415 - Content-Type is neither of the patch formats
+   * @throws {UnprocessableEntityError} 422 - The patch doesn't apply to the product (INVALID_PATCH: a path that
+   */
+  patchProduct(params, options) {
+    return send(this, OPERATIONS.patchProduct, params, options);
+  }
+
+  /**
+   * Issue an access token (OAuth 2.0 client credentials)
+   * POST /oauth/token
+   * @param {IssueTokenParams} params - { body }
+   * @param {RequestOptions} [options] - { headers, fullResponse, signal, timeout, retries }
+   * @returns {Promise<TokenResponse>}
+   * @throws {BadRequestError} 400 - Missing parameters, unsupported grant type or a scope the client may not request
+   * @throws {UnauthorizedError} 401 - Unknown client or wrong client secret
+   */
+  issueToken(params, options) {
+    return send(this, OPERATIONS.issueToken, params, options);
+  }
+}
+
+export {
+  ProductServiceApiClient,
+  CircuitBreaker,
+  ApiError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  CircuitOpenError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  UnprocessableEntityError
+};
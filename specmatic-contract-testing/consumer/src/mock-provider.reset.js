@@ -0,0 +1,4 @@
+// Every test file starts from the seed data of the getAllProducts example
+beforeAll(async () => {
+  await fetch(`${process.env.PROVIDER_URL}/__mock/reset`, { method: 'POST' });
+});
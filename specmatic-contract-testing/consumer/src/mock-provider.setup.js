@@ -0,0 +1,15 @@
+import { fileURLToPath } from 'url';
+import { startMockServer } from 'contract-toolkit';
+
+export default async () => {
+  const mock = await startMockServer({
+    spec: fileURLToPath(new URL('../../specs/products-api.yaml', import.meta.url)),
+    stateful: true
+  });
+
+  // Workers inherit the environment, so the tests pick up the mock's URL
+  process.env.PROVIDER_URL = mock.url;
+  // The mock doesn't check token signatures or issue per-client scopes
+  process.env.MOCK_PROVIDER = 'true';
+  globalThis.__MOCK_PROVIDER__ = mock;
+};
@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+
+const ISSUER = 'product-service';
+const AUDIENCE = 'products-api';
+
+// Development defaults; set JWT_SECRET and pass real clients outside demos
+export const DEFAULT_SECRET = 'product-service-dev-secret-change-me';
+
+export const defaultClients = () => ({
+  'product-api-client': { secret: 'product-api-secret', scopes: ['products:read', 'products:write'] },
+  'product-reader': { secret: 'product-reader-secret', scopes: ['products:read'] }
+});
+
+const base64url = value => Buffer.from(value).toString('base64url');
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Sign a JWT with HS256
+ * @param {Object} claims
+ * @param {string} secret
+ * @returns {string}
+ */
+export function signToken(claims, secret) {
+  const unsigned = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(claims))}`;
+  return `${unsigned}.${sign(unsigned, secret)}`;
+}
+
+/**
+ * Check the signature, issuer, audience and expiry of a JWT
+ * @param {string} token
+ * @param {string} secret
+ * @returns {Object|null} - Claims, null when the token isn't valid
+ */
+export function verifyToken(token, secret) {
+  const [header, payload, signature] = String(token).split('.');
+  if (!header || !payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const now = Math.floor(Date.now() / 1000);
+    return claims.iss === ISSUER && claims.aud === AUDIENCE && claims.exp > now ? claims : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * POST /oauth/token - client credentials grant. The validator has already
+ * checked grant_type and the required fields against the spec.
+ *
+ * @param {Object} options
+ * @param {Object} options.clients - Client id -> { secret, scopes }
+ * @param {string} options.secret - JWT signing secret
+ * @param {number} options.tokenTtl - Token lifetime in seconds
+ */
+export function tokenEndpoint({ clients, secret, tokenTtl }) {
+  return (req, res) => {
+    const { client_id: clientId, client_secret: clientSecret, scope } = req.body;
+    const client = clients[clientId];
+
+    if (!client || client.secret !== clientSecret) {
+      return res.status(401).json({ code: 'INVALID_CLIENT', message: 'Client authentication failed' });
+    }
+
+    const requested = scope ? scope.split(' ').filter(Boolean) : client.scopes;
+    const denied = requested.filter(item => !client.scopes.includes(item));
+    if (denied.length) {
+      return res.status(400).json({
+        code: 'INVALID_SCOPE',
+        message: `Client ${clientId} may not request scope ${denied.join(' ')}`
+      });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = signToken({
+      iss: ISSUER,
+      sub: clientId,
+      aud: AUDIENCE,
+      scope: requested.join(' '),
+      iat: now,
+      exp: now + tokenTtl,
+      jti: crypto.randomUUID()
+    }, secret);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: tokenTtl, scope: requested.join(' ') });
+  };
+}
+
+/**
+ * Require a valid bearer token carrying the scope mapped to the request method:
+ * 401 without a valid token, 403 when its scopes don't include the required one.
+ * HEAD requests need GET's scope.
+ *
+ * Usage:
+ *   app.use('/api/products', requireScopes({ GET: 'products:read', POST: 'products:write' }, secret));
+ *
+ * @param {Object} scopesByMethod - HTTP method -> scope
+ * @param {string} secret - JWT signing secret
+ */
+export function requireScopes(scopesByMethod, secret) {
+  return (req, res, next) => {
+    // Express answers HEAD with the GET route, so it needs what GET needs
+    const required = scopesByMethod[req.method] || (req.method === 'HEAD' ? scopesByMethod.GET : undefined);
+    if (!required) {
+      return next();
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    const claims = match && verifyToken(match[1], secret);
+    if (!claims) {
+      res.set('WWW-Authenticate', match ? 'Bearer error="invalid_token"' : 'Bearer');
+      return res.status(401).json({
+        code: 'UNAUTHORIZED',
+        message: match ? 'Invalid or expired access token' : 'Missing bearer token'
+      });
+    }
+
+    if (!String(claims.scope || '').split(' ').includes(required)) {
+      res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${required}"`);
+      return res.status(403).json({
+        code: 'INSUFFICIENT_SCOPE',
+        message: `This operation requires the ${required} scope`
+      });
+    }
+
+    req.auth = claims;
+    next();
+  };
+}
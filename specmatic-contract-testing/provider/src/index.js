@@ -1,15 +1,26 @@
+import { createHash } from 'crypto';
 import express from 'express';
 import cors from 'cors';
+import { fileURLToPath } from 'url';
+import {
+  SpecLoader,
+  SchemaValidator,
+  openApiValidator,
+  providerStateMiddleware,
+  faultInjection,
+  loadFaultRules,
+  ContractCoverage,
+  SpecInference,
+  applyJsonPatch,
+  applyMergePatch
+} from 'contract-toolkit';
+import { createRepository } from './repository.js';
+import { DEFAULT_SECRET, defaultClients, tokenEndpoint, requireScopes } from './auth.js';
 
-const app = express();
-const PORT = 8080;
+const DEFAULT_SPEC_PATH = fileURLToPath(new URL('../../specs/products-api.yaml', import.meta.url));
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// In-memory database
-let products = [
+// Products served when no seed is given
+export const seedProducts = () => [
   {
     id: 1,
     name: 'Widget',
@@ -26,139 +37,371 @@ let products = [
   }
 ];
 
-let nextId = 3;
+// Express 4 doesn't pass rejected promises on to the error handler
+const route = handler => (req, res, next) => Promise.resolve(handler(req, res)).catch(next);
 
-// Middleware to validate request body
-const validateCreateRequest = (req, res, next) => {
-  const { name, price } = req.body;
-  
-  if (!name || typeof name !== 'string' || name.trim().length === 0) {
-    return res.status(400).json({
+// Schema checks are done by the validator; this covers what the spec can't express
+const rejectBlankName = (name, res) => {
+  if (name !== undefined && name.trim().length === 0) {
+    res.status(400).json({
       code: 'INVALID_NAME',
-      message: 'Product name is required and must be a non-empty string'
+      message: 'Product name must be a non-empty string'
     });
+    return true;
   }
+  return false;
+};
 
-  if (price === undefined || typeof price !== 'number' || price < 0) {
-    return res.status(400).json({
-      code: 'INVALID_PRICE',
-      message: 'Product price is required and must be a positive number'
-    });
-  }
+// sort=price,-name -> [{ field: 'price', descending: false }, { field: 'name', descending: true }]
+const parseSort = (sort = 'id') => sort.split(',').map(item => ({
+  field: item.replace(/^-/, ''),
+  descending: item.startsWith('-')
+}));
 
-  next();
+// RFC 8288 Link header to the neighbouring pages, keeping the other query parameters
+const pageLinks = (req, page, lastPage) => {
+  const link = (target, rel) => {
+    const query = new URLSearchParams(req.query);
+    query.set('page', target);
+    return `<${req.baseUrl}${req.path}?${query}>; rel="${rel}"`;
+  };
+
+  return [
+    link(1, 'first'),
+    page > 1 && link(Math.min(page - 1, lastPage), 'prev'),
+    page < lastPage && link(page + 1, 'next'),
+    link(lastPage, 'last')
+  ].filter(Boolean).join(', ');
 };
 
-// GET /api/products - Get all products
-app.get('/api/products', (req, res) => {
-  res.json(products);
-});
+// Strong ETag of a product's current state: changes whenever any field does
+export const etagOf = product => {
+  const json = JSON.stringify(product, Object.keys(product).sort());
+  return `"${createHash('sha256').update(json).digest('hex').slice(0, 20)}"`;
+};
+
+// If-Match / If-None-Match: '*' or a list of ETags. If-None-Match compares
+// weakly (W/"x" matches "x"), If-Match strongly (RFC 9110 section 13.1)
+const matchesETag = (header, etag, weak = false) => {
+  if (header.trim() === '*') {
+    return true;
+  }
+  return header.split(',')
+    .map(tag => (weak ? tag.trim().replace(/^W\//, '') : tag.trim()))
+    .includes(etag);
+};
 
-// POST /api/products - Create new product
-app.post('/api/products', validateCreateRequest, (req, res) => {
-  const { name, description, price } = req.body;
+// Error codes of a patched product that isn't valid, by the field at fault
+const PATCH_ERROR_CODES = {
+  '/name': 'INVALID_NAME',
+  '/price': 'INVALID_PRICE'
+};
 
-  const newProduct = {
-    id: nextId++,
-    name: name.trim(),
-    description: description || null,
-    price: parseFloat(price),
-    inStock: true
-  };
+// What PUT and PATCH change: id and inStock belong to the provider
+const editableFields = ({ name, description, price }) => ({ name, description, price });
 
-  products.push(newProduct);
-  res.status(201).json(newProduct);
+const notFound = (res, productId) => res.status(404).json({
+  code: 'NOT_FOUND',
+  message: `Product with id ${productId} not found`
 });
 
-// GET /api/products/:id - Get product by ID
-app.get('/api/products/:id', (req, res) => {
-  const productId = parseInt(req.params.id, 10);
-  const product = products.find(p => p.id === productId);
+/**
+ * Build the Products API without binding a port (see server.js to run it)
+ *
+ * Usage:
+ *   const app = createApp({ seed: [{ id: 7, name: 'Gizmo', description: null, price: 5, inStock: true }] });
+ *   const server = app.listen(0);
+ *
+ * @param {Object} [options]
+ * @param {Object[]} [options.seed] - Initial products, defaults to seedProducts()
+ * @param {Object} [options.repository] - Product storage, see repository.js (seed is ignored when given);
+ *   defaults to the one PRODUCTS_STORE selects
+ * @param {string} [options.specPath] - Spec enforced on requests and responses
+ * @param {boolean} [options.providerStates] - Mount POST /provider-states for pact verification
+ * @param {boolean|Object[]} [options.faults] - Mount /__faults for consumer resilience tests, optionally with rules
+ * @param {boolean} [options.coverage] - Record which operations and responses are exercised, reported at /__coverage
+ * @param {boolean} [options.inference] - Draft an OpenAPI document from the traffic, served at /__inference
+ * @param {Object} [options.auth] - OAuth2 settings, see auth.js
+ * @param {string} [options.auth.secret] - JWT signing secret, defaults to JWT_SECRET
+ * @param {Object} [options.auth.clients] - Client id -> { secret, scopes }, defaults to defaultClients()
+ * @param {number} [options.auth.tokenTtl] - Token lifetime in seconds (default 3600)
+ * @returns {express.Application} - app.locals.repository holds the repository in use
+ */
+export function createApp(options = {}) {
+  const seed = options.seed || seedProducts();
+  const repository = options.repository || createRepository(seed);
+  const providerStates = options.providerStates !== undefined
+    ? options.providerStates
+    : process.env.PACT_PROVIDER_STATES === 'true';
+  const faults = options.faults !== undefined ? options.faults : process.env.FAULT_INJECTION === 'true';
+  const coverage = options.coverage !== undefined ? options.coverage : process.env.CONTRACT_COVERAGE === 'true';
+  const inference = options.inference !== undefined ? options.inference : process.env.CONTRACT_INFERENCE === 'true';
+  const spec = SpecLoader.load(options.specPath || process.env.SPEC_PATH || DEFAULT_SPEC_PATH);
+  // A patched product must be as valid as a PUT body, with nothing else in it
+  const productSchema = { ...spec.getRequestSchema('updateProduct'), additionalProperties: false };
+  const auth = {
+    secret: process.env.JWT_SECRET || DEFAULT_SECRET,
+    clients: defaultClients(),
+    tokenTtl: 3600,
+    ...options.auth
+  };
 
-  if (!product) {
-    return res.status(404).json({
-      code: 'NOT_FOUND',
-      message: `Product with id ${productId} not found`
-    });
+  const app = express();
+  app.locals.repository = repository;
+  // ETags are the products' own (etagOf), not hashes of whatever body goes out
+  app.set('etag', false);
+
+  // Contract coverage of a test run, test mode only. First, so that it sees
+  // every answer: injected faults, 401s and validation errors included
+  if (coverage) {
+    app.use(new ContractCoverage({ spec }).middleware());
   }
 
-  res.json(product);
-});
+  // The OpenAPI document the traffic implies, /health included, test mode only.
+  // First as well, so that it sees the bodies that actually go out
+  if (inference) {
+    app.use(new SpecInference({ spec }).middleware());
+  }
 
-// PUT /api/products/:id - Update product
-app.put('/api/products/:id', (req, res) => {
-  const productId = parseInt(req.params.id, 10);
-  const product = products.find(p => p.id === productId);
+  // Middleware
+  // Let browser clients read the pagination headers and ETags
+  app.use(cors({ exposedHeaders: ['Link', 'X-Total-Count', 'ETag'] }));
 
-  if (!product) {
-    return res.status(404).json({
-      code: 'NOT_FOUND',
-      message: `Product with id ${productId} not found`
-    });
+  // Fault injection for consumer resilience tests, test mode only. Before the
+  // spec validator, so that it checks the real responses and not the broken ones
+  if (faults) {
+    app.use(faultInjection({
+      rules: Array.isArray(faults) ? faults : process.env.FAULTS_FILE && loadFaultRules(process.env.FAULTS_FILE),
+      logger: console
+    }));
   }
 
-  // Update fields if provided
-  if (req.body.name !== undefined) {
-    if (typeof req.body.name !== 'string' || req.body.name.trim().length === 0) {
-      return res.status(400).json({
-        code: 'INVALID_NAME',
-        message: 'Product name must be a non-empty string'
-      });
+  // JSON bodies, JSON Merge Patch and JSON Patch included
+  app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+  app.use(express.urlencoded({ extended: false }));
+
+  // Product routes need a bearer token from /oauth/token; checked before the request itself
+  app.use('/api/products', requireScopes({
+    GET: 'products:read',
+    POST: 'products:write',
+    PUT: 'products:write',
+    PATCH: 'products:write',
+    DELETE: 'products:write'
+  }, auth.secret));
+
+  // Enforce products-api.yaml on every request and on our own responses
+  app.use(openApiValidator({
+    spec,
+    responseValidation: process.env.OPENAPI_RESPONSE_VALIDATION || 'strict',
+    errorCodes: {
+      '/body/name': 'INVALID_NAME',
+      '/body/price': 'INVALID_PRICE'
     }
-    product.name = req.body.name.trim();
-  }
+  }));
 
-  if (req.body.description !== undefined) {
-    product.description = req.body.description;
+  // Provider states for pact verification (npm run verify:pacts), test mode only
+  if (providerStates) {
+    app.use(providerStateMiddleware({
+      'products exist': () => repository.reset(seed),
+      'no products exist': () => repository.reset([]),
+      'product exists': ({ id }) => repository.transaction(table => {
+        // Same shape as a product created with only the required fields
+        if (!table.findById(id)) {
+          table.reset([...table.findAll(), { id, name: `Product ${id}`, description: null, price: 25.0, inStock: true }]);
+        }
+      }),
+      'product does not exist': async ({ id }) => {
+        await repository.delete(id);
+      }
+    }));
   }
 
-  if (req.body.price !== undefined) {
-    if (typeof req.body.price !== 'number' || req.body.price < 0) {
+  /**
+   * Change or delete the product of req.params.id in one transaction, after
+   * the If-Match check, so that no other write gets in between; then answer
+   * @param {Function} write - (table, product) => { status, product } or an
+   *   error answer { status, code, message }
+   */
+  const writeProduct = async (req, res, write) => {
+    const productId = parseInt(req.params.id, 10);
+    const ifMatch = req.get('If-Match');
+
+    const outcome = await repository.transaction(table => {
+      const product = table.findById(productId);
+      if (!product) {
+        return { status: 404, code: 'NOT_FOUND', message: `Product with id ${productId} not found` };
+      }
+      // The current ETag goes along, so the client can read the product again and retry
+      const etag = etagOf(product);
+      if (ifMatch && !matchesETag(ifMatch, etag)) {
+        return { status: 412, code: 'PRECONDITION_FAILED', message: `Product ${productId} has changed since ETag ${ifMatch}`, etag };
+      }
+      return write(table, product);
+    });
+
+    const { status, code, message, etag, product } = outcome;
+    if (code) {
+      if (etag) res.set('ETag', etag);
+      return res.status(status).json({ code, message });
+    }
+    if (product) {
+      return res.status(status).set('ETag', etagOf(product)).json(product);
+    }
+    res.status(status).send();
+  };
+
+  // POST /oauth/token - Issue an access token (client credentials)
+  app.post('/oauth/token', tokenEndpoint(auth));
+
+  // GET /api/products - Get a page of products
+  app.get('/api/products', route(async (req, res) => {
+    // Coerced and checked against the spec by the validator
+    const { page = 1, pageSize = 20, inStock, minPrice, maxPrice, q, sort } = req.openapi.params.query;
+
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
       return res.status(400).json({
-        code: 'INVALID_PRICE',
-        message: 'Product price must be a positive number'
+        code: 'INVALID_PRICE_RANGE',
+        message: 'minPrice must not be greater than maxPrice'
       });
     }
-    product.price = parseFloat(req.body.price);
-  }
 
-  res.json(product);
-});
+    const { items, total } = await repository.findPage({
+      filter: { inStock, minPrice, maxPrice, q },
+      sort: parseSort(sort),
+      offset: (page - 1) * pageSize,
+      limit: pageSize
+    });
+
+    const lastPage = Math.max(1, Math.ceil(total / pageSize));
+    res.set('X-Total-Count', String(total));
+    res.set('Link', pageLinks(req, page, lastPage));
+    res.json(items);
+  }));
 
-// DELETE /api/products/:id - Delete product
-app.delete('/api/products/:id', (req, res) => {
-  const productId = parseInt(req.params.id, 10);
-  const index = products.findIndex(p => p.id === productId);
+  // POST /api/products - Create new product
+  app.post('/api/products', route(async (req, res) => {
+    const { name, description, price } = req.body;
+
+    if (rejectBlankName(name, res)) {
+      return;
+    }
 
-  if (index === -1) {
-    return res.status(404).json({
-      code: 'NOT_FOUND',
-      message: `Product with id ${productId} not found`
+    const newProduct = await repository.create({
+      name: name.trim(),
+      description: description || null,
+      price: parseFloat(price),
+      inStock: true
     });
-  }
 
-  products.splice(index, 1);
-  res.status(204).send();
-});
+    res.status(201).set('ETag', etagOf(newProduct)).json(newProduct);
+  }));
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
-});
+  // GET /api/products/:id - Get product by ID
+  app.get('/api/products/:id', route(async (req, res) => {
+    const productId = parseInt(req.params.id, 10);
+    const product = await repository.findById(productId);
+
+    if (!product) {
+      return notFound(res, productId);
+    }
+
+    const etag = etagOf(product);
+    res.set('ETag', etag);
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && matchesETag(ifNoneMatch, etag, true)) {
+      return res.status(304).end();
+    }
+    res.json(product);
+  }));
+
+  // PUT /api/products/:id - Replace product, only if it still matches If-Match when sent
+  app.put('/api/products/:id', route(async (req, res) => {
+    const { name, description, price } = req.body;
+
+    if (rejectBlankName(name, res)) {
+      return;
+    }
+
+    await writeProduct(req, res, (table, product) => ({
+      status: 200,
+      product: table.update(product.id, {
+        name: name.trim(),
+        description: description === undefined ? null : description,
+        price: parseFloat(price)
+      })
+    }));
+  }));
+
+  // PATCH /api/products/:id - Change some fields with a JSON Merge Patch or a JSON Patch
+  app.patch('/api/products/:id', route(async (req, res) => {
+    const jsonPatch = req.is('application/json-patch+json');
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({
-    code: 'INTERNAL_ERROR',
-    message: 'Internal server error'
+    await writeProduct(req, res, (table, product) => {
+      let patched;
+      try {
+        patched = jsonPatch
+          ? applyJsonPatch(editableFields(product), req.body)
+          : applyMergePatch(editableFields(product), req.body);
+      } catch (err) {
+        return { status: 422, code: 'INVALID_PATCH', message: err.message };
+      }
+
+      const { errors } = SchemaValidator.validate(patched, productSchema);
+      if (errors.length) {
+        const code = PATCH_ERROR_CODES[errors[0].path] || 'INVALID_PATCH';
+        return { status: 422, code, message: SchemaValidator.formatErrors(errors).join('; ') };
+      }
+      if (patched.name.trim().length === 0) {
+        return { status: 422, code: 'INVALID_NAME', message: 'Product name must be a non-empty string' };
+      }
+
+      return {
+        status: 200,
+        product: table.update(product.id, {
+          name: patched.name.trim(),
+          description: patched.description === undefined ? null : patched.description,
+          price: patched.price
+        })
+      };
+    });
+  }));
+
+  // DELETE /api/products/:id - Delete product, only if it still matches If-Match when sent
+  app.delete('/api/products/:id', route(async (req, res) => {
+    await writeProduct(req, res, (table, product) => {
+      table.delete(product.id);
+      return { status: 204 };
+    });
+  }));
+
+  // The spec this API implements, as announced at startup
+  app.get('/api-docs', (req, res) => {
+    res.json(spec.document);
   });
-});
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Provider API running at http://localhost:${PORT}`);
-  console.log(`OpenAPI Spec available at http://localhost:${PORT}/api-docs`);
-});
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    // Bodies that aren't JSON objects or arrays (e.g. `0` or `"text"`) never reach the validator
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({
+        code: 'VALIDATION_ERROR',
+        message: `/body: ${err.message}`
+      });
+    }
+
+    console.error('Error:', err);
+    res.status(500).json({
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error'
+    });
+  });
+
+  return app;
+}
 
-export default app;
+export default createApp;
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { createApp, seedProducts } from './index.js';
+import { createRepository } from './repository.js';
+
+const listen = app => new Promise(resolve => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+const urlOf = server => `http://127.0.0.1:${server.address().port}`;
+const close = server => new Promise(resolve => server.close(resolve));
+
+// Every store PRODUCTS_STORE can pick answers the same way
+describe.each(['memory', 'file'])('Products API (%s store)', store => {
+  let dir;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'products-api-'));
+    const repository = createRepository(seedProducts(), { PRODUCTS_STORE: store, PRODUCTS_FILE: path.join(dir, 'products.json') });
+    server = await listen(createApp({ repository }));
+    baseUrl = urlOf(server);
+  });
+
+  afterAll(async () => {
+    await close(server);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const tokenFor = async (clientId, clientSecret) => {
+    const response = await fetch(`${baseUrl}/oauth/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ grant_type: 'client_credentials', client_id: clientId, client_secret: clientSecret })
+    });
+    return (await response.json()).access_token;
+  };
+
+  describe('authentication', () => {
+    it('should answer HEAD without a token with 401, like GET', async () => {
+      for (const url of ['/api/products', '/api/products/1']) {
+        const response = await fetch(`${baseUrl}${url}`, { method: 'HEAD' });
+
+        expect(response.status).toBe(401);
+        expect(response.headers.get('etag')).toBeNull();
+        expect(response.headers.get('www-authenticate')).toBe('Bearer');
+      }
+    });
+
+    it("should answer HEAD with GET's headers to a reader", async () => {
+      const headers = { Authorization: `Bearer ${await tokenFor('product-reader', 'product-reader-secret')}` };
+      const head = await fetch(`${baseUrl}/api/products/1`, { method: 'HEAD', headers });
+      const get = await fetch(`${baseUrl}/api/products/1`, { headers });
+
+      expect(head.status).toBe(200);
+      expect(head.headers.get('etag')).toBe(get.headers.get('etag'));
+    });
+  });
+
+  describe('paging', () => {
+    it("should answer HEAD with a page's headers and check its query like GET", async () => {
+      const headers = { Authorization: `Bearer ${await tokenFor('product-reader', 'product-reader-secret')}` };
+      const head = await fetch(`${baseUrl}/api/products?page=1&pageSize=1`, { method: 'HEAD', headers });
+      const invalid = await fetch(`${baseUrl}/api/products?pageSize=0`, { method: 'HEAD', headers });
+
+      expect(head.status).toBe(200);
+      expect(head.headers.get('x-total-count')).toBe('2');
+      expect(head.headers.get('link')).toContain('rel="next"');
+      expect(invalid.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,250 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// provider/data/products.json, wherever the provider is started from
+const DEFAULT_FILE = fileURLToPath(new URL('../data/products.json', import.meta.url));
+
+const copy = product => ({ ...product });
+const nextIdAfter = products => products.reduce((max, product) => Math.max(max, product.id), 0) + 1;
+
+const matches = (product, { inStock, minPrice, maxPrice, q } = {}) =>
+  (inStock === undefined || product.inStock === inStock) &&
+  (minPrice === undefined || product.price >= minPrice) &&
+  (maxPrice === undefined || product.price <= maxPrice) &&
+  (q === undefined || product.name.toLowerCase().includes(q.toLowerCase()));
+
+const compareValues = (a, b) => {
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.localeCompare(b, undefined, { sensitivity: 'base' });
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Ties fall back to id so pages don't overlap
+const compareBy = sort => (a, b) => {
+  for (const { field, descending } of [...sort, { field: 'id' }]) {
+    const order = compareValues(a[field], b[field]);
+    if (order !== 0) {
+      return descending ? -order : order;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Products and the next id to hand out. Synchronous, and only ever changed
+ * through a transaction of one of the repositories below.
+ */
+export class ProductTable {
+  /**
+   * @param {Object[]} [products]
+   * @param {number} [nextId] - Defaults to one more than the highest id
+   */
+  constructor(products = [], nextId = nextIdAfter(products)) {
+    this.products = products.map(copy);
+    this.nextId = Math.max(nextId, nextIdAfter(products));
+  }
+
+  clone() {
+    return new ProductTable(this.products, this.nextId);
+  }
+
+  findAll() {
+    return this.products.map(copy);
+  }
+
+  findPage({ filter, sort = [], offset = 0, limit } = {}) {
+    const found = this.products.filter(product => matches(product, filter)).sort(compareBy(sort));
+    const end = limit === undefined ? undefined : offset + limit;
+    return { items: found.slice(offset, end).map(copy), total: found.length };
+  }
+
+  findById(id) {
+    const product = this.products.find(p => p.id === id);
+    return product ? copy(product) : null;
+  }
+
+  // Ids only ever grow: a deleted product's id is never handed out again
+  create(fields) {
+    const product = { id: this.nextId++, ...fields };
+    this.products.push(product);
+    return copy(product);
+  }
+
+  update(id, fields) {
+    const product = this.products.find(p => p.id === id);
+    if (!product) {
+      return null;
+    }
+
+    Object.assign(product, fields);
+    return copy(product);
+  }
+
+  delete(id) {
+    const index = this.products.findIndex(p => p.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.products.splice(index, 1);
+    return true;
+  }
+
+  // Ids handed out before the reset stay taken
+  reset(products = []) {
+    this.products = products.map(copy);
+    this.nextId = Math.max(this.nextId, nextIdAfter(products));
+  }
+}
+
+/**
+ * Product Repository
+ * Storage behind the Products API. createApp({ repository }) accepts any object
+ * with these async methods, so a database-backed store can replace this one:
+ *
+ *   findAll()             -> Product[]
+ *   findPage(query)       -> { items: Product[], total } for
+ *                            { filter: { inStock, minPrice, maxPrice, q }, sort: [{ field, descending }], offset, limit }
+ *   findById(id)          -> Product | null
+ *   create(fields)        -> Product with a new id
+ *   update(id, fields)    -> updated Product | null when missing
+ *   delete(id)            -> true when a product was removed
+ *   reset(products)       -> replaces every product (fixtures, provider states)
+ *   transaction(work)     -> runs work(table) on a ProductTable copy and keeps
+ *                            its changes only when it resolves
+ *
+ * Writes run one at a time, each in its own transaction; reads see the last
+ * committed state.
+ */
+export class InMemoryProductRepository {
+  /**
+   * @param {Object[]} [products] - Initial products
+   */
+  constructor(products = []) {
+    this.table = new ProductTable(products);
+    this.pending = Promise.resolve();
+  }
+
+  async findAll() {
+    return this.table.findAll();
+  }
+
+  async findPage(query) {
+    return this.table.findPage(query);
+  }
+
+  async findById(id) {
+    return this.table.findById(id);
+  }
+
+  async create(fields) {
+    return this.transaction(table => table.create(fields));
+  }
+
+  async update(id, fields) {
+    return this.transaction(table => table.update(id, fields));
+  }
+
+  async delete(id) {
+    return this.transaction(table => table.delete(id));
+  }
+
+  async reset(products = []) {
+    return this.transaction(table => table.reset(products));
+  }
+
+  /**
+   * Change several products at once: either all of work's changes are kept or,
+   * when it throws, none
+   *
+   * Usage:
+   *   await repository.transaction(table => {
+   *     if (!table.findById(id)) table.reset([...table.findAll(), product]);
+   *   });
+   *
+   * @param {Function} work - Gets a ProductTable, may be async
+   * @returns {Promise<*>} - What work returned
+   */
+  transaction(work) {
+    const run = this.pending.then(async () => {
+      const draft = this.table.clone();
+      const result = await work(draft);
+      await this.commit(draft);
+      return result;
+    });
+    // A failed transaction doesn't hold up the next one
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Make a finished transaction's table the current one
+   * @param {ProductTable} table
+   */
+  async commit(table) {
+    this.table = table;
+  }
+}
+
+/**
+ * File-backed Product Repository
+ * Keeps the products and the next id in a JSON file, so data and ids survive
+ * restarts. Every commit writes a temporary file and renames it over the old
+ * one: a crash leaves either the old or the new state, never half of each.
+ * One provider process per file.
+ */
+export class FileProductRepository extends InMemoryProductRepository {
+  /**
+   * @param {string} filePath - e.g. data/products.json, created with seed when missing
+   * @param {Object[]} [seed] - Initial products for a new file
+   */
+  constructor(filePath, seed = []) {
+    super();
+    this.filePath = path.resolve(filePath);
+
+    if (fs.existsSync(this.filePath)) {
+      const { products, nextId } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.table = new ProductTable(products, nextId);
+    } else {
+      this.table = new ProductTable(seed);
+      this.write(this.table);
+    }
+  }
+
+  async commit(table) {
+    // Written first, so a failed write leaves the current state as it was
+    this.write(table);
+    this.table = table;
+  }
+
+  write(table) {
+    const temporary = `${this.filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(temporary, `${JSON.stringify({ nextId: table.nextId, products: table.products }, null, 2)}\n`);
+    fs.renameSync(temporary, this.filePath);
+  }
+}
+
+/**
+ * The repository PRODUCTS_STORE asks for
+ *
+ *   PRODUCTS_STORE=memory (default)  InMemoryProductRepository, seeded on every start
+ *   PRODUCTS_STORE=file              FileProductRepository at PRODUCTS_FILE
+ *                                    (default provider/data/products.json), seeded when new
+ *
+ * @param {Object[]} seed - Initial products
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {InMemoryProductRepository}
+ */
+export function createRepository(seed, env = process.env) {
+  const store = env.PRODUCTS_STORE || 'memory';
+  if (store === 'memory') {
+    return new InMemoryProductRepository(seed);
+  }
+  if (store === 'file') {
+    return new FileProductRepository(env.PRODUCTS_FILE || DEFAULT_FILE, seed);
+  }
+  throw new Error(`Unknown PRODUCTS_STORE '${store}', use memory or file`);
+}
@@ -0,0 +1,181 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  ProductTable,
+  InMemoryProductRepository,
+  FileProductRepository,
+  createRepository
+} from './repository.js';
+
+const widget = { id: 1, name: 'Widget', description: null, price: 19.99, inStock: true };
+const gadget = { id: 2, name: 'Gadget', description: 'Shiny', price: 29.99, inStock: false };
+const lamp = { name: 'Lamp', description: null, price: 5, inStock: true };
+const providerDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+describe('ProductTable', () => {
+  it('should keep handing out new ids after deletes and resets', () => {
+    const table = new ProductTable([widget, gadget]);
+
+    expect(table.create(lamp).id).toBe(3);
+    table.delete(3);
+    table.reset([widget]);
+    expect(table.create(lamp).id).toBe(4);
+    table.reset([{ ...widget, id: 9 }]);
+    expect(table.create(lamp).id).toBe(10);
+  });
+});
+
+describe('InMemoryProductRepository', () => {
+  it('should keep none of the changes of a transaction that throws', async () => {
+    const repository = new InMemoryProductRepository([widget, gadget]);
+
+    await expect(repository.transaction(table => {
+      table.update(1, { price: 0 });
+      table.delete(2);
+      table.create(lamp);
+      throw new Error('Out of stock');
+    })).rejects.toThrow('Out of stock');
+
+    expect(await repository.findAll()).toEqual([widget, gadget]);
+    expect((await repository.create(lamp)).id).toBe(3);
+  });
+
+  it('should run writes one at a time, a failed one not holding up the next', async () => {
+    const repository = new InMemoryProductRepository([widget]);
+    const order = [];
+
+    const slow = repository.transaction(async table => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      order.push('slow');
+      table.update(1, { price: 1 });
+    });
+    const failing = repository.transaction(() => {
+      order.push('failing');
+      throw new Error('Nope');
+    });
+    const fast = repository.transaction(table => {
+      order.push('fast');
+      return table.update(1, { price: table.findById(1).price + 1 });
+    });
+
+    await slow;
+    await expect(failing).rejects.toThrow('Nope');
+    expect((await fast).price).toBe(2);
+    expect(order).toEqual(['slow', 'failing', 'fast']);
+  });
+
+  it('should hand out copies, not the stored products', async () => {
+    const repository = new InMemoryProductRepository([widget]);
+
+    (await repository.findById(1)).name = 'Changed';
+    expect((await repository.findById(1)).name).toBe('Widget');
+  });
+});
+
+describe('FileProductRepository', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'products-'));
+    file = path.join(dir, 'data', 'products.json');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('should create the file from the seed and reload products and ids from it', async () => {
+    const first = new FileProductRepository(file, [widget, gadget]);
+    await first.create(lamp);
+    await first.delete(3);
+
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ nextId: 4, products: [widget, gadget] });
+
+    const second = new FileProductRepository(file, []);
+    expect(await second.findAll()).toEqual([widget, gadget]);
+    expect((await second.create(lamp)).id).toBe(4);
+  });
+
+  it('should replace the file in one rename, leaving no temporary file behind', async () => {
+    const repository = new FileProductRepository(file, [widget]);
+    const renameSync = jest.spyOn(fs, 'renameSync');
+
+    try {
+      await repository.update(1, { price: 9.99 });
+
+      expect(renameSync).toHaveBeenCalledTimes(1);
+      expect(renameSync).toHaveBeenCalledWith(expect.stringMatching(/products\.json\.\d+\.tmp$/), file);
+    } finally {
+      renameSync.mockRestore();
+    }
+    expect(fs.readdirSync(path.dirname(file))).toEqual(['products.json']);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).products[0].price).toBe(9.99);
+  });
+
+  it('should keep the file and the products as they were when a write fails', async () => {
+    const repository = new FileProductRepository(file, [widget]);
+    const before = fs.readFileSync(file, 'utf8');
+    const writeFileSync = jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {
+      throw new Error('ENOSPC: no space left on device');
+    });
+
+    try {
+      await expect(repository.create(lamp)).rejects.toThrow('ENOSPC');
+    } finally {
+      writeFileSync.mockRestore();
+    }
+    expect(fs.readFileSync(file, 'utf8')).toBe(before);
+    expect(await repository.findAll()).toEqual([widget]);
+    expect((await repository.create(lamp)).id).toBe(2);
+  });
+});
+
+describe('createRepository', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'products-'));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('should keep products in memory unless PRODUCTS_STORE says otherwise', async () => {
+    const repository = createRepository([widget], {});
+
+    expect(repository).toBeInstanceOf(InMemoryProductRepository);
+    expect(repository).not.toBeInstanceOf(FileProductRepository);
+    expect(await repository.findAll()).toEqual([widget]);
+    expect(createRepository([], { PRODUCTS_STORE: 'memory' })).not.toBeInstanceOf(FileProductRepository);
+  });
+
+  it('should keep products in PRODUCTS_FILE with PRODUCTS_STORE=file', () => {
+    const file = path.join(dir, 'products.json');
+    const repository = createRepository([widget], { PRODUCTS_STORE: 'file', PRODUCTS_FILE: file });
+
+    expect(repository).toBeInstanceOf(FileProductRepository);
+    expect(repository.filePath).toBe(file);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).products).toEqual([widget]);
+  });
+
+  it('should default to provider/data/products.json wherever the provider was started', () => {
+    const existsSync = jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+    const readFileSync = jest.spyOn(fs, 'readFileSync').mockReturnValue('{"nextId":1,"products":[]}');
+    const cwd = process.cwd();
+
+    try {
+      process.chdir(dir);
+      const { filePath } = createRepository([], { PRODUCTS_STORE: 'file' });
+      expect(filePath).toBe(path.join(providerDir, 'data', 'products.json'));
+    } finally {
+      process.chdir(cwd);
+      existsSync.mockRestore();
+      readFileSync.mockRestore();
+    }
+  });
+
+  it('should refuse stores it does not know', () => {
+    expect(() => createRepository([], { PRODUCTS_STORE: 'sqlite' })).toThrow("Unknown PRODUCTS_STORE 'sqlite', use memory or file");
+  });
+});
@@ -0,0 +1,25 @@
+import { createApp } from './index.js';
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const HOST = process.env.HOST || '0.0.0.0';
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+// Start server
+const server = createApp().listen(PORT, HOST, () => {
+  console.log(`Provider API running at http://localhost:${PORT}`);
+  console.log(`OpenAPI Spec available at http://localhost:${PORT}/api-docs`);
+}).on('error', (err) => {
+  console.error('Server error:', err);
+  process.exit(1);
+});
+
+// Finish in-flight requests before exiting (docker stop, Ctrl+C)
+const shutdown = (signal) => {
+  console.log(`${signal} received, shutting down`);
+  server.close(() => process.exit(0));
+  server.closeIdleConnections();
+  setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);